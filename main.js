@@ -1,10 +1,15 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
+const { openSync, writeSync, closeSync } = require('fs');
 const PDFProcessor = require('./src/pdf-processor');
+const EpsgRegistry = require('./src/epsg-registry');
 
 let mainWindow;
 
+// Processor of the last opened PDF; exports are generated from it
+let currentProcessor = null;
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
@@ -66,6 +71,7 @@ ipcMain.handle('pdf:process', async (event, filePath) => {
     const processor = new PDFProcessor(fileBuffer);
 
     const result = await processor.process();
+    currentProcessor = processor;
 
     return {
       success: true,
@@ -80,10 +86,22 @@ ipcMain.handle('pdf:process', async (event, filePath) => {
   }
 });
 
+// Coordinate systems available as export targets (bundled, offline)
+ipcMain.handle('crs:list', async () => {
+  return EpsgRegistry.list().map(({ code, name }) => ({ code, name }));
+});
+
+// World file extension for an image extension: .png -> .pgw, .tif -> .tfw
+function worldFileExtension(extension) {
+  const letters = extension.replace(/^\./, '');
+  return `.${letters[0]}${letters[letters.length - 1]}w`;
+}
+
 // Export raster layer
+// With a layerIndex the image (and, for a targetCrs, its world file) is written here
 ipcMain.handle('export:raster', async (event, data) => {
   try {
-    const { defaultPath, filters } = data;
+    const { defaultPath, filters, layerIndex, targetCrs } = data;
 
     const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
       defaultPath,
@@ -98,9 +116,28 @@ ipcMain.handle('export:raster', async (event, data) => {
       return { success: false, canceled: true };
     }
 
+    if (layerIndex === undefined || !currentProcessor) {
+      return {
+        success: true,
+        filePath
+      };
+    }
+
+    const raster = currentProcessor.exportRaster(layerIndex, { targetCrs });
+    await fs.writeFile(filePath, raster.data);
+
+    let worldFilePath = null;
+    if (raster.worldFile) {
+      const extension = path.extname(filePath) || `.${raster.format}`;
+      worldFilePath = filePath.slice(0, filePath.length - path.extname(filePath).length) + worldFileExtension(extension);
+      await fs.writeFile(worldFilePath, raster.worldFile, 'utf8');
+    }
+
     return {
       success: true,
-      filePath
+      filePath,
+      worldFilePath,
+      written: true
     };
   } catch (error) {
     console.error('Error exporting raster:', error);
@@ -112,9 +149,11 @@ ipcMain.handle('export:raster', async (event, data) => {
 });
 
 // Export vector layer
+// With a page the vectors are written here (KML for .kml, otherwise GeoJSON);
+// source 'paths' streams the page's content paths (the map itself) as GeoJSON
 ipcMain.handle('export:vector', async (event, data) => {
   try {
-    const { defaultPath, filters } = data;
+    const { defaultPath, filters, page, targetCrs, source, clip } = data;
 
     const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
       defaultPath,
@@ -129,9 +168,35 @@ ipcMain.handle('export:vector', async (event, data) => {
       return { success: false, canceled: true };
     }
 
+    if (page === undefined || !currentProcessor) {
+      return {
+        success: true,
+        filePath
+      };
+    }
+
+    if (source === 'paths') {
+      const fd = openSync(filePath, 'w');
+      try {
+        const features = currentProcessor.exportContentPaths(page, {
+          targetCrs,
+          clip,
+          write: chunk => writeSync(fd, chunk)
+        });
+        return { success: true, filePath, features, written: true };
+      } finally {
+        closeSync(fd);
+      }
+    }
+
+    const format = path.extname(filePath).toLowerCase() === '.kml' ? 'kml' : 'geojson';
+    const content = currentProcessor.exportVectors(page, { format, targetCrs });
+    await fs.writeFile(filePath, content, 'utf8');
+
     return {
       success: true,
-      filePath
+      filePath,
+      written: true
     };
   } catch (error) {
     console.error('Error exporting vector:', error);
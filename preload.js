@@ -11,6 +11,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   processPDF: (filePath) => ipcRenderer.invoke('pdf:process', filePath),
 
   // Export operations
+  listCoordinateSystems: () => ipcRenderer.invoke('crs:list'),
   exportRaster: (data) => ipcRenderer.invoke('export:raster', data),
   exportVector: (data) => ipcRenderer.invoke('export:vector', data)
 });
@@ -7,12 +7,31 @@ const uploadBtn = document.getElementById('uploadBtn');
 const statusDiv = document.getElementById('status');
 const resultsDiv = document.getElementById('results');
 const metadataDiv = document.getElementById('metadata');
+const layerTreeDiv = document.getElementById('layerTree');
+const diagnosticsDiv = document.getElementById('diagnostics');
 const rasterLayersDiv = document.getElementById('rasterLayers');
 const vectorLayersDiv = document.getElementById('vectorLayers');
+const targetCrsSelect = document.getElementById('targetCrs');
 
 // Event listeners
 uploadBtn.addEventListener('click', handleUpload);
 
+loadCoordinateSystems();
+
+async function loadCoordinateSystems() {
+  try {
+    const systems = await window.electronAPI.listCoordinateSystems();
+    systems.forEach(({ code, name }) => {
+      const option = document.createElement('option');
+      option.value = `EPSG:${code}`;
+      option.textContent = `EPSG:${code} - ${name}`;
+      targetCrsSelect.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Error listing coordinate systems:', error);
+  }
+}
+
 async function handleUpload() {
   try {
     // Show loading state
@@ -63,7 +82,13 @@ function displayResults(data) {
   resultsDiv.style.display = 'block';
 
   // Display metadata
-  displayMetadata(data.metadata, data.info);
+  displayMetadata(data.metadata, data.info, data.contentPaths);
+
+  // Display PDF layer tree (Optional Content Groups)
+  displayLayerTree(data.metadata.layerTree);
+
+  // Display content stream parse diagnostics
+  displayDiagnostics(data.contentPaths);
 
   // Display raster layers
   displayRasterLayers(data.rasterLayers);
@@ -75,7 +100,7 @@ function displayResults(data) {
   resultsDiv.scrollIntoView({ behavior: 'smooth' });
 }
 
-function displayMetadata(metadata, info) {
+function displayMetadata(metadata, info, contentPaths) {
   metadataDiv.innerHTML = '';
 
   const items = [
@@ -84,6 +109,9 @@ function displayMetadata(metadata, info) {
     { label: 'Producer', value: metadata.producer || info?.Producer || 'Unknown' },
     { label: 'Pages', value: metadata.pageCount || 'Unknown' },
     { label: 'GeoPDF', value: metadata.isGeoPDF ? 'Yes' : 'No' },
+    { label: 'Coordinate System', value: describeCoordinateSystem(metadata.georeference) },
+    { label: 'Viewports', value: describeViewports(metadata.georeference) },
+    { label: 'Neatline', value: describeNeatlines(contentPaths) },
     { label: 'Created', value: formatDate(metadata.creationDate || info?.CreationDate) }
   ];
 
@@ -98,6 +126,86 @@ function displayMetadata(metadata, info) {
   });
 }
 
+function describeCoordinateSystem(georeference) {
+  const viewports = (georeference?.viewports || []).filter(viewport => viewport.crs);
+  if (viewports.length === 0) return 'None';
+
+  const names = viewports
+    .map(viewport => viewport.crs.name || (viewport.crs.epsg ? `EPSG:${viewport.crs.epsg}` : 'Unknown'));
+  return Array.from(new Set(names)).join(', ');
+}
+
+function describeViewports(georeference) {
+  if (!georeference || georeference.viewports.length === 0) return 'None';
+
+  return georeference.viewports
+    .map(viewport => `${viewport.name || `#${viewport.index}`} (page ${viewport.page + 1}` +
+      `${viewport.encoding === 'LGIDict' ? ', LGIDict' : ''}` +
+      `${viewport.georeferenced ? '' : ', not georeferenced'})`)
+    .join(', ');
+}
+
+function describeNeatlines(contentPaths) {
+  const neatlines = Object.values(contentPaths?.neatlinesByPage || {});
+  if (neatlines.length === 0) return 'Not found';
+
+  const inside = contentPaths.statistics?.byNeatline?.inside || 0;
+  const crossing = contentPaths.statistics?.byNeatline?.crossing || 0;
+  const collar = contentPaths.statistics?.byNeatline?.collar || 0;
+  const sources = neatlines
+    .map(neatline => `page ${neatline.page + 1} from ${neatline.source === 'viewport' ? 'viewport' : 'outer frame'}`)
+    .join(', ');
+  return `${sources} (paths: ${inside} inside, ${crossing} crossing, ${collar} in the collar)`;
+}
+
+function displayLayerTree(tree) {
+  layerTreeDiv.innerHTML = '';
+
+  if (!tree || tree.length === 0) {
+    layerTreeDiv.innerHTML = '<div class="no-data">No PDF layers found</div>';
+    return;
+  }
+
+  const list = buildLayerList(tree);
+  list.className = 'layer-tree';
+  layerTreeDiv.appendChild(list);
+}
+
+function buildLayerList(nodes) {
+  const ul = document.createElement('ul');
+
+  nodes.forEach(node => {
+    const li = document.createElement('li');
+
+    const name = document.createElement('span');
+    name.textContent = node.name;
+    if (node.isLabel) {
+      name.className = 'layer-label';
+    } else if (!node.visible) {
+      name.className = 'layer-hidden';
+    }
+    li.appendChild(name);
+
+    if (!node.isLabel) {
+      const flags = [node.visible ? 'on' : 'off'];
+      if (node.locked) flags.push('locked');
+
+      const flag = document.createElement('span');
+      flag.className = 'layer-flag';
+      flag.textContent = `(${flags.join(', ')})`;
+      li.appendChild(flag);
+    }
+
+    if (node.children && node.children.length > 0) {
+      li.appendChild(buildLayerList(node.children));
+    }
+
+    ul.appendChild(li);
+  });
+
+  return ul;
+}
+
 function displayRasterLayers(layers) {
   rasterLayersDiv.innerHTML = '';
 
@@ -184,6 +292,7 @@ function displayVectorLayers(layers) {
         </div>
       </div>
       <button class="export-btn" onclick="exportVector(${page})">Export as GeoJSON</button>
+      <button class="export-btn" onclick="exportVector(${page}, 'paths')">Export Map Paths</button>
     `;
 
     vectorLayersDiv.appendChild(card);
@@ -201,9 +310,16 @@ window.exportRaster = async function(layerIndex) {
     const layer = currentPDFData.rasterLayers[layerIndex];
     const fileName = currentFilePath ? currentFilePath.split('/').pop().replace('.pdf', '') : 'export';
 
-    // Get save path
+    if (!layer.dataUrl) {
+      alert('No image data available for export');
+      return;
+    }
+
+    // The main process writes the image (and its world file)
     const result = await window.electronAPI.exportRaster({
-      defaultPath: `${fileName}_raster_${layerIndex}.${layer.format}`
+      defaultPath: `${fileName}_raster_${layerIndex}.${layer.format}`,
+      layerIndex,
+      targetCrs: targetCrsSelect.value || undefined
     });
 
     if (!result.success) {
@@ -213,26 +329,8 @@ window.exportRaster = async function(layerIndex) {
       return;
     }
 
-    // Convert base64 to buffer
-    if (layer.dataUrl) {
-      const base64Data = layer.dataUrl.split(',')[1];
-      const buffer = Buffer.from(base64Data, 'base64');
-
-      // Save file
-      const saveResult = await window.electronAPI.saveFile({
-        filePath: result.filePath,
-        content: buffer,
-        encoding: 'binary'
-      });
-
-      if (saveResult.success) {
-        alert(`Raster layer exported successfully to:\n${result.filePath}`);
-      } else {
-        alert(`Export failed: ${saveResult.error}`);
-      }
-    } else {
-      alert('No image data available for export');
-    }
+    alert(`Raster layer exported successfully to:\n${result.filePath}` +
+      (result.worldFilePath ? `\nWorld file (${targetCrsSelect.value}):\n${result.worldFilePath}` : ''));
 
   } catch (error) {
     console.error('Error exporting raster:', error);
@@ -240,26 +338,31 @@ window.exportRaster = async function(layerIndex) {
   }
 };
 
-window.exportVector = async function(page) {
+window.exportVector = async function(page, source) {
   try {
     if (!currentPDFData || !currentPDFData.vectorLayers) {
       alert('Vector data not available');
       return;
     }
 
-    // Filter vectors for this page
+    // Filter vectors for this page (content paths are read from the PDF itself)
     const pageVectors = currentPDFData.vectorLayers.filter(v => v.page === parseInt(page));
 
-    if (pageVectors.length === 0) {
+    if (pageVectors.length === 0 && source !== 'paths') {
       alert('No vector data available for this page');
       return;
     }
 
     const fileName = currentFilePath ? currentFilePath.split('/').pop().replace('.pdf', '') : 'export';
+    const kind = source === 'paths' ? 'paths' : 'vectors';
 
-    // Get save path
+    // The main process writes GeoJSON (or KML), reprojected to the target CRS
     const result = await window.electronAPI.exportVector({
-      defaultPath: `${fileName}_vectors_page${parseInt(page) + 1}.geojson`
+      defaultPath: `${fileName}_${kind}_page${parseInt(page) + 1}.geojson`,
+      page: parseInt(page),
+      targetCrs: targetCrsSelect.value || undefined,
+      source,
+      filters: source === 'paths' ? [{ name: 'GeoJSON', extensions: ['geojson', 'json'] }] : undefined
     });
 
     if (!result.success) {
@@ -269,36 +372,7 @@ window.exportVector = async function(page) {
       return;
     }
 
-    // Create GeoJSON
-    const features = pageVectors
-      .filter(v => v.geometry)
-      .map(v => ({
-        type: 'Feature',
-        geometry: v.geometry,
-        properties: {
-          type: v.type,
-          subtype: v.subtype,
-          title: v.title,
-          contents: v.contents
-        }
-      }));
-
-    const geoJSON = {
-      type: 'FeatureCollection',
-      features
-    };
-
-    // Save file
-    const saveResult = await window.electronAPI.saveFile({
-      filePath: result.filePath,
-      content: JSON.stringify(geoJSON, null, 2)
-    });
-
-    if (saveResult.success) {
-      alert(`Vector layer exported successfully to:\n${result.filePath}`);
-    } else {
-      alert(`Export failed: ${saveResult.error}`);
-    }
+    alert(`Vector layer exported successfully to:\n${result.filePath}`);
 
   } catch (error) {
     console.error('Error exporting vector:', error);
@@ -306,6 +380,60 @@ window.exportVector = async function(page) {
   }
 };
 
+function displayDiagnostics(contentPaths) {
+  diagnosticsDiv.innerHTML = '';
+
+  const diagnostics = contentPaths?.diagnostics || [];
+  const summary = contentPaths?.diagnosticSummary;
+  if (!summary) {
+    diagnosticsDiv.innerHTML = '<div class="no-data">No parse diagnostics available</div>';
+    return;
+  }
+
+  const summaryDiv = document.createElement('div');
+  summaryDiv.className = summary.clean ? 'diagnostics-summary clean' : 'diagnostics-summary';
+  summaryDiv.textContent = summary.clean
+    ? `Parsed cleanly${summary.info > 0 ? ` (${summary.info} notes)` : ''}`
+    : `${summary.error} errors (content lost), ${summary.warning} warnings, ${summary.info} notes` +
+      (summary.dropped > 0 ? `; ${summary.dropped} more not listed` : '');
+  diagnosticsDiv.appendChild(summaryDiv);
+
+  if (diagnostics.length === 0) return;
+
+  const ul = document.createElement('ul');
+  ul.className = 'diagnostics-list';
+
+  diagnostics.forEach(diagnostic => {
+    const li = document.createElement('li');
+
+    const severity = document.createElement('span');
+    severity.className = `diagnostic-severity ${diagnostic.severity}`;
+    severity.textContent = diagnostic.severity;
+    li.appendChild(severity);
+
+    const message = document.createElement('span');
+    message.textContent = diagnostic.count > 1
+      ? `${diagnostic.message} (×${diagnostic.count})`
+      : diagnostic.message;
+    li.appendChild(message);
+
+    const location = [];
+    if (typeof diagnostic.page === 'number') location.push(`page ${diagnostic.page + 1}`);
+    if (diagnostic.stream && diagnostic.stream !== `page ${diagnostic.page + 1}`) location.push(`stream ${diagnostic.stream}`);
+    if (diagnostic.offset !== null && diagnostic.offset !== undefined) location.push(`byte ${diagnostic.offset}`);
+    if (diagnostic.operator) location.push(`operator ${diagnostic.operator}`);
+
+    const where = document.createElement('span');
+    where.className = 'diagnostic-location';
+    where.textContent = `(${location.join(', ')})`;
+    li.appendChild(where);
+
+    ul.appendChild(li);
+  });
+
+  diagnosticsDiv.appendChild(ul);
+}
+
 // Helper functions
 function showStatus(message, type) {
   statusDiv.textContent = message;
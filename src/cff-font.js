@@ -0,0 +1,722 @@
+/**
+ * CFF Font
+ * Reads glyph outlines from an embedded CFF program (/FontFile3 with
+ * /Subtype /Type1C or /CIDFontType0C, or the 'CFF ' table of an OpenType font)
+ * Parses the INDEX and DICT structures, the charset and encoding, and runs
+ * Type 2 charstrings to produce outline commands in glyph space.
+ */
+
+const { getEncoding, CFF_STANDARD_STRINGS } = require('./font-encodings');
+
+// Top DICT and Private DICT operators (two-byte operators are 1200 + second byte)
+const OP_CHARSET = 15;
+const OP_ENCODING = 16;
+const OP_CHAR_STRINGS = 17;
+const OP_PRIVATE = 18;
+const OP_SUBRS = 19;
+const OP_FONT_MATRIX = 1207;
+const OP_ROS = 1230;
+const OP_FD_ARRAY = 1236;
+const OP_FD_SELECT = 1237;
+
+// Charstring limits guarding against malformed programs
+const MAX_SUBR_DEPTH = 10;
+const MAX_STACK = 48;
+
+class CFFFont {
+  /**
+   * @param {Buffer} data - Bare CFF data, or an OpenType font with a 'CFF ' table
+   * @param {Object} options - { report(severity, code, message) } for unreadable glyphs
+   */
+  constructor(data, options = {}) {
+    this.report = options.report || null;
+    this.data = CFFFont.extractCFF(Buffer.from(data));
+
+    const headerSize = this.data[2];
+    const names = this.readIndex(headerSize);
+    const topDicts = this.readIndex(names.end);
+    const strings = this.readIndex(topDicts.end);
+    const globalSubrs = this.readIndex(strings.end);
+
+    if (topDicts.count === 0) {
+      throw new Error('CFF font has no Top DICT');
+    }
+
+    this.name = names.count > 0 ? this.data.toString('latin1', ...names.ranges[0]) : null;
+    this.strings = strings.ranges.map(range => this.data.toString('latin1', ...range));
+    this.globalSubrs = globalSubrs.ranges;
+
+    const top = this.readDict(...topDicts.ranges[0]);
+    this.isCIDFont = top.has(OP_ROS);
+
+    const fontMatrix = top.get(OP_FONT_MATRIX);
+    this.fontMatrix = fontMatrix && fontMatrix.length === 6 ? fontMatrix : [0.001, 0, 0, 0.001, 0, 0];
+
+    if (!top.has(OP_CHAR_STRINGS)) {
+      throw new Error('CFF font has no CharStrings');
+    }
+    this.charStrings = this.readIndex(top.get(OP_CHAR_STRINGS)[0]).ranges;
+    this.numGlyphs = this.charStrings.length;
+
+    // Private DICT (subroutines) per glyph: one for name-keyed fonts,
+    // one per Font DICT (selected by FDSelect) for CID-keyed fonts
+    this.privateDicts = [];
+    this.fdSelect = null;
+    if (this.isCIDFont && top.has(OP_FD_ARRAY)) {
+      const fdArray = this.readIndex(top.get(OP_FD_ARRAY)[0]);
+      this.privateDicts = fdArray.ranges.map(range => this.readPrivate(this.readDict(...range)));
+      if (top.has(OP_FD_SELECT)) {
+        this.fdSelect = this.readFDSelect(top.get(OP_FD_SELECT)[0]);
+      }
+    } else {
+      this.privateDicts = [this.readPrivate(top)];
+    }
+
+    // GID → SID (name-keyed) or CID (CID-keyed)
+    const charsetOffset = top.has(OP_CHARSET) ? top.get(OP_CHARSET)[0] : 0;
+    this.charset = this.readCharset(charsetOffset);
+
+    this.glyphIdsByName = null;
+    if (!this.isCIDFont) {
+      this.glyphIdsByName = new Map();
+      this.charset.forEach((sid, glyphId) => {
+        const name = this.getString(sid);
+        if (name && !this.glyphIdsByName.has(name)) this.glyphIdsByName.set(name, glyphId);
+      });
+    }
+
+    // Built-in encoding: code → GID (name-keyed fonts only)
+    const encodingOffset = top.has(OP_ENCODING) ? top.get(OP_ENCODING)[0] : 0;
+    this.encoding = this.isCIDFont ? null : this.readEncoding(encodingOffset);
+
+    this.outlineCache = new Map();
+  }
+
+  /**
+   * Get the CFF data of a font program, unwrapping an OpenType container
+   */
+  static extractCFF(data) {
+    if (data.length >= 12 && data.toString('latin1', 0, 4) === 'OTTO') {
+      const numTables = data.readUInt16BE(4);
+      for (let i = 0; i < numTables; i++) {
+        const record = 12 + i * 16;
+        if (data.toString('latin1', record, record + 4) === 'CFF ') {
+          const offset = data.readUInt32BE(record + 8);
+          const length = data.readUInt32BE(record + 12);
+          return data.subarray(offset, offset + length);
+        }
+      }
+      throw new Error('OpenType font has no CFF table');
+    }
+    return data;
+  }
+
+  /**
+   * Read an INDEX structure
+   * @param {number} offset - Start of the INDEX
+   * @returns {Object} { count, ranges: [[start, end], ...], end }
+   */
+  readIndex(offset) {
+    const data = this.data;
+    const count = data.readUInt16BE(offset);
+    if (count === 0) {
+      return { count: 0, ranges: [], end: offset + 2 };
+    }
+
+    const offSize = data[offset + 2];
+    const readOffset = index => {
+      let value = 0;
+      const position = offset + 3 + index * offSize;
+      for (let i = 0; i < offSize; i++) value = value * 256 + data[position + i];
+      return value;
+    };
+
+    // Offsets are 1-based from the byte before the object data
+    const base = offset + 2 + (count + 1) * offSize;
+    const ranges = [];
+    for (let i = 0; i < count; i++) {
+      ranges.push([base + readOffset(i), base + readOffset(i + 1)]);
+    }
+
+    return { count, ranges, end: base + readOffset(count) };
+  }
+
+  /**
+   * Read a DICT into a map of operator → operands
+   */
+  readDict(start, end) {
+    const data = this.data;
+    const dict = new Map();
+    let operands = [];
+    let position = start;
+
+    while (position < end) {
+      const b0 = data[position];
+
+      if (b0 <= 21) {
+        let op = b0;
+        position++;
+        if (b0 === 12) op = 1200 + data[position++];
+        dict.set(op, operands);
+        operands = [];
+      } else if (b0 === 28) {
+        operands.push(data.readInt16BE(position + 1));
+        position += 3;
+      } else if (b0 === 29) {
+        operands.push(data.readInt32BE(position + 1));
+        position += 5;
+      } else if (b0 === 30) {
+        const [value, next] = this.readReal(position + 1);
+        operands.push(value);
+        position = next;
+      } else if (b0 >= 32 && b0 <= 246) {
+        operands.push(b0 - 139);
+        position++;
+      } else if (b0 >= 247 && b0 <= 250) {
+        operands.push((b0 - 247) * 256 + data[position + 1] + 108);
+        position += 2;
+      } else if (b0 >= 251 && b0 <= 254) {
+        operands.push(-(b0 - 251) * 256 - data[position + 1] - 108);
+        position += 2;
+      } else {
+        position++; // Reserved
+      }
+    }
+
+    return dict;
+  }
+
+  readReal(position) {
+    const nibbles = '0123456789.EE?-';
+    let text = '';
+
+    while (position < this.data.length) {
+      const byte = this.data[position++];
+      let done = false;
+      for (const nibble of [byte >> 4, byte & 0x0f]) {
+        if (nibble === 0x0f) {
+          done = true;
+          break;
+        }
+        text += nibble === 0x0c ? 'E-' : nibbles[nibble];
+      }
+      if (done) break;
+    }
+
+    const value = parseFloat(text);
+    return [isNaN(value) ? 0 : value, position];
+  }
+
+  /**
+   * Read the local subroutines of a Private DICT
+   * @param {Map} dict - Top DICT or Font DICT holding the Private operator
+   */
+  readPrivate(dict) {
+    const result = { subrs: [], bias: 0 };
+    const entry = dict.get(OP_PRIVATE);
+    if (!entry || entry.length < 2) return result;
+
+    const [size, offset] = entry;
+    const privateDict = this.readDict(offset, offset + size);
+    if (privateDict.has(OP_SUBRS)) {
+      result.subrs = this.readIndex(offset + privateDict.get(OP_SUBRS)[0]).ranges;
+    }
+    result.bias = subrBias(result.subrs.length);
+    return result;
+  }
+
+  readCharset(offset) {
+    const data = this.data;
+    const charset = [0];
+
+    // Predefined charsets: only ISOAdobe (GID n is SID n) maps directly
+    if (offset <= 2) {
+      for (let glyphId = 1; glyphId < this.numGlyphs; glyphId++) {
+        charset.push(offset === 0 && glyphId <= 228 ? glyphId : 0);
+      }
+      return charset;
+    }
+
+    const format = data[offset];
+    let position = offset + 1;
+    while (charset.length < this.numGlyphs && position < data.length) {
+      if (format === 0) {
+        charset.push(data.readUInt16BE(position));
+        position += 2;
+      } else {
+        const first = data.readUInt16BE(position);
+        const left = format === 1 ? data[position + 2] : data.readUInt16BE(position + 2);
+        position += format === 1 ? 3 : 4;
+        for (let i = 0; i <= left && charset.length < this.numGlyphs; i++) {
+          charset.push(first + i);
+        }
+      }
+    }
+
+    return charset;
+  }
+
+  /**
+   * Read the built-in encoding as a code → GID table
+   */
+  readEncoding(offset) {
+    const codes = new Map();
+
+    if (offset <= 1) {
+      // Predefined Standard (0) or Expert (1) encoding, by glyph name
+      const names = getEncoding(offset === 0 ? 'StandardEncoding' : 'MacExpertEncoding') || [];
+      names.forEach((name, code) => {
+        const glyphId = this.glyphIdForName(name);
+        if (glyphId) codes.set(code, glyphId);
+      });
+      return codes;
+    }
+
+    const data = this.data;
+    const format = data[offset];
+    let position = offset + 1;
+
+    if ((format & 0x7f) === 0) {
+      const count = data[position++];
+      for (let glyphId = 1; glyphId <= count; glyphId++) {
+        codes.set(data[position++], glyphId);
+      }
+    } else {
+      const ranges = data[position++];
+      let glyphId = 1;
+      for (let i = 0; i < ranges; i++) {
+        const first = data[position];
+        const left = data[position + 1];
+        position += 2;
+        for (let code = first; code <= first + left; code++) {
+          codes.set(code, glyphId++);
+        }
+      }
+    }
+
+    // Supplements: extra codes for glyphs already named in the charset
+    if (format & 0x80) {
+      const supplements = data[position++];
+      for (let i = 0; i < supplements; i++) {
+        const code = data[position];
+        const glyphId = this.glyphIdForName(this.getString(data.readUInt16BE(position + 1)));
+        if (glyphId) codes.set(code, glyphId);
+        position += 3;
+      }
+    }
+
+    return codes;
+  }
+
+  readFDSelect(offset) {
+    const data = this.data;
+    const format = data[offset];
+    const select = new Uint8Array(this.numGlyphs);
+
+    if (format === 0) {
+      for (let glyphId = 0; glyphId < this.numGlyphs; glyphId++) {
+        select[glyphId] = data[offset + 1 + glyphId];
+      }
+    } else if (format === 3) {
+      const ranges = data.readUInt16BE(offset + 1);
+      for (let i = 0; i < ranges; i++) {
+        const record = offset + 3 + i * 3;
+        const first = data.readUInt16BE(record);
+        const fd = data[record + 2];
+        const next = data.readUInt16BE(record + 3); // Next range start, or the sentinel
+        for (let glyphId = first; glyphId < next && glyphId < this.numGlyphs; glyphId++) {
+          select[glyphId] = fd;
+        }
+      }
+    }
+
+    return select;
+  }
+
+  getString(sid) {
+    if (sid < CFF_STANDARD_STRINGS.length) return CFF_STANDARD_STRINGS[sid];
+    return this.strings[sid - CFF_STANDARD_STRINGS.length] || null;
+  }
+
+  /**
+   * Look up a glyph by name (name-keyed fonts)
+   */
+  glyphIdForName(name) {
+    if (!this.glyphIdsByName || !name) return 0;
+    return this.glyphIdsByName.get(name) || 0;
+  }
+
+  /**
+   * Look up a glyph by CID (CID-keyed fonts map CIDs through the charset;
+   * for other fonts the CID is taken as the glyph index)
+   */
+  glyphIdForCID(cid) {
+    if (!this.isCIDFont) return cid < this.numGlyphs ? cid : 0;
+    if (!this.cidToGlyphId) {
+      this.cidToGlyphId = new Map();
+      this.charset.forEach((value, glyphId) => this.cidToGlyphId.set(value, glyphId));
+    }
+    return this.cidToGlyphId.get(cid) || 0;
+  }
+
+  /**
+   * Look up a glyph through the font's built-in encoding
+   */
+  glyphIdForCode(code) {
+    return this.encoding ? this.encoding.get(code) || 0 : 0;
+  }
+
+  /**
+   * Get the outline of a glyph
+   * @param {number} glyphId - Glyph index
+   * @returns {Array} Commands { type: 'M'|'L'|'C'|'Z', ... } in glyph space
+   */
+  getGlyphOutline(glyphId) {
+    if (!this.outlineCache.has(glyphId)) {
+      let commands = [];
+      if (glyphId >= 0 && glyphId < this.numGlyphs) {
+        try {
+          commands = this.runCharString(glyphId);
+        } catch (error) {
+          this.warn('font-error', `Could not read CFF glyph ${glyphId}: ${error.message}`);
+        }
+      }
+      this.outlineCache.set(glyphId, commands);
+    }
+    return this.outlineCache.get(glyphId);
+  }
+
+  /**
+   * Run a Type 2 charstring (Adobe Technical Note #5177)
+   */
+  runCharString(glyphId, origin = { x: 0, y: 0 }) {
+    const data = this.data;
+    const fd = this.fdSelect ? this.fdSelect[glyphId] : 0;
+    const { subrs, bias } = this.privateDicts[fd] || this.privateDicts[0] || { subrs: [], bias: 0 };
+    const globalBias = subrBias(this.globalSubrs.length);
+
+    const commands = [];
+    const transient = [];
+    let stack = [];
+    let x = origin.x;
+    let y = origin.y;
+    let stems = 0;
+    let haveWidth = false;
+    let open = false;
+    let ended = false;
+
+    const moveTo = (dx, dy) => {
+      if (open) commands.push({ type: 'Z' });
+      x += dx;
+      y += dy;
+      commands.push({ type: 'M', x, y });
+      open = true;
+    };
+    const lineTo = (dx, dy) => {
+      x += dx;
+      y += dy;
+      commands.push({ type: 'L', x, y });
+    };
+    const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+      const x1 = x + dx1;
+      const y1 = y + dy1;
+      const x2 = x1 + dx2;
+      const y2 = y1 + dy2;
+      x = x2 + dx3;
+      y = y2 + dy3;
+      commands.push({ type: 'C', x1, y1, x2, y2, x, y });
+    };
+
+    // The first stack-clearing operator may carry the advance width first,
+    // seen as one operand more than the operator takes
+    const takeWidth = evenArgs => {
+      if (!haveWidth && (stack.length % 2 === 1) === evenArgs) {
+        stack.shift();
+      }
+      haveWidth = true;
+    };
+    const countStems = () => {
+      takeWidth(true);
+      stems += stack.length >> 1;
+      stack = [];
+    };
+
+    const execute = (start, end, depth) => {
+      if (depth > MAX_SUBR_DEPTH) throw new Error('subroutines nested too deeply');
+
+      let position = start;
+      while (position < end && !ended) {
+        const b0 = data[position++];
+
+        if (b0 >= 32 || b0 === 28) {
+          if (b0 === 28) {
+            stack.push(data.readInt16BE(position));
+            position += 2;
+          } else if (b0 <= 246) {
+            stack.push(b0 - 139);
+          } else if (b0 <= 250) {
+            stack.push((b0 - 247) * 256 + data[position++] + 108);
+          } else if (b0 <= 254) {
+            stack.push(-(b0 - 251) * 256 - data[position++] - 108);
+          } else {
+            stack.push(data.readInt32BE(position) / 65536);
+            position += 4;
+          }
+          if (stack.length > MAX_STACK) throw new Error('operand stack overflow');
+          continue;
+        }
+
+        switch (b0) {
+          case 1: // hstem
+          case 3: // vstem
+          case 18: // hstemhm
+          case 23: // vstemhm
+            countStems();
+            break;
+
+          case 19: // hintmask
+          case 20: // cntrmask
+            // Leftover operands are an implicit vstem
+            countStems();
+            position += (stems + 7) >> 3;
+            break;
+
+          case 21: // rmoveto
+            takeWidth(true);
+            moveTo(stack[0], stack[1]);
+            stack = [];
+            break;
+          case 22: // hmoveto
+            takeWidth(false);
+            moveTo(stack[0], 0);
+            stack = [];
+            break;
+          case 4: // vmoveto
+            takeWidth(false);
+            moveTo(0, stack[0]);
+            stack = [];
+            break;
+
+          case 5: // rlineto
+            for (let i = 0; i + 1 < stack.length; i += 2) lineTo(stack[i], stack[i + 1]);
+            stack = [];
+            break;
+          case 6: // hlineto
+          case 7: { // vlineto
+            let horizontal = b0 === 6;
+            for (const delta of stack) {
+              if (horizontal) lineTo(delta, 0);
+              else lineTo(0, delta);
+              horizontal = !horizontal;
+            }
+            stack = [];
+            break;
+          }
+
+          case 8: // rrcurveto
+            for (let i = 0; i + 5 < stack.length; i += 6) curveTo(...stack.slice(i, i + 6));
+            stack = [];
+            break;
+          case 24: { // rcurveline
+            let i = 0;
+            for (; i + 5 < stack.length - 2; i += 6) curveTo(...stack.slice(i, i + 6));
+            lineTo(stack[i], stack[i + 1]);
+            stack = [];
+            break;
+          }
+          case 25: { // rlinecurve
+            let i = 0;
+            for (; i + 1 < stack.length - 6; i += 2) lineTo(stack[i], stack[i + 1]);
+            curveTo(...stack.slice(i, i + 6));
+            stack = [];
+            break;
+          }
+          case 26: { // vvcurveto: dx1? {dya dxb dyb dyc}+
+            let i = 0;
+            let dx1 = 0;
+            if (stack.length % 2 === 1) dx1 = stack[i++];
+            for (; i + 3 < stack.length; i += 4) {
+              curveTo(dx1, stack[i], stack[i + 1], stack[i + 2], 0, stack[i + 3]);
+              dx1 = 0;
+            }
+            stack = [];
+            break;
+          }
+          case 27: { // hhcurveto: dy1? {dxa dxb dyb dxc}+
+            let i = 0;
+            let dy1 = 0;
+            if (stack.length % 2 === 1) dy1 = stack[i++];
+            for (; i + 3 < stack.length; i += 4) {
+              curveTo(stack[i], dy1, stack[i + 1], stack[i + 2], stack[i + 3], 0);
+              dy1 = 0;
+            }
+            stack = [];
+            break;
+          }
+          case 30: // vhcurveto
+          case 31: { // hvcurveto
+            // Curves alternate between starting vertical and horizontal; the
+            // last one may carry a final off-axis delta
+            let horizontal = b0 === 31;
+            for (let i = 0; i + 3 < stack.length; i += 4) {
+              const last = stack.length - i === 5 ? stack[i + 4] : 0;
+              if (horizontal) {
+                curveTo(stack[i], 0, stack[i + 1], stack[i + 2], last, stack[i + 3]);
+              } else {
+                curveTo(0, stack[i], stack[i + 1], stack[i + 2], stack[i + 3], last);
+              }
+              horizontal = !horizontal;
+            }
+            stack = [];
+            break;
+          }
+
+          case 10: // callsubr
+          case 29: { // callgsubr
+            const local = b0 === 10;
+            const index = stack.pop() + (local ? bias : globalBias);
+            const subr = (local ? subrs : this.globalSubrs)[index];
+            if (subr) execute(subr[0], subr[1], depth + 1);
+            break;
+          }
+          case 11: // return
+            return;
+
+          case 14: // endchar
+            if (stack.length === 4 || stack.length === 5) {
+              // Accented character (seac): adx ady bchar achar
+              takeWidth(true);
+              this.appendAccented(commands, ...stack.slice(-4), depth);
+            } else {
+              takeWidth(true);
+            }
+            ended = true;
+            break;
+
+          case 12:
+            position = this.runEscape(data[position], position + 1, stack, { curveTo }, transient);
+            if (stack.length > MAX_STACK) throw new Error('operand stack overflow');
+            break;
+
+          default:
+            stack = []; // Reserved operator
+            break;
+        }
+      }
+    };
+
+    const [start, end] = this.charStrings[glyphId];
+    execute(start, end, 0);
+    if (open) commands.push({ type: 'Z' });
+
+    return commands;
+  }
+
+  /**
+   * Run a two-byte (escape) operator: flex curves and stack arithmetic
+   * @returns {number} Position after the operator
+   */
+  runEscape(op, position, stack, pen, transient) {
+    const args = stack.splice(0);
+
+    switch (op) {
+      case 35: // flex: two curves, then the flex depth
+        pen.curveTo(...args.slice(0, 6));
+        pen.curveTo(...args.slice(6, 12));
+        break;
+      case 34: { // hflex
+        const [dx1, dx2, dy2, dx3, dx4, dx5, dx6] = args;
+        pen.curveTo(dx1, 0, dx2, dy2, dx3, 0);
+        pen.curveTo(dx4, 0, dx5, -dy2, dx6, 0);
+        break;
+      }
+      case 36: { // hflex1
+        const [dx1, dy1, dx2, dy2, dx3, dx4, dx5, dy5, dx6] = args;
+        pen.curveTo(dx1, dy1, dx2, dy2, dx3, 0);
+        pen.curveTo(dx4, 0, dx5, dy5, dx6, -(dy1 + dy2 + dy5));
+        break;
+      }
+      case 37: { // flex1: the last point moves along the dominant axis
+        const dx = args[0] + args[2] + args[4] + args[6] + args[8];
+        const dy = args[1] + args[3] + args[5] + args[7] + args[9];
+        const [dx6, dy6] = Math.abs(dx) > Math.abs(dy) ? [args[10], -dy] : [-dx, args[10]];
+        pen.curveTo(...args.slice(0, 6));
+        pen.curveTo(args[6], args[7], args[8], args[9], dx6, dy6);
+        break;
+      }
+
+      // Arithmetic and storage operators keep their results on the stack
+      case 3: stack.push(args[0] && args[1] ? 1 : 0, ...args.slice(2)); break; // and
+      case 4: stack.push(args[0] || args[1] ? 1 : 0, ...args.slice(2)); break; // or
+      case 5: stack.push(args[0] ? 0 : 1, ...args.slice(1)); break; // not
+      case 9: stack.push(...args.slice(0, -1), Math.abs(args[args.length - 1])); break; // abs
+      case 10: stack.push(...args.slice(0, -2), args[args.length - 2] + args[args.length - 1]); break; // add
+      case 11: stack.push(...args.slice(0, -2), args[args.length - 2] - args[args.length - 1]); break; // sub
+      case 12: stack.push(...args.slice(0, -2), args[args.length - 2] / (args[args.length - 1] || 1)); break; // div
+      case 14: stack.push(...args.slice(0, -1), -args[args.length - 1]); break; // neg
+      case 15: stack.push(...args.slice(0, -2), args[args.length - 2] === args[args.length - 1] ? 1 : 0); break; // eq
+      case 18: stack.push(...args.slice(0, -1)); break; // drop
+      case 20: transient[args[args.length - 1]] = args[args.length - 2]; stack.push(...args.slice(0, -2)); break; // put
+      case 21: stack.push(...args.slice(0, -1), transient[args[args.length - 1]] || 0); break; // get
+      case 22: { // ifelse
+        const [s1, s2, v1, v2] = args.slice(-4);
+        stack.push(...args.slice(0, -4), v1 <= v2 ? s1 : s2);
+        break;
+      }
+      case 23: stack.push(...args, Math.random()); break; // random
+      case 24: stack.push(...args.slice(0, -2), args[args.length - 2] * args[args.length - 1]); break; // mul
+      case 26: stack.push(...args.slice(0, -1), Math.sqrt(Math.abs(args[args.length - 1]))); break; // sqrt
+      case 27: stack.push(...args, args[args.length - 1]); break; // dup
+      case 28: stack.push(...args.slice(0, -2), args[args.length - 1], args[args.length - 2]); break; // exch
+      case 29: { // index
+        const rest = args.slice(0, -1);
+        const i = Math.max(0, args[args.length - 1]);
+        stack.push(...rest, rest[rest.length - 1 - i] || 0);
+        break;
+      }
+      case 30: { // roll
+        const [n, j] = args.slice(-2);
+        const rest = args.slice(0, -2);
+        const items = rest.splice(rest.length - n, n);
+        const shift = ((j % n) + n) % n;
+        stack.push(...rest, ...items.slice(n - shift), ...items.slice(0, n - shift));
+        break;
+      }
+      default:
+        break; // Hint and deprecated operators
+    }
+
+    return position;
+  }
+
+  /**
+   * Draw an accented character (endchar with seac arguments): the base glyph,
+   * then the accent offset by (adx, ady); both named by StandardEncoding codes
+   */
+  appendAccented(commands, adx, ady, bchar, achar, depth) {
+    if (depth > MAX_SUBR_DEPTH) return;
+
+    const standard = getEncoding('StandardEncoding');
+    const base = this.glyphIdForName(standard[bchar]);
+    const accent = this.glyphIdForName(standard[achar]);
+
+    if (base) commands.push(...this.runCharString(base));
+    if (accent) commands.push(...this.runCharString(accent, { x: adx, y: ady }));
+  }
+
+  warn(code, message) {
+    if (this.report) {
+      this.report('warning', code, message);
+    } else {
+      console.log(`  [Font] ${message}`);
+    }
+  }
+}
+
+function subrBias(count) {
+  if (count < 1240) return 107;
+  if (count < 33900) return 1131;
+  return 32768;
+}
+
+module.exports = CFFFont;
@@ -0,0 +1,394 @@
+/**
+ * Color Space
+ * Resolves PDF color spaces and converts color components to RGB
+ * Covers device, CIE-based (CalGray, CalRGB, Lab, ICCBased) and special
+ * (Indexed, Separation, DeviceN, Pattern) color spaces
+ */
+
+const { PDFName, PDFArray, PDFNumber, PDFStream } = require('pdf-lib');
+const PDFFunction = require('./pdf-function');
+
+class ColorSpace {
+  constructor(family, numComponents) {
+    this.family = family;
+    this.numComponents = numComponents;
+  }
+
+  /**
+   * Resolve a color space from its PDF representation
+   * @param {PDFObject|string} obj - Name, array or reference (e.g. /DeviceRGB, [/Separation ...])
+   * @param {Object} options - { context, getStreamData(stream), lookupNamed(name),
+   *   report(severity, code, message) }
+   * @returns {ColorSpace|null} Resolved color space
+   */
+  static resolve(obj, options = {}) {
+    const { context } = options;
+    const resolved = context && obj && typeof obj !== 'string' ? context.lookup(obj) : obj;
+
+    if (!resolved) return null;
+
+    // Plain names: device families, Pattern, or a /ColorSpace resource name
+    if (typeof resolved === 'string' || resolved instanceof PDFName) {
+      const name = resolved.toString().replace(/^\//, '');
+      const device = ColorSpace.device(name);
+      if (device) return device;
+      if (name === 'Pattern') return new PatternColorSpace(null);
+
+      const named = options.lookupNamed ? options.lookupNamed(name) : null;
+      return named ? ColorSpace.resolve(named, options) : null;
+    }
+
+    if (!(resolved instanceof PDFArray) || resolved.size() === 0) {
+      return null;
+    }
+
+    const entries = resolved.asArray();
+    const family = entries[0].toString().replace(/^\//, '');
+    const param = index => (context ? context.lookup(entries[index]) : entries[index]);
+
+    switch (family) {
+      case 'DeviceGray':
+      case 'DeviceRGB':
+      case 'DeviceCMYK':
+      case 'G':
+      case 'RGB':
+      case 'CMYK':
+        return ColorSpace.device(family);
+
+      case 'CalGray':
+        return new CalGrayColorSpace(param(1));
+
+      case 'CalRGB':
+        return new CalRGBColorSpace(param(1));
+
+      case 'Lab':
+        return new LabColorSpace(param(1));
+
+      case 'ICCBased': {
+        // Profiles are not interpreted; the /Alternate space (or the device
+        // space implied by /N) is used instead
+        const stream = param(1);
+        const dict = stream instanceof PDFStream ? stream.dict : stream;
+        const alternate = dict && dict.lookup ? dict.lookup(PDFName.of('Alternate')) : null;
+        if (alternate) {
+          const alternateSpace = ColorSpace.resolve(alternate, options);
+          if (alternateSpace) return alternateSpace;
+        }
+        const n = dict && dict.lookup ? ColorSpace.number(dict.lookup(PDFName.of('N'))) : 3;
+        return ColorSpace.device(n === 1 ? 'DeviceGray' : n === 4 ? 'DeviceCMYK' : 'DeviceRGB');
+      }
+
+      case 'Indexed':
+      case 'I': {
+        const base = ColorSpace.resolve(entries[1], options);
+        const hival = ColorSpace.number(param(2));
+        const lookup = param(3);
+        let bytes = null;
+        if (lookup instanceof PDFStream) {
+          bytes = options.getStreamData ? options.getStreamData(lookup) : null;
+        } else if (lookup && lookup.asBytes) {
+          bytes = lookup.asBytes();
+        }
+        return base ? new IndexedColorSpace(base, hival, bytes) : null;
+      }
+
+      case 'Separation': {
+        const name = entries[1].toString().replace(/^\//, '');
+        const alternate = ColorSpace.resolve(entries[2], options);
+        const tintTransform = ColorSpace.createFunction(entries[3], options);
+        return new DeviceNColorSpace([name], alternate, tintTransform, 'Separation');
+      }
+
+      case 'DeviceN': {
+        const names = (param(1) instanceof PDFArray ? param(1).asArray() : [])
+          .map(entry => entry.toString().replace(/^\//, ''));
+        const alternate = ColorSpace.resolve(entries[2], options);
+        const tintTransform = ColorSpace.createFunction(entries[3], options);
+        return new DeviceNColorSpace(names, alternate, tintTransform, 'DeviceN');
+      }
+
+      case 'Pattern': {
+        const underlying = entries.length > 1 ? ColorSpace.resolve(entries[1], options) : null;
+        return new PatternColorSpace(underlying);
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get a shared device color space
+   * @param {string} name - Family name (full or abbreviated)
+   * @returns {ColorSpace|null} Device color space
+   */
+  static device(name) {
+    switch (name) {
+      case 'DeviceGray':
+      case 'G':
+        return DEVICE_GRAY;
+      case 'DeviceRGB':
+      case 'RGB':
+        return DEVICE_RGB;
+      case 'DeviceCMYK':
+      case 'CMYK':
+        return DEVICE_CMYK;
+      default:
+        return null;
+    }
+  }
+
+  static createFunction(obj, options) {
+    try {
+      return PDFFunction.create(obj, options);
+    } catch (error) {
+      // Colors fall back to the alternate space's default
+      const message = `Could not read tint transform: ${error.message}`;
+      if (options.report) {
+        options.report('warning', 'function-error', message);
+      } else {
+        console.log(`  [ColorSpace] ${message}`);
+      }
+      return null;
+    }
+  }
+
+  static number(obj) {
+    if (obj instanceof PDFNumber) return obj.asNumber();
+    return obj !== undefined && obj !== null ? parseFloat(obj.toString()) : 0;
+  }
+
+  /**
+   * Initial color when the color space is selected with cs/CS
+   * @returns {Array<number>} Components
+   */
+  getInitialColor() {
+    return new Array(this.numComponents).fill(0);
+  }
+
+  /**
+   * Convert components to RGB
+   * @param {Array<number>} components - Color components
+   * @returns {Array<number>|null} [r, g, b] in 0..1, or null if the color paints nothing
+   */
+  toRGB(components) {
+    const value = clamp01(components[0] || 0);
+    return [value, value, value];
+  }
+}
+
+class DeviceRGBColorSpace extends ColorSpace {
+  constructor() {
+    super('DeviceRGB', 3);
+  }
+
+  toRGB(components) {
+    return [clamp01(components[0] || 0), clamp01(components[1] || 0), clamp01(components[2] || 0)];
+  }
+}
+
+class DeviceCMYKColorSpace extends ColorSpace {
+  constructor() {
+    super('DeviceCMYK', 4);
+  }
+
+  getInitialColor() {
+    return [0, 0, 0, 1];
+  }
+
+  toRGB(components) {
+    const [c, m, y, k] = components.map(value => clamp01(value || 0));
+    return [(1 - c) * (1 - k), (1 - m) * (1 - k), (1 - y) * (1 - k)];
+  }
+}
+
+class CalGrayColorSpace extends ColorSpace {
+  constructor(dict) {
+    super('CalGray', 1);
+    this.gamma = dict && dict.lookup && dict.lookup(PDFName.of('Gamma'))
+      ? ColorSpace.number(dict.lookup(PDFName.of('Gamma')))
+      : 1;
+  }
+
+  toRGB(components) {
+    // Luminance A^G expressed back in gamma-encoded sRGB
+    const luminance = Math.pow(clamp01(components[0] || 0), this.gamma);
+    const value = linearToSRGB(luminance);
+    return [value, value, value];
+  }
+}
+
+class CalRGBColorSpace extends ColorSpace {
+  constructor(dict) {
+    super('CalRGB', 3);
+    const lookup = key => (dict && dict.lookup ? dict.lookup(PDFName.of(key)) : null);
+    const numbers = obj => (obj instanceof PDFArray ? obj.asArray().map(ColorSpace.number) : null);
+
+    this.whitePoint = numbers(lookup('WhitePoint')) || D65;
+    this.gamma = numbers(lookup('Gamma')) || [1, 1, 1];
+    this.matrix = numbers(lookup('Matrix')) || [1, 0, 0, 0, 1, 0, 0, 0, 1];
+  }
+
+  toRGB(components) {
+    const [a, b, c] = components.map((value, i) => Math.pow(clamp01(value || 0), this.gamma[i]));
+    const m = this.matrix;
+    const xyz = [
+      m[0] * a + m[3] * b + m[6] * c,
+      m[1] * a + m[4] * b + m[7] * c,
+      m[2] * a + m[5] * b + m[8] * c
+    ];
+    return xyzToSRGB(xyz, this.whitePoint);
+  }
+}
+
+class LabColorSpace extends ColorSpace {
+  constructor(dict) {
+    super('Lab', 3);
+    const lookup = key => (dict && dict.lookup ? dict.lookup(PDFName.of(key)) : null);
+    const numbers = obj => (obj instanceof PDFArray ? obj.asArray().map(ColorSpace.number) : null);
+
+    this.whitePoint = numbers(lookup('WhitePoint')) || D65;
+    this.range = numbers(lookup('Range')) || [-100, 100, -100, 100];
+  }
+
+  getInitialColor() {
+    // L* = 0, a* and b* clamped into range
+    return [0, clamp(0, this.range[0], this.range[1]), clamp(0, this.range[2], this.range[3])];
+  }
+
+  toRGB(components) {
+    const l = clamp(components[0] || 0, 0, 100);
+    const a = clamp(components[1] || 0, this.range[0], this.range[1]);
+    const b = clamp(components[2] || 0, this.range[2], this.range[3]);
+
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const g = t => (t >= 6 / 29 ? t * t * t : (108 / 841) * (t - 4 / 29));
+
+    const xyz = [
+      this.whitePoint[0] * g(fx),
+      this.whitePoint[1] * g(fy),
+      this.whitePoint[2] * g(fz)
+    ];
+    return xyzToSRGB(xyz, this.whitePoint);
+  }
+}
+
+class IndexedColorSpace extends ColorSpace {
+  constructor(base, hival, lookup) {
+    super('Indexed', 1);
+    this.base = base;
+    this.hival = hival;
+    this.lookup = lookup;
+  }
+
+  toRGB(components) {
+    const index = clamp(Math.round(components[0] || 0), 0, this.hival);
+    const n = this.base.numComponents;
+    if (!this.lookup) return this.base.toRGB(this.base.getInitialColor());
+
+    // Lookup bytes are scaled into the base space's component ranges
+    const baseComponents = [];
+    for (let i = 0; i < n; i++) {
+      const byte = this.lookup[index * n + i] || 0;
+      if (this.base instanceof LabColorSpace) {
+        const ranges = [0, 100, ...this.base.range];
+        baseComponents.push(ranges[2 * i] + (byte / 255) * (ranges[2 * i + 1] - ranges[2 * i]));
+      } else {
+        baseComponents.push(byte / 255);
+      }
+    }
+    return this.base.toRGB(baseComponents);
+  }
+}
+
+class DeviceNColorSpace extends ColorSpace {
+  constructor(names, alternate, tintTransform, family) {
+    super(family, names.length);
+    this.names = names;
+    this.alternate = alternate;
+    this.tintTransform = tintTransform;
+  }
+
+  getInitialColor() {
+    return new Array(this.numComponents).fill(1);
+  }
+
+  toRGB(components) {
+    // /None colorants paint nothing
+    if (this.names.every(name => name === 'None')) {
+      return null;
+    }
+
+    // /All is the registration colorant: tint 1 is full black on every plate
+    if (this.family === 'Separation' && this.names[0] === 'All') {
+      const value = 1 - clamp01(components[0] || 0);
+      return [value, value, value];
+    }
+
+    if (this.tintTransform && this.alternate) {
+      try {
+        return this.alternate.toRGB(this.tintTransform(components.map(clamp01)));
+      } catch (error) {
+        // Fall through to the gray approximation below
+      }
+    }
+
+    // Without a usable tint transform treat the tint as darkness
+    const tint = components.reduce((max, value) => Math.max(max, clamp01(value || 0)), 0);
+    return [1 - tint, 1 - tint, 1 - tint];
+  }
+}
+
+class PatternColorSpace extends ColorSpace {
+  constructor(underlying) {
+    super('Pattern', underlying ? underlying.numComponents : 0);
+    this.underlying = underlying;
+  }
+
+  getInitialColor() {
+    return [];
+  }
+
+  toRGB(components) {
+    // Uncolored patterns are painted in the underlying space's color
+    return this.underlying ? this.underlying.toRGB(components) : null;
+  }
+}
+
+// Color conversion helpers
+
+const D65 = [0.9505, 1, 1.089];
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function clamp01(value) {
+  return clamp(value, 0, 1);
+}
+
+function linearToSRGB(value) {
+  const v = clamp01(value);
+  return v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+}
+
+function xyzToSRGB(xyz, whitePoint) {
+  // Scale from the source white point to D65 (simple von Kries on XYZ)
+  const x = xyz[0] * (D65[0] / whitePoint[0]);
+  const y = xyz[1] * (D65[1] / whitePoint[1]);
+  const z = xyz[2] * (D65[2] / whitePoint[2]);
+
+  const r = 3.2406 * x - 1.5372 * y - 0.4986 * z;
+  const g = -0.9689 * x + 1.8758 * y + 0.0415 * z;
+  const b = 0.0557 * x - 0.2040 * y + 1.0570 * z;
+
+  return [linearToSRGB(r), linearToSRGB(g), linearToSRGB(b)];
+}
+
+const DEVICE_GRAY = new ColorSpace('DeviceGray', 1);
+const DEVICE_RGB = new DeviceRGBColorSpace();
+const DEVICE_CMYK = new DeviceCMYKColorSpace();
+
+module.exports = ColorSpace;
@@ -0,0 +1,148 @@
+/**
+ * EPSG Registry
+ * Bundled proj4 definitions of common EPSG coordinate systems, so that
+ * coordinate systems resolve without network access: geographic (WGS 84,
+ * NAD83, NAD27), Web and World Mercator, CONUS Albers, the UTM zones on
+ * WGS 84, NAD83 and NAD27, and NAD83 state plane zones
+ * NAD27 uses a three-parameter shift to WGS 84 (no grid files).
+ */
+
+const WGS84 = '+datum=WGS84';
+const NAD83 = '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0';
+const NAD27 = '+ellps=clrk66 +towgs84=-8,160,176,0,0,0,0';
+
+const DEFINITIONS = {
+  4326: ['WGS 84', `+proj=longlat ${WGS84} +no_defs`],
+  4269: ['NAD83', `+proj=longlat ${NAD83} +no_defs`],
+  4267: ['NAD27', `+proj=longlat ${NAD27} +no_defs`],
+  3857: ['WGS 84 / Pseudo-Mercator', '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs'],
+  3395: ['WGS 84 / World Mercator', `+proj=merc +lon_0=0 +k=1 +x_0=0 +y_0=0 ${WGS84} +units=m +no_defs`],
+  5070: ['NAD83 / Conus Albers', `+proj=aea +lat_0=23 +lon_0=-96 +lat_1=29.5 +lat_2=45.5 +x_0=0 +y_0=0 ${NAD83} +units=m +no_defs`]
+};
+
+// NAD83 state plane zones: metre code, foot code, zone name, projection
+// parameters with the false origin in metres and the foot (US survey foot
+// unless the state adopted the international foot)
+const STATE_PLANE = [
+  [26949, 2223, 'Arizona Central', '+proj=tmerc +lat_0=31 +lon_0=-111.9166666666667 +k=0.9999 +x_0=213360 +y_0=0', 'ft'],
+  [26943, 2227, 'California zone 3', '+proj=lcc +lat_1=38.43333333333333 +lat_2=37.06666666666667 +lat_0=36.5 +lon_0=-120.5 +x_0=2000000 +y_0=500000'],
+  [26945, 2229, 'California zone 5', '+proj=lcc +lat_1=35.46666666666667 +lat_2=34.03333333333333 +lat_0=33.5 +lon_0=-118 +x_0=2000000 +y_0=500000'],
+  [26954, 2232, 'Colorado Central', '+proj=lcc +lat_1=39.75 +lat_2=38.45 +lat_0=37.83333333333334 +lon_0=-105.5 +x_0=914401.8289 +y_0=304800.6096'],
+  [26956, 2234, 'Connecticut', '+proj=lcc +lat_1=41.86666666666667 +lat_2=41.2 +lat_0=40.83333333333334 +lon_0=-72.75 +x_0=304800.6096 +y_0=152400.3048'],
+  [26958, 2236, 'Florida East', '+proj=tmerc +lat_0=24.33333333333333 +lon_0=-81 +k=0.999941177 +x_0=200000 +y_0=0'],
+  [26966, 2239, 'Georgia East', '+proj=tmerc +lat_0=30 +lon_0=-82.16666666666667 +k=0.9999 +x_0=200000 +y_0=0'],
+  [26967, 2240, 'Georgia West', '+proj=tmerc +lat_0=30 +lon_0=-84.16666666666667 +k=0.9999 +x_0=700000 +y_0=0'],
+  [26971, 3435, 'Illinois East', '+proj=tmerc +lat_0=36.66666666666666 +lon_0=-88.33333333333333 +k=0.999975 +x_0=300000 +y_0=0'],
+  [26983, null, 'Maine East', '+proj=tmerc +lat_0=43.66666666666666 +lon_0=-68.5 +k=0.9999 +x_0=300000 +y_0=0'],
+  [26984, null, 'Maine West', '+proj=tmerc +lat_0=42.83333333333334 +lon_0=-70.16666666666667 +k=0.999966667 +x_0=900000 +y_0=0'],
+  [26985, 2248, 'Maryland', '+proj=lcc +lat_1=39.45 +lat_2=38.3 +lat_0=37.66666666666666 +lon_0=-77 +x_0=400000 +y_0=0'],
+  [26986, 2249, 'Massachusetts Mainland', '+proj=lcc +lat_1=42.68333333333333 +lat_2=41.71666666666667 +lat_0=41 +lon_0=-71.5 +x_0=200000 +y_0=750000'],
+  [32110, 3437, 'New Hampshire', '+proj=tmerc +lat_0=42.5 +lon_0=-71.66666666666667 +k=0.999966667 +x_0=300000 +y_0=0'],
+  [32111, 3424, 'New Jersey', '+proj=tmerc +lat_0=38.83333333333334 +lon_0=-74.5 +k=0.9999 +x_0=150000 +y_0=0'],
+  [32115, 2260, 'New York East', '+proj=tmerc +lat_0=38.83333333333334 +lon_0=-74.5 +k=0.9999 +x_0=150000 +y_0=0'],
+  [32118, 2263, 'New York Long Island', '+proj=lcc +lat_1=41.03333333333333 +lat_2=40.66666666666666 +lat_0=40.16666666666666 +lon_0=-74 +x_0=300000 +y_0=0'],
+  [32119, 2264, 'North Carolina', '+proj=lcc +lat_1=36.16666666666666 +lat_2=34.33333333333334 +lat_0=33.75 +lon_0=-79 +x_0=609601.22 +y_0=0'],
+  [32128, 2271, 'Pennsylvania North', '+proj=lcc +lat_1=41.95 +lat_2=40.88333333333333 +lat_0=40.16666666666666 +lon_0=-77.75 +x_0=600000 +y_0=0'],
+  [32129, 2272, 'Pennsylvania South', '+proj=lcc +lat_1=40.96666666666667 +lat_2=39.93333333333333 +lat_0=39.33333333333334 +lon_0=-77.75 +x_0=600000 +y_0=0'],
+  [32130, 3438, 'Rhode Island', '+proj=tmerc +lat_0=41.08333333333334 +lon_0=-71.5 +k=0.99999375 +x_0=100000 +y_0=0'],
+  [32140, 2278, 'Texas South Central', '+proj=lcc +lat_1=30.28333333333333 +lat_2=28.38333333333333 +lat_0=27.83333333333333 +lon_0=-99 +x_0=600000 +y_0=4000000'],
+  [32145, null, 'Vermont', '+proj=tmerc +lat_0=42.5 +lon_0=-72.5 +k=0.999964286 +x_0=500000 +y_0=0'],
+  [32146, 2283, 'Virginia North', '+proj=lcc +lat_1=39.2 +lat_2=38.03333333333333 +lat_0=37.66666666666666 +lon_0=-78.5 +x_0=3500000 +y_0=2000000'],
+  [32148, 2926, 'Washington North', '+proj=lcc +lat_1=48.73333333333333 +lat_2=47.5 +lat_0=47 +lon_0=-120.8333333333333 +x_0=500000 +y_0=0'],
+  [32149, 2927, 'Washington South', '+proj=lcc +lat_1=47.33333333333334 +lat_2=45.83333333333334 +lat_0=45.33333333333334 +lon_0=-120.5 +x_0=500000 +y_0=0']
+];
+
+// Names accepted in place of EPSG codes (case and punctuation ignored)
+const ALIASES = {
+  WGS84: 4326,
+  CRS84: 4326,
+  NAD83: 4269,
+  NAD27: 4267,
+  WEBMERCATOR: 3857,
+  PSEUDOMERCATOR: 3857,
+  WORLDMERCATOR: 3395
+};
+
+const registry = new Map();
+
+function define(code, name, definition) {
+  registry.set(code, { code, name, definition });
+}
+
+Object.entries(DEFINITIONS).forEach(([code, [name, definition]]) => define(Number(code), name, definition));
+
+for (let zone = 1; zone <= 60; zone++) {
+  define(32600 + zone, `WGS 84 / UTM zone ${zone}N`, `+proj=utm +zone=${zone} ${WGS84} +units=m +no_defs`);
+  define(32700 + zone, `WGS 84 / UTM zone ${zone}S`, `+proj=utm +zone=${zone} +south ${WGS84} +units=m +no_defs`);
+}
+for (let zone = 1; zone <= 23; zone++) {
+  define(26900 + zone, `NAD83 / UTM zone ${zone}N`, `+proj=utm +zone=${zone} ${NAD83} +units=m +no_defs`);
+}
+for (let zone = 1; zone <= 22; zone++) {
+  define(26700 + zone, `NAD27 / UTM zone ${zone}N`, `+proj=utm +zone=${zone} ${NAD27} +units=m +no_defs`);
+}
+
+STATE_PLANE.forEach(([metres, feet, zone, parameters, foot = 'us-ft']) => {
+  define(metres, `NAD83 / ${zone}`, `${parameters} ${NAD83} +units=m +no_defs`);
+  if (feet) {
+    define(feet, `NAD83 / ${zone} (${foot === 'ft' ? 'ft' : 'ftUS'})`, `${parameters} ${NAD83} +units=${foot} +no_defs`);
+  }
+});
+
+class EpsgRegistry {
+  /**
+   * Definition of an EPSG code
+   * @param {number|string} code - EPSG code (e.g. 3857 or 'EPSG:3857')
+   * @returns {Object|null} { code, name, definition } (proj4 string)
+   */
+  static get(code) {
+    const match = /(\d+)\s*$/.exec(String(code));
+    return match ? registry.get(Number(match[1])) || null : null;
+  }
+
+  /**
+   * All bundled coordinate systems, by code
+   * @returns {Array} { code, name, definition }
+   */
+  static list() {
+    return Array.from(registry.values()).sort((a, b) => a.code - b.code);
+  }
+
+  /**
+   * Resolve a user-supplied coordinate system
+   * @param {number|string|Object} crs - EPSG code ('EPSG:32618', 32618,
+   *   'urn:ogc:def:crs:EPSG::32618'), alias ('WGS84', 'WebMercator',
+   *   'UTM18N'), proj4 string, WKT, or { epsg, wkt, proj4 }
+   * @returns {Object|null} { code, name, definition }; code is null for
+   *   proj4 strings and WKT
+   */
+  static resolve(crs) {
+    if (crs === null || crs === undefined || crs === '') return null;
+
+    if (typeof crs === 'object') {
+      if (crs.proj4) return { code: null, name: crs.name || null, definition: crs.proj4 };
+      if (crs.epsg && EpsgRegistry.get(crs.epsg)) return EpsgRegistry.get(crs.epsg);
+      return crs.wkt ? EpsgRegistry.resolve(crs.wkt) : null;
+    }
+
+    const text = String(crs).trim();
+    if (/^\+proj=/.test(text)) return { code: null, name: null, definition: text };
+    if (/^(GEOGCS|PROJCS)\s*\[/i.test(text)) {
+      const name = /^\s*\w+\s*\[\s*"([^"]*)"/.exec(text);
+      return { code: null, name: name ? name[1] : null, definition: text };
+    }
+    if (/^(EPSG:|urn:ogc:def:crs:EPSG:[\d.]*:)?\d+$/i.test(text)) return EpsgRegistry.get(text);
+
+    const key = text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (ALIASES[key]) return EpsgRegistry.get(ALIASES[key]);
+
+    // UTM zones on WGS 84, e.g. UTM18N or UTM 33S
+    const utm = /^UTM(\d{1,2})([NS])$/.exec(key);
+    if (utm && Number(utm[1]) >= 1 && Number(utm[1]) <= 60) {
+      return EpsgRegistry.get((utm[2] === 'N' ? 32600 : 32700) + Number(utm[1]));
+    }
+    return null;
+  }
+}
+
+module.exports = EpsgRegistry;
@@ -0,0 +1,169 @@
+/**
+ * Geo Transform
+ * Least-squares polynomial fit between two 2D coordinate spaces, from
+ * matching control points (e.g. a viewport's /LPTS and /GPTS)
+ * Order 1 is an affine transform; orders 2 and 3 absorb the curvature of
+ * a projected map drawn against geographic control points.
+ */
+
+// Terms of the polynomial per order: 1, x, y (order 1), x², xy, y² (order 2), ...
+const TERM_COUNTS = { 1: 3, 2: 6, 3: 10 };
+
+class GeoTransform {
+  /**
+   * @param {Object} forward - Polynomial from source to target space
+   * @param {Object} inverse - Polynomial from target to source space
+   * @param {number} rmsError - Root mean square residual of the forward fit, in target units
+   */
+  constructor(forward, inverse, rmsError) {
+    this.forwardPolynomial = forward;
+    this.inversePolynomial = inverse;
+    this.order = forward.order;
+    this.rmsError = rmsError;
+  }
+
+  /**
+   * Fit a transform that maps source points onto target points
+   * The order drops to what the number of points supports (3 points for
+   * affine, 6 for order 2, 10 for order 3).
+   * @param {Array} source - Points { x, y }
+   * @param {Array} target - Matching points { x, y }
+   * @param {Object} options - { order } 1 (default), 2 or 3
+   * @returns {GeoTransform|null} Transform, or null if the points do not determine one
+   */
+  static fit(source, target, options = {}) {
+    const count = Math.min(source.length, target.length);
+    let order = Math.min(Math.max(Math.round(options.order || 1), 1), 3);
+    while (order > 1 && count < TERM_COUNTS[order]) order--;
+    if (count < TERM_COUNTS[order]) return null;
+
+    const forward = GeoTransform.fitPolynomial(source.slice(0, count), target.slice(0, count), order);
+    const inverse = GeoTransform.fitPolynomial(target.slice(0, count), source.slice(0, count), order);
+    if (!forward || !inverse) return null;
+
+    let squared = 0;
+    for (let i = 0; i < count; i++) {
+      const point = GeoTransform.evaluate(forward, source[i]);
+      squared += (point.x - target[i].x) ** 2 + (point.y - target[i].y) ** 2;
+    }
+
+    return new GeoTransform(forward, inverse, Math.sqrt(squared / count));
+  }
+
+  /**
+   * Map a source point into target space
+   * @param {Object} point - { x, y }
+   * @returns {Object} { x, y }
+   */
+  transform(point) {
+    return GeoTransform.evaluate(this.forwardPolynomial, point);
+  }
+
+  /**
+   * Map a target point back into source space
+   * Affine transforms invert exactly, so transform() round-trips however many
+   * control points were fitted; higher orders use their own fit in the
+   * reverse direction, which agrees with transform() at the control points.
+   * @param {Object} point - { x, y }
+   * @returns {Object} { x, y }
+   */
+  invert(point) {
+    if (this.order === 1) {
+      const { center, scale, cx, cy } = this.forwardPolynomial;
+      const det = cx[1] * cy[2] - cx[2] * cy[1];
+      if (det !== 0) {
+        const dx = point.x - cx[0];
+        const dy = point.y - cy[0];
+        return {
+          x: center.x + scale * (cy[2] * dx - cx[2] * dy) / det,
+          y: center.y + scale * (cx[1] * dy - cy[1] * dx) / det
+        };
+      }
+    }
+    return GeoTransform.evaluate(this.inversePolynomial, point);
+  }
+
+  /**
+   * Fit x and y polynomials of one order by least squares
+   * Source coordinates are centered and scaled first so the normal
+   * equations stay well conditioned for projected (meter) coordinates.
+   * @returns {Object|null} { order, center, scale, cx, cy } or null if singular
+   */
+  static fitPolynomial(source, target, order) {
+    const center = {
+      x: source.reduce((sum, p) => sum + p.x, 0) / source.length,
+      y: source.reduce((sum, p) => sum + p.y, 0) / source.length
+    };
+    const scale = Math.max(
+      ...source.map(p => Math.max(Math.abs(p.x - center.x), Math.abs(p.y - center.y)))
+    ) || 1;
+
+    const polynomial = { order, center, scale, cx: null, cy: null };
+    const rows = source.map(p => GeoTransform.terms(polynomial, p));
+
+    polynomial.cx = solveLeastSquares(rows, target.map(p => p.x));
+    polynomial.cy = solveLeastSquares(rows, target.map(p => p.y));
+    return polynomial.cx && polynomial.cy ? polynomial : null;
+  }
+
+  static evaluate(polynomial, point) {
+    const terms = GeoTransform.terms(polynomial, point);
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < terms.length; i++) {
+      x += polynomial.cx[i] * terms[i];
+      y += polynomial.cy[i] * terms[i];
+    }
+    return { x, y };
+  }
+
+  static terms(polynomial, point) {
+    const u = (point.x - polynomial.center.x) / polynomial.scale;
+    const v = (point.y - polynomial.center.y) / polynomial.scale;
+
+    const terms = [];
+    for (let degree = 0; degree <= polynomial.order; degree++) {
+      for (let j = 0; j <= degree; j++) {
+        terms.push(u ** (degree - j) * v ** j);
+      }
+    }
+    return terms;
+  }
+}
+
+/**
+ * Solve the normal equations (AᵀA) c = Aᵀb by Gaussian elimination
+ * @param {Array<Array<number>>} rows - Rows of A
+ * @param {Array<number>} values - b
+ * @returns {Array<number>|null} Coefficients c, or null if A is rank deficient
+ */
+function solveLeastSquares(rows, values) {
+  const n = rows[0].length;
+  const m = Array.from({ length: n }, () => new Array(n + 1).fill(0));
+
+  rows.forEach((row, k) => {
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) m[i][j] += row[i] * row[j];
+      m[i][n] += row[i] * values[k];
+    }
+  });
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= factor * m[col][c];
+    }
+  }
+
+  return m.map((row, i) => row[n] / row[i]);
+}
+
+module.exports = GeoTransform;
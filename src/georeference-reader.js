@@ -0,0 +1,470 @@
+/**
+ * Georeference Reader
+ * Reads GeoPDF georeferencing in the ISO 32000 encoding: page /VP viewports
+ * whose /Measure dictionary (/Subtype /GEO) pairs points of the viewport
+ * (/LPTS) with latitude/longitude (/GPTS) in a coordinate system (/GCS)
+ * Pages without /VP fall back to the OGC (LGIDict) encoding, see
+ * LGIDictReader.
+ * Fits the page → world transform of every viewport and converts points
+ * both ways. A page may hold several viewports (main map frame, inset
+ * location maps); content outside all of them (the collar) is not
+ * georeferenced.
+ */
+
+const { PDFName, PDFArray, PDFNumber, PDFString, PDFHexString } = require('pdf-lib');
+const proj4 = require('proj4');
+const GeoTransform = require('./geo-transform');
+const LGIDictReader = require('./lgi-dict-reader');
+const EpsgRegistry = require('./epsg-registry');
+
+// /Bounds and /LPTS default to the whole unit square
+const UNIT_SQUARE = [0, 0, 0, 1, 1, 1, 1, 0];
+
+class GeoreferenceReader {
+  /**
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @param {Object} options - { order } polynomial order of the fitted
+   *   transforms (1 = affine, the default; 2 or 3 with enough control points),
+   *   { report(severity, code, message) } for viewports and LGIDict entries
+   *   it cannot use
+   */
+  constructor(pdfDoc, options = {}) {
+    this.pdfDoc = pdfDoc;
+    this.context = pdfDoc.context;
+    this.order = options.order || 1;
+    this.report = options.report || null;
+    this.lgiDictReader = new LGIDictReader(pdfDoc, { report: options.report });
+
+    // Viewports per page index, read on first use
+    this.viewportsByPage = new Map();
+  }
+
+  /**
+   * Read the viewports of every page
+   * @returns {Object|null} { viewports, georeferenced } plain descriptions
+   *   (see describe()) and whether any viewport is georeferenced, or null if
+   *   no page has viewports
+   */
+  read() {
+    const viewports = [];
+    for (let pageIndex = 0; pageIndex < this.pdfDoc.getPageCount(); pageIndex++) {
+      this.viewportsFor(pageIndex).forEach(viewport => viewports.push(this.describe(viewport, pageIndex)));
+    }
+    if (viewports.length === 0) return null;
+
+    return {
+      viewports,
+      georeferenced: viewports.some(viewport => viewport.georeferenced)
+    };
+  }
+
+  /**
+   * Viewports of a page, in /VP order (or /LGIDict order for pages in the
+   * OGC encoding)
+   * Viewports without a usable /GEO measure are kept (georeferenced: false)
+   * so that content inside them is not attributed to a viewport below.
+   * @param {number} pageIndex - Zero-based page index
+   * @returns {Array} Viewports { index, name, encoding, bbox, georeferenced,
+   *   crs, displayCrs, bounds, controlPoints, transform, projection }
+   */
+  viewportsFor(pageIndex) {
+    if (!this.viewportsByPage.has(pageIndex)) {
+      let viewports = [];
+      try {
+        const page = this.pdfDoc.getPage(pageIndex);
+        viewports = this.asArray(page.node.lookup(PDFName.of('VP')))
+          .map((entry, index) => this.readViewport(this.context.lookup(entry), index))
+          .filter(viewport => viewport);
+        if (viewports.length === 0) {
+          viewports = this.lgiDictReader.read(page).map(entry => this.readLGIDict(entry));
+        }
+      } catch (error) {
+        console.error(`Error reading viewports of page ${pageIndex + 1}:`, error);
+      }
+      this.viewportsByPage.set(pageIndex, viewports);
+    }
+    return this.viewportsByPage.get(pageIndex);
+  }
+
+  /**
+   * Convert a page point to longitude/latitude
+   * Where viewports overlap the later one in /VP wins (ISO 32000 §12.9).
+   * @param {number} pageIndex - Zero-based page index
+   * @param {number} x - Page x (default user space)
+   * @param {number} y - Page y
+   * @returns {Object|null} { lon, lat, viewport } or null outside every viewport
+   */
+  pageToGeo(pageIndex, x, y) {
+    const viewport = this.viewportAt(pageIndex, x, y);
+    if (!viewport || !viewport.georeferenced) return null;
+
+    return { ...this.viewportToGeo(viewport, { x, y }), viewport: viewport.index };
+  }
+
+  /**
+   * Convert longitude/latitude to a page point
+   * @param {number} pageIndex - Zero-based page index
+   * @param {number} lon - Longitude in degrees
+   * @param {number} lat - Latitude in degrees
+   * @returns {Object|null} { x, y, viewport } or null if no viewport shows the location
+   */
+  geoToPage(pageIndex, lon, lat) {
+    const viewports = this.viewportsFor(pageIndex);
+    for (let i = viewports.length - 1; i >= 0; i--) {
+      if (!viewports[i].georeferenced) continue;
+      const point = this.geoToViewport(viewports[i], lon, lat);
+      if (point && this.contains(viewports[i].bbox, point.x, point.y)) {
+        return { ...point, viewport: viewports[i].index };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Viewport that contains a page point
+   * @param {number} pageIndex - Zero-based page index
+   * @param {number} x - Page x
+   * @param {number} y - Page y
+   * @returns {Object|null} Viewport (the last in /VP order containing the point)
+   *   or null in the collar
+   */
+  viewportAt(pageIndex, x, y) {
+    const viewports = this.viewportsFor(pageIndex);
+    for (let i = viewports.length - 1; i >= 0; i--) {
+      if (this.contains(viewports[i].bbox, x, y)) return viewports[i];
+    }
+    return null;
+  }
+
+  viewportToGeo(viewport, point) {
+    const fitted = viewport.transform.transform(point);
+    return viewport.projection
+      ? viewport.projection.toGeographic(fitted)
+      : { lon: fitted.x, lat: fitted.y };
+  }
+
+  geoToViewport(viewport, lon, lat) {
+    const fitted = viewport.projection
+      ? viewport.projection.toProjected(lon, lat)
+      : { x: lon, y: lat };
+    return fitted ? viewport.transform.invert(fitted) : null;
+  }
+
+  /**
+   * Read one /VP entry
+   * @param {PDFDict} dict - Viewport dictionary
+   * @param {number} index - Position in the page's /VP array
+   * @returns {Object|null} Viewport, or null without a /BBox
+   */
+  readViewport(dict, index) {
+    if (!dict || !dict.lookup) return null;
+
+    const bbox = this.numbers(dict.lookup(PDFName.of('BBox')));
+    if (!bbox || bbox.length !== 4) return null;
+
+    const [x1, y1, x2, y2] = bbox;
+    const box = [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+
+    // Viewports may measure distances instead (/Subtype /RL) or nothing at all
+    const measure = dict.lookup(PDFName.of('Measure'));
+    const geo = measure && measure.lookup && this.name(measure.lookup(PDFName.of('Subtype'))) === 'GEO'
+      ? this.readMeasure(measure, box)
+      : null;
+
+    return {
+      index,
+      name: this.text(dict.lookup(PDFName.of('Name'))),
+      encoding: 'ISO32000',
+      bbox: box,
+      georeferenced: !!geo,
+      crs: null,
+      displayCrs: null,
+      bounds: null,
+      controlPoints: [],
+      transform: null,
+      projection: null,
+      ...geo
+    };
+  }
+
+  /**
+   * Read a geospatial measure dictionary and fit its transform
+   * @param {PDFDict} measure - /Measure dictionary with /Subtype /GEO
+   * @param {Array<number>} bbox - Rectangle the measure's unit square maps to
+   * @returns {Object|null} { crs, displayCrs, bounds, controlPoints, transform, projection }
+   */
+  readMeasure(measure, bbox) {
+    const crs = this.readCrs(measure.lookup(PDFName.of('GCS')));
+    const gpts = this.numbers(measure.lookup(PDFName.of('GPTS')));
+    if (!crs || !gpts) return null;
+
+    const [x1, y1, x2, y2] = bbox;
+    const toPage = (u, v) => ({ x: x1 + u * (x2 - x1), y: y1 + v * (y2 - y1) });
+    const pairs = (values) => {
+      const points = [];
+      for (let i = 0; i + 1 < values.length; i += 2) points.push([values[i], values[i + 1]]);
+      return points;
+    };
+
+    const bounds = pairs(this.numbers(measure.lookup(PDFName.of('Bounds'))) || UNIT_SQUARE)
+      .map(([u, v]) => toPage(u, v));
+    const lpts = pairs(this.numbers(measure.lookup(PDFName.of('LPTS'))) || UNIT_SQUARE);
+
+    // GPTS pairs are latitude, longitude
+    const controlPoints = pairs(gpts)
+      .slice(0, lpts.length)
+      .map(([lat, lon], i) => ({ ...toPage(lpts[i][0], lpts[i][1]), lon, lat }));
+
+    // Projected systems are fitted in their own (planar) coordinates, so an
+    // affine transform matches the map; otherwise in longitude/latitude
+    const projection = crs.type === 'PROJCS' ? this.projectionFor(crs) : null;
+    const target = controlPoints.map(point => (projection
+      ? projection.toProjected(point.lon, point.lat)
+      : { x: point.lon, y: point.lat }));
+    if (target.some(point => !point)) return null;
+
+    const transform = GeoTransform.fit(controlPoints, target, { order: this.order });
+    if (!transform) {
+      this.warn('georeference', 'Control points do not determine a transform');
+      return null;
+    }
+
+    return {
+      crs,
+      displayCrs: this.readCrs(measure.lookup(PDFName.of('DCS'))),
+      bounds,
+      controlPoints,
+      transform,
+      projection
+    };
+  }
+
+  /**
+   * Build a viewport from an LGI dictionary
+   * The /CTM, when present, is the exact page → projected transform;
+   * otherwise the transform is fitted to the /Registration points.
+   * @param {Object} entry - Entry from LGIDictReader.read()
+   * @returns {Object} Viewport (georeferenced: false if the projection or
+   *   the transform cannot be built)
+   */
+  readLGIDict(entry) {
+    const viewport = {
+      index: entry.index,
+      name: entry.name,
+      encoding: 'LGIDict',
+      bbox: entry.bbox,
+      georeferenced: false,
+      crs: entry.crs,
+      displayCrs: entry.displayCrs,
+      bounds: entry.neatline,
+      controlPoints: [],
+      transform: null,
+      projection: null
+    };
+    // Unsupported projection types were reported by LGIDictReader
+    if (!entry.crs || !entry.crs.proj4) return viewport;
+
+    const projection = entry.crs.type === 'PROJCS' ? this.projectionFor(entry.crs) : null;
+    if (entry.crs.type === 'PROJCS' && !projection) return viewport;
+
+    let transform = null;
+    if (entry.ctm) {
+      const [a, b, c, d, e, f] = entry.ctm;
+      const [x1, y1, x2, y2] = entry.bbox;
+      const corners = [{ x: x1, y: y1 }, { x: x1, y: y2 }, { x: x2, y: y2 }, { x: x2, y: y1 }];
+      transform = GeoTransform.fit(corners, corners.map(({ x, y }) => ({ x: a * x + c * y + e, y: b * x + d * y + f })));
+    } else {
+      transform = GeoTransform.fit(entry.registration, entry.registration.map(({ X, Y }) => ({ x: X, y: Y })), { order: this.order });
+    }
+    if (!transform) {
+      console.log('  [Geo] LGIDict has neither a usable /CTM nor enough /Registration points');
+      return viewport;
+    }
+
+    const controlPoints = entry.registration.map(({ x, y, X, Y }) => {
+      const { lon, lat } = projection ? projection.toGeographic({ x: X, y: Y }) : { lon: X, lat: Y };
+      return { x, y, lon, lat };
+    });
+
+    return { ...viewport, georeferenced: true, controlPoints, transform, projection };
+  }
+
+  /**
+   * Read a /GCS (or /DCS) coordinate system dictionary
+   * @param {PDFDict} dict - Coordinate system dictionary
+   * @returns {Object|null} { type: 'GEOGCS'|'PROJCS', epsg, wkt, name }
+   */
+  readCrs(dict) {
+    if (!dict || !dict.lookup) return null;
+
+    const epsg = dict.lookup(PDFName.of('EPSG'));
+    const wkt = this.text(dict.lookup(PDFName.of('WKT')));
+    const nameMatch = wkt ? /^\s*\w+\s*\[\s*"([^"]*)"/.exec(wkt) : null;
+
+    return {
+      type: this.name(dict.lookup(PDFName.of('Type'))) || (wkt && /^\s*PROJCS/i.test(wkt) ? 'PROJCS' : 'GEOGCS'),
+      epsg: epsg instanceof PDFNumber ? epsg.asNumber() : null,
+      wkt: wkt || null,
+      name: nameMatch ? nameMatch[1] : null
+    };
+  }
+
+  /**
+   * Forward and inverse projection of a projected coordinate system
+   * Longitudes and latitudes are taken in the system's own geographic
+   * datum (the GEOGCS inside its WKT), as /GPTS are.
+   * @param {Object} crs - Coordinate system from readCrs(), or from
+   *   LGIDictReader with proj4 and geographic definitions
+   * @returns {Object|null} { toProjected(lon, lat), toGeographic(point) } or
+   *   null if proj4 cannot build the projection
+   */
+  projectionFor(crs) {
+    const registered = crs.epsg ? EpsgRegistry.get(crs.epsg) : null;
+    const definition = crs.proj4 || crs.wkt || (registered ? registered.definition : null);
+    if (!definition) {
+      this.warn('unsupported-projection', `No projection definition for ${crs.name || `EPSG:${crs.epsg}`}; fitting in longitude/latitude`);
+      return null;
+    }
+
+    try {
+      const converter = proj4(this.geographicDefinition(crs), definition);
+      converter.forward([0, 0]);
+
+      const finite = values => values.every(Number.isFinite);
+      return {
+        toProjected: (lon, lat) => {
+          const [x, y] = converter.forward([lon, lat]);
+          return finite([x, y]) ? { x, y } : null;
+        },
+        toGeographic: point => {
+          const [lon, lat] = converter.inverse([point.x, point.y]);
+          return { lon, lat };
+        }
+      };
+    } catch (error) {
+      this.warn('unsupported-projection', `Could not build projection ${crs.name || crs.epsg}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Definition of the longitude/latitude system a coordinate system's
+   * geographic coordinates (pageToGeo() results, /GPTS) are expressed in
+   * @param {Object} crs - Coordinate system of a viewport
+   * @returns {string} proj4 string or WKT ('WGS84' when nothing more is known)
+   */
+  geographicDefinition(crs) {
+    if (!crs) return 'WGS84';
+    if (crs.geographic) return crs.geographic;
+    if (crs.type === 'GEOGCS') {
+      const registered = crs.epsg ? EpsgRegistry.get(crs.epsg) : null;
+      return crs.wkt || (registered ? registered.definition : 'WGS84');
+    }
+    const base = GeoreferenceReader.geographicBase(crs.wkt);
+    if (base) return base;
+
+    // Registered projected systems: the datum parameters of their definition
+    const registered = crs.epsg ? EpsgRegistry.get(crs.epsg) : null;
+    const datum = registered
+      ? registered.definition.split(/\s+/).filter(token => /^\+(datum|ellps|towgs84|a|b|rf|nadgrids)=/.test(token))
+      : [];
+    return datum.length > 0 ? `+proj=longlat ${datum.join(' ')} +no_defs` : 'WGS84';
+  }
+
+  /**
+   * Plain description of a viewport (for metadata and IPC)
+   * @param {Object} viewport - Viewport from viewportsFor()
+   * @param {number} pageIndex - Zero-based page index
+   * @returns {Object} { page, index, name, encoding, bbox, georeferenced, crs,
+   *   displayCrs, bounds, geoBounds, controlPoints, order, rmsError }; the
+   *   geographic entries are null for viewports that are not georeferenced
+   */
+  describe(viewport, pageIndex) {
+    let geoBounds = null;
+    if (viewport.georeferenced) {
+      const corners = viewport.bounds.map(point => this.viewportToGeo(viewport, point));
+      const lons = corners.map(point => point.lon);
+      const lats = corners.map(point => point.lat);
+      geoBounds = {
+        west: Math.min(...lons),
+        south: Math.min(...lats),
+        east: Math.max(...lons),
+        north: Math.max(...lats)
+      };
+    }
+
+    return {
+      page: pageIndex,
+      index: viewport.index,
+      name: viewport.name,
+      encoding: viewport.encoding,
+      bbox: viewport.bbox,
+      georeferenced: viewport.georeferenced,
+      crs: viewport.crs,
+      displayCrs: viewport.displayCrs,
+      bounds: viewport.bounds,
+      geoBounds,
+      controlPoints: viewport.controlPoints,
+      order: viewport.transform ? viewport.transform.order : null,
+      rmsError: viewport.transform ? viewport.transform.rmsError : null
+    };
+  }
+
+  /**
+   * GEOGCS[...] clause of a WKT definition
+   * @param {string} wkt - WKT coordinate system
+   * @returns {string|null} Geographic coordinate system WKT
+   */
+  static geographicBase(wkt) {
+    if (!wkt) return null;
+    const start = wkt.search(/GEOGCS\s*\[/i);
+    if (start < 0) return null;
+
+    let depth = 0;
+    for (let i = start; i < wkt.length; i++) {
+      if (wkt[i] === '[') depth++;
+      if (wkt[i] === ']' && --depth === 0) return wkt.substring(start, i + 1);
+    }
+    return null;
+  }
+
+  // Helper methods
+
+  contains([x1, y1, x2, y2], x, y) {
+    return x >= x1 && x <= x2 && y >= y1 && y <= y2;
+  }
+
+  asArray(obj) {
+    if (!obj) return [];
+    if (obj instanceof PDFArray) return obj.asArray();
+    return [obj];
+  }
+
+  numbers(obj) {
+    if (!(obj instanceof PDFArray)) return null;
+    const values = obj.asArray().map(entry => {
+      const value = this.context.lookup(entry);
+      return value instanceof PDFNumber ? value.asNumber() : NaN;
+    });
+    return values.every(Number.isFinite) ? values : null;
+  }
+
+  name(obj) {
+    return obj instanceof PDFName ? obj.decodeText() : null;
+  }
+
+  text(obj) {
+    if (obj instanceof PDFString || obj instanceof PDFHexString) return obj.decodeText();
+    return null;
+  }
+
+  warn(code, message) {
+    if (this.report) {
+      this.report('warning', code, message);
+    } else {
+      console.log(`  [Geo] ${message}`);
+    }
+  }
+}
+
+module.exports = GeoreferenceReader;
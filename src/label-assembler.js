@@ -0,0 +1,311 @@
+/**
+ * Label Assembler
+ * Merges the text fragments emitted by the content parser (one per string,
+ * or per glyph for letter-spaced map labels) into positioned labels
+ * Fragments that continue each other along a baseline become one label with
+ * page-space geometry: bounding box, rotation angle and size in points
+ */
+
+class LabelAssembler {
+  constructor(options = {}) {
+    this.options = {
+      // Gap (in em) above which a space is inserted between fragments
+      wordGap: options.wordGap || 0.15,
+
+      // Gap (in em) above which fragments belong to different labels
+      maxGap: options.maxGap || 1.5,
+
+      // Baseline offset (in em) tolerated between consecutive fragments
+      baselineTolerance: options.baselineTolerance || 0.3,
+
+      // Direction change (degrees) tolerated between fragments (curved labels)
+      maxBend: options.maxBend || 25,
+
+      // Relative font size difference tolerated within a label
+      sizeTolerance: options.sizeTolerance || 0.2,
+
+      // Glyph box above and below the baseline, in em
+      ascent: options.ascent || 0.8,
+      descent: options.descent || 0.2
+    };
+  }
+
+  /**
+   * Assemble labels from text objects in content stream order
+   * @param {Array} textObjects - Text objects from PDFContentParser
+   * @returns {Array} Labels { text, x, y, angle, fontSize, bbox, quad, words, readingOrder, ... }
+   */
+  assemble(textObjects) {
+    const labels = [];
+    let current = null;
+
+    for (const textObject of textObjects) {
+      const fragment = this.measure(textObject);
+      if (!fragment) continue;
+
+      if (current && this.continues(current, fragment)) {
+        this.append(current, fragment);
+      } else {
+        if (current) labels.push(this.finish(current));
+        current = this.start(fragment);
+      }
+    }
+    if (current) labels.push(this.finish(current));
+
+    return this.assignReadingOrder(labels.filter(label => label.text.length > 0));
+  }
+
+  /**
+   * Place a text object in page space
+   * The baseline runs from the text origin along the text matrix x axis; the
+   * em box is the text matrix y axis scaled by the font size. Both go through
+   * the CTM.
+   * @param {Object} textObject - Text object (x, y, width, fontSize, textMatrix, ctm)
+   * @returns {Object|null} Fragment geometry, or null if it has no extent
+   */
+  measure(textObject) {
+    const ctm = textObject.ctm || { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+    const [a, b, c, d] = textObject.textMatrix || [1, 0, 0, 1];
+    const fontSize = textObject.fontSize || 0;
+
+    // Text space unit vectors in page space
+    const xAxis = { x: a * ctm.a + b * ctm.c, y: a * ctm.b + b * ctm.d };
+    const yAxis = { x: c * ctm.a + d * ctm.c, y: c * ctm.b + d * ctm.d };
+    const xLength = Math.hypot(xAxis.x, xAxis.y);
+    const yLength = Math.hypot(yAxis.x, yAxis.y);
+    if (xLength === 0 || yLength === 0 || fontSize === 0) return null;
+
+    const origin = applyMatrix(ctm, textObject.x, textObject.y);
+    const width = (textObject.width || 0) * xLength;
+    const direction = { x: xAxis.x / xLength, y: xAxis.y / xLength };
+
+    // Glyphs extend perpendicular to the baseline (mirrored text keeps its side)
+    const cross = xAxis.x * yAxis.y - xAxis.y * yAxis.x;
+    const up = cross >= 0
+      ? { x: -direction.y, y: direction.x }
+      : { x: direction.y, y: -direction.x };
+
+    return {
+      textObject,
+      text: textObject.text || '',
+      origin,
+      end: { x: origin.x + direction.x * width, y: origin.y + direction.y * width },
+      direction,
+      up,
+      width,
+      size: fontSize * yLength
+    };
+  }
+
+  /**
+   * Whether a fragment continues the label along its baseline
+   */
+  continues(label, fragment) {
+    const last = label.fragments[label.fragments.length - 1];
+    const { options } = this;
+
+    if (last.textObject.page !== fragment.textObject.page) return false;
+    if (last.textObject.layer !== fragment.textObject.layer) return false;
+    if (!!last.textObject.invisible !== !!fragment.textObject.invisible) return false;
+
+    const size = Math.max(last.size, fragment.size);
+    if (Math.abs(last.size - fragment.size) > size * options.sizeTolerance) return false;
+
+    const bend = Math.acos(Math.max(-1, Math.min(1,
+      last.direction.x * fragment.direction.x + last.direction.y * fragment.direction.y)));
+    if (bend * 180 / Math.PI > options.maxBend) return false;
+
+    // Offset of the new origin from where the last fragment ended
+    const dx = fragment.origin.x - last.end.x;
+    const dy = fragment.origin.y - last.end.y;
+    const along = dx * last.direction.x + dy * last.direction.y;
+    const across = dx * last.up.x + dy * last.up.y;
+
+    return Math.abs(across) <= size * options.baselineTolerance &&
+      along >= -size * 0.5 &&
+      along <= size * options.maxGap;
+  }
+
+  start(fragment) {
+    return { fragments: [fragment], gaps: [0] };
+  }
+
+  append(label, fragment) {
+    const last = label.fragments[label.fragments.length - 1];
+    const dx = fragment.origin.x - last.end.x;
+    const dy = fragment.origin.y - last.end.y;
+
+    label.gaps.push(dx * last.direction.x + dy * last.direction.y);
+    label.fragments.push(fragment);
+  }
+
+  /**
+   * Build the label object: text with inferred spaces, words and geometry
+   */
+  finish(label) {
+    const { fragments, gaps } = label;
+    const first = fragments[0];
+    const lastFragment = fragments[fragments.length - 1];
+
+    // Split into words, breaking at whitespace and at gaps wider than a space.
+    // Letter-spaced labels place glyphs one by one with uniform gaps, so
+    // there only gaps clearly wider than the typical glyph gap count as spaces.
+    const glyphGaps = gaps
+      .filter((gap, index) => index > 0 && gap > 0 && Array.from(fragments[index - 1].text).length === 1)
+      .sort((p, q) => p - q);
+    const typicalGap = glyphGaps.length >= 2 ? glyphGaps[Math.floor((glyphGaps.length - 1) / 2)] : 0;
+    const words = [];
+    let word = null;
+    const breakWord = () => {
+      if (word && word.text.length > 0) words.push(word);
+      word = null;
+    };
+
+    fragments.forEach((fragment, index) => {
+      if (gaps[index] > Math.max(fragment.size * this.options.wordGap, typicalGap * 1.5)) breakWord();
+
+      const chars = Array.from(fragment.text);
+      const charWidth = chars.length > 0 ? fragment.width / chars.length : 0;
+      chars.forEach((char, charIndex) => {
+        if (/\s/.test(char)) {
+          breakWord();
+          return;
+        }
+        if (!word) word = { text: '', quads: [] };
+        word.text += char;
+        word.quads.push(this.quad(fragment, charWidth * charIndex, charWidth));
+      });
+    });
+    breakWord();
+
+    const quads = fragments.map(fragment => this.quad(fragment, 0, fragment.width));
+    const chord = {
+      x: lastFragment.end.x - first.origin.x,
+      y: lastFragment.end.y - first.origin.y
+    };
+    const direction = fragments.length > 1 && Math.hypot(chord.x, chord.y) > 0 ? chord : first.direction;
+    const sizes = fragments.map(fragment => fragment.size).sort((p, q) => p - q);
+    const textObject = first.textObject;
+
+    return {
+      text: words.map(w => w.text).join(' '),
+      page: textObject.page,
+      x: first.origin.x,
+      y: first.origin.y,
+      angle: Math.atan2(direction.y, direction.x) * 180 / Math.PI,
+      fontSize: sizes[Math.floor(sizes.length / 2)],
+      bbox: boundingBox(quads.flat()),
+      quad: this.labelQuad(first, lastFragment),
+      words: words.map(w => ({ text: w.text, bbox: boundingBox(w.quads.flat()) })),
+      font: textObject.font,
+      fillColor: textObject.fillColor,
+      invisible: !!textObject.invisible,
+      layer: textObject.layer,
+      layerPath: textObject.layerPath,
+      mcid: textObject.mcid,
+      mcidStream: textObject.mcidStream,
+      fragmentCount: fragments.length
+    };
+  }
+
+  /**
+   * Corners of a run of glyphs on a fragment's baseline
+   * @param {Object} fragment - Measured fragment
+   * @param {number} offset - Start along the baseline (page units)
+   * @param {number} length - Run length (page units)
+   * @returns {Array} Four points: bottom-left, bottom-right, top-right, top-left
+   */
+  quad(fragment, offset, length) {
+    const { origin, direction, up, size } = fragment;
+    const ascent = size * this.options.ascent;
+    const descent = size * this.options.descent;
+    const point = (along, across) => ({
+      x: origin.x + direction.x * along + up.x * across,
+      y: origin.y + direction.y * along + up.y * across
+    });
+
+    return [
+      point(offset, -descent),
+      point(offset + length, -descent),
+      point(offset + length, ascent),
+      point(offset, ascent)
+    ];
+  }
+
+  /**
+   * Rotated box of a whole label, from its first origin to its last end point
+   */
+  labelQuad(first, last) {
+    const length = Math.hypot(last.end.x - first.origin.x, last.end.y - first.origin.y);
+    if (first === last || length === 0) {
+      return this.quad(first, 0, first.width);
+    }
+
+    const direction = {
+      x: (last.end.x - first.origin.x) / length,
+      y: (last.end.y - first.origin.y) / length
+    };
+    const up = first.up.x * -direction.y + first.up.y * direction.x >= 0
+      ? { x: -direction.y, y: direction.x }
+      : { x: direction.y, y: -direction.x };
+
+    return this.quad({ ...first, direction, up }, 0, length);
+  }
+
+  /**
+   * Number labels top-to-bottom, then left-to-right within a row
+   * Labels whose centers are within half a font size vertically share a row.
+   */
+  assignReadingOrder(labels) {
+    const centered = labels.map(label => ({
+      label,
+      cx: label.bbox.x + label.bbox.width / 2,
+      cy: label.bbox.y + label.bbox.height / 2
+    }));
+    centered.sort((p, q) => q.cy - p.cy);
+
+    const ordered = [];
+    let row = [];
+    const flushRow = () => {
+      row.sort((p, q) => p.cx - q.cx);
+      ordered.push(...row);
+      row = [];
+    };
+
+    for (const entry of centered) {
+      if (row.length > 0 && row[0].cy - entry.cy > Math.min(row[0].label.fontSize, entry.label.fontSize) / 2) {
+        flushRow();
+      }
+      row.push(entry);
+    }
+    flushRow();
+
+    ordered.forEach((entry, index) => { entry.label.readingOrder = index; });
+    return labels;
+  }
+}
+
+function applyMatrix(m, x, y) {
+  return {
+    x: m.a * x + m.c * y + m.e,
+    y: m.b * x + m.d * y + m.f
+  };
+}
+
+function boundingBox(points) {
+  if (points.length === 0) return null;
+
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+
+  return {
+    x: minX,
+    y: minY,
+    width: Math.max(...xs) - minX,
+    height: Math.max(...ys) - minY
+  };
+}
+
+module.exports = LabelAssembler;
@@ -0,0 +1,272 @@
+/**
+ * LGIDict Reader
+ * Reads the OGC "GeoPDF" encoding (Adobe/TerraGo): page /LGIDict
+ * dictionaries (one or an array) with a /Neatline, /Registration control
+ * points, a /CTM from page to projected coordinates and a /Projection
+ * dictionary, which is converted to a proj4 definition
+ * Numbers in these dictionaries are often written as strings.
+ */
+
+const { PDFName, PDFArray, PDFDict, PDFNumber, PDFString, PDFHexString } = require('pdf-lib');
+
+// Ellipsoid codes (DMA TR 8350.2): semi-major axis, inverse flattening
+const ELLIPSOIDS = {
+  AA: [6377563.396, 299.3249646], // Airy 1830
+  AN: [6378160, 298.25], // Australian National
+  BN: [6377483.865, 299.1528128], // Bessel 1841 (Namibia)
+  BR: [6377397.155, 299.1528128], // Bessel 1841
+  CC: [6378206.4, 294.9786982], // Clarke 1866
+  CD: [6378249.145, 293.465], // Clarke 1880
+  EA: [6377276.345, 300.8017], // Everest 1830
+  FA: [6378155, 298.3], // Modified Fischer 1960
+  HE: [6378200, 298.3], // Helmert 1906
+  HO: [6378270, 297], // Hough 1960
+  IN: [6378388, 297], // International 1924
+  KA: [6378245, 298.3], // Krassovsky 1940
+  RF: [6378137, 298.257222101], // GRS 1980
+  SA: [6378160, 298.25], // South American 1969
+  WD: [6378135, 298.26], // WGS 72
+  WE: [6378137, 298.257223563] // WGS 84
+};
+
+// Datum codes used as plain strings: name, ellipsoid, shift to WGS 84
+const DATUMS = [
+  { prefix: 'WGE', name: 'WGS 84', ellipsoid: 'WE', toWGS84: [0, 0, 0] },
+  { prefix: 'WE', name: 'WGS 84', ellipsoid: 'WE', toWGS84: [0, 0, 0] },
+  { prefix: 'NAR', name: 'NAD83', ellipsoid: 'RF', toWGS84: [0, 0, 0] },
+  { prefix: 'NAS', name: 'NAD27', ellipsoid: 'CC', toWGS84: [-8, 160, 176] }
+];
+
+// /ProjectionType codes: proj4 projection and parameter names
+const PROJECTIONS = {
+  AC: { proj: 'aea', name: 'Albers Equal Area', params: { StandardParallelOne: 'lat_1', StandardParallelTwo: 'lat_2', OriginLatitude: 'lat_0', CentralMeridian: 'lon_0' } },
+  AL: { proj: 'aeqd', name: 'Azimuthal Equidistant', params: { OriginLatitude: 'lat_0', CentralMeridian: 'lon_0' } },
+  CS: { proj: 'cass', name: 'Cassini', params: { OriginLatitude: 'lat_0', CentralMeridian: 'lon_0' } },
+  EC: { proj: 'eqdc', name: 'Equidistant Conic', params: { StandardParallelOne: 'lat_1', StandardParallelTwo: 'lat_2', OriginLatitude: 'lat_0', CentralMeridian: 'lon_0' } },
+  GN: { proj: 'gnom', name: 'Gnomonic', params: { OriginLatitude: 'lat_0', CentralMeridian: 'lon_0' } },
+  LA: { proj: 'laea', name: 'Lambert Azimuthal Equal Area', params: { OriginLatitude: 'lat_0', CentralMeridian: 'lon_0' } },
+  LE: { proj: 'lcc', name: 'Lambert Conformal Conic', params: { StandardParallelOne: 'lat_1', StandardParallelTwo: 'lat_2', OriginLatitude: 'lat_0', CentralMeridian: 'lon_0' } },
+  LI: { proj: 'cea', name: 'Cylindrical Equal Area', params: { OriginLatitude: 'lat_ts', CentralMeridian: 'lon_0' } },
+  MC: { proj: 'merc', name: 'Mercator', params: { OriginLatitude: 'lat_0', CentralMeridian: 'lon_0', ScaleFactor: 'k_0' } },
+  MH: { proj: 'mill', name: 'Miller Cylindrical', params: { CentralMeridian: 'lon_0' } },
+  MP: { proj: 'moll', name: 'Mollweide', params: { CentralMeridian: 'lon_0' } },
+  OD: { proj: 'ortho', name: 'Orthographic', params: { OriginLatitude: 'lat_0', CentralMeridian: 'lon_0' } },
+  PG: { proj: 'stere', name: 'Polar Stereographic', params: { LatitudeTrueScale: 'lat_ts', LongitudeDownFromPole: 'lon_0' } },
+  PH: { proj: 'poly', name: 'Polyconic', params: { OriginLatitude: 'lat_0', CentralMeridian: 'lon_0' } },
+  SA: { proj: 'sinu', name: 'Sinusoidal', params: { CentralMeridian: 'lon_0' } },
+  SD: { proj: 'stere', name: 'Stereographic', params: { OriginLatitude: 'lat_0', CentralMeridian: 'lon_0' } },
+  TC: { proj: 'tmerc', name: 'Transverse Mercator', params: { OriginLatitude: 'lat_0', CentralMeridian: 'lon_0', ScaleFactor: 'k_0' } },
+  VA: { proj: 'vandg', name: 'Van der Grinten', params: { CentralMeridian: 'lon_0' } }
+};
+
+class LGIDictReader {
+  /**
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @param {Object} options - { report(severity, code, message) } receives
+   *   unsupported projections and datums (logged without it)
+   */
+  constructor(pdfDoc, options = {}) {
+    this.pdfDoc = pdfDoc;
+    this.context = pdfDoc.context;
+    this.report = options.report || null;
+  }
+
+  /**
+   * Read the LGI dictionaries of a page
+   * @param {PDFPage} page - pdf-lib page
+   * @returns {Array} Entries { index, name, version, bbox, neatline, crs,
+   *   displayCrs, registration, ctm }: registration points pair a page point
+   *   { x, y } with projected (or longitude/latitude) coordinates { X, Y };
+   *   ctm maps page to projected coordinates
+   */
+  read(page) {
+    const entries = this.asArray(page.node.lookup(PDFName.of('LGIDict')));
+    return entries
+      .map((entry, index) => this.readDict(this.context.lookup(entry), index, page))
+      .filter(entry => entry);
+  }
+
+  readDict(dict, index, page) {
+    if (!(dict instanceof PDFDict)) return null;
+
+    // Without a neatline the dictionary covers the whole page
+    let neatline = this.pairs(this.numbers(dict.lookup(PDFName.of('Neatline'))));
+    if (neatline.length < 3) {
+      const { x, y, width, height } = page.getMediaBox();
+      neatline = [{ x, y }, { x, y: y + height }, { x: x + width, y: y + height }, { x: x + width, y }];
+    }
+    const xs = neatline.map(point => point.x);
+    const ys = neatline.map(point => point.y);
+
+    const registration = this.asArray(dict.lookup(PDFName.of('Registration')))
+      .map(entry => this.numbers(this.context.lookup(entry)))
+      .filter(values => values && values.length >= 4)
+      .map(([x, y, X, Y]) => ({ x, y, X, Y }));
+
+    const ctm = this.numbers(dict.lookup(PDFName.of('CTM')));
+
+    return {
+      index,
+      name: this.text(dict.lookup(PDFName.of('Description'))),
+      version: this.text(dict.lookup(PDFName.of('Version'))),
+      bbox: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)],
+      neatline,
+      crs: this.readProjection(dict.lookup(PDFName.of('Projection'))),
+      displayCrs: this.readProjection(dict.lookup(PDFName.of('Display'))),
+      registration,
+      ctm: ctm && ctm.length === 6 ? ctm : null
+    };
+  }
+
+  /**
+   * Convert a /Projection dictionary to a coordinate system
+   * @param {PDFDict} dict - Projection dictionary
+   * @returns {Object|null} { type: 'GEOGCS'|'PROJCS', epsg, wkt, name, proj4,
+   *   geographic }: proj4 is the definition of the system (null if the
+   *   projection type is not supported) and geographic the definition of its
+   *   datum's longitude/latitude system
+   */
+  readProjection(dict) {
+    if (!(dict instanceof PDFDict)) return null;
+
+    const type = (this.text(dict.lookup(PDFName.of('ProjectionType'))) || '').toUpperCase();
+    const datum = this.readDatum(dict.lookup(PDFName.of('Datum')));
+    const geographic = `+proj=longlat ${datum.definition} +no_defs`;
+    const crs = { type: 'PROJCS', epsg: null, wkt: null, name: null, proj4: null, geographic };
+
+    if (type === 'GEOGRAPHIC' || type === 'GEOGRAPHIC_COORDINATES') {
+      return { ...crs, type: 'GEOGCS', name: datum.name, proj4: geographic };
+    }
+
+    const value = (key, fallback = 0) => {
+      const number = this.number(dict.lookup(PDFName.of(key)));
+      return number === null ? fallback : number;
+    };
+    const falseOrigin = `+x_0=${value('FalseEasting')} +y_0=${value('FalseNorthing')}`;
+    const projected = parameters => `+proj=${parameters} ${datum.definition} +units=m +no_defs`;
+
+    if (type === 'UT') {
+      const zone = value('Zone', null);
+      const south = /^S/i.test(this.text(dict.lookup(PDFName.of('Hemisphere'))) || '');
+      if (!zone) return crs;
+      return {
+        ...crs,
+        name: `UTM zone ${zone}${south ? 'S' : 'N'} (${datum.name})`,
+        proj4: projected(`utm +zone=${zone}${south ? ' +south' : ''}`)
+      };
+    }
+
+    if (type === 'UP') {
+      const south = /^S/i.test(this.text(dict.lookup(PDFName.of('Hemisphere'))) || '');
+      return {
+        ...crs,
+        name: `UPS ${south ? 'South' : 'North'} (${datum.name})`,
+        proj4: projected(`stere +lat_0=${south ? -90 : 90} +lat_ts=${south ? -90 : 90} +lon_0=0 +k_0=0.994 +x_0=2000000 +y_0=2000000`)
+      };
+    }
+
+    const projection = PROJECTIONS[type];
+    if (!projection) {
+      this.warn('unsupported-projection', `Unsupported LGIDict projection type ${type || '(none)'}`);
+      return { ...crs, name: type || null };
+    }
+
+    const parameters = Object.entries(projection.params)
+      .filter(([key]) => key !== 'ScaleFactor' || this.number(dict.lookup(PDFName.of(key))) !== null)
+      .map(([key, parameter]) => `+${parameter}=${value(key)}`);
+    if (type === 'PG') {
+      parameters.push(`+lat_0=${value('LatitudeTrueScale') < 0 ? -90 : 90}`);
+    }
+
+    return {
+      ...crs,
+      name: `${projection.name} (${datum.name})`,
+      proj4: projected(`${projection.proj} ${parameters.join(' ')} ${falseOrigin}`)
+    };
+  }
+
+  /**
+   * Read a /Datum, either a datum code string or a dictionary with an
+   * /Ellipsoid (code or /SemiMajorAxis and /InvFlattening) and /ToWGS84
+   * @returns {Object} { name, definition } proj4 ellipsoid and datum shift
+   *   parameters; unknown datums are taken as WGS 84
+   */
+  readDatum(obj) {
+    const code = (this.text(obj) || '').toUpperCase();
+    const ellipsoid = key => {
+      const [a, rf] = ELLIPSOIDS[key] || ELLIPSOIDS.WE;
+      return `+a=${a} +rf=${rf}`;
+    };
+
+    if (obj instanceof PDFDict) {
+      const ellipsoidObj = obj.lookup(PDFName.of('Ellipsoid'));
+      let axes = ellipsoid((this.text(ellipsoidObj) || '').toUpperCase());
+      if (ellipsoidObj instanceof PDFDict) {
+        const a = this.number(ellipsoidObj.lookup(PDFName.of('SemiMajorAxis')));
+        const rf = this.number(ellipsoidObj.lookup(PDFName.of('InvFlattening')));
+        if (a && rf) axes = `+a=${a} +rf=${rf}`;
+      }
+
+      const shift = obj.lookup(PDFName.of('ToWGS84'));
+      const toWGS84 = shift instanceof PDFDict
+        ? ['dx', 'dy', 'dz', 'rx', 'ry', 'rz', 'sf'].map(key => this.number(shift.lookup(PDFName.of(key))) || 0)
+        : [0, 0, 0];
+
+      return {
+        name: this.text(obj.lookup(PDFName.of('Description'))) || 'custom datum',
+        definition: `${axes} +towgs84=${toWGS84.join(',')}`
+      };
+    }
+
+    const datum = DATUMS.find(candidate => code.startsWith(candidate.prefix));
+    if (!datum) {
+      if (code) this.warn('unknown-datum', `Unknown LGIDict datum ${code}; assuming WGS 84`);
+      return { name: 'WGS 84', definition: `${ellipsoid('WE')} +towgs84=0,0,0` };
+    }
+    return { name: datum.name, definition: `${ellipsoid(datum.ellipsoid)} +towgs84=${datum.toWGS84.join(',')}` };
+  }
+
+  // Helper methods
+
+  asArray(obj) {
+    if (!obj) return [];
+    if (obj instanceof PDFArray) return obj.asArray();
+    return [obj];
+  }
+
+  number(obj) {
+    const value = this.context.lookup(obj);
+    if (value instanceof PDFNumber) return value.asNumber();
+    const text = this.text(value);
+    const number = text === null ? NaN : parseFloat(text);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  numbers(obj) {
+    if (!(obj instanceof PDFArray)) return null;
+    const values = obj.asArray().map(entry => this.number(entry));
+    return values.every(value => value !== null) ? values : null;
+  }
+
+  pairs(values) {
+    const points = [];
+    for (let i = 0; values && i + 1 < values.length; i += 2) points.push({ x: values[i], y: values[i + 1] });
+    return points;
+  }
+
+  text(obj) {
+    if (obj instanceof PDFString || obj instanceof PDFHexString) return obj.decodeText();
+    if (obj instanceof PDFName) return obj.decodeText();
+    return null;
+  }
+
+  warn(code, message) {
+    if (this.report) {
+      this.report('warning', code, message);
+    } else {
+      console.log(`  [Geo] ${message}`);
+    }
+  }
+}
+
+module.exports = LGIDictReader;
@@ -0,0 +1,292 @@
+/**
+ * Neatline Detector
+ * Finds the neatline that bounds the map body of a page and classifies
+ * content against it: inside the map, crossing the neatline, or in the
+ * collar (margin text, legends, scale bars)
+ * The neatline comes from the largest georeferenced viewport (its /Bounds
+ * polygon, or /Neatline for LGIDict, else its /BBox); pages without one fall
+ * back to the outer frame, the largest stroked rectangle on the page.
+ * Paths can be clipped geometrically at the neatline (see PathClipper).
+ */
+
+const GeoreferenceReader = require('./georeference-reader');
+const PathClipper = require('./path-clipper');
+
+class NeatlineDetector {
+  /**
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @param {Object} options - { georeference } reader to reuse,
+   *   { minFrameArea, maxFrameArea } share of the page area an outer frame
+   *   may cover (a frame covering the whole page is a page border or
+   *   background, not a neatline)
+   */
+  constructor(pdfDoc, options = {}) {
+    this.pdfDoc = pdfDoc;
+    this.georeference = options.georeference || new GeoreferenceReader(pdfDoc);
+    this.options = {
+      minFrameArea: options.minFrameArea || 0.25,
+      maxFrameArea: options.maxFrameArea || 0.98
+    };
+    this.clipper = new PathClipper();
+
+    // Clip entries per neatline, keyed by the clip chain they extend
+    this.clipEntries = new WeakMap();
+  }
+
+  /**
+   * Detect the neatline of a page
+   * @param {number} pageIndex - Zero-based page index
+   * @param {Array} paths - Parsed paths of the page (for the frame fallback)
+   * @returns {Object|null} { page, source: 'viewport' or 'frame', viewport,
+   *   ring, bounds } where ring is the neatline polygon in page space and
+   *   bounds its { x, y, width, height }; null if neither is found
+   */
+  detect(pageIndex, paths = []) {
+    const viewport = this.georeference.viewportsFor(pageIndex)
+      .filter(candidate => candidate.georeferenced)
+      .reduce((largest, candidate) => (
+        !largest || this.boxArea(candidate.bbox) > this.boxArea(largest.bbox) ? candidate : largest
+      ), null);
+
+    if (viewport) {
+      const [x1, y1, x2, y2] = viewport.bbox;
+      const ring = viewport.bounds && viewport.bounds.length >= 3
+        ? viewport.bounds.map(({ x, y }) => ({ x, y }))
+        : [{ x: x1, y: y1 }, { x: x2, y: y1 }, { x: x2, y: y2 }, { x: x1, y: y2 }];
+      return this.neatline(pageIndex, 'viewport', viewport.index, ring);
+    }
+
+    const frame = this.findFrame(pageIndex, paths);
+    return frame ? this.neatline(pageIndex, 'frame', null, frame) : null;
+  }
+
+  /**
+   * Largest stroked axis-aligned rectangle whose area is a plausible share
+   * of the page
+   * @param {number} pageIndex - Zero-based page index
+   * @param {Array} paths - Parsed paths of the page
+   * @returns {Array|null} Rectangle corners in page space
+   */
+  findFrame(pageIndex, paths) {
+    const { width, height } = this.pdfDoc.getPage(pageIndex).getSize();
+    const pageArea = width * height;
+    let best = null;
+    let bestArea = 0;
+
+    for (const path of paths) {
+      if (path.operation !== 'stroke' && path.operation !== 'fill-stroke') continue;
+
+      for (const subpath of path.subpaths) {
+        const rectangle = this.asRectangle(this.clipper.flattenSubpath(subpath, path.transform));
+        if (!rectangle) continue;
+
+        const { width: frameWidth, height: frameHeight } = this.ringBounds(rectangle);
+        const area = frameWidth * frameHeight;
+        if (area > bestArea &&
+            area >= pageArea * this.options.minFrameArea &&
+            area <= pageArea * this.options.maxFrameArea) {
+          best = rectangle;
+          bestArea = area;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Classify an object against the neatline
+   * @param {Object} item - Path (subpaths through its transform), label
+   *   (page-space bbox) or text object (origin through its CTM)
+   * @param {Object} neatline - From detect()
+   * @returns {string|null} 'inside', 'crossing' or 'collar'; null for
+   *   objects without geometry
+   */
+  classify(item, neatline) {
+    const region = { rings: [neatline.ring], fillRule: 'nonzero' };
+    let rings;
+
+    // Rings are explicitly closed where the object is an area
+    let isArea = true;
+    if (item.bbox) {
+      const { x, y, width, height } = item.bbox;
+      rings = [[{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }, { x, y }]];
+    } else if (item.subpaths) {
+      isArea = item.operation === 'fill' || item.operation === 'fill-stroke';
+      rings = item.subpaths
+        .map(subpath => {
+          const points = this.clipper.flattenSubpath(subpath, item.transform);
+          return (subpath.closed || isArea) && points.length > 1 ? [...points, points[0]] : points;
+        })
+        .filter(points => points.length > 0);
+    } else if (typeof item.x === 'number') {
+      const origin = this.clipper.applyMatrix(item, item.ctm);
+      return this.clipper.pointInRegion(origin, region) ? 'inside' : 'collar';
+    } else {
+      return null;
+    }
+    if (rings.length === 0) return null;
+
+    // Quick reject against the neatline's bounding box
+    const extent = this.ringBounds([].concat(...rings));
+    const { bounds } = neatline;
+    if (extent.x > bounds.x + bounds.width || extent.x + extent.width < bounds.x ||
+        extent.y > bounds.y + bounds.height || extent.y + extent.height < bounds.y) {
+      return 'collar';
+    }
+
+    // Points on the neatline count as inside, so the neatline's own stroke is
+    // part of the map body
+    let inside = 0;
+    let total = 0;
+    rings.forEach(points => points.forEach(point => {
+      total++;
+      if (this.clipper.pointInRegion(point, region) || this.onRing(point, neatline.ring)) inside++;
+    }));
+
+    if (this.crossesRing(rings, neatline.ring)) return 'crossing';
+    if (inside === total) return 'inside';
+    if (inside > 0) return 'crossing';
+
+    // An area (or label box) can cover the whole map without touching the neatline
+    const covers = isArea && this.clipper.pointInRegion(neatline.ring[0], { rings, fillRule: item.style?.fillRule || 'nonzero' });
+    return covers ? 'crossing' : 'collar';
+  }
+
+  /**
+   * Classify a list of objects, setting item.neatline
+   * @param {Array} items - Paths, text objects or labels of the page
+   * @param {Object} neatline - From detect()
+   * @returns {Object} Counts { inside, crossing, collar }
+   */
+  classifyAll(items, neatline) {
+    const counts = { inside: 0, crossing: 0, collar: 0 };
+    items.forEach(item => {
+      item.neatline = this.classify(item, neatline);
+      if (item.neatline) counts[item.neatline]++;
+    });
+    return counts;
+  }
+
+  /**
+   * Clip a path at the neatline (on top of its own clip chain)
+   * @param {Object} path - Parsed path
+   * @param {Object} neatline - From detect()
+   * @returns {Object|null} Path in page space with curves flattened, or null
+   *   if nothing remains inside
+   */
+  clip(path, neatline) {
+    if (!this.clipEntries.has(neatline)) {
+      this.clipEntries.set(neatline, new Map());
+    }
+    const entries = this.clipEntries.get(neatline);
+    const parent = path.clip || null;
+
+    if (!entries.has(parent)) {
+      const [start, ...rest] = neatline.ring;
+      entries.set(parent, {
+        subpaths: [{ startPoint: start, segments: rest.map(point => ({ type: 'line', point })), closed: true }],
+        transform: null,
+        fillRule: 'nonzero',
+        parent
+      });
+    }
+
+    return this.clipper.clipPath({ ...path, clip: entries.get(parent) });
+  }
+
+  /**
+   * Content of the map body
+   * Text cannot be cut, so with clipping only text entirely inside the
+   * neatline is kept; without it crossing objects are kept whole.
+   * @param {Object} content - { paths, textObjects, labels } of the page,
+   *   classified by classifyAll()
+   * @param {Object} neatline - From detect()
+   * @param {Object} options - { clip } cut crossing paths at the neatline
+   * @returns {Object} { paths, textObjects, labels }
+   */
+  mapBody(content, neatline, options = {}) {
+    const keep = item => item.neatline === 'inside' || (!options.clip && item.neatline === 'crossing');
+    const paths = [];
+
+    (content.paths || []).forEach(path => {
+      if (path.neatline === 'crossing' && options.clip) {
+        const clipped = this.clip(path, neatline);
+        if (clipped) paths.push(clipped);
+      } else if (keep(path)) {
+        paths.push(path);
+      }
+    });
+
+    return {
+      paths,
+      textObjects: (content.textObjects || []).filter(keep),
+      labels: (content.labels || []).filter(keep)
+    };
+  }
+
+  neatline(pageIndex, source, viewport, ring) {
+    return { page: pageIndex, source, viewport, ring, bounds: this.ringBounds(ring) };
+  }
+
+  asRectangle(points) {
+    // Drop repeated points and the closing point
+    const corners = points.filter((point, i) => i === 0 || this.clipper.distance(point, points[i - 1]) > 1e-6);
+    if (corners.length > 1 && this.clipper.distance(corners[0], corners[corners.length - 1]) <= 1e-6) {
+      corners.pop();
+    }
+    if (corners.length !== 4) return null;
+
+    const tolerance = 0.5;
+    const axisAligned = corners.every((point, i) => {
+      const next = corners[(i + 1) % 4];
+      return Math.abs(point.x - next.x) < tolerance || Math.abs(point.y - next.y) < tolerance;
+    });
+    const { width, height } = this.ringBounds(corners);
+    return axisAligned && width > tolerance && height > tolerance ? corners : null;
+  }
+
+  crossesRing(rings, ring) {
+    for (const points of rings) {
+      for (let i = 0; i + 1 < points.length; i++) {
+        for (let j = 0; j < ring.length; j++) {
+          if (this.clipper.segmentIntersection(points[i], points[i + 1], ring[j], ring[(j + 1) % ring.length]) !== null) {
+            return true;
+          }
+        }
+      }
+    }
+    return false;
+  }
+
+  onRing(point, ring, tolerance = 0.01) {
+    return ring.some((a, i) => {
+      const b = ring[(i + 1) % ring.length];
+      const length = this.clipper.distance(a, b);
+      if (length === 0) return this.clipper.distance(a, point) <= tolerance;
+
+      const t = Math.max(0, Math.min(1, ((point.x - a.x) * (b.x - a.x) + (point.y - a.y) * (b.y - a.y)) / (length * length)));
+      return this.clipper.distance(this.clipper.lerp(a, b, t), point) <= tolerance;
+    });
+  }
+
+  ringBounds(points) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    points.forEach(({ x, y }) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    });
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  boxArea([x1, y1, x2, y2]) {
+    return Math.abs(x2 - x1) * Math.abs(y2 - y1);
+  }
+}
+
+module.exports = NeatlineDetector;
@@ -0,0 +1,220 @@
+/**
+ * Optional Content Reader
+ * Reads the document's Optional Content Groups (PDF layers) from /OCProperties
+ * Builds the hierarchical layer tree shown in a viewer's layer panel
+ */
+
+const { PDFName, PDFRef, PDFArray } = require('pdf-lib');
+
+class OptionalContentReader {
+  constructor(pdfDoc) {
+    this.pdfDoc = pdfDoc;
+    this.context = pdfDoc.context;
+  }
+
+  /**
+   * Read /OCProperties from the document catalog
+   * @returns {Object|null} { groups, tree, defaultConfig, configs } or null if the PDF has no layers
+   */
+  read() {
+    try {
+      const ocProperties = this.pdfDoc.catalog.lookup(PDFName.of('OCProperties'));
+      if (!ocProperties) {
+        return null;
+      }
+
+      // All groups, keyed by object reference
+      const groupsById = new Map();
+      const ocgs = ocProperties.lookup(PDFName.of('OCGs'));
+      for (const ref of this.asArray(ocgs)) {
+        const group = this.readGroup(ref);
+        if (group) {
+          groupsById.set(group.id, group);
+        }
+      }
+
+      // Default viewing configuration
+      const defaultDict = ocProperties.lookup(PDFName.of('D'));
+      const defaultConfig = this.readConfig(defaultDict, groupsById);
+
+      // Alternate configurations
+      const configs = this.asArray(ocProperties.lookup(PDFName.of('Configs')))
+        .map(configRef => this.readConfig(this.context.lookup(configRef), groupsById));
+
+      // Default visibility and lock state is stamped onto the groups themselves
+      const groups = Array.from(groupsById.values()).map(group => ({
+        ...group,
+        visible: defaultConfig.visibility[group.id] !== false,
+        locked: defaultConfig.locked.includes(group.id)
+      }));
+
+      // Without an /Order array every group is shown at the top level
+      const tree = defaultConfig.tree ||
+        groups.map(group => ({ ...group, isLabel: false, children: [] }));
+
+      return {
+        groups,
+        tree,
+        defaultConfig,
+        configs
+      };
+    } catch (error) {
+      console.error('Error reading optional content properties:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read a single Optional Content Group dictionary
+   * @param {PDFRef} ref - Reference to the OCG
+   * @returns {Object|null} { id, name, intent }
+   */
+  readGroup(ref) {
+    const dict = this.context.lookup(ref);
+    if (!dict || !dict.lookup) return null;
+
+    const name = dict.lookup(PDFName.of('Name'));
+    const intent = dict.lookup(PDFName.of('Intent'));
+
+    return {
+      id: this.refId(ref),
+      name: name ? this.decodeText(name) : 'Unnamed layer',
+      intent: intent
+        ? this.asArray(intent).map(entry => entry.toString().replace(/^\//, ''))
+        : ['View']
+    };
+  }
+
+  /**
+   * Read an optional content configuration dictionary (/D or an entry of /Configs)
+   * @param {PDFDict} dict - Configuration dictionary
+   * @param {Map} groupsById - Known groups
+   * @returns {Object} Configuration with per-group visibility
+   */
+  readConfig(dict, groupsById) {
+    const config = {
+      name: null,
+      creator: null,
+      baseState: 'ON',
+      on: [],
+      off: [],
+      locked: [],
+      visibility: {},
+      tree: null
+    };
+
+    if (!dict || !dict.lookup) {
+      groupsById.forEach((group, id) => {
+        config.visibility[id] = true;
+      });
+      return config;
+    }
+
+    const name = dict.lookup(PDFName.of('Name'));
+    const creator = dict.lookup(PDFName.of('Creator'));
+    const baseState = dict.lookup(PDFName.of('BaseState'));
+
+    config.name = name ? this.decodeText(name) : null;
+    config.creator = creator ? this.decodeText(creator) : null;
+    config.baseState = baseState ? baseState.toString().replace(/^\//, '') : 'ON';
+    config.on = this.asArray(dict.lookup(PDFName.of('ON'))).map(ref => this.refId(ref));
+    config.off = this.asArray(dict.lookup(PDFName.of('OFF'))).map(ref => this.refId(ref));
+    config.locked = this.asArray(dict.lookup(PDFName.of('Locked'))).map(ref => this.refId(ref));
+
+    // BaseState applies first, then the explicit ON and OFF lists
+    // (Unchanged is treated as ON since there is no prior state to keep)
+    const baseVisible = config.baseState !== 'OFF';
+    groupsById.forEach((group, id) => {
+      config.visibility[id] = baseVisible;
+    });
+    config.on.forEach(id => { config.visibility[id] = true; });
+    config.off.forEach(id => { config.visibility[id] = false; });
+
+    // Layer panel ordering and nesting for this configuration
+    const order = dict.lookup(PDFName.of('Order'));
+    if (order) {
+      config.tree = this.buildTree(order, groupsById, config);
+    }
+
+    return config;
+  }
+
+  /**
+   * Build the layer tree from an /Order array
+   * An array that follows a group holds that group's children; an array whose
+   * first entry is a string is a labelled folder that is not itself a layer.
+   * @param {PDFArray|Array} order - /Order array (or a slice of one)
+   * @param {Map} groupsById - Known groups
+   * @param {Object} config - Configuration providing visibility and lock state
+   * @returns {Array} Tree nodes { id, name, visible, locked, isLabel, children }
+   */
+  buildTree(order, groupsById, config, depth = 0) {
+    const nodes = [];
+    if (depth > 32) return nodes;
+
+    const items = this.asArray(order);
+
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      const resolved = item instanceof PDFRef ? this.context.lookup(item) : item;
+
+      if (resolved instanceof PDFArray) {
+        const entries = resolved.asArray();
+        const first = entries.length > 0 ? this.context.lookup(entries[0]) : null;
+
+        if (first && first.decodeText) {
+          // Labelled folder: [(Label) child child ...]
+          nodes.push({
+            id: null,
+            name: this.decodeText(first),
+            visible: true,
+            locked: false,
+            isLabel: true,
+            children: this.buildTree(entries.slice(1), groupsById, config, depth + 1)
+          });
+        } else if (nodes.length > 0 && !nodes[nodes.length - 1].isLabel) {
+          // Children of the preceding group
+          nodes[nodes.length - 1].children.push(...this.buildTree(resolved, groupsById, config, depth + 1));
+        } else {
+          nodes.push(...this.buildTree(resolved, groupsById, config, depth + 1));
+        }
+        continue;
+      }
+
+      if (item instanceof PDFRef) {
+        const id = this.refId(item);
+        const group = groupsById.get(id);
+        if (!group) continue;
+
+        nodes.push({
+          ...group,
+          visible: config.visibility[id] !== false,
+          locked: config.locked.includes(id),
+          isLabel: false,
+          children: []
+        });
+      }
+    }
+
+    return nodes;
+  }
+
+  // Helper methods
+
+  asArray(obj) {
+    if (!obj) return [];
+    if (Array.isArray(obj)) return obj;
+    if (obj instanceof PDFArray) return obj.asArray();
+    return [obj];
+  }
+
+  refId(ref) {
+    return ref instanceof PDFRef ? ref.toString() : String(ref);
+  }
+
+  decodeText(obj) {
+    return obj.decodeText ? obj.decodeText() : obj.toString();
+  }
+}
+
+module.exports = OptionalContentReader;
@@ -0,0 +1,211 @@
+/**
+ * Page Content Extractor
+ * Extracts vector paths, text objects (and the labels assembled from them),
+ * inline images and fonts from a page's content streams
+ * Shared by PDFProcessor (the app) and the test/export scripts
+ */
+
+const { PDFName, PDFArray, PDFStream } = require('pdf-lib');
+const PDFContentParser = require('./pdf-content-parser');
+const StreamDecoder = require('./stream-decoder');
+const LabelAssembler = require('./label-assembler');
+
+class PageContentExtractor {
+  /**
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @param {Object} options - Extra options passed to PDFContentParser
+   *   (options.labels configures the LabelAssembler)
+   */
+  constructor(pdfDoc, options = {}) {
+    this.pdfDoc = pdfDoc;
+    this.context = pdfDoc.context;
+    this.streamDecoder = new StreamDecoder(this.context);
+    this.labelAssembler = new LabelAssembler(options.labels);
+    this.parserOptions = options;
+  }
+
+  /**
+   * Extract everything painted on a page
+   * @param {number} pageIndex - Zero-based page index
+   * @returns {Object} { page, width, height, paths, textObjects, labels, images,
+   *   imagePlacements, fonts, diagnostics, droppedDiagnostics }; the latter
+   *   counts diagnostics left out once the collector was full
+   */
+  extractPage(pageIndex) {
+    const page = this.pdfDoc.getPage(pageIndex);
+    const { width, height } = page.getSize();
+    const parser = this.createParser(page, pageIndex);
+    const result = {
+      page: pageIndex,
+      width,
+      height,
+      paths: [],
+      textObjects: [],
+      labels: [],
+      images: [],
+      imagePlacements: [],
+      fonts: this.readFonts(this.getResources(page)),
+      diagnostics: parser.diagnostics.list(),
+      droppedDiagnostics: 0
+    };
+
+    const { paths, textObjects, images, imagePlacements } = parser.parseContentStreams(this.decodeContentStreams(page, parser));
+    result.paths = paths;
+    result.textObjects = textObjects;
+    result.images = images;
+    result.imagePlacements = imagePlacements;
+    result.droppedDiagnostics = parser.diagnostics.dropped;
+
+    paths.forEach(path => { path.page = pageIndex; });
+    textObjects.forEach(textObject => { textObject.page = pageIndex; });
+    images.forEach(image => { image.page = pageIndex; });
+    imagePlacements.forEach(placement => { placement.page = pageIndex; });
+
+    result.labels = this.labelAssembler.assemble(textObjects);
+
+    return result;
+  }
+
+  /**
+   * Extract a page incrementally (see PDFContentParser.iterateContentStreams)
+   * @param {number} pageIndex - Zero-based page index
+   * @yields {Object} { type: 'path', path }, { type: 'text', textObject },
+   *   { type: 'image', image }, { type: 'placement', placement } or
+   *   { type: 'diagnostic', diagnostic }
+   */
+  *iteratePage(pageIndex) {
+    const page = this.pdfDoc.getPage(pageIndex);
+    const parser = this.createParser(page, pageIndex);
+
+    for (const item of parser.iterateContentStreams(this.decodeContentStreams(page, parser))) {
+      (item.path || item.textObject || item.image || item.placement || item.diagnostic).page = pageIndex;
+      yield item;
+    }
+  }
+
+  /**
+   * Extract all pages
+   * @returns {Array} Per-page results from extractPage()
+   */
+  extractAll() {
+    const results = [];
+    for (let pageIndex = 0; pageIndex < this.pdfDoc.getPageCount(); pageIndex++) {
+      results.push(this.extractPage(pageIndex));
+    }
+    return results;
+  }
+
+  createParser(page, pageIndex) {
+    // Page resources let the parser resolve fonts and follow Form XObjects (Do);
+    // the media box bounds shadings painted without a clip
+    const { x, y, width, height } = page.getMediaBox();
+    return new PDFContentParser({
+      ...this.parserOptions,
+      pdfContext: this.context,
+      resources: this.getResources(page),
+      pageBox: [x, y, x + width, y + height],
+      streamId: `page ${pageIndex + 1}`
+    });
+  }
+
+  /**
+   * Get a page's resource dictionary, inherited from the page tree if the
+   * page has none of its own
+   * @param {PDFPage} page - pdf-lib page
+   * @returns {PDFDict|null} /Resources
+   */
+  getResources(page) {
+    return page.node.Resources() || null;
+  }
+
+  /**
+   * Decode a page's content streams one at a time
+   * A page may split its content over an array of streams; each is decoded
+   * only when the parser asks for it, so they are never held all at once.
+   * @param {PDFPage} page - pdf-lib page
+   * @param {PDFContentParser} parser - Parser that reports streams that fail to decode
+   * @yields {Buffer} Decoded content stream data
+   */
+  *decodeContentStreams(page, parser) {
+    for (const stream of this.getContentStreams(page)) {
+      let data;
+      try {
+        data = this.streamDecoder.decode(stream);
+      } catch (error) {
+        const ref = parser.streamRef(stream);
+        parser.report('error', 'stream-decode', `Could not decode content stream${ref ? ` ${ref}` : ''}: ${error.message}`);
+        continue;
+      }
+      yield data;
+    }
+  }
+
+  /**
+   * Get the content stream objects of a page
+   * @param {PDFPage} page - pdf-lib page
+   * @returns {Array<PDFStream>} Content streams in order
+   */
+  getContentStreams(page) {
+    const contents = page.node.lookup(PDFName.of('Contents'));
+    if (!contents) return [];
+
+    const entries = contents instanceof PDFArray ? contents.asArray() : [contents];
+    return entries
+      .map(entry => this.context.lookup(entry))
+      .filter(stream => stream instanceof PDFStream);
+  }
+
+  /**
+   * List the fonts available to a page, including fonts of its Form XObjects
+   * @param {PDFDict} resources - Page /Resources
+   * @returns {Array} Fonts { name, baseFont, subtype, encoding, hasToUnicode }
+   */
+  readFonts(resources) {
+    const fonts = [];
+    const seenResources = new Set();
+
+    const visit = (dict, depth) => {
+      if (!dict || !dict.lookup || seenResources.has(dict) || depth > 16) return;
+      seenResources.add(dict);
+
+      const fontDict = dict.lookup(PDFName.of('Font'));
+      if (fontDict && fontDict.entries) {
+        for (const [key, value] of fontDict.entries()) {
+          const font = this.context.lookup(value);
+          if (!font || !font.lookup) continue;
+
+          const baseFont = font.lookup(PDFName.of('BaseFont'));
+          const subtype = font.lookup(PDFName.of('Subtype'));
+          const encoding = font.lookup(PDFName.of('Encoding'));
+
+          fonts.push({
+            name: key.toString().replace(/^\//, ''),
+            baseFont: baseFont ? baseFont.toString().replace(/^\//, '') : null,
+            subtype: subtype ? subtype.toString().replace(/^\//, '') : null,
+            encoding: encoding instanceof PDFName ? encoding.toString().replace(/^\//, '') : (encoding ? 'custom' : null),
+            hasToUnicode: !!font.lookup(PDFName.of('ToUnicode'))
+          });
+        }
+      }
+
+      // Form XObjects carry their own resources
+      const xObjects = dict.lookup(PDFName.of('XObject'));
+      if (xObjects && xObjects.entries) {
+        for (const [, value] of xObjects.entries()) {
+          const xObject = this.context.lookup(value);
+          if (xObject instanceof PDFStream) {
+            const subtype = xObject.dict.lookup(PDFName.of('Subtype'));
+            if (subtype && subtype.toString() === '/Form') {
+              visit(xObject.dict.lookup(PDFName.of('Resources')), depth + 1);
+            }
+          }
+        }
+      }
+    };
+
+    visit(resources, 0);
+    return fonts;
+  }
+}
+
+module.exports = PageContentExtractor;
@@ -0,0 +1,80 @@
+/**
+ * Parse Diagnostics
+ * Collects anomalies found while parsing content streams (unknown operators,
+ * operand mismatches, unbalanced q/Q and BT/ET, missing resources, ...)
+ * Repeats of the same anomaly in the same stream are counted on the first
+ * entry, so a damaged file yields a short, readable list.
+ */
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+class ParseDiagnostics {
+  /**
+   * @param {Object} options - { maxEntries } distinct entries kept (default 500)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = [];
+    this.index = new Map();
+    this.dropped = 0;
+  }
+
+  /**
+   * Record an anomaly
+   * @param {Object} diagnostic - { severity, code, message, stream, offset, operator }
+   *   severity: 'error' (content was lost), 'warning' (content was kept but
+   *   may be wrong) or 'info'; stream: page label or object reference of the
+   *   content stream; offset: byte offset of the operator in that stream
+   */
+  add(diagnostic) {
+    const key = [diagnostic.severity, diagnostic.code, diagnostic.stream, diagnostic.operator, diagnostic.message].join('|');
+    const existing = this.index.get(key);
+    if (existing) {
+      existing.count++;
+      return;
+    }
+
+    if (this.entries.length >= this.maxEntries) {
+      this.dropped++;
+      return;
+    }
+
+    const entry = {
+      severity: diagnostic.severity,
+      code: diagnostic.code,
+      message: diagnostic.message,
+      stream: diagnostic.stream || null,
+      offset: typeof diagnostic.offset === 'number' ? diagnostic.offset : null,
+      operator: diagnostic.operator || null,
+      count: 1
+    };
+    this.entries.push(entry);
+    this.index.set(key, entry);
+  }
+
+  /**
+   * Recorded anomalies, in the order first seen
+   * @returns {Array} Diagnostics { severity, code, message, stream, offset, operator, count }
+   */
+  list() {
+    return this.entries;
+  }
+
+  /**
+   * Count diagnostics by severity
+   * @param {Array} entries - Diagnostics (e.g. list() of one or more collectors)
+   * @param {number} dropped - Diagnostics left out of the list
+   * @returns {Object} { error, warning, info, dropped, clean }; clean means
+   *   no errors or warnings
+   */
+  static summarize(entries, dropped = 0) {
+    const summary = { error: 0, warning: 0, info: 0, dropped };
+    entries.forEach(entry => {
+      if (SEVERITIES.includes(entry.severity)) summary[entry.severity] += entry.count || 1;
+    });
+    summary.clean = summary.error === 0 && summary.warning === 0 && dropped === 0;
+    return summary;
+  }
+}
+
+module.exports = ParseDiagnostics;
@@ -0,0 +1,371 @@
+/**
+ * Path Clipper
+ * Clips parsed PDF paths against clipping regions geometrically
+ * Used for plotter output, where SVG <clipPath> references cannot be honored
+ */
+
+class PathClipper {
+  constructor(options = {}) {
+    this.options = {
+      // Maximum length (in page units) of the line segments curves are flattened into
+      flatness: options.flatness || 1,
+
+      // Upper bound on segments per curve
+      maxCurveSegments: options.maxCurveSegments || 64
+    };
+
+    // Flattened clip regions, keyed by clip entry (entries are shared by many paths)
+    this.regionCache = new WeakMap();
+  }
+
+  /**
+   * Clip a parsed path against its clip chain
+   * Returns a new path in page space (transform already applied, curves
+   * flattened to lines), or null if nothing remains visible.
+   * @param {Object} path - Path object from PDF parser (with .clip)
+   * @returns {Object|null} Clipped path
+   */
+  clipPath(path) {
+    if (!path || !path.clip) {
+      return path;
+    }
+
+    const clipRegions = this.flattenClipChain(path.clip);
+    const isFill = path.operation === 'fill' || path.operation === 'fill-stroke';
+
+    let rings = path.subpaths.map(subpath => ({
+      points: this.flattenSubpath(subpath, path.transform),
+      closed: subpath.closed || isFill
+    }));
+
+    let approximate = false;
+
+    for (const region of clipRegions) {
+      const clipped = [];
+
+      for (const ring of rings) {
+        if (ring.points.length < 2) continue;
+
+        if (ring.closed && isFill) {
+          const result = this.clipFillRing(ring.points, region);
+          if (result.approximate) approximate = true;
+          if (result.points.length >= 3) {
+            clipped.push({ points: result.points, closed: true });
+          }
+        } else {
+          const points = ring.closed ? [...ring.points, ring.points[0]] : ring.points;
+          this.clipPolyline(points, region).forEach(piece => {
+            clipped.push({ points: piece, closed: false });
+          });
+        }
+      }
+
+      rings = clipped;
+      if (rings.length === 0) {
+        return null;
+      }
+    }
+
+    // Stroked closed subpaths that were split are now open pieces; a fill-stroke
+    // path keeps closed rings, so its stroke will also outline the clip edge
+    return {
+      ...path,
+      transform: null,
+      clip: null,
+      clipApproximate: approximate || undefined,
+      subpaths: rings.map(ring => ({
+        startPoint: ring.points[0],
+        segments: ring.points.slice(1).map(point => ({ type: 'line', point })),
+        closed: ring.closed
+      }))
+    };
+  }
+
+  /**
+   * Flatten a clip chain (innermost entry first) into clip regions
+   * @param {Object} clip - Clip entry { subpaths, transform, fillRule, parent }
+   * @returns {Array} Regions { rings, fillRule }, outermost first
+   */
+  flattenClipChain(clip) {
+    const regions = [];
+
+    for (let entry = clip; entry; entry = entry.parent) {
+      if (!this.regionCache.has(entry)) {
+        this.regionCache.set(entry, {
+          rings: entry.subpaths
+            .map(subpath => this.flattenSubpath(subpath, entry.transform))
+            .filter(ring => ring.length >= 3),
+          fillRule: entry.fillRule
+        });
+      }
+      regions.unshift(this.regionCache.get(entry));
+    }
+
+    return regions;
+  }
+
+  /**
+   * Flatten a subpath into a list of points in page space
+   * @param {Object} subpath - Subpath { startPoint, segments }
+   * @param {Object} transform - Transformation matrix (optional)
+   * @returns {Array} Points {x, y}
+   */
+  flattenSubpath(subpath, transform) {
+    if (!subpath.startPoint) return [];
+
+    const points = [this.applyMatrix(subpath.startPoint, transform)];
+    let current = subpath.startPoint;
+
+    for (const segment of subpath.segments || []) {
+      if (segment.type === 'cubic') {
+        this.flattenCubic(current, segment.cp1, segment.cp2, segment.point, transform, points);
+      } else if (segment.type === 'quadratic') {
+        // Elevate to cubic
+        const cp1 = {
+          x: current.x + (2 / 3) * (segment.cp.x - current.x),
+          y: current.y + (2 / 3) * (segment.cp.y - current.y)
+        };
+        const cp2 = {
+          x: segment.point.x + (2 / 3) * (segment.cp.x - segment.point.x),
+          y: segment.point.y + (2 / 3) * (segment.cp.y - segment.point.y)
+        };
+        this.flattenCubic(current, cp1, cp2, segment.point, transform, points);
+      } else {
+        points.push(this.applyMatrix(segment.point, transform));
+      }
+      current = segment.point;
+    }
+
+    return points;
+  }
+
+  flattenCubic(p0, p1, p2, p3, transform, points) {
+    const t0 = this.applyMatrix(p0, transform);
+    const t1 = this.applyMatrix(p1, transform);
+    const t2 = this.applyMatrix(p2, transform);
+    const t3 = this.applyMatrix(p3, transform);
+
+    // Control polygon length bounds the curve length
+    const length = this.distance(t0, t1) + this.distance(t1, t2) + this.distance(t2, t3);
+    const steps = Math.min(
+      this.options.maxCurveSegments,
+      Math.max(2, Math.ceil(length / this.options.flatness))
+    );
+
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      const mt = 1 - t;
+      const a = mt * mt * mt;
+      const b = 3 * mt * mt * t;
+      const c = 3 * mt * t * t;
+      const d = t * t * t;
+      points.push({
+        x: a * t0.x + b * t1.x + c * t2.x + d * t3.x,
+        y: a * t0.y + b * t1.y + c * t2.y + d * t3.y
+      });
+    }
+  }
+
+  /**
+   * Clip an open polyline against a region of any shape
+   * Each segment is split at every crossing with the region boundary and the
+   * pieces whose midpoints lie inside are kept.
+   * @param {Array} points - Polyline points
+   * @param {Object} region - Clip region { rings, fillRule }
+   * @returns {Array} Array of polylines
+   */
+  clipPolyline(points, region) {
+    const pieces = [];
+    let current = null;
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = points[i];
+      const b = points[i + 1];
+
+      // Parameters along a→b where it crosses the region boundary
+      const cuts = [0, 1];
+      for (const ring of region.rings) {
+        for (let j = 0; j < ring.length; j++) {
+          const t = this.segmentIntersection(a, b, ring[j], ring[(j + 1) % ring.length]);
+          if (t !== null) cuts.push(t);
+        }
+      }
+      cuts.sort((x, y) => x - y);
+
+      for (let k = 0; k < cuts.length - 1; k++) {
+        const t0 = cuts[k];
+        const t1 = cuts[k + 1];
+        if (t1 - t0 < 1e-9) continue;
+
+        const mid = this.lerp(a, b, (t0 + t1) / 2);
+        if (this.pointInRegion(mid, region)) {
+          const start = this.lerp(a, b, t0);
+          const end = this.lerp(a, b, t1);
+          if (!current) {
+            current = [start];
+            pieces.push(current);
+          }
+          current.push(end);
+        } else {
+          current = null;
+        }
+      }
+    }
+
+    return pieces.filter(piece => piece.length >= 2);
+  }
+
+  /**
+   * Clip a filled ring against a region
+   * Exact (Sutherland–Hodgman) when the region is a single convex ring, which
+   * covers rectangular frames and form bounding boxes. Otherwise the ring is
+   * kept whole if its centroid is inside the region and flagged approximate.
+   * @param {Array} points - Ring points
+   * @param {Object} region - Clip region { rings, fillRule }
+   * @returns {Object} { points, approximate }
+   */
+  clipFillRing(points, region) {
+    if (region.rings.length === 1 && this.isConvex(region.rings[0])) {
+      return { points: this.sutherlandHodgman(points, region.rings[0]), approximate: false };
+    }
+
+    if (region.rings.length === 0) {
+      return { points: [], approximate: false };
+    }
+
+    const centroid = points.reduce(
+      (sum, p) => ({ x: sum.x + p.x / points.length, y: sum.y + p.y / points.length }),
+      { x: 0, y: 0 }
+    );
+
+    return {
+      points: this.pointInRegion(centroid, region) ? points : [],
+      approximate: true
+    };
+  }
+
+  sutherlandHodgman(subject, clipRing) {
+    // Orient the clip ring counter-clockwise so "inside" is to the left of each edge
+    const clip = this.signedArea(clipRing) < 0 ? [...clipRing].reverse() : clipRing;
+    let output = subject;
+
+    for (let i = 0; i < clip.length && output.length > 0; i++) {
+      const edgeStart = clip[i];
+      const edgeEnd = clip[(i + 1) % clip.length];
+      const input = output;
+      output = [];
+
+      for (let j = 0; j < input.length; j++) {
+        const current = input[j];
+        const previous = input[(j + input.length - 1) % input.length];
+        const currentInside = this.cross(edgeStart, edgeEnd, current) >= 0;
+        const previousInside = this.cross(edgeStart, edgeEnd, previous) >= 0;
+
+        if (currentInside) {
+          if (!previousInside) {
+            output.push(this.lineIntersection(previous, current, edgeStart, edgeEnd));
+          }
+          output.push(current);
+        } else if (previousInside) {
+          output.push(this.lineIntersection(previous, current, edgeStart, edgeEnd));
+        }
+      }
+    }
+
+    return output;
+  }
+
+  // Geometry helpers
+
+  pointInRegion(point, region) {
+    let winding = 0;
+    let crossings = 0;
+
+    for (const ring of region.rings) {
+      for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+
+        if (a.y <= point.y) {
+          if (b.y > point.y && this.cross(a, b, point) > 0) {
+            winding++;
+            crossings++;
+          }
+        } else if (b.y <= point.y && this.cross(a, b, point) < 0) {
+          winding--;
+          crossings++;
+        }
+      }
+    }
+
+    return region.fillRule === 'evenodd' ? crossings % 2 === 1 : winding !== 0;
+  }
+
+  isConvex(ring) {
+    let sign = 0;
+
+    for (let i = 0; i < ring.length; i++) {
+      const turn = this.cross(ring[i], ring[(i + 1) % ring.length], ring[(i + 2) % ring.length]);
+      if (Math.abs(turn) < 1e-9) continue;
+
+      const turnSign = Math.sign(turn);
+      if (sign === 0) {
+        sign = turnSign;
+      } else if (turnSign !== sign) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  segmentIntersection(a, b, c, d) {
+    const denom = (b.x - a.x) * (d.y - c.y) - (b.y - a.y) * (d.x - c.x);
+    if (Math.abs(denom) < 1e-12) return null;
+
+    const t = ((c.x - a.x) * (d.y - c.y) - (c.y - a.y) * (d.x - c.x)) / denom;
+    const u = ((c.x - a.x) * (b.y - a.y) - (c.y - a.y) * (b.x - a.x)) / denom;
+
+    return t > 0 && t < 1 && u >= 0 && u <= 1 ? t : null;
+  }
+
+  lineIntersection(a, b, c, d) {
+    const denom = (b.x - a.x) * (d.y - c.y) - (b.y - a.y) * (d.x - c.x);
+    if (Math.abs(denom) < 1e-12) return { ...b };
+
+    const t = ((c.x - a.x) * (d.y - c.y) - (c.y - a.y) * (d.x - c.x)) / denom;
+    return this.lerp(a, b, t);
+  }
+
+  signedArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+      const a = ring[i];
+      const b = ring[(i + 1) % ring.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+
+  cross(a, b, p) {
+    return (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+  }
+
+  lerp(a, b, t) {
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+  }
+
+  distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+  }
+
+  applyMatrix(point, m) {
+    if (!m) return { x: point.x, y: point.y };
+    return {
+      x: m.a * point.x + m.c * point.y + m.e,
+      y: m.b * point.x + m.d * point.y + m.f
+    };
+  }
+}
+
+module.exports = PathClipper;
@@ -4,17 +4,31 @@
  * Converts low-level PDF operators into structured path data
  */
 
-const { PDFName } = require('pdf-lib');
+const { PDFName, PDFNumber, PDFArray, PDFBool, PDFStream, PDFObject } = require('pdf-lib');
+const ColorSpace = require('./color-space');
+const PDFLexer = require('./pdf-lexer');
+const StreamDecoder = require('./stream-decoder');
+const PDFFont = require('./pdf-font');
+const PDFShading = require('./pdf-shading');
+const StructureTreeReader = require('./structure-tree-reader');
+const ParseDiagnostics = require('./parse-diagnostics');
 
 class PDFContentParser {
   constructor(options = {}) {
     this.paths = [];
     this.currentPath = null;
     this.textObjects = [];
+    this.images = []; // Inline images (BI ... ID ... EI)
+    this.imagePlacements = []; // Image XObjects painted by Do
+    this.inlineImageDict = null;
     this.graphicsState = new GraphicsState();
     this.stateStack = [];
     this.debugCount = 0; // For debugging
 
+    // Clipping: W/W* mark the current path as a clip that takes effect once the
+    // path is ended by the following painting (or n) operator
+    this.pendingClip = null;
+
     // Text state
     this.inTextObject = false;
     this.currentFont = null;
@@ -24,78 +38,264 @@ class PDFContentParser {
 
     // Font resources for decoding text
     this.pdfContext = options.pdfContext;
-    this.fontDict = options.fontDict;
-    this.fontCMaps = {}; // Cache for parsed ToUnicode CMaps
+    this.streamDecoder = new StreamDecoder(this.pdfContext);
+    // Fonts (metrics and text decoding), per font dictionary since names like
+    // /F1 are only unique within one /Resources scope
+    this.fontCache = new WeakMap();
+
+    // Resolved /ColorSpace resources, keyed by color space object
+    this.colorSpaceCache = new WeakMap();
+
+    // Parsed shadings (sh operands and shading patterns), keyed by shading object
+    this.shadingCache = new WeakMap();
+
+    // Parsed tiling pattern cells, keyed by pattern stream
+    this.tilingCache = new WeakMap();
+
+    // Pattern space: the default coordinate space of the stream being parsed
+    // (the page, or a Form XObject's space at its invocation)
+    this.patternMatrix = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+    // Page area in default user space ([x1, y1, x2, y2]); an sh with no clip
+    // or /BBox paints all of it
+    this.pageBox = options.pageBox || null;
+
+    // Resource dictionary for the stream being parsed (fonts, XObjects, ...)
+    // Form XObjects swap in their own /Resources while they execute
+    this.resources = null;
+    if (options.resources) {
+      this.setResources(options.resources);
+    } else {
+      this.fontDict = options.fontDict;
+    }
+
+    // Marked content stack (BMC/BDC ... EMC); entries that reference an
+    // Optional Content Group carry its layer name, other property lists their
+    // plain values and marked content identifier (/MCID)
+    this.markedContentStack = [];
+
+    // Object references ("12 0 R") of Form XObjects that hold MCIDs
+    this.streamRefCache = new WeakMap();
+
+    // Form XObjects currently executing (guards against self-referencing forms)
+    this.formStack = [];
+    this.maxFormDepth = options.maxFormDepth || 16;
+
+    // Type 3 glyph being painted ({ font, code, name }); paths it draws are tagged
+    // with it. Uncolored glyphs (d1) paint in the color current at the Tj.
+    this.currentGlyph = null;
+    this.glyphColorLocked = false;
+
+    // Paint glyphs of embedded TrueType/CFF fonts as outline paths
+    this.outlineText = options.outlineText !== false;
+
+    // Anomalies found while parsing (see report()); sub-parsers share the list.
+    // streamId names the stream being parsed (e.g. 'page 3'); Form XObjects
+    // and glyph procedures are named by their object reference instead.
+    this.diagnostics = options.diagnostics || new ParseDiagnostics();
+    this.streamId = options.streamId || 'content';
+    this.operatorOffset = null;
+    this.currentOperator = null;
+
+    // State stack depth at the start of the current stream; a Q may not
+    // restore past it (forms and glyphs run inside an implicit q/Q)
+    this.stackFloor = 0;
+
+    // BX/EX nesting: unknown operators are expected inside
+    this.compatibilityDepth = 0;
   }
 
   /**
-   * Parse a PDF content stream and extract all vector paths and text
+   * Parse a PDF content stream and extract all vector paths, text and inline images
    * @param {Buffer|Uint8Array} stream - Raw content stream data
-   * @returns {Object} Object with paths and textObjects arrays
+   * @returns {Object} Object with paths, textObjects, images, imagePlacements
+   *   and diagnostics arrays
    */
   parseContentStream(stream) {
-    try {
-      // Convert stream to string
-      const content = stream.toString('latin1');
-
-      // Tokenize the content stream
-      const tokens = this.tokenize(content);
+    return this.parseContentStreams([stream]);
+  }
 
-      // Process tokens and build paths
-      this.processTokens(tokens);
+  /**
+   * Parse the content streams of a page in order, as one content stream
+   * @param {Iterable<Buffer>} streams - Decoded content streams (may be a
+   *   generator, so each stream is only decoded once the previous one is parsed)
+   * @returns {Object} Object with paths, textObjects, images, imagePlacements
+   *   and diagnostics arrays
+   */
+  parseContentStreams(streams) {
+    let lexer = null;
+    try {
+      // Tokens are consumed as they are lexed; no token array is built.
+      // Operands carry over, as a page may split its content between an
+      // operator and its operands.
+      const operandStack = [];
+      for (const stream of streams) {
+        lexer = new PDFLexer(stream);
+        this.processLexer(lexer, operandStack);
+      }
+      this.finishContentStream(lexer ? lexer.position : null);
 
       return {
         paths: this.paths,
-        textObjects: this.textObjects
+        textObjects: this.textObjects,
+        images: this.images,
+        imagePlacements: this.imagePlacements,
+        diagnostics: this.diagnostics.list()
       };
     } catch (error) {
       console.error('Error parsing content stream:', error);
-      return { paths: [], textObjects: [] };
+      this.operatorOffset = lexer ? lexer.position : null;
+      this.report('error', 'parse-error', `Parsing stopped: ${error.message}`);
+      return { paths: [], textObjects: [], images: [], imagePlacements: [], diagnostics: this.diagnostics.list() };
     }
   }
 
   /**
-   * Tokenize PDF content stream into operators and operands
-   * @param {string} content - Content stream as string
-   * @returns {Array} Array of tokens
+   * Parse a PDF content stream incrementally
+   * Paths and text objects are yielded as soon as they are painted and are
+   * not retained by the parser, so memory stays bounded by the largest single
+   * path rather than the whole stream.
+   * @param {Buffer|Uint8Array} stream - Raw content stream data
+   * @yields {Object} { type: 'path', path }, { type: 'text', textObject },
+   *   { type: 'image', image }, { type: 'placement', placement } or
+   *   { type: 'diagnostic', diagnostic }
    */
-  tokenize(content) {
-    const tokens = [];
+  *iterateContentStream(stream) {
+    yield* this.iterateContentStreams([stream]);
+  }
 
-    // Regular expression to match PDF tokens
-    // Matches: hex strings, numbers, operators, names, literal strings, arrays
-    const tokenRegex = /(<[0-9A-Fa-f\s]*>)|([+-]?\d+\.?\d*)|(\[|\])|(\((?:[^()\\]|\\.)*\))|\/([^\s\[\]()<>\/{}%]+)|([a-zA-Z'"][a-zA-Z0-9'"]*)|\s+/g;
+  /**
+   * Parse the content streams of a page incrementally, as one content stream
+   * @param {Iterable<Buffer>} streams - Decoded content streams, in order
+   * @yields {Object} { type: 'path', path }, { type: 'text', textObject },
+   *   { type: 'image', image }, { type: 'placement', placement } or
+   *   { type: 'diagnostic', diagnostic }
+   */
+  *iterateContentStreams(streams) {
+    const operandStack = [];
+    let lexer = null;
+    let reported = 0;
 
-    let match;
-    while ((match = tokenRegex.exec(content)) !== null) {
-      if (match[0].trim()) {
-        tokens.push(match[0].trim());
+    try {
+      for (const stream of streams) {
+        lexer = new PDFLexer(stream);
+
+        for (const operator of this.executeLexer(lexer, operandStack)) {
+          // Hand over whatever the operator painted (a Do may paint many)
+          if (this.paths.length > 0) {
+            for (const path of this.paths.splice(0)) {
+              yield { type: 'path', path };
+            }
+          }
+          if (this.textObjects.length > 0) {
+            for (const textObject of this.textObjects.splice(0)) {
+              yield { type: 'text', textObject };
+            }
+          }
+          if (this.images.length > 0) {
+            for (const image of this.images.splice(0)) {
+              yield { type: 'image', image };
+            }
+          }
+          if (this.imagePlacements.length > 0) {
+            for (const placement of this.imagePlacements.splice(0)) {
+              yield { type: 'placement', placement };
+            }
+          }
+          yield* this.yieldDiagnostics(reported);
+          reported = this.diagnostics.list().length;
+        }
       }
+      this.finishContentStream(lexer ? lexer.position : null);
+    } catch (error) {
+      console.error(`Error parsing content stream at byte ${lexer ? lexer.position : 0}:`, error);
+      this.operatorOffset = lexer ? lexer.position : null;
+      this.report('error', 'parse-error', `Parsing stopped: ${error.message}`);
     }
+    yield* this.yieldDiagnostics(reported);
+  }
 
-    return tokens;
+  /**
+   * Yield the diagnostics recorded after the first `reported` ones
+   * Repeats of a yielded diagnostic raise its count in place.
+   * @param {number} reported - Number of diagnostics already yielded
+   */
+  *yieldDiagnostics(reported) {
+    for (const diagnostic of this.diagnostics.list().slice(reported)) {
+      yield { type: 'diagnostic', diagnostic };
+    }
   }
 
   /**
-   * Process tokens and execute PDF operators
-   * @param {Array} tokens - Array of tokens
+   * Read tokens from a lexer and execute operators as they arrive
+   * @param {PDFLexer} lexer - Lexer positioned at the start of a content stream
+   * @param {Array} operandStack - Operands left over from a previous stream
    */
-  processTokens(tokens) {
-    const operandStack = [];
+  processLexer(lexer, operandStack = []) {
+    const operators = this.executeLexer(lexer, operandStack);
+    while (!operators.next().done);
+  }
+
+  /**
+   * Execute the operators of a lexer one at a time
+   * Shared by processLexer() and iterateContentStreams(), which takes what
+   * each operator painted before the next one runs.
+   * @param {PDFLexer} lexer - Lexer positioned at the start of a content stream
+   * @param {Array} operandStack - Operands left over from a previous stream
+   * @yields {string} Each operator after it has been executed
+   */
+  *executeLexer(lexer, operandStack = []) {
+    // Nested streams (forms, glyphs) report their own offsets, then the
+    // invoking operator's location is restored
+    const savedOffset = this.operatorOffset;
+    const savedOperator = this.currentOperator;
+
+    try {
+      let token;
+      while ((token = lexer.nextToken()) !== null) {
+        if (token.type === 'operator') {
+          this.operatorOffset = token.offset;
+          this.currentOperator = token.value;
+          this.executeOperator(token.value, operandStack);
+          operandStack.length = 0;
+          yield token.value;
+        } else {
+          operandStack.push(this.operandValue(token));
+        }
+      }
+    } finally {
+      this.operatorOffset = savedOffset;
+      this.currentOperator = savedOperator;
+    }
+  }
 
-    for (let i = 0; i < tokens.length; i++) {
-      const token = tokens[i];
-
-      // Check if token is an operator (all lowercase/uppercase letters)
-      if (/^[a-zA-Z'*]+$/.test(token)) {
-        // Execute operator with operands from stack
-        this.executeOperator(token, operandStack);
-        // Clear operand stack after operator
-        operandStack.length = 0;
-      } else {
-        // It's an operand, push to stack
-        operandStack.push(token);
+  /**
+   * Convert a lexer token into the operand value operators work with
+   * Numbers and booleans become JS values, names become '/Name' strings,
+   * arrays and dictionaries become JS arrays and objects, and strings keep
+   * their token ({ type, value }) so they stay distinct from names. Inline
+   * image data arrives as a Buffer.
+   * @param {Object} token - Lexer token
+   * @returns {*} Operand value
+   */
+  operandValue(token) {
+    switch (token.type) {
+      case 'name':
+        return `/${token.value}`;
+      case 'array':
+        return token.value.map(item => this.operandValue(item));
+      case 'dict': {
+        const dict = {};
+        for (const [key, value] of Object.entries(token.value)) {
+          dict[key] = this.operandValue(value);
+        }
+        return dict;
       }
+      case 'string':
+      case 'hexstring':
+        return token;
+      default:
+        return token.value;
     }
   }
 
@@ -105,6 +305,13 @@ class PDFContentParser {
    * @param {Array} operands - Operands for the operator
    */
   executeOperator(operator, operands) {
+    // Uncolored Type 3 glyphs (d1) ignore their own color operators
+    if (this.glyphColorLocked && COLOR_OPERATORS.has(operator)) {
+      return;
+    }
+
+    this.checkOperands(operator, operands);
+
     switch (operator) {
       // Path construction operators
       case 'm': // moveto
@@ -162,6 +369,14 @@ class PDFContentParser {
         this.opEndPath();
         break;
 
+      // Clipping path operators
+      case 'W': // clip (nonzero winding)
+        this.opClip('nonzero');
+        break;
+      case 'W*': // clip (even-odd)
+        this.opClip('evenodd');
+        break;
+
       // Graphics state operators
       case 'w': // set line width
         this.opSetLineWidth(operands);
@@ -175,6 +390,17 @@ class PDFContentParser {
       case 'd': // set dash pattern
         this.opSetDash(operands);
         break;
+      case 'M': // set miter limit
+        this.opSetMiterLimit(operands);
+        break;
+      case 'i': // set flatness tolerance
+        this.opSetFlatness(operands);
+        break;
+      case 'ri': // set rendering intent (no effect on vector output)
+        break;
+      case 'gs': // set parameters from graphics state dictionary
+        this.opSetExtGState(operands);
+        break;
       case 'q': // save graphics state
         this.opSaveState();
         break;
@@ -204,11 +430,62 @@ class PDFContentParser {
       case 'K': // set CMYK (stroke)
         this.opSetCMYK(operands, 'stroke');
         break;
+      case 'cs': // set color space (fill)
+        this.opSetColorSpace(operands, 'fill');
+        break;
+      case 'CS': // set color space (stroke)
+        this.opSetColorSpace(operands, 'stroke');
+        break;
       case 'sc': // set color (fill)
-      case 'SC': // set color (stroke)
       case 'scn': // set color (fill, with pattern)
+        this.opSetColor(operands, 'fill');
+        break;
+      case 'SC': // set color (stroke)
       case 'SCN': // set color (stroke, with pattern)
-        // These require color space context, skip for now
+        this.opSetColor(operands, 'stroke');
+        break;
+
+      // Marked content operators
+      case 'BMC': // begin marked content
+        this.opBeginMarkedContent(operands, false);
+        break;
+      case 'BDC': // begin marked content with property list
+        this.opBeginMarkedContent(operands, true);
+        break;
+      case 'EMC': // end marked content
+        this.opEndMarkedContent();
+        break;
+      case 'MP': // marked content point
+      case 'DP': // marked content point with property list
+        break;
+
+      // Compatibility operators
+      case 'BX': // begin compatibility section (unknown operators are ignored)
+        this.compatibilityDepth++;
+        break;
+      case 'EX': // end compatibility section
+        if (this.compatibilityDepth > 0) this.compatibilityDepth--;
+        break;
+
+      // XObject operators
+      case 'Do': // paint external object (forms are executed, images are placed)
+        this.opPaintXObject(operands);
+        break;
+
+      // Shading operator
+      case 'sh': // paint shading across the clip region
+        this.opPaintShading(operands);
+        break;
+
+      // Inline image operators
+      case 'BI': // begin inline image
+        this.inlineImageDict = null;
+        break;
+      case 'ID': // inline image dictionary done, data follows
+        this.opBeginImageData(operands);
+        break;
+      case 'EI': // end inline image (operand is the image data)
+        this.opEndInlineImage(operands);
         break;
 
       // Text operators
@@ -246,22 +523,131 @@ class PDFContentParser {
       case '"': // set word/char spacing, move to next line, show text
         // operands: [aw, ac, string]
         if (operands.length >= 3) {
+          this.graphicsState.wordSpacing = parseFloat(operands[0]) || 0;
+          this.graphicsState.charSpacing = parseFloat(operands[1]) || 0;
           this.opNextLine();
           this.opShowText([operands[2]]);
         }
         break;
-      // Text state operators (spacing, scaling, etc.) - track but don't need to process
-      case 'Tc': case 'Tw': case 'Tz': case 'TL': case 'Tr': case 'Ts':
-        // Character spacing, word spacing, horizontal scaling, leading, render mode, rise
+
+      // Text state operators
+      // Type 3 glyph operators
+      case 'd0': // glyph width (colored glyph)
+        break;
+      case 'd1': // glyph width and bounding box (uncolored glyph)
+        if (this.currentGlyph) this.glyphColorLocked = true;
+        break;
+
+      case 'Tc': // character spacing
+        this.opSetTextState('charSpacing', operands);
+        break;
+      case 'Tw': // word spacing
+        this.opSetTextState('wordSpacing', operands);
+        break;
+      case 'Tz': // horizontal scaling (percent)
+        this.opSetTextState('horizontalScaling', operands);
+        break;
+      case 'TL': // leading
+        this.opSetTextState('leading', operands);
+        break;
+      case 'Tr': // rendering mode
+        this.opSetTextState('textRenderMode', operands);
+        break;
+      case 'Ts': // rise
+        this.opSetTextState('textRise', operands);
         break;
 
       default:
-        // Unknown or unsupported operator
-        // console.log(`Unknown operator: ${operator}`);
+        if (this.compatibilityDepth === 0) {
+          this.report('warning', 'unknown-operator', `Unknown operator ${operator} ignored`);
+        }
         break;
     }
   }
 
+  // Diagnostics
+
+  /**
+   * Record a parse anomaly at the current operator
+   * @param {string} severity - 'error' (content was lost), 'warning' or 'info'
+   * @param {string} code - Anomaly kind (e.g. 'unknown-operator', 'missing-font')
+   * @param {string} message - Description
+   */
+  report(severity, code, message) {
+    this.diagnostics.add({
+      severity,
+      code,
+      message,
+      stream: this.currentStreamId(),
+      offset: this.operatorOffset,
+      operator: this.currentOperator
+    });
+  }
+
+  /**
+   * Name of the stream being parsed: the innermost Form XObject or glyph
+   * procedure ("12 0 R"), else the top-level stream's id
+   * @returns {string} Stream id
+   */
+  currentStreamId() {
+    const stream = this.formStack[this.formStack.length - 1];
+    return (stream && this.streamRef(stream)) || this.streamId;
+  }
+
+  /**
+   * Check an operator's operands against OPERAND_SIGNATURES
+   * Operators run regardless; their own guards skip what they cannot use.
+   * @param {string} operator - PDF operator
+   * @param {Array} operands - Operands for the operator
+   */
+  checkOperands(operator, operands) {
+    const signature = OPERAND_SIGNATURES[operator];
+    if (!signature && signature !== '') return;
+
+    if (operands.length < signature.length) {
+      this.report('error', 'operand-count',
+        `${operator} expects ${signature.length} operand(s), found ${operands.length}`);
+      return;
+    }
+    if (operands.length > signature.length) {
+      this.report('warning', 'operand-count',
+        `${operator} expects ${signature.length} operand(s), found ${operands.length}`);
+      return;
+    }
+
+    for (let i = 0; i < signature.length; i++) {
+      if (!OPERAND_TYPES[signature[i]](operands[i], this)) {
+        this.report('warning', 'operand-type',
+          `${operator} operand ${i + 1} should be ${OPERAND_TYPE_NAMES[signature[i]]}`);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Report constructs a stream left open at its end (q without Q, BT without
+   * ET, marked content without EMC)
+   * @param {number} offset - End of the stream
+   * @param {Object} opened - State the stream started in, for nested streams:
+   *   { markedContentDepth, inTextObject }
+   */
+  finishContentStream(offset, opened = {}) {
+    const markedContentDepth = opened.markedContentDepth || 0;
+    this.operatorOffset = offset;
+    this.currentOperator = null;
+
+    if (this.stateStack.length > this.stackFloor) {
+      this.report('warning', 'unbalanced-q', `${this.stateStack.length - this.stackFloor} q operator(s) without matching Q`);
+    }
+    if (this.inTextObject && !opened.inTextObject) {
+      this.report('warning', 'unbalanced-bt', 'BT without matching ET');
+    }
+    if (this.markedContentStack.length > markedContentDepth) {
+      this.report('warning', 'unbalanced-marked-content',
+        `${this.markedContentStack.length - markedContentDepth} BMC/BDC operator(s) without matching EMC`);
+    }
+  }
+
   // Path construction operators
 
   opMoveTo(operands) {
@@ -439,15 +825,51 @@ class PDFContentParser {
     this.currentPath.style.strokeWidth = this.graphicsState.lineWidth;
     this.currentPath.style.strokeLinecap = this.graphicsState.lineCap;
     this.currentPath.style.strokeLinejoin = this.graphicsState.lineJoin;
+    this.currentPath.style.strokeDasharray = this.graphicsState.dashArray;
 
     this.finishPath();
   }
 
   opEndPath() {
     // End path without painting (discard current path)
+    this.applyPendingClip();
     this.currentPath = null;
   }
 
+  // Clipping path operators
+
+  opClip(fillRule) {
+    this.pendingClip = fillRule;
+  }
+
+  /**
+   * Intersect the clipping region with the current path if W/W* was seen
+   * Called when the path is ended, after it has been painted with the old clip
+   */
+  applyPendingClip() {
+    if (this.pendingClip && this.currentPath && this.currentPath.subpaths.length > 0) {
+      this.pushClip(this.currentPath.subpaths, this.currentPath.transform, this.pendingClip);
+    }
+    this.pendingClip = null;
+  }
+
+  /**
+   * Add a clip to the graphics state's clip chain
+   * Clip entries are immutable and linked to the clip they were intersected
+   * with, so q/Q only has to save and restore the innermost entry.
+   * @param {Array} subpaths - Clip geometry in user space
+   * @param {Object} transform - CTM the geometry was defined under
+   * @param {string} fillRule - 'nonzero' or 'evenodd'
+   */
+  pushClip(subpaths, transform, fillRule) {
+    this.graphicsState.clip = {
+      subpaths,
+      transform: { ...transform },
+      fillRule,
+      parent: this.graphicsState.clip
+    };
+  }
+
   // Graphics state operators
 
   opSetLineWidth(operands) {
@@ -467,10 +889,179 @@ class PDFContentParser {
     this.graphicsState.lineJoin = ['miter', 'round', 'bevel'][join] || 'miter';
   }
 
+  opSetMiterLimit(operands) {
+    if (operands.length < 1) return;
+    this.graphicsState.miterLimit = parseFloat(operands[0]);
+  }
+
+  opSetFlatness(operands) {
+    if (operands.length < 1) return;
+    this.graphicsState.flatness = parseFloat(operands[0]);
+  }
+
   opSetDash(operands) {
-    // Dash pattern: [array phase]
-    // For now, store as string
-    this.graphicsState.dashArray = operands.join(' ');
+    // Dash pattern: [array] phase
+    if (operands.length < 2) return;
+    const [dashArray, phase] = operands;
+    this.graphicsState.dashArray = Array.isArray(dashArray) ? dashArray.join(' ') : '';
+    this.graphicsState.dashPhase = typeof phase === 'number' ? phase : 0;
+  }
+
+  /**
+   * Apply the parameters of an /ExtGState resource
+   * @param {Array} operands - [name]
+   */
+  opSetExtGState(operands) {
+    if (operands.length < 1) return;
+    const name = operands[operands.length - 1];
+    const extGState = this.lookupResource('ExtGState', name);
+
+    if (!extGState || !extGState.lookup) {
+      this.report('warning', 'missing-resource', `Graphics state ${name} not found in resources`);
+      return;
+    }
+
+    const state = this.graphicsState;
+    const get = key => extGState.lookup(PDFName.of(key));
+    const number = key => {
+      const value = get(key);
+      return value instanceof PDFNumber ? value.asNumber() : null;
+    };
+    const bool = key => {
+      const value = get(key);
+      return value instanceof PDFBool ? value.asBoolean() : null;
+    };
+
+    // Line style
+    const lineWidth = number('LW');
+    if (lineWidth !== null) state.lineWidth = lineWidth;
+
+    const lineCap = number('LC');
+    if (lineCap !== null) state.lineCap = ['butt', 'round', 'square'][lineCap] || 'butt';
+
+    const lineJoin = number('LJ');
+    if (lineJoin !== null) state.lineJoin = ['miter', 'round', 'bevel'][lineJoin] || 'miter';
+
+    const miterLimit = number('ML');
+    if (miterLimit !== null) state.miterLimit = miterLimit;
+
+    // Dash pattern: [[dash array] phase]
+    const dash = get('D');
+    if (dash instanceof PDFArray && dash.size() >= 2) {
+      const dashArray = this.pdfContext ? this.pdfContext.lookup(dash.get(0)) : dash.get(0);
+      const values = dashArray instanceof PDFArray
+        ? dashArray.asArray().map(entry => (entry instanceof PDFNumber ? entry.asNumber() : 0))
+        : [];
+      const phase = dash.get(1);
+      state.dashArray = values.join(' ');
+      state.dashPhase = phase instanceof PDFNumber ? phase.asNumber() : 0;
+    }
+
+    const flatness = number('FL');
+    if (flatness !== null) state.flatness = flatness;
+
+    // Transparency
+    const strokeAlpha = number('CA');
+    if (strokeAlpha !== null) state.strokeOpacity = strokeAlpha;
+
+    const fillAlpha = number('ca');
+    if (fillAlpha !== null) state.fillOpacity = fillAlpha;
+
+    const alphaIsShape = bool('AIS');
+    if (alphaIsShape !== null) state.alphaIsShape = alphaIsShape;
+
+    const blendMode = get('BM');
+    if (blendMode) state.blendMode = this.resolveBlendMode(blendMode);
+
+    const softMask = get('SMask');
+    if (softMask) {
+      state.softMask = softMask.lookup ? this.readSoftMask(softMask) : null; // /None
+    }
+
+    // Overprint
+    const strokeOverprint = bool('OP');
+    if (strokeOverprint !== null) {
+      state.strokeOverprint = strokeOverprint;
+      // /op defaults to /OP when absent
+      if (bool('op') === null) state.fillOverprint = strokeOverprint;
+    }
+
+    const fillOverprint = bool('op');
+    if (fillOverprint !== null) state.fillOverprint = fillOverprint;
+  }
+
+  /**
+   * Read a soft mask dictionary and paint its transparency group
+   * The group is painted by its own parser at the CTM in effect at gs, which
+   * is the coordinate system the mask is defined in.
+   * @param {PDFDict} dict - /SMask dictionary
+   * @returns {Object|null} { subtype, paths, backdrop }
+   */
+  readSoftMask(dict) {
+    const subtypeEntry = dict.lookup(PDFName.of('S'));
+    const subtype = subtypeEntry ? subtypeEntry.toString().replace(/^\//, '') : 'Luminosity';
+    const group = dict.lookup(PDFName.of('G'));
+
+    if (!group || !group.dict) {
+      this.report('warning', 'soft-mask', 'Soft mask has no transparency group; ignored');
+      return null;
+    }
+
+    const parser = new PDFContentParser({
+      pdfContext: this.pdfContext,
+      resources: this.resources,
+      fontDict: this.fontDict,
+      maxFormDepth: this.maxFormDepth,
+      outlineText: this.outlineText,
+      diagnostics: this.diagnostics,
+      streamId: this.streamId
+    });
+    parser.formStack = [...this.formStack];
+    parser.graphicsState.ctm = { ...this.graphicsState.ctm };
+    parser.executeForm(group);
+
+    // A luminosity mask shows its backdrop (/BC, in the group's color space)
+    // wherever the group paints nothing; the default backdrop is black
+    let backdrop = null;
+    const backdropEntry = dict.lookup(PDFName.of('BC'));
+    if (subtype === 'Luminosity' && backdropEntry instanceof PDFArray) {
+      const components = backdropEntry.asArray().map(n => parseFloat(n.toString()));
+      const groupAttributes = group.dict.lookup(PDFName.of('Group'));
+      const groupColorSpace = groupAttributes && groupAttributes.lookup
+        ? groupAttributes.lookup(PDFName.of('CS'))
+        : null;
+      const colorSpace = (groupColorSpace && ColorSpace.resolve(groupColorSpace, {
+        context: this.pdfContext,
+        getStreamData: stream => this.getStreamData(stream)
+      })) || ColorSpace.device(['DeviceGray', null, 'DeviceRGB', 'DeviceCMYK'][components.length - 1]);
+      const rgb = colorSpace ? colorSpace.toRGB(components) : null;
+      if (rgb) {
+        backdrop = this.rgbToHex(rgb[0], rgb[1], rgb[2]);
+      }
+    }
+
+    return {
+      subtype,
+      paths: parser.paths,
+      backdrop: backdrop === '#000000' ? null : backdrop
+    };
+  }
+
+  /**
+   * Resolve a /BM entry to a blend mode name
+   * Arrays list modes in order of preference; the first known one is used
+   * @param {PDFName|PDFArray} blendMode - /BM value
+   * @returns {string} PDF blend mode name (e.g. 'Multiply')
+   */
+  resolveBlendMode(blendMode) {
+    const names = blendMode instanceof PDFArray ? blendMode.asArray() : [blendMode];
+
+    for (const entry of names) {
+      const name = entry.toString().replace(/^\//, '');
+      if (BLEND_MODES[name]) return name;
+    }
+
+    return 'Normal';
   }
 
   opSaveState() {
@@ -478,8 +1069,10 @@ class PDFContentParser {
   }
 
   opRestoreState() {
-    if (this.stateStack.length > 0) {
+    if (this.stateStack.length > this.stackFloor) {
       this.graphicsState = this.stateStack.pop();
+    } else {
+      this.report('warning', 'unbalanced-q', 'Q without matching q ignored');
     }
   }
 
@@ -495,85 +1088,861 @@ class PDFContentParser {
       f: parseFloat(operands[5])
     };
 
-    this.graphicsState.ctm = this.multiplyMatrices(this.graphicsState.ctm, matrix);
+    // CTM' = M × CTM (the new matrix applies to user space first)
+    this.graphicsState.ctm = this.multiplyMatrices(matrix, this.graphicsState.ctm);
   }
 
-  // Color operators
-
-  opSetGray(operands, target) {
-    if (operands.length < 1) return;
-    const gray = parseFloat(operands[0]);
-    const color = this.grayToHex(gray);
+  // Marked content operators
+
+  opBeginMarkedContent(operands, hasProperties) {
+    const tag = operands.length > 0 ? String(operands[0]).replace(/^\//, '') : null;
+    let properties = null;
+    let layer = null;
+    let attributes = null;
+    let mcid = null;
+    let stream = null;
+
+    if (hasProperties && operands.length >= 2) {
+      // Property list is either inline or a name in the /Properties resources
+      properties = typeof operands[1] === 'string'
+        ? this.lookupResource('Properties', operands[1])
+        : operands[1];
+      if (!properties) {
+        this.report('warning', 'missing-resource', `Property list ${operands[1]} not found in resources`);
+      }
 
-    if (target === 'fill') {
-      this.graphicsState.fillColor = color;
-    } else {
-      this.graphicsState.strokeColor = color;
+      if (tag === 'OC' && properties) {
+        layer = this.resolveOptionalContentName(properties);
+      } else if (properties) {
+        attributes = this.propertyValue(properties);
+        if (attributes && typeof attributes.MCID === 'number') {
+          // MCIDs are numbered per content stream: the page's, or a form's
+          mcid = attributes.MCID;
+          const form = this.formStack[this.formStack.length - 1];
+          stream = form ? this.streamRef(form) : null;
+        }
+      }
     }
-  }
 
-  opSetRGB(operands, target) {
-    if (operands.length < 3) return;
-    const r = parseFloat(operands[0]);
-    const g = parseFloat(operands[1]);
-    const b = parseFloat(operands[2]);
-    const color = this.rgbToHex(r, g, b);
+    this.markedContentStack.push({ tag, properties, layer, attributes, mcid, stream });
+  }
 
-    if (target === 'fill') {
-      this.graphicsState.fillColor = color;
+  opEndMarkedContent() {
+    if (this.markedContentStack.length > 0) {
+      this.markedContentStack.pop();
     } else {
-      this.graphicsState.strokeColor = color;
+      this.report('warning', 'unbalanced-marked-content', 'EMC without matching BMC/BDC ignored');
     }
   }
 
-  opSetCMYK(operands, target) {
-    if (operands.length < 4) return;
-    const c = parseFloat(operands[0]);
-    const m = parseFloat(operands[1]);
-    const y = parseFloat(operands[2]);
-    const k = parseFloat(operands[3]);
-    const color = this.cmykToHex(c, m, y, k);
+  /**
+   * Resolve an Optional Content Group (or membership dictionary) to a layer name
+   * @param {PDFDict} ocDict - /OCG or /OCMD dictionary
+   * @returns {string|null} Layer name
+   */
+  resolveOptionalContentName(ocDict) {
+    try {
+      if (ocDict && !ocDict.lookup && this.pdfContext) {
+        ocDict = this.pdfContext.lookup(ocDict);
+      }
+      if (!ocDict || !ocDict.lookup) return null;
 
-    if (target === 'fill') {
-      this.graphicsState.fillColor = color;
-    } else {
-      this.graphicsState.strokeColor = color;
-    }
-  }
+      const type = ocDict.lookup(PDFName.of('Type'));
 
-  // Helper methods
+      // Membership dictionaries reference one or more OCGs
+      if (type && type.toString() === '/OCMD') {
+        const ocgs = ocDict.lookup(PDFName.of('OCGs'));
+        if (!ocgs) return null;
 
-  createPath() {
-    return {
-      subpaths: [],
-      currentPoint: null,
-      operation: null,
-      style: {},
-      transform: this.graphicsState.ctm
-    };
-  }
+        const members = ocgs.asArray ? ocgs.asArray() : [ocgs];
+        const names = members
+          .map(member => this.resolveOptionalContentName(member))
+          .filter(name => name);
+        return names.length > 0 ? names.join(', ') : null;
+      }
 
-  getCurrentSubpath() {
-    if (!this.currentPath || this.currentPath.subpaths.length === 0) {
+      const name = ocDict.lookup(PDFName.of('Name'));
+      if (!name) return null;
+      return name.decodeText ? name.decodeText() : name.toString();
+    } catch (error) {
       return null;
     }
-    return this.currentPath.subpaths[this.currentPath.subpaths.length - 1];
   }
 
-  finishPath() {
-    if (this.currentPath) {
-      this.paths.push(this.currentPath);
-      this.currentPath = null;
+  /**
+   * Convert a marked content property list to plain values
+   * Inline dictionaries arrive as operand values, named ones as PDF objects.
+   * @param {*} value - Operand value or PDF object
+   * @returns {*} Plain value (names without slash, strings decoded)
+   */
+  propertyValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof PDFObject) return StructureTreeReader.plainValue(value, this.pdfContext);
+    if (typeof value === 'string') return value.startsWith('/') ? value.substring(1) : value;
+    if (typeof value !== 'object') return value;
+    if (value.type === 'string' || value.type === 'hexstring') {
+      return StructureTreeReader.decodeTextBytes(value.value);
     }
-  }
+    if (Array.isArray(value)) return value.map(entry => this.propertyValue(entry));
 
-  grayToHex(gray) {
-    const val = Math.round(gray * 255);
-    const hex = val.toString(16).padStart(2, '0');
-    return `#${hex}${hex}${hex}`;
+    const plain = {};
+    for (const [key, entry] of Object.entries(value)) {
+      plain[key] = this.propertyValue(entry);
+    }
+    return plain;
   }
 
-  rgbToHex(r, g, b) {
+  /**
+   * Object reference of a stream, as the structure tree names it in /Stm
+   * @param {PDFRawStream} stream - Form or image XObject
+   * @returns {string|null} Reference such as "12 0 R"
+   */
+  streamRef(stream) {
+    if (!this.streamRefCache.has(stream)) {
+      const ref = this.pdfContext ? this.pdfContext.getObjectRef(stream) : null;
+      this.streamRefCache.set(stream, ref ? ref.toString() : null);
+    }
+    return this.streamRefCache.get(stream);
+  }
+
+  /**
+   * Get marked content tags for the object being emitted
+   * @returns {Object} { layer, layerPath, mcid, mcidStream, markedContent }:
+   *   innermost layer name and full nesting, innermost MCID (and the form
+   *   holding it, null for page content) and the property lists in effect,
+   *   outermost first
+   */
+  getMarkedContentTags() {
+    const layerPath = [];
+    const markedContent = [];
+    let mcid = null;
+    let mcidStream = null;
+
+    for (const entry of this.markedContentStack) {
+      if (entry.layer) layerPath.push(entry.layer);
+      if (entry.attributes) markedContent.push({ tag: entry.tag, properties: entry.attributes });
+      if (typeof entry.mcid === 'number') {
+        mcid = entry.mcid;
+        mcidStream = entry.stream;
+      }
+    }
+
+    return {
+      layer: layerPath.length > 0 ? layerPath[layerPath.length - 1] : null,
+      layerPath,
+      mcid,
+      mcidStream,
+      markedContent
+    };
+  }
+
+  // XObject operators
+
+  opPaintXObject(operands) {
+    if (operands.length < 1) return;
+
+    const xObject = this.lookupResource('XObject', operands[0]);
+    if (!xObject) {
+      this.report('error', 'missing-resource', `XObject ${operands[0]} not found in resources`);
+      return;
+    }
+    if (!xObject.dict) return;
+
+    const subtype = xObject.dict.get(PDFName.of('Subtype'));
+    if (subtype && subtype.toString() === '/Form') {
+      this.executeForm(xObject);
+    } else if (subtype && subtype.toString() === '/Image') {
+      // The image fills the unit square of user space; its samples are read
+      // by RasterExtractor, which matches placements by object reference
+      this.imagePlacements.push({
+        name: String(operands[0]).replace(/^\//, ''),
+        ref: this.streamRef(xObject),
+        stream: this.currentStreamId(),
+        ctm: { ...this.graphicsState.ctm },
+        clip: this.graphicsState.clip,
+        ...this.getMarkedContentTags()
+      });
+    }
+  }
+
+  // Inline image operators
+
+  /**
+   * Collect the inline image dictionary (key/value operands between BI and ID)
+   * Abbreviated keys and names are expanded to their image XObject equivalents.
+   * @param {Array} operands - Alternating '/Key' names and values
+   */
+  opBeginImageData(operands) {
+    const dict = {};
+    for (let i = 0; i + 1 < operands.length; i += 2) {
+      if (typeof operands[i] !== 'string') continue;
+      const key = operands[i].replace(/^\//, '');
+      dict[INLINE_IMAGE_KEYS[key] || key] = operands[i + 1];
+    }
+    this.inlineImageDict = dict;
+  }
+
+  /**
+   * Emit an inline image as a raster object placed by the current CTM
+   * (the image occupies the unit square of user space, like an image XObject)
+   * @param {Array} operands - [data] image bytes from the lexer
+   */
+  opEndInlineImage(operands) {
+    const dict = this.inlineImageDict || {};
+    const data = Buffer.isBuffer(operands[0]) ? operands[0] : Buffer.alloc(0);
+    this.inlineImageDict = null;
+
+    const toArray = value => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+    const filters = toArray(dict.Filter)
+      .filter(name => typeof name === 'string')
+      .map(name => {
+        const cleanName = name.replace(/^\//, '');
+        return StreamDecoder.FILTER_ALIASES[cleanName] || cleanName;
+      });
+    const decodeParms = toArray(dict.DecodeParms).map(parms => parms || {});
+
+    const expandName = value => {
+      if (typeof value !== 'string') return value;
+      const cleanName = value.replace(/^\//, '');
+      return `/${INLINE_IMAGE_NAMES[cleanName] || cleanName}`;
+    };
+    let colorSpace = dict.ColorSpace;
+    if (Array.isArray(colorSpace)) {
+      colorSpace = [expandName(colorSpace[0]), ...colorSpace.slice(1).map(expandName)];
+    } else if (colorSpace !== undefined) {
+      colorSpace = expandName(colorSpace);
+    }
+
+    const imageMask = dict.ImageMask === true;
+
+    this.images.push({
+      type: 'inline',
+      width: typeof dict.Width === 'number' ? dict.Width : 0,
+      height: typeof dict.Height === 'number' ? dict.Height : 0,
+      bitsPerComponent: imageMask ? 1 : (typeof dict.BitsPerComponent === 'number' ? dict.BitsPerComponent : 8),
+      colorSpace: imageMask ? null : (colorSpace || null),
+      imageMask,
+      // Stencil masks are painted in the current fill color
+      fillColor: imageMask ? this.graphicsState.fillColor : null,
+      decode: Array.isArray(dict.Decode) ? dict.Decode : null,
+      interpolate: dict.Interpolate === true,
+      filter: filters,
+      decodeParms,
+      data,
+      ctm: { ...this.graphicsState.ctm },
+      clip: this.graphicsState.clip,
+      ...this.getMarkedContentTags()
+    });
+  }
+
+  /**
+   * Execute a Form XObject's content stream in place
+   * The form runs inside an implicit q/Q with its /Matrix concatenated onto the
+   * CTM at the call site, and with its own /Resources (if any) in scope.
+   * @param {PDFRawStream} form - Form XObject stream
+   */
+  executeForm(form) {
+    if (this.formStack.includes(form)) {
+      this.report('warning', 'form-recursion', 'Form XObject invokes itself; skipped');
+      return;
+    }
+    if (this.formStack.length >= this.maxFormDepth) {
+      this.report('warning', 'form-depth', `Form XObject nested deeper than ${this.maxFormDepth} levels; skipped`);
+      return;
+    }
+
+    const data = this.getStreamData(form);
+    if (!data) return;
+
+    const saved = {
+      resources: this.resources,
+      fontDict: this.fontDict,
+      currentPath: this.currentPath,
+      currentFont: this.currentFont,
+      currentFontSize: this.currentFontSize,
+      inTextObject: this.inTextObject,
+      textMatrix: this.textMatrix,
+      textLineMatrix: this.textLineMatrix,
+      patternMatrix: this.patternMatrix,
+      stackFloor: this.stackFloor
+    };
+
+    this.opSaveState();
+    const stackDepth = this.stateStack.length;
+    this.stackFloor = stackDepth;
+
+    const matrix = form.dict.lookup(PDFName.of('Matrix'));
+    if (matrix && matrix.asArray) {
+      this.opConcatMatrix(matrix.asArray().map(n => n.toString()));
+    }
+    this.patternMatrix = { ...this.graphicsState.ctm };
+
+    // Form content is clipped to its /BBox in form space
+    const bbox = form.dict.lookup(PDFName.of('BBox'));
+    if (bbox && bbox.asArray && bbox.size() === 4) {
+      const [x1, y1, x2, y2] = bbox.asArray().map(n => parseFloat(n.toString()));
+      this.pushClip([{
+        segments: [
+          { type: 'line', point: { x: x2, y: y1 } },
+          { type: 'line', point: { x: x2, y: y2 } },
+          { type: 'line', point: { x: x1, y: y2 } }
+        ],
+        closed: true,
+        startPoint: { x: x1, y: y1 }
+      }], this.graphicsState.ctm, 'nonzero');
+    }
+
+    // Forms without /Resources inherit those of the invoking stream
+    const formResources = form.dict.lookup(PDFName.of('Resources'));
+    if (formResources) {
+      this.setResources(formResources);
+    }
+
+    // A form with its own /OC entry belongs to that layer as a whole
+    const formOC = form.dict.lookup(PDFName.of('OC'));
+    const markedContentDepth = this.markedContentStack.length;
+    if (formOC) {
+      this.markedContentStack.push({
+        tag: 'OC',
+        properties: formOC,
+        layer: this.resolveOptionalContentName(formOC)
+      });
+    }
+
+    this.currentPath = null;
+    this.formStack.push(form);
+    const opened = {
+      markedContentDepth: this.markedContentStack.length,
+      inTextObject: this.inTextObject
+    };
+
+    try {
+      this.processLexer(new PDFLexer(data));
+      this.finishContentStream(data.length, opened);
+    } finally {
+      this.formStack.pop();
+
+      // Close marked content the form left open, including its own /OC entry
+      this.markedContentStack.length = markedContentDepth;
+
+      // Discard any unbalanced q operators left by the form, then its implicit q
+      this.stateStack.length = stackDepth;
+      this.stackFloor = saved.stackFloor;
+      this.opRestoreState();
+
+      this.resources = saved.resources;
+      this.fontDict = saved.fontDict;
+      this.currentPath = saved.currentPath;
+      this.currentFont = saved.currentFont;
+      this.currentFontSize = saved.currentFontSize;
+      this.inTextObject = saved.inTextObject;
+      this.textMatrix = saved.textMatrix;
+      this.textLineMatrix = saved.textLineMatrix;
+      this.patternMatrix = saved.patternMatrix;
+    }
+  }
+
+  // Shading operators
+
+  /**
+   * Paint a shading (sh) as a filled path
+   * The painted area is the shading's /BBox (or a mesh's extent) within the
+   * current clip; without either it is the clip region, or else the page.
+   * @param {Array} operands - [/ShadingName]
+   */
+  opPaintShading(operands) {
+    if (operands.length < 1) return;
+
+    const shadingObj = this.lookupResource('Shading', operands[0]);
+    if (!shadingObj) {
+      this.report('error', 'missing-resource', `Shading ${operands[0]} not found in resources`);
+      return;
+    }
+    const shading = this.getShading(shadingObj);
+    if (!shading) return;
+
+    const state = this.graphicsState;
+    const rectangle = ([x1, y1, x2, y2]) => [{
+      segments: [
+        { type: 'line', point: { x: x2, y: y1 } },
+        { type: 'line', point: { x: x2, y: y2 } },
+        { type: 'line', point: { x: x1, y: y2 } }
+      ],
+      closed: true,
+      startPoint: { x: x1, y: y1 }
+    }];
+
+    let subpaths;
+    let transform = state.ctm;
+    const region = shading.bbox || shading.getMeshBounds();
+    if (region) {
+      subpaths = rectangle(region);
+    } else if (state.clip) {
+      subpaths = state.clip.subpaths;
+      transform = state.clip.transform;
+    } else if (this.pageBox) {
+      subpaths = rectangle(this.pageBox);
+      transform = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+    } else {
+      return;
+    }
+
+    // Paths in progress are unaffected by sh
+    const savedPath = this.currentPath;
+    const savedClip = this.pendingClip;
+    this.pendingClip = null;
+
+    const description = shading.describe(state.ctm);
+    this.currentPath = {
+      ...this.createPath(),
+      subpaths,
+      transform: { ...transform },
+      operation: 'fill',
+      shading: true,
+      style: {
+        fill: description.averageColor || 'none',
+        fillRule: 'nonzero',
+        fillShading: description
+      }
+    };
+    this.finishPath();
+
+    this.currentPath = savedPath;
+    this.pendingClip = savedClip;
+  }
+
+  /**
+   * Parse a shading object (cached per object)
+   * @param {PDFDict|PDFRawStream} obj - Shading dictionary or stream
+   * @returns {PDFShading|null} Shading, or null if it cannot be read
+   */
+  getShading(obj) {
+    if (!obj || typeof obj !== 'object') return null;
+
+    if (!this.shadingCache.has(obj)) {
+      let shading = null;
+      try {
+        shading = new PDFShading(obj, {
+          context: this.pdfContext,
+          getStreamData: stream => this.getStreamData(stream),
+          lookupNamed: named => this.lookupResource('ColorSpace', named),
+          report: (severity, code, message) => this.report(severity, code, message)
+        });
+      } catch (error) {
+        this.report('error', 'shading', `Could not read shading: ${error.message}`);
+      }
+      this.shadingCache.set(obj, shading);
+    }
+
+    return this.shadingCache.get(obj);
+  }
+
+  /**
+   * Select a pattern for filling or stroking (scn/SCN with a pattern name)
+   * Shading patterns (/PatternType 2) are described for gradient output and
+   * their average color becomes the current color. Tiling patterns
+   * (/PatternType 1) carry their parsed cell; a colored cell's dominant color
+   * becomes current, uncolored cells paint in the color given with scn.
+   * @param {string} target - 'fill' or 'stroke'
+   * @param {string} name - Pattern resource name
+   */
+  selectPattern(target, name) {
+    this.graphicsState[`${target}Pattern`] = name;
+    this.graphicsState[`${target}Shading`] = null;
+    this.graphicsState[`${target}Tiling`] = null;
+
+    let pattern = this.lookupResource('Pattern', name);
+    if (!pattern) {
+      this.report('warning', 'missing-resource', `Pattern /${name} not found in resources`);
+      return;
+    }
+    if (!pattern.lookup && this.pdfContext) {
+      pattern = this.pdfContext.lookup(pattern);
+    }
+    const dict = pattern instanceof PDFStream ? pattern.dict : pattern;
+    if (!dict || !dict.lookup) return;
+
+    const patternType = dict.lookup(PDFName.of('PatternType'));
+    if (!(patternType instanceof PDFNumber)) return;
+
+    // The pattern matrix maps pattern space to the parent stream's default space
+    let matrix = this.patternMatrix;
+    const patternMatrix = dict.lookup(PDFName.of('Matrix'));
+    if (patternMatrix instanceof PDFArray && patternMatrix.size() === 6) {
+      const [a, b, c, d, e, f] = patternMatrix.asArray().map(n => parseFloat(n.toString()));
+      matrix = this.multiplyMatrices({ a, b, c, d, e, f }, matrix);
+    }
+
+    if (patternType.asNumber() === 1) {
+      const cell = pattern instanceof PDFStream ? this.getTilingCell(pattern) : null;
+      if (!cell) return;
+
+      this.graphicsState[`${target}Tiling`] = { ...cell, matrix: { ...matrix } };
+      if (cell.paintType === 1 && cell.color) {
+        this.graphicsState[`${target}Color`] = cell.color;
+      }
+      return;
+    }
+
+    if (patternType.asNumber() !== 2) return;
+
+    const shading = this.getShading(dict.lookup(PDFName.of('Shading')));
+    if (!shading) return;
+
+    const description = shading.describe(matrix);
+    this.graphicsState[`${target}Shading`] = description;
+    if (description.averageColor) {
+      this.graphicsState[`${target}Color`] = description.averageColor;
+    }
+  }
+
+  /**
+   * Parse a tiling pattern's cell (cached per pattern stream)
+   * The cell runs in its own parser, in pattern space and clipped to the
+   * pattern's /BBox, with the pattern's /Resources (or else the current ones).
+   * @param {PDFRawStream} pattern - Tiling pattern stream
+   * @returns {Object|null} { patternType, paintType, tilingType, bbox, xStep, yStep, paths, color }
+   */
+  getTilingCell(pattern) {
+    if (this.tilingCache.has(pattern)) return this.tilingCache.get(pattern);
+
+    // Cells that paint with their own pattern are not parsed again
+    if (this.formStack.includes(pattern) || this.formStack.length >= this.maxFormDepth) {
+      return null;
+    }
+
+    const dict = pattern.dict;
+    const number = key => {
+      const value = dict.lookup(PDFName.of(key));
+      return value instanceof PDFNumber ? value.asNumber() : 0;
+    };
+    const bboxEntry = dict.lookup(PDFName.of('BBox'));
+    const bbox = bboxEntry instanceof PDFArray && bboxEntry.size() === 4
+      ? bboxEntry.asArray().map(n => parseFloat(n.toString()))
+      : null;
+    const xStep = number('XStep');
+    const yStep = number('YStep');
+
+    let cell = null;
+    if (!bbox || !xStep || !yStep) {
+      this.report('warning', 'pattern', 'Tiling pattern has no usable /BBox, /XStep or /YStep');
+    } else {
+      const data = this.getStreamData(pattern);
+      if (data) {
+        const parser = new PDFContentParser({
+          pdfContext: this.pdfContext,
+          resources: dict.lookup(PDFName.of('Resources')) || this.resources,
+          fontDict: this.fontDict,
+          maxFormDepth: this.maxFormDepth,
+          outlineText: this.outlineText,
+          diagnostics: this.diagnostics,
+          streamId: this.streamId
+        });
+        parser.formStack = [...this.formStack, pattern];
+
+        const [x1, y1, x2, y2] = bbox;
+        parser.pushClip([{
+          segments: [
+            { type: 'line', point: { x: x2, y: y1 } },
+            { type: 'line', point: { x: x2, y: y2 } },
+            { type: 'line', point: { x: x1, y: y2 } }
+          ],
+          closed: true,
+          startPoint: { x: x1, y: y1 }
+        }], parser.graphicsState.ctm, 'nonzero');
+
+        const { paths } = parser.parseContentStream(data);
+        cell = {
+          patternType: 1,
+          paintType: number('PaintType') || 1,
+          tilingType: number('TilingType') || 1,
+          bbox,
+          xStep,
+          yStep,
+          paths,
+          color: this.dominantColor(paths)
+        };
+      }
+    }
+
+    this.tilingCache.set(pattern, cell);
+    return cell;
+  }
+
+  /**
+   * Most frequently painted color among a set of paths
+   * @param {Array} paths - Parsed paths
+   * @returns {string|null} Hex color
+   */
+  dominantColor(paths) {
+    const counts = new Map();
+
+    for (const path of paths) {
+      const paints = [];
+      if (path.operation === 'fill' || path.operation === 'fill-stroke') paints.push(path.style.fill);
+      if (path.operation === 'stroke' || path.operation === 'fill-stroke') paints.push(path.style.stroke);
+      for (const paint of paints) {
+        if (paint && paint !== 'none') counts.set(paint, (counts.get(paint) || 0) + 1);
+      }
+    }
+
+    let dominant = null;
+    for (const [color, count] of counts) {
+      if (!dominant || count > counts.get(dominant)) dominant = color;
+    }
+    return dominant;
+  }
+
+  // Color operators
+
+  opSetGray(operands, target) {
+    if (operands.length < 1) return;
+    const gray = parseFloat(operands[0]);
+    this.setDeviceColor(target, 'DeviceGray', this.grayToHex(gray));
+  }
+
+  opSetRGB(operands, target) {
+    if (operands.length < 3) return;
+    const r = parseFloat(operands[0]);
+    const g = parseFloat(operands[1]);
+    const b = parseFloat(operands[2]);
+    this.setDeviceColor(target, 'DeviceRGB', this.rgbToHex(r, g, b));
+  }
+
+  opSetCMYK(operands, target) {
+    if (operands.length < 4) return;
+    const c = parseFloat(operands[0]);
+    const m = parseFloat(operands[1]);
+    const y = parseFloat(operands[2]);
+    const k = parseFloat(operands[3]);
+    this.setDeviceColor(target, 'DeviceCMYK', this.cmykToHex(c, m, y, k));
+  }
+
+  opSetColorSpace(operands, target) {
+    if (operands.length < 1) return;
+    const name = operands[operands.length - 1];
+    const colorSpace = this.resolveColorSpace(name);
+
+    if (!colorSpace) {
+      this.report('warning', 'color-space', `Unsupported color space ${name}`);
+      return;
+    }
+
+    this.graphicsState[`${target}ColorSpace`] = colorSpace;
+    this.graphicsState[`${target}Pattern`] = null;
+    this.graphicsState[`${target}Shading`] = null;
+    this.graphicsState[`${target}Tiling`] = null;
+    this.applyColor(target, colorSpace.getInitialColor());
+  }
+
+  opSetColor(operands, target) {
+    const colorSpace = this.graphicsState[`${target}ColorSpace`];
+
+    // scn/SCN in a Pattern space end with the pattern name
+    let components = operands;
+    if (operands.length > 0 && String(operands[operands.length - 1]).startsWith('/')) {
+      this.selectPattern(target, operands[operands.length - 1].substring(1));
+      components = operands.slice(0, -1);
+    }
+
+    const values = components.map(value => parseFloat(value)).filter(value => !isNaN(value));
+    if (values.length > 0 || colorSpace.family !== 'Pattern') {
+      this.applyColor(target, values);
+    }
+  }
+
+  /**
+   * Convert components in the current color space and make the result current
+   * @param {string} target - 'fill' or 'stroke'
+   * @param {Array<number>} components - Color components
+   */
+  applyColor(target, components) {
+    const colorSpace = this.graphicsState[`${target}ColorSpace`];
+    if (components.length === 0 && colorSpace.numComponents > 0) return;
+
+    // Colors that paint nothing (e.g. the /None separation) become 'none'
+    const rgb = colorSpace.toRGB(components);
+    if (rgb) {
+      this.graphicsState[`${target}Color`] = this.rgbToHex(rgb[0], rgb[1], rgb[2]);
+    } else if (colorSpace.family !== 'Pattern') {
+      this.graphicsState[`${target}Color`] = 'none';
+    }
+  }
+
+  setDeviceColor(target, family, color) {
+    this.graphicsState[`${target}ColorSpace`] = ColorSpace.device(family);
+    this.graphicsState[`${target}Pattern`] = null;
+    this.graphicsState[`${target}Shading`] = null;
+    this.graphicsState[`${target}Tiling`] = null;
+    this.graphicsState[`${target}Color`] = color;
+  }
+
+  /**
+   * Resolve a color space operand (device family, Pattern or a /ColorSpace resource)
+   * @param {string} name - Color space name as it appears in the content stream
+   * @returns {ColorSpace|null} Resolved color space
+   */
+  resolveColorSpace(name) {
+    if (typeof name !== 'string') return null;
+    const cleanName = name.startsWith('/') ? name.substring(1) : name;
+
+    const device = ColorSpace.device(cleanName);
+    if (device) return device;
+    if (cleanName === 'Pattern') return ColorSpace.resolve('Pattern');
+
+    const obj = this.lookupResource('ColorSpace', cleanName);
+    if (!obj) return null;
+
+    if (!this.colorSpaceCache.has(obj)) {
+      let colorSpace = null;
+      try {
+        colorSpace = ColorSpace.resolve(obj, {
+          context: this.pdfContext,
+          getStreamData: stream => this.getStreamData(stream),
+          lookupNamed: named => this.lookupResource('ColorSpace', named),
+          report: (severity, code, message) => this.report(severity, code, message)
+        });
+      } catch (error) {
+        this.report('warning', 'color-space', `Could not resolve ${cleanName}: ${error.message}`);
+      }
+      this.colorSpaceCache.set(obj, colorSpace);
+    }
+
+    return this.colorSpaceCache.get(obj);
+  }
+
+  // Resource helpers
+
+  /**
+   * Make a resource dictionary current (fonts and XObjects are looked up in it)
+   * @param {PDFDict} resources - /Resources dictionary
+   */
+  setResources(resources) {
+    // Resource dictionaries may be given as indirect references
+    if (resources && !resources.lookup && this.pdfContext) {
+      resources = this.pdfContext.lookup(resources);
+    }
+
+    this.resources = resources || null;
+    this.fontDict = this.getResourceCategory('Font');
+  }
+
+  /**
+   * Get a resource category dictionary (e.g. Font, XObject) from current resources
+   * @param {string} category - Resource category name without leading slash
+   * @returns {PDFDict|null} Category dictionary
+   */
+  getResourceCategory(category) {
+    if (!this.resources || !this.resources.lookup) return null;
+    return this.resources.lookup(PDFName.of(category)) || null;
+  }
+
+  /**
+   * Look up a named resource (e.g. /Fm0) in the current resource scope
+   * @param {string} category - Resource category name without leading slash
+   * @param {string} name - Resource name as it appears in the content stream
+   * @returns {PDFObject|null} Resolved resource object
+   */
+  lookupResource(category, name) {
+    const dict = this.getResourceCategory(category);
+    if (!dict || typeof name !== 'string') return null;
+
+    const cleanName = name.startsWith('/') ? name.substring(1) : name;
+    return dict.lookup(PDFName.of(cleanName)) || null;
+  }
+
+  /**
+   * Get decoded stream bytes (runs the stream's full /Filter chain)
+   * @param {PDFRawStream} stream - PDF stream object
+   * @returns {Buffer|null} Decoded stream data
+   */
+  getStreamData(stream) {
+    try {
+      return this.streamDecoder.decode(stream);
+    } catch (error) {
+      this.report('error', 'stream-decode', `Could not decode stream: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Helper methods
+
+  createPath() {
+    return {
+      subpaths: [],
+      currentPoint: null,
+      operation: null,
+      style: {},
+      transform: this.graphicsState.ctm
+    };
+  }
+
+  getCurrentSubpath() {
+    if (!this.currentPath || this.currentPath.subpaths.length === 0) {
+      return null;
+    }
+    return this.currentPath.subpaths[this.currentPath.subpaths.length - 1];
+  }
+
+  finishPath() {
+    if (this.currentPath) {
+      Object.assign(this.currentPath, this.getMarkedContentTags());
+
+      // Pattern names (with shading gradients or tiling cells) travel with the
+      // style; the color is the fallback paint. Paths painted by sh carry their own.
+      const style = this.currentPath.style;
+      if (!this.currentPath.shading) {
+        if (style.fill && this.graphicsState.fillPattern) {
+          style.fillPattern = this.graphicsState.fillPattern;
+          if (this.graphicsState.fillShading) style.fillShading = this.graphicsState.fillShading;
+          if (this.graphicsState.fillTiling) style.fillTiling = this.graphicsState.fillTiling;
+        }
+        if (style.stroke && this.graphicsState.strokePattern) {
+          style.strokePattern = this.graphicsState.strokePattern;
+          if (this.graphicsState.strokeShading) style.strokeShading = this.graphicsState.strokeShading;
+          if (this.graphicsState.strokeTiling) style.strokeTiling = this.graphicsState.strokeTiling;
+        }
+      }
+
+      // Transparency from /ExtGState; only non-default values are recorded
+      if (style.fill && this.graphicsState.fillOpacity !== 1) {
+        style.fillOpacity = this.graphicsState.fillOpacity;
+      }
+      if (style.stroke) {
+        if (this.graphicsState.strokeOpacity !== 1) {
+          style.strokeOpacity = this.graphicsState.strokeOpacity;
+        }
+        if (this.graphicsState.miterLimit !== 10) {
+          style.strokeMiterlimit = this.graphicsState.miterLimit;
+        }
+        if (this.graphicsState.dashPhase) {
+          style.strokeDashoffset = this.graphicsState.dashPhase;
+        }
+      }
+      const blendMode = BLEND_MODES[this.graphicsState.blendMode];
+      if (blendMode !== 'normal') {
+        style.blendMode = blendMode; // CSS mix-blend-mode name
+      }
+
+      if (this.currentGlyph) {
+        this.currentPath.glyph = this.currentGlyph;
+      }
+
+      this.currentPath.clip = this.graphicsState.clip;
+      this.currentPath.softMask = this.graphicsState.softMask;
+      this.paths.push(this.currentPath);
+      this.applyPendingClip();
+      this.currentPath = null;
+    }
+  }
+
+  grayToHex(gray) {
+    const val = Math.round(gray * 255);
+    const hex = val.toString(16).padStart(2, '0');
+    return `#${hex}${hex}${hex}`;
+  }
+
+  rgbToHex(r, g, b) {
     const rHex = Math.round(r * 255).toString(16).padStart(2, '0');
     const gHex = Math.round(g * 255).toString(16).padStart(2, '0');
     const bHex = Math.round(b * 255).toString(16).padStart(2, '0');
@@ -604,6 +1973,9 @@ class PDFContentParser {
   // ============================================================================
 
   opBeginText() {
+    if (this.inTextObject) {
+      this.report('warning', 'unbalanced-bt', 'BT inside a text object (missing ET)');
+    }
     this.inTextObject = true;
     // Reset text matrices to identity
     this.textMatrix = [1, 0, 0, 1, 0, 0];
@@ -611,6 +1983,9 @@ class PDFContentParser {
   }
 
   opEndText() {
+    if (!this.inTextObject) {
+      this.report('warning', 'unbalanced-bt', 'ET without matching BT');
+    }
     this.inTextObject = false;
   }
 
@@ -619,6 +1994,10 @@ class PDFContentParser {
     if (operands.length >= 2) {
       this.currentFont = operands[0]; // Font resource name (e.g., /F1)
       this.currentFontSize = parseFloat(operands[1]);
+
+      if (!this.lookupFontDict(this.currentFont)) {
+        this.report('error', 'missing-font', `Font ${this.currentFont} not found in resources`);
+      }
     }
   }
 
@@ -636,365 +2015,461 @@ class PDFContentParser {
     if (operands.length >= 2) {
       const tx = parseFloat(operands[0]);
       const ty = parseFloat(operands[1]);
-      // Update text line matrix: Tlm = Tlm * [1 0 0 1 tx ty]
-      this.textLineMatrix[4] += tx;
-      this.textLineMatrix[5] += ty;
+      // Tlm = [1 0 0 1 tx ty] × Tlm: the offset is in text space, so it is
+      // scaled and rotated by the line matrix
+      const [a, b, c, d, e, f] = this.textLineMatrix;
+      this.textLineMatrix = [a, b, c, d, e + tx * a + ty * c, f + tx * b + ty * d];
       // Text matrix follows
       this.textMatrix = [...this.textLineMatrix];
     }
   }
 
   opMoveTextSetLeading(operands) {
-    // TD: tx ty (same as Td but also sets leading)
+    // TD: tx ty (same as Td but also sets leading to -ty)
+    if (operands.length >= 2) {
+      this.graphicsState.leading = -(parseFloat(operands[1]) || 0);
+    }
     this.opMoveText(operands);
   }
 
   opNextLine() {
-    // T*: Move to start of next line (uses text leading)
-    // For simplicity, just move down
-    this.textLineMatrix[5] -= this.currentFontSize * 1.2; // Approximate line spacing
-    this.textMatrix = [...this.textLineMatrix];
+    // T*: Move to start of next line (0 -TL Td)
+    this.opMoveText([0, -this.graphicsState.leading]);
+  }
+
+  opSetTextState(key, operands) {
+    if (operands.length < 1) return;
+    const value = parseFloat(operands[0]);
+    if (!isNaN(value)) {
+      this.graphicsState[key] = value;
+    }
   }
 
   opShowText(operands) {
     // Tj: (string) - show a text string
-    if (operands.length >= 1 && this.inTextObject) {
-      const rawText = operands[0];
-      const textString = this.decodeTextString(rawText);
-
-      // Extract position from text matrix (e, f components)
-      const x = this.textMatrix[4];
-      const y = this.textMatrix[5];
-
-      this.textObjects.push({
-        text: textString,
-        x: x,
-        y: y,
-        font: this.currentFont,
-        fontSize: this.currentFontSize,
-        fillColor: this.graphicsState.fillColor,
-        ctm: { ...this.graphicsState.ctm }
-      });
+    if (!this.inTextObject) {
+      this.report('error', 'text-outside-bt', 'Text shown outside BT/ET dropped');
+      return;
+    }
+    if (operands.length >= 1 && this.isStringOperand(operands[0])) {
+      this.showString(operands[0]);
     }
   }
 
   opShowTextPositioned(operands) {
     // TJ: [(string) offset (string) offset ...] - show text with positioning
-    if (operands.length >= 1 && this.inTextObject) {
-      const array = operands[0];
-
-      // Parse array - could be a string like "[(text)-123(more)]"
-      if (typeof array === 'string') {
-        // Extract strings from array notation
-        const matches = array.matchAll(/\(([^)]*)\)/g);
-        for (const match of matches) {
-          const textString = this.decodeTextString(`(${match[1]})`);
-
-          const x = this.textMatrix[4];
-          const y = this.textMatrix[5];
-
-          this.textObjects.push({
-            text: textString,
-            x: x,
-            y: y,
-            font: this.currentFont,
-            fontSize: this.currentFontSize,
-            fillColor: this.graphicsState.fillColor,
-            ctm: { ...this.graphicsState.ctm }
-          });
-        }
-      }
+    // Offsets are in thousandths of text space units and move the next glyph left
+    if (!this.inTextObject) {
+      this.report('error', 'text-outside-bt', 'Text shown outside BT/ET dropped');
+      return;
     }
-  }
-
-  decodeTextString(pdfString) {
-    // Check if this is a hex string (<...>) vs literal string (...)
-    const isHexString = pdfString.startsWith('<') && pdfString.endsWith('>');
-
-    if (isHexString) {
-      // Hex string: <48656C6C6F> represents bytes
-      const hexContent = pdfString.slice(1, -1).replace(/\s/g, '');
-
-      // Convert hex pairs to bytes
-      let bytes = '';
-      for (let i = 0; i < hexContent.length; i += 2) {
-        const hexPair = hexContent.substr(i, 2);
-        bytes += String.fromCharCode(parseInt(hexPair, 16));
-      }
-      pdfString = bytes;
-    } else if (pdfString.startsWith('(') && pdfString.endsWith(')')) {
-      // Literal string: (Hello)
-      pdfString = pdfString.slice(1, -1);
-
-      // Decode escape sequences
-      pdfString = pdfString
-        .replace(/\\n/g, '\n')
-        .replace(/\\r/g, '\r')
-        .replace(/\\t/g, '\t')
-        .replace(/\\b/g, '\b')
-        .replace(/\\f/g, '\f')
-        .replace(/\\\(/g, '(')
-        .replace(/\\\)/g, ')')
-        .replace(/\\\\/g, '\\');
-    }
-
-    // If we have font resources, try to decode using ToUnicode CMap
-    if (this.currentFont && this.fontDict && this.pdfContext) {
-      const decodedText = this.decodeWithCMap(pdfString, this.currentFont);
-      if (decodedText) {
-        return decodedText;
+    if (operands.length >= 1 && Array.isArray(operands[0])) {
+      const scale = this.graphicsState.horizontalScaling / 100;
+
+      for (const item of operands[0]) {
+        if (typeof item === 'number') {
+          this.advanceText(-(item / 1000) * this.currentFontSize * scale);
+        } else if (this.isStringOperand(item)) {
+          this.showString(item);
+        }
       }
     }
-
-    return pdfString;
   }
 
   /**
-   * Decode text using font's ToUnicode CMap
+   * Emit a text object for a string and move the text matrix past its glyphs
+   * Each glyph advances by (w0 * Tfs + Tc + Tw) * Th (ISO 32000 §9.4.4), with
+   * Tw applied to single-byte spaces only.
+   * @param {Object} operand - String token
    */
-  decodeWithCMap(text, fontName) {
-    try {
-      // Get or create CMap for this font
-      if (!this.fontCMaps[fontName]) {
-        const cmap = this.extractToUnicodeCMap(fontName);
-        if (cmap) {
-          this.fontCMaps[fontName] = cmap;
-        } else {
-          this.fontCMaps[fontName] = null; // Mark as unavailable
-          return null;
-        }
-      }
-
-      const cmap = this.fontCMaps[fontName];
-      if (!cmap) {
-        if (!this.loggedNoCMap) {
-          console.log(`  [Text Debug] No CMap available for ${fontName} - using raw text`);
-          this.loggedNoCMap = true;
-        }
-        return null;
-      }
+  showString(operand) {
+    const state = this.graphicsState;
+    const fontSize = this.currentFontSize;
+    const scale = state.horizontalScaling / 100;
+    const font = this.getFont(this.currentFont);
+    if (!this.currentFont) {
+      this.report('error', 'missing-font', 'Text shown before any Tf');
+    }
 
-      // Convert text bytes to character codes and map to Unicode
-      let result = '';
-      for (let i = 0; i < text.length; i++) {
-        const charCode = text.charCodeAt(i);
-
-        // Try 2-byte codes first (common in CID fonts)
-        if (i + 1 < text.length) {
-          const twoByteCode = (charCode << 8) | text.charCodeAt(i + 1);
-          if (cmap[twoByteCode] !== undefined) {
-            result += cmap[twoByteCode];
-            i++; // Skip next byte
-            continue;
-          }
+    const renderMode = state.textRenderMode;
+
+    // Type 3 glyphs are content streams and embedded font programs have
+    // outlines: paint either as paths unless the text is invisible
+    const visible = renderMode !== 3 && renderMode !== 7;
+    const paintType3 = !!font && font.subtype === 'Type3' && visible;
+    const paintOutlines = !!font && !paintType3 && visible && this.outlineText && !!font.getFontProgram();
+
+    let advance = 0;
+    if (font) {
+      for (const code of font.readCodes(operand.value)) {
+        if (paintType3) {
+          this.paintType3Glyph(font, code, advance);
+        } else if (paintOutlines) {
+          this.paintGlyphOutline(font, code, advance);
         }
 
-        // Try single-byte code
-        if (cmap[charCode] !== undefined) {
-          result += cmap[charCode];
-        } else {
-          // No mapping found, keep original character
-          result += text[i];
-        }
+        const wordSpacing = font.isWordSpace(code) ? state.wordSpacing : 0;
+        advance += (font.getWidth(code) * fontSize + state.charSpacing + wordSpacing) * scale;
+      }
+    } else {
+      // No font metrics: assume half-em glyphs
+      for (let i = 0; i < operand.value.length; i++) {
+        const wordSpacing = operand.value.charCodeAt(i) === 32 ? state.wordSpacing : 0;
+        advance += (0.5 * fontSize + state.charSpacing + wordSpacing) * scale;
       }
-
-      return result || null;
-    } catch (error) {
-      // If CMap decoding fails, return null to fall back to original string
-      console.log(`  [Text Debug] CMap decode error: ${error.message}`);
-      return null;
     }
+
+    // Rise shifts the baseline in text space
+    const [a, b, c, d, e, f] = this.textMatrix;
+
+    this.textObjects.push({
+      text: this.decodeTextString(operand),
+      x: e + state.textRise * c,
+      y: f + state.textRise * d,
+      width: advance, // Advance in text space (scale by textMatrix for user space)
+      font: this.currentFont,
+      fontSize,
+      textMatrix: [a, b, c, d, e, f],
+      charSpacing: state.charSpacing,
+      wordSpacing: state.wordSpacing,
+      horizontalScaling: state.horizontalScaling,
+      rise: state.textRise,
+      renderMode,
+      invisible: renderMode === 3 || renderMode === 7, // Neither filled nor stroked
+      clipText: renderMode >= 4, // Glyph outlines are added to the clip
+      renderedAsPaths: paintType3 || paintOutlines, // Glyphs were emitted as paths
+      fillColor: state.fillColor,
+      ctm: { ...state.ctm },
+      ...this.getMarkedContentTags()
+    });
+
+    this.advanceText(advance);
   }
 
   /**
-   * Extract and parse ToUnicode CMap from font
+   * Paint one Type 3 glyph by running its /CharProcs stream
+   * Glyph space maps to device space through
+   * FontMatrix × [Tfs·Th 0 0 Tfs 0 Trise] × Tm × CTM (ISO 32000 §9.6.5).
+   * @param {PDFFont} font - Type 3 font
+   * @param {number} code - Character code
+   * @param {number} offset - Distance along the baseline from the text matrix origin
    */
-  extractToUnicodeCMap(fontName) {
-    try {
-      if (!this.fontDict) {
-        if (!this.loggedCMapWarning) {
-          console.log(`  [CMap] No fontDict available - text won't be decoded`);
-          this.loggedCMapWarning = true;
-        }
-        return null;
-      }
-
-      // Remove leading slash from font name
-      const cleanFontName = fontName.startsWith('/') ? fontName.substring(1) : fontName;
-
-      // Look up font in font dictionary using PDFName
-      const fontKey = PDFName.of(cleanFontName);
-      const fontRef = this.fontDict.get(fontKey);
-      if (!fontRef) {
-        if (!this.loggedMissingFonts) {
-          this.loggedMissingFonts = new Set();
-        }
-        if (!this.loggedMissingFonts.has(cleanFontName)) {
-          console.log(`  [CMap] Font "${cleanFontName}" not found in dictionary (tried PDFName.of("${cleanFontName}"))`);
-          this.loggedMissingFonts.add(cleanFontName);
-        }
-        return null;
-      }
+  paintType3Glyph(font, code, offset) {
+    const charProc = font.getCharProc(code);
+    if (!charProc || this.formStack.includes(charProc) || this.formStack.length >= this.maxFormDepth) {
+      return;
+    }
 
-      const font = this.pdfContext.lookup(fontRef);
-      if (!font || !font.dict) {
-        console.log(`  [CMap] Could not lookup font "${cleanFontName}"`);
-        return null;
-      }
+    const data = this.getStreamData(charProc);
+    if (!data) return;
+
+    const state = this.graphicsState;
+    const [a, b, c, d, e, f] = this.textMatrix;
+
+    const saved = {
+      resources: this.resources,
+      fontDict: this.fontDict,
+      currentPath: this.currentPath,
+      currentFont: this.currentFont,
+      currentFontSize: this.currentFontSize,
+      inTextObject: this.inTextObject,
+      textMatrix: this.textMatrix,
+      textLineMatrix: this.textLineMatrix,
+      currentGlyph: this.currentGlyph,
+      glyphColorLocked: this.glyphColorLocked,
+      stackFloor: this.stackFloor
+    };
 
-      // Inspect font structure in detail (only log first few unique fonts)
-      if (!this.inspectedFonts) {
-        this.inspectedFonts = new Set();
-        this.shouldLogFonts = true; // Log first few fonts
-      }
+    this.opSaveState();
+    const stackDepth = this.stateStack.length;
+    this.stackFloor = stackDepth;
 
-      if (!this.inspectedFonts.has(cleanFontName) && this.inspectedFonts.size < 3 && this.shouldLogFonts) {
-        console.log(`\n  [Font Info] "${cleanFontName}":`);
+    this.opConcatMatrix([a, b, c, d, e + offset * a, f + offset * b]);
+    this.opConcatMatrix([this.currentFontSize * state.horizontalScaling / 100, 0, 0, this.currentFontSize, 0, state.textRise]);
+    this.opConcatMatrix(font.fontMatrix);
 
-        // Get font properties
-        const subtype = font.dict.get(PDFName.of('Subtype'));
-        const baseFont = font.dict.get(PDFName.of('BaseFont'));
-        const encoding = font.dict.get(PDFName.of('Encoding'));
-        const toUnicode = font.dict.get(PDFName.of('ToUnicode'));
+    // Glyph procedures use the font's /Resources, or else the page's
+    if (font.resources) {
+      this.setResources(font.resources);
+    }
 
-        console.log(`    Subtype: ${subtype ? subtype.toString() : 'none'}`);
-        console.log(`    BaseFont: ${baseFont ? baseFont.toString() : 'none'}`);
-        console.log(`    Encoding: ${encoding ? encoding.toString() : 'none'}`);
-        console.log(`    ToUnicode: ${toUnicode ? 'yes' : 'no'}`);
-      }
+    this.currentPath = null;
+    this.inTextObject = false;
+    this.currentGlyph = {
+      font: this.currentFont,
+      code,
+      name: font.encoding ? font.encoding[code] || null : null
+    };
+    this.glyphColorLocked = false;
+    this.formStack.push(charProc);
 
-      this.inspectedFonts.add(cleanFontName);
+    try {
+      this.processLexer(new PDFLexer(data));
+      this.finishContentStream(data.length, { markedContentDepth: this.markedContentStack.length });
+    } catch (error) {
+      this.report('error', 'font-error', `Could not paint Type 3 glyph ${code} of ${saved.currentFont}: ${error.message}`);
+    } finally {
+      this.formStack.pop();
+
+      this.stateStack.length = stackDepth;
+      this.stackFloor = saved.stackFloor;
+      this.opRestoreState();
+
+      this.resources = saved.resources;
+      this.fontDict = saved.fontDict;
+      this.currentPath = saved.currentPath;
+      this.currentFont = saved.currentFont;
+      this.currentFontSize = saved.currentFontSize;
+      this.inTextObject = saved.inTextObject;
+      this.textMatrix = saved.textMatrix;
+      this.textLineMatrix = saved.textLineMatrix;
+      this.currentGlyph = saved.currentGlyph;
+      this.glyphColorLocked = saved.glyphColorLocked;
+    }
+  }
 
-      // Look for ToUnicode entry
-      const toUnicodeRef = font.dict.get(PDFName.of('ToUnicode'));
-      if (!toUnicodeRef) {
-        // Font has no ToUnicode - we've already inspected it above
-        return null;
-      }
+  /**
+   * Paint one glyph of an embedded TrueType or CFF font as a path
+   * Outline points go to user space through the font program's matrix,
+   * [Tfs·Th 0 0 Tfs 0 Trise] and Tm, so the CTM and line width stay those
+   * of the text. Render modes 0/4 fill, 1/5 stroke and 2/6 fill then stroke
+   * (clipping is not applied).
+   * @param {PDFFont} font - Font with an embedded program
+   * @param {number} code - Character code
+   * @param {number} offset - Distance along the baseline from the text matrix origin
+   */
+  paintGlyphOutline(font, code, offset) {
+    const outline = font.getGlyphOutline(code);
+    if (!outline) return;
 
-      const toUnicode = this.pdfContext.lookup(toUnicodeRef);
-      if (!toUnicode) {
-        console.log(`  [CMap] Could not lookup ToUnicode stream for "${cleanFontName}"`);
-        return null;
-      }
+    const state = this.graphicsState;
+    const [a, b, c, d, e, f] = this.textMatrix;
+    const toMatrix = ([ma, mb, mc, md, me, mf]) => ({ a: ma, b: mb, c: mc, d: md, e: me, f: mf });
 
-      // Get the CMap stream content
-      let cmapData = toUnicode.getContents();
-
-      // Decompress if needed - check for FlateDecode
-      if (toUnicode.dict) {
-        const filter = toUnicode.dict.get(PDFName.of('Filter'));
-
-        if (filter) {
-          const filterStr = filter.toString();
-          if (filterStr === '/FlateDecode' || filterStr === 'FlateDecode') {
-            const zlib = require('zlib');
-            try {
-              cmapData = zlib.inflateSync(Buffer.from(cmapData));
-            } catch (e) {
-              console.log(`  [CMap] Decompression failed for "${cleanFontName}": ${e.message}`);
-            }
-          }
-        }
-      } else {
-        // Try auto-detect compression (look for zlib header)
-        if (cmapData[0] === 0x78 && (cmapData[1] === 0x9C || cmapData[1] === 0xDA)) {
-          const zlib = require('zlib');
-          try {
-            cmapData = zlib.inflateSync(Buffer.from(cmapData));
-          } catch (e) {
-            console.log(`  [CMap] Decompression failed for "${cleanFontName}": ${e.message}`);
-          }
-        }
-      }
+    let m = toMatrix(outline.matrix);
+    m = this.multiplyMatrices(m, toMatrix([this.currentFontSize * state.horizontalScaling / 100, 0, 0, this.currentFontSize, 0, state.textRise]));
+    m = this.multiplyMatrices(m, toMatrix([a, b, c, d, e + offset * a, f + offset * b]));
+    const point = (x, y) => [m.a * x + m.c * y + m.e, m.b * x + m.d * y + m.f];
 
-      // Parse the CMap
-      const cmapString = cmapData.toString('latin1');
-      const mapping = this.parseCMap(cmapString);
+    const savedPath = this.currentPath;
+    const savedGlyph = this.currentGlyph;
+    this.currentPath = null;
+    this.currentGlyph = {
+      font: this.currentFont,
+      code,
+      name: font.encoding ? font.encoding[code] || null : null
+    };
 
-      if (mapping) {
-        const count = Object.keys(mapping).length;
-        console.log(`  [CMap] ✓ Loaded "${cleanFontName}": ${count} character mappings`);
-      } else {
-        console.log(`  [CMap] ✗ Failed to parse CMap for "${cleanFontName}"`);
+    for (const command of outline.commands) {
+      switch (command.type) {
+        case 'M':
+          this.opMoveTo(point(command.x, command.y));
+          break;
+        case 'L':
+          this.opLineTo(point(command.x, command.y));
+          break;
+        case 'C':
+          this.opCurveTo([...point(command.x1, command.y1), ...point(command.x2, command.y2), ...point(command.x, command.y)]);
+          break;
+        case 'Z':
+          this.opClosePath();
+          break;
       }
+    }
 
-      return mapping;
-
-    } catch (error) {
-      console.log(`  [CMap] Error for ${fontName}: ${error.message}`);
-      return null;
+    const mode = state.textRenderMode % 4;
+    if (mode === 0) {
+      this.opFill('nonzero');
+    } else if (mode === 1) {
+      this.opStroke();
+    } else {
+      this.opFillAndStroke('nonzero');
     }
+
+    this.currentPath = savedPath;
+    this.currentGlyph = savedGlyph;
   }
 
   /**
-   * Parse ToUnicode CMap to build character code -> Unicode mapping
+   * Move the text matrix along the baseline: Tm = [1 0 0 1 tx 0] × Tm
+   * @param {number} tx - Distance in text space
    */
-  parseCMap(cmapString) {
-    const mapping = {};
-
-    try {
-      // Parse beginbfchar sections (single character mappings)
-      const bfcharRegex = /beginbfchar\s+([\s\S]*?)\s+endbfchar/g;
-      let match;
-
-      while ((match = bfcharRegex.exec(cmapString)) !== null) {
-        const entries = match[1].trim().split(/\s+/);
-
-        for (let i = 0; i < entries.length; i += 2) {
-          if (i + 1 >= entries.length) break;
-
-          const srcCode = this.parseHexString(entries[i]);
-          const dstCode = this.parseHexString(entries[i + 1]);
+  advanceText(tx) {
+    const [a, b, c, d, e, f] = this.textMatrix;
+    this.textMatrix = [a, b, c, d, e + tx * a, f + tx * b];
+  }
 
-          if (srcCode !== null && dstCode !== null) {
-            mapping[srcCode] = String.fromCharCode(dstCode);
-          }
+  /**
+   * Get a font resource (metrics and text decoding)
+   * @param {string} name - Font resource name (e.g. /F1)
+   * @returns {PDFFont|null} Font, or null if the font is unavailable
+   */
+  getFont(name) {
+    const dict = this.lookupFontDict(name);
+    if (!dict) return null;
+
+    if (!this.fontCache.has(dict)) {
+      let font = null;
+      try {
+        font = new PDFFont(dict, {
+          context: this.pdfContext,
+          getStreamData: stream => this.getStreamData(stream),
+          report: (severity, code, message) => this.report(severity, code, message)
+        });
+
+        // Composite fonts have no standard encoding to fall back on
+        if (font.isComposite && !font.toUnicode) {
+          this.report('info', 'no-tounicode', `Font ${name} (${font.baseFont || 'unnamed'}) has no /ToUnicode; text may not decode`);
         }
+      } catch (error) {
+        this.report('error', 'font-error', `Could not read font ${name}: ${error.message}`);
       }
+      this.fontCache.set(dict, font);
+    }
 
-      // Parse beginbfrange sections (character ranges)
-      const bfrangeRegex = /beginbfrange\s+([\s\S]*?)\s+endbfrange/g;
+    return this.fontCache.get(dict);
+  }
 
-      while ((match = bfrangeRegex.exec(cmapString)) !== null) {
-        const entries = match[1].trim().split(/\s+/);
+  /**
+   * Look up a font dictionary in the current /Font resources
+   * @param {string} name - Font resource name (e.g. /F1)
+   * @returns {PDFDict|null} Font dictionary
+   */
+  lookupFontDict(name) {
+    if (typeof name !== 'string' || !this.fontDict || !this.fontDict.lookup) return null;
 
-        for (let i = 0; i < entries.length; i += 3) {
-          if (i + 2 >= entries.length) break;
+    const dict = this.fontDict.lookup(PDFName.of(name.replace(/^\//, '')));
+    return dict && dict.lookup ? dict : null;
+  }
 
-          const srcStart = this.parseHexString(entries[i]);
-          const srcEnd = this.parseHexString(entries[i + 1]);
-          const dst = this.parseHexString(entries[i + 2]);
+  isStringOperand(operand) {
+    return operand !== null && typeof operand === 'object' &&
+      (operand.type === 'string' || operand.type === 'hexstring');
+  }
 
-          if (srcStart !== null && srcEnd !== null && dst !== null) {
-            for (let code = srcStart; code <= srcEnd; code++) {
-              mapping[code] = String.fromCharCode(dst + (code - srcStart));
-            }
-          }
-        }
-      }
+  /**
+   * Decode a string operand to text
+   * Uses the current font's /ToUnicode CMap, encoding and glyph names (see
+   * PDFFont); without font resources the bytes are returned as they are.
+   * @param {Object} pdfString - String token from the lexer (escapes and hex already decoded)
+   * @returns {string} Decoded text
+   */
+  decodeTextString(pdfString) {
+    // One char per byte, as read from the content stream
+    const bytes = pdfString.value;
 
-      return Object.keys(mapping).length > 0 ? mapping : null;
+    const font = this.getFont(this.currentFont);
+    if (!font) {
+      return bytes;
+    }
 
+    try {
+      return font.decode(bytes);
     } catch (error) {
-      return null;
+      this.report('warning', 'text-decode', `Could not decode text in ${this.currentFont}: ${error.message}`);
+      return bytes;
     }
   }
+}
 
-  /**
-   * Parse hex string from CMap (e.g., "<0041>" -> 65)
-   */
-  parseHexString(hexStr) {
-    if (!hexStr) return null;
+/**
+ * Operands each operator takes, one letter per operand: n number, / name,
+ * s string, a array, p property list (name or dictionary). null marks
+ * operators with a variable operand count; operators not listed are unknown.
+ */
+const OPERAND_SIGNATURES = {
+  // Path construction and painting
+  m: 'nn', l: 'nn', c: 'nnnnnn', v: 'nnnn', y: 'nnnn', h: '', re: 'nnnn',
+  S: '', s: '', f: '', F: '', 'f*': '', B: '', 'B*': '', b: '', 'b*': '', n: '',
+  W: '', 'W*': '',
+  // Graphics state
+  w: 'n', J: 'n', j: 'n', M: 'n', d: 'an', ri: '/', i: 'n', gs: '/',
+  q: '', Q: '', cm: 'nnnnnn',
+  // Color
+  g: 'n', G: 'n', rg: 'nnn', RG: 'nnn', k: 'nnnn', K: 'nnnn', cs: '/', CS: '/',
+  sc: null, scn: null, SC: null, SCN: null,
+  // Marked content and compatibility
+  BMC: '/', BDC: '/p', EMC: '', MP: '/', DP: '/p', BX: '', EX: '',
+  // XObjects, shadings and inline images
+  Do: '/', sh: '/', BI: '', ID: null, EI: null,
+  // Text
+  BT: '', ET: '', Tf: '/n', Tm: 'nnnnnn', Td: 'nn', TD: 'nn', 'T*': '',
+  Tj: 's', TJ: 'a', "'": 's', '"': 'nns',
+  Tc: 'n', Tw: 'n', Tz: 'n', TL: 'n', Tr: 'n', Ts: 'n',
+  // Type 3 glyphs
+  d0: 'nn', d1: 'nnnnnn'
+};
+
+const OPERAND_TYPES = {
+  n: value => typeof value === 'number',
+  '/': value => typeof value === 'string' && value.startsWith('/'),
+  s: (value, parser) => parser.isStringOperand(value),
+  a: value => Array.isArray(value),
+  p: (value, parser) => OPERAND_TYPES['/'](value) ||
+    (value !== null && typeof value === 'object' && !Array.isArray(value) && !parser.isStringOperand(value))
+};
+
+const OPERAND_TYPE_NAMES = {
+  n: 'a number',
+  '/': 'a name',
+  s: 'a string',
+  a: 'an array',
+  p: 'a name or dictionary'
+};
 
-    // Remove angle brackets
-    const hex = hexStr.replace(/[<>]/g, '');
-    if (!hex) return null;
+/**
+ * Color operators, ignored inside uncolored (d1) Type 3 glyphs
+ */
+const COLOR_OPERATORS = new Set(['g', 'G', 'rg', 'RG', 'k', 'K', 'cs', 'CS', 'sc', 'SC', 'scn', 'SCN']);
 
-    const value = parseInt(hex, 16);
-    return isNaN(value) ? null : value;
-  }
-}
+/**
+ * Abbreviated inline image dictionary keys (ISO 32000 Table 91)
+ */
+const INLINE_IMAGE_KEYS = {
+  BPC: 'BitsPerComponent',
+  CS: 'ColorSpace',
+  D: 'Decode',
+  DP: 'DecodeParms',
+  F: 'Filter',
+  H: 'Height',
+  IM: 'ImageMask',
+  I: 'Interpolate',
+  L: 'Length',
+  W: 'Width'
+};
+
+/**
+ * Abbreviated inline image color space names (ISO 32000 Table 92)
+ */
+const INLINE_IMAGE_NAMES = {
+  G: 'DeviceGray',
+  RGB: 'DeviceRGB',
+  CMYK: 'DeviceCMYK',
+  I: 'Indexed'
+};
+
+/**
+ * PDF blend modes and their CSS mix-blend-mode equivalents
+ */
+const BLEND_MODES = {
+  Normal: 'normal',
+  Compatible: 'normal',
+  Multiply: 'multiply',
+  Screen: 'screen',
+  Overlay: 'overlay',
+  Darken: 'darken',
+  Lighten: 'lighten',
+  ColorDodge: 'color-dodge',
+  ColorBurn: 'color-burn',
+  HardLight: 'hard-light',
+  SoftLight: 'soft-light',
+  Difference: 'difference',
+  Exclusion: 'exclusion',
+  Hue: 'hue',
+  Saturation: 'saturation',
+  Color: 'color',
+  Luminosity: 'luminosity'
+};
 
 /**
  * Graphics State
@@ -1004,22 +2479,77 @@ class GraphicsState {
   constructor() {
     this.fillColor = '#000000';
     this.strokeColor = '#000000';
+    this.fillColorSpace = ColorSpace.device('DeviceGray');
+    this.strokeColorSpace = ColorSpace.device('DeviceGray');
+    this.fillPattern = null; // Pattern resource name when painting with a pattern
+    this.strokePattern = null;
+    this.fillShading = null; // Gradient description of a shading pattern
+    this.strokeShading = null;
+    this.fillTiling = null; // Tiling pattern cell and placement
+    this.strokeTiling = null;
     this.lineWidth = 1;
     this.lineCap = 'butt';
     this.lineJoin = 'miter';
     this.dashArray = '';
+    this.dashPhase = 0;
+    this.miterLimit = 10;
+    this.flatness = 1;
+
+    // Transparency and overprint (set through /ExtGState)
+    this.fillOpacity = 1; // ca
+    this.strokeOpacity = 1; // CA
+    this.blendMode = 'Normal'; // BM
+    this.softMask = null; // SMask { subtype, paths, backdrop }
+    this.alphaIsShape = false; // AIS
+    this.fillOverprint = false; // op
+    this.strokeOverprint = false; // OP
+
+    // Text state (Tc, Tw, Tz, TL, Tr, Ts)
+    this.charSpacing = 0;
+    this.wordSpacing = 0;
+    this.horizontalScaling = 100;
+    this.leading = 0;
+    this.textRenderMode = 0;
+    this.textRise = 0;
+
     this.ctm = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }; // Current transformation matrix
+    this.clip = null; // Innermost clip entry (linked to outer clips via .parent)
   }
 
   clone() {
     const cloned = new GraphicsState();
     cloned.fillColor = this.fillColor;
     cloned.strokeColor = this.strokeColor;
+    cloned.fillColorSpace = this.fillColorSpace;
+    cloned.strokeColorSpace = this.strokeColorSpace;
+    cloned.fillPattern = this.fillPattern;
+    cloned.strokePattern = this.strokePattern;
+    cloned.fillShading = this.fillShading;
+    cloned.strokeShading = this.strokeShading;
+    cloned.fillTiling = this.fillTiling;
+    cloned.strokeTiling = this.strokeTiling;
     cloned.lineWidth = this.lineWidth;
     cloned.lineCap = this.lineCap;
     cloned.lineJoin = this.lineJoin;
     cloned.dashArray = this.dashArray;
+    cloned.dashPhase = this.dashPhase;
+    cloned.miterLimit = this.miterLimit;
+    cloned.flatness = this.flatness;
+    cloned.fillOpacity = this.fillOpacity;
+    cloned.strokeOpacity = this.strokeOpacity;
+    cloned.blendMode = this.blendMode;
+    cloned.softMask = this.softMask;
+    cloned.alphaIsShape = this.alphaIsShape;
+    cloned.fillOverprint = this.fillOverprint;
+    cloned.strokeOverprint = this.strokeOverprint;
+    cloned.charSpacing = this.charSpacing;
+    cloned.wordSpacing = this.wordSpacing;
+    cloned.horizontalScaling = this.horizontalScaling;
+    cloned.leading = this.leading;
+    cloned.textRenderMode = this.textRenderMode;
+    cloned.textRise = this.textRise;
     cloned.ctm = { ...this.ctm };
+    cloned.clip = this.clip;
     return cloned;
   }
 }
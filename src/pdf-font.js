@@ -0,0 +1,675 @@
+/**
+ * PDF Font
+ * Reads what is needed to lay out and decode text in a PDF font dictionary:
+ * how a string splits into character codes, how far each glyph advances and
+ * which Unicode text each code stands for
+ * Covers simple fonts (/Widths, /FontDescriptor /MissingWidth), Type 3 fonts
+ * (/FontMatrix) and composite Type 0 fonts (/DescendantFonts /W and /DW,
+ * with codes mapped to CIDs by Identity-H/V or an embedded /Encoding CMap).
+ * Text is decoded through /ToUnicode, then /Encoding (base encoding plus
+ * /Differences) and the Adobe Glyph List.
+ * Embedded TrueType (/FontFile2) and CFF (/FontFile3) programs supply glyph
+ * outlines, with codes mapped to glyphs through the font's cmap or charset.
+ */
+
+const { PDFName, PDFArray, PDFNumber, PDFDict, PDFStream } = require('pdf-lib');
+const { getEncoding } = require('./font-encodings');
+const { glyphToUnicode } = require('./glyph-list');
+const TrueTypeFont = require('./truetype-font');
+const CFFFont = require('./cff-font');
+
+// FontDescriptor /Flags bit for fonts using a symbol character set
+const FLAG_SYMBOLIC = 1 << 2;
+
+class PDFFont {
+  /**
+   * @param {PDFDict} dict - Font dictionary
+   * @param {Object} options - { context, getStreamData(stream), report(severity, code, message) }
+   */
+  constructor(dict, options = {}) {
+    this.dict = dict;
+    this.context = options.context || null;
+    this.getStreamData = options.getStreamData || null;
+    this.report = options.report || null;
+
+    this.subtype = nameOf(dict.lookup(PDFName.of('Subtype')));
+    this.baseFont = nameOf(dict.lookup(PDFName.of('BaseFont')));
+    this.isComposite = this.subtype === 'Type0';
+    this.isDingbats = /Dingbats/i.test(this.baseFont || '');
+
+    const descriptor = this.getDescriptor();
+    const flags = descriptor ? numberOf(descriptor.lookup(PDFName.of('Flags')), 0) : 0;
+    this.isSymbolic = (flags & FLAG_SYMBOLIC) !== 0;
+
+    // Glyph space to text space (1/1000 for everything but Type 3)
+    this.fontMatrix = [0.001, 0, 0, 0.001, 0, 0];
+
+    this.widths = new Map();
+    this.defaultWidth = 0;
+
+    if (this.isComposite) {
+      this.readCIDWidths();
+    } else {
+      this.readSimpleWidths();
+    }
+
+    // Code → CID of a composite font from its /Encoding CMap (null for
+    // Identity-H/V, whose two-byte codes are the CIDs)
+    this.cmap = this.isComposite ? this.readCMap(dict.lookup(PDFName.of('Encoding'))) : null;
+
+    // Code → Unicode text from the font's /ToUnicode CMap (null if absent)
+    this.toUnicode = this.readToUnicode();
+
+    // Code → glyph name for simple fonts (null when no encoding applies)
+    this.encoding = this.isComposite ? null : this.readEncoding();
+    this.hasExplicitEncoding = !!dict.lookup(PDFName.of('Encoding'));
+
+    // Type 3 glyph procedures and the resources they use
+    this.charProcs = null;
+    this.resources = null;
+    if (this.subtype === 'Type3') {
+      const charProcs = dict.lookup(PDFName.of('CharProcs'));
+      this.charProcs = charProcs instanceof PDFDict ? charProcs : null;
+      const resources = dict.lookup(PDFName.of('Resources'));
+      this.resources = resources instanceof PDFDict ? resources : null;
+    }
+
+    // Embedded font program (TrueTypeFont or CFFFont), read on first use
+    this.program = undefined;
+    this.cidToGidMap = undefined;
+  }
+
+  getDescriptor() {
+    let dict = this.dict;
+    if (this.isComposite) {
+      const descendants = this.lookupArray(this.dict, 'DescendantFonts');
+      dict = descendants && descendants[0] && descendants[0].lookup ? descendants[0] : null;
+    }
+    const descriptor = dict ? dict.lookup(PDFName.of('FontDescriptor')) : null;
+    return descriptor && descriptor.lookup ? descriptor : null;
+  }
+
+  readSimpleWidths() {
+    if (this.subtype === 'Type3') {
+      const fontMatrix = this.lookupArray(this.dict, 'FontMatrix');
+      if (fontMatrix && fontMatrix.length === 6) {
+        this.fontMatrix = fontMatrix.map(n => numberOf(n, 0));
+      }
+    }
+
+    const descriptor = this.getDescriptor();
+    const missingWidth = descriptor
+      ? numberOf(descriptor.lookup(PDFName.of('MissingWidth')), null)
+      : null;
+
+    const firstChar = numberOf(this.dict.lookup(PDFName.of('FirstChar')), 0);
+    const widths = this.lookupArray(this.dict, 'Widths');
+
+    if (widths) {
+      widths.forEach((width, index) => {
+        this.widths.set(firstChar + index, numberOf(width, 0));
+      });
+      this.defaultWidth = missingWidth !== null ? missingWidth : 0;
+    } else {
+      // Standard 14 fonts may omit /Widths; without their AFM metrics an
+      // average glyph width keeps consecutive strings from overlapping
+      this.defaultWidth = missingWidth || (/Courier/i.test(this.baseFont || '') ? 600 : 500);
+    }
+  }
+
+  readCIDWidths() {
+    const descendants = this.lookupArray(this.dict, 'DescendantFonts');
+    const cidFont = descendants && descendants.length > 0 ? this.resolve(descendants[0]) : null;
+    if (!cidFont || !cidFont.lookup) {
+      this.defaultWidth = 1000;
+      return;
+    }
+
+    this.defaultWidth = numberOf(cidFont.lookup(PDFName.of('DW')), 1000);
+
+    // /W: c [w1 w2 ...] or c_first c_last w
+    const entries = this.lookupArray(cidFont, 'W') || [];
+    for (let i = 0; i < entries.length;) {
+      const first = numberOf(entries[i], null);
+      const next = this.resolve(entries[i + 1]);
+      if (first === null || next === undefined || next === null) break;
+
+      if (next instanceof PDFArray) {
+        next.asArray().forEach((width, index) => {
+          this.widths.set(first + index, numberOf(this.resolve(width), this.defaultWidth));
+        });
+        i += 2;
+      } else {
+        const last = numberOf(next, first);
+        const width = numberOf(this.resolve(entries[i + 2]), this.defaultWidth);
+        // Guard against absurd ranges in damaged files
+        for (let cid = first; cid <= last && cid - first < 65536; cid++) {
+          this.widths.set(cid, width);
+        }
+        i += 3;
+      }
+    }
+  }
+
+  /**
+   * Read the /Encoding CMap of a composite font
+   * Embedded CMaps give their codespace ranges and CID mappings, on top of
+   * the CMap named by /UseCMap (or usecmap). Predefined CMaps other than
+   * Identity-H/V are not bundled: they are reported and read as Identity.
+   * @param {PDFName|PDFStream} encoding - /Encoding entry, or a parent CMap
+   * @param {number} depth - /UseCMap nesting, to stop on cycles
+   * @returns {Object|null} { codespaces, cids, ranges, parent, identity }, or
+   *   null to read two-byte codes as CIDs
+   */
+  readCMap(encoding, depth = 0) {
+    const font = this.baseFont || 'unnamed';
+
+    if (encoding instanceof PDFName) {
+      const name = nameOf(encoding);
+      if (name !== 'Identity-H' && name !== 'Identity-V') {
+        this.warn('unsupported-cmap', `Font ${font} uses the predefined CMap ${name}, which is not supported; codes are read as two-byte CIDs`);
+      }
+      return null;
+    }
+
+    let cmap = null;
+    if (encoding instanceof PDFStream && this.getStreamData && depth < 8) {
+      try {
+        const data = this.getStreamData(encoding);
+        cmap = data ? parseCIDCMap(data.toString('latin1')) : null;
+      } catch (error) {
+        cmap = null;
+      }
+    }
+    if (!cmap || cmap.codespaces.length === 0) {
+      this.warn('unsupported-cmap', `Font ${font} has no readable /Encoding CMap; codes are read as two-byte CIDs`);
+      return null;
+    }
+
+    // Codes the CMap does not map fall through to its parent; an Identity
+    // parent adds its two-byte codespace
+    const useCMap = encoding.dict.lookup(PDFName.of('UseCMap')) || (cmap.useCMap ? PDFName.of(cmap.useCMap) : null);
+    if (useCMap) {
+      cmap.parent = this.readCMap(useCMap, depth + 1);
+      cmap.identity = !cmap.parent;
+      cmap.codespaces.push(...(cmap.parent ? cmap.parent.codespaces : [{ length: 2, low: 0, high: 0xffff }]));
+    }
+    return cmap;
+  }
+
+  /**
+   * Map a character code of a composite font to its CID
+   * @param {number} code - Character code from readCodes()
+   * @returns {number} CID, 0 (.notdef) if the CMap maps the code to nothing
+   */
+  codeToCID(code) {
+    for (let cmap = this.cmap; cmap; cmap = cmap.parent) {
+      if (cmap.cids.has(code)) return cmap.cids.get(code);
+      const range = cmap.ranges.find(({ low, high }) => code >= low && code <= high);
+      if (range) return range.cid + code - range.low;
+      if (!cmap.parent) return cmap.identity ? code : 0;
+    }
+    return code;
+  }
+
+  /**
+   * Split a string into character codes
+   * Composite fonts read codes of one to four bytes by the codespace ranges
+   * of their CMap (two bytes for Identity-H/V); simple fonts use one byte
+   * per code.
+   * @param {string} bytes - String operand bytes (one char per byte)
+   * @returns {Array<number>} Character codes
+   */
+  readCodes(bytes) {
+    const codes = [];
+    if (this.isComposite && this.cmap) {
+      const { codespaces } = this.cmap;
+      const shortest = Math.min(...codespaces.map(range => range.length));
+      for (let i = 0; i < bytes.length;) {
+        let code = 0;
+        let length = 0;
+        for (let n = 1; n <= 4 && i + n <= bytes.length && !length; n++) {
+          code = code * 256 + bytes.charCodeAt(i + n - 1);
+          if (codespaces.some(range => range.length === n && code >= range.low && code <= range.high)) {
+            length = n;
+          }
+        }
+
+        // Bytes outside every codespace range make one .notdef code of the
+        // shortest length
+        if (!length) {
+          length = Math.min(shortest, bytes.length - i);
+          code = 0;
+          for (let n = 0; n < length; n++) code = code * 256 + bytes.charCodeAt(i + n);
+        }
+        codes.push(code);
+        i += length;
+      }
+    } else if (this.isComposite) {
+      for (let i = 0; i + 1 < bytes.length; i += 2) {
+        codes.push((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+      }
+    } else {
+      for (let i = 0; i < bytes.length; i++) {
+        codes.push(bytes.charCodeAt(i));
+      }
+    }
+    return codes;
+  }
+
+  /**
+   * Horizontal advance of a glyph in text space units (before font size)
+   * @param {number} code - Character code from readCodes()
+   * @returns {number} Advance width
+   */
+  getWidth(code) {
+    const key = this.cmap ? this.codeToCID(code) : code;
+    const width = this.widths.has(key) ? this.widths.get(key) : this.defaultWidth;
+    return width * this.fontMatrix[0];
+  }
+
+  readToUnicode() {
+    const stream = this.dict.lookup(PDFName.of('ToUnicode'));
+    if (!(stream instanceof PDFStream) || !this.getStreamData) return null;
+
+    const data = this.getStreamData(stream);
+    if (!data) return null;
+
+    const mapping = parseToUnicodeCMap(data.toString('latin1'));
+    return mapping.size > 0 ? mapping : null;
+  }
+
+  /**
+   * Build the code → glyph name table of a simple font
+   * The base is /Encoding (a name, or a dictionary's /BaseEncoding) or the
+   * font's built-in encoding, with /Differences applied on top.
+   * @returns {Array<string>|null} 256 glyph names, or null if unknown
+   */
+  readEncoding() {
+    const encoding = this.dict.lookup(PDFName.of('Encoding'));
+    let baseName = null;
+    let differences = null;
+
+    if (encoding instanceof PDFName) {
+      baseName = nameOf(encoding);
+    } else if (encoding instanceof PDFDict) {
+      baseName = nameOf(encoding.lookup(PDFName.of('BaseEncoding')));
+      differences = encoding.lookup(PDFName.of('Differences'));
+    }
+
+    const base = getEncoding(baseName) || this.getBuiltInEncoding();
+    if (!base && !(differences instanceof PDFArray)) return null;
+
+    const glyphNames = base ? base.slice() : new Array(256).fill('');
+
+    // /Differences: [code /name /name ... code /name ...]
+    if (differences instanceof PDFArray) {
+      let code = 0;
+      for (const item of differences.asArray()) {
+        const value = this.resolve(item);
+        if (value instanceof PDFNumber) {
+          code = value.asNumber();
+        } else if (value instanceof PDFName) {
+          if (code >= 0 && code < 256) glyphNames[code] = nameOf(value);
+          code++;
+        }
+      }
+    }
+
+    return glyphNames;
+  }
+
+  /**
+   * Encoding used when the font dictionary does not name one
+   * Symbol and ZapfDingbats have their own; other nonsymbolic fonts use
+   * StandardEncoding. Symbolic fonts address glyphs through their embedded
+   * font program, which leaves the text unknown.
+   */
+  getBuiltInEncoding() {
+    if (/Symbol/i.test(this.baseFont || '')) return getEncoding('SymbolSetEncoding');
+    if (this.isDingbats) return getEncoding('ZapfDingbatsEncoding');
+    if (this.isSymbolic || this.subtype === 'Type3') return null;
+    return getEncoding('StandardEncoding');
+  }
+
+  /**
+   * Decode a string to Unicode text
+   * @param {string} bytes - String operand bytes (one char per byte)
+   * @returns {string} Text
+   */
+  decode(bytes) {
+    let text = '';
+    for (const code of this.readCodes(bytes)) {
+      text += this.codeToUnicode(code);
+    }
+    return text;
+  }
+
+  /**
+   * Unicode text for one character code
+   * /ToUnicode wins unless it maps into the Private Use Area while the font's
+   * own encoding names a real glyph. Codes nothing maps keep their byte
+   * values, as text did before fonts were decoded.
+   * @param {number} code - Character code
+   * @returns {string} Text
+   */
+  codeToUnicode(code) {
+    const mapped = this.toUnicode ? this.toUnicode.get(code) : undefined;
+    if (mapped !== undefined && !(isPrivateUse(mapped) && this.hasExplicitEncoding)) {
+      return mapped;
+    }
+
+    if (this.encoding) {
+      const unicode = glyphToUnicode(this.encoding[code], { dingbats: this.isDingbats });
+      if (unicode !== null) return unicode;
+    }
+
+    if (mapped !== undefined) return mapped;
+
+    return this.isComposite && (code > 0xff || !this.cmap)
+      ? String.fromCharCode(code >> 8, code & 0xff)
+      : String.fromCharCode(code);
+  }
+
+  /**
+   * Get the glyph procedure of a Type 3 font for a code
+   * @param {number} code - Character code
+   * @returns {PDFStream|null} Content stream drawing the glyph
+   */
+  getCharProc(code) {
+    if (!this.charProcs || !this.encoding || !this.encoding[code]) return null;
+
+    const charProc = this.charProcs.lookup(PDFName.of(this.encoding[code]));
+    return charProc instanceof PDFStream ? charProc : null;
+  }
+
+  /**
+   * Get the embedded font program
+   * @returns {TrueTypeFont|CFFFont|null} Parsed program, or null if the font
+   *   embeds none (or one that cannot be read)
+   */
+  getFontProgram() {
+    if (this.program !== undefined) return this.program;
+    this.program = null;
+
+    const descriptor = this.getDescriptor();
+    if (!descriptor || !this.getStreamData) return null;
+
+    const fontFile2 = descriptor.lookup(PDFName.of('FontFile2'));
+    const fontFile3 = descriptor.lookup(PDFName.of('FontFile3'));
+    const stream = fontFile2 instanceof PDFStream ? fontFile2 : fontFile3;
+    if (!(stream instanceof PDFStream)) return null;
+
+    try {
+      const data = this.getStreamData(stream);
+      if (!data || data.length < 4) return null;
+
+      // FontFile3 /OpenType may wrap either outline format
+      const isCFF = stream === fontFile3 && !TrueTypeFont.isTrueType(data);
+      const options = { report: this.report };
+      this.program = isCFF ? new CFFFont(data, options) : new TrueTypeFont(data, options);
+    } catch (error) {
+      this.warn('font-error', `Could not read font program of ${this.baseFont}: ${error.message}`);
+    }
+
+    return this.program;
+  }
+
+  /**
+   * Map a character code to a glyph index in the embedded font program
+   * (ISO 32000 §9.6.6.4 for TrueType, the charset for CFF)
+   * @param {number} code - Character code from readCodes()
+   * @returns {number} Glyph index, 0 (.notdef) if the code maps to nothing
+   */
+  getGlyphId(code) {
+    const program = this.getFontProgram();
+    if (!program) return 0;
+
+    if (program instanceof CFFFont) {
+      if (this.isComposite) return program.glyphIdForCID(this.codeToCID(code));
+
+      const name = this.encoding ? this.encoding[code] : null;
+      return (this.hasExplicitEncoding && program.glyphIdForName(name)) ||
+        program.glyphIdForCode(code) ||
+        program.glyphIdForName(name);
+    }
+
+    if (this.isComposite) return this.cidToGlyphId(this.codeToCID(code));
+
+    // Nonsymbolic fonts go through glyph names: Unicode via the Windows cmap,
+    // then the Macintosh cmap via Mac Roman codes, then 'post' names
+    const name = this.encoding ? this.encoding[code] : null;
+    if (name && (!this.isSymbolic || this.hasExplicitEncoding)) {
+      const unicode = glyphToUnicode(name, { dingbats: this.isDingbats });
+      const windows = program.getCmap(3, 1);
+      if (unicode && windows) {
+        const glyphId = windows.get(unicode.codePointAt(0));
+        if (glyphId) return glyphId;
+      }
+
+      const mac = program.getCmap(1, 0);
+      const macCode = getEncoding('MacRomanEncoding').indexOf(name);
+      if (mac && macCode >= 0 && mac.get(macCode)) return mac.get(macCode);
+
+      const named = program.glyphIdForName(name);
+      if (named) return named;
+    }
+
+    // Symbolic fonts (and unnamed codes) index the cmap by code directly;
+    // (3,0) subtables usually place codes at U+F000 and up
+    const symbol = program.getCmap(3, 0);
+    if (symbol) {
+      for (const base of [0, 0xf000, 0xf100, 0xf200]) {
+        if (symbol.has(base + code)) return symbol.get(base + code);
+      }
+    }
+    for (const cmap of [program.getCmap(1, 0), program.getCmap(3, 1)]) {
+      if (cmap && cmap.has(code)) return cmap.get(code);
+    }
+
+    return 0;
+  }
+
+  /**
+   * Map a CID to a glyph index through the CIDFont's /CIDToGIDMap
+   * (Identity when absent, else a stream of two-byte glyph indices)
+   */
+  cidToGlyphId(cid) {
+    if (this.cidToGidMap === undefined) {
+      this.cidToGidMap = null;
+      const descendants = this.lookupArray(this.dict, 'DescendantFonts');
+      const cidFont = descendants && descendants[0] && descendants[0].lookup ? descendants[0] : null;
+      const map = cidFont ? cidFont.lookup(PDFName.of('CIDToGIDMap')) : null;
+      if (map instanceof PDFStream && this.getStreamData) {
+        this.cidToGidMap = this.getStreamData(map);
+      }
+    }
+
+    if (!this.cidToGidMap) return cid;
+    if (cid * 2 + 1 >= this.cidToGidMap.length) return 0;
+    return (this.cidToGidMap[cid * 2] << 8) | this.cidToGidMap[cid * 2 + 1];
+  }
+
+  /**
+   * Get the outline of the glyph a code shows
+   * @param {number} code - Character code
+   * @returns {Object|null} { commands, matrix }: outline commands (M/L/C/Z) and
+   *   the glyph space → text space matrix, or null if there is no outline
+   */
+  getGlyphOutline(code) {
+    const program = this.getFontProgram();
+    if (!program) return null;
+
+    const glyphId = this.getGlyphId(code);
+    const commands = glyphId ? program.getGlyphOutline(glyphId) : [];
+    return commands.length > 0 ? { commands, matrix: program.fontMatrix } : null;
+  }
+
+  /**
+   * Whether word spacing (Tw) applies to a code (single-byte code 32 only)
+   */
+  isWordSpace(code) {
+    return !this.isComposite && code === 32;
+  }
+
+  warn(code, message) {
+    if (this.report) {
+      this.report('warning', code, message);
+    } else {
+      console.log(`  [Font] ${message}`);
+    }
+  }
+
+  lookupArray(dict, key) {
+    const value = dict.lookup(PDFName.of(key));
+    return value instanceof PDFArray ? value.asArray().map(item => this.resolve(item)) : null;
+  }
+
+  resolve(obj) {
+    return this.context && obj ? this.context.lookup(obj) : obj;
+  }
+}
+
+/**
+ * Parse a /ToUnicode CMap (bfchar and bfrange sections)
+ * Destinations are UTF-16BE, so they may hold surrogate pairs or several
+ * characters (ligatures); bfrange destinations may also be arrays.
+ * @param {string} text - CMap program
+ * @returns {Map<number, string>} Code → Unicode text
+ */
+function parseToUnicodeCMap(text) {
+  const mapping = new Map();
+  const hexToken = /<([0-9A-Fa-f\s]*)>|\[|\]/g;
+
+  const readTokens = body => {
+    const tokens = [];
+    let match;
+    hexToken.lastIndex = 0;
+    while ((match = hexToken.exec(body)) !== null) {
+      tokens.push(match[1] !== undefined ? match[1].replace(/\s+/g, '') : match[0]);
+    }
+    return tokens;
+  };
+
+  const bfchar = /beginbfchar([\s\S]*?)endbfchar/g;
+  let section;
+  while ((section = bfchar.exec(text)) !== null) {
+    const tokens = readTokens(section[1]);
+    for (let i = 0; i + 1 < tokens.length; i += 2) {
+      mapping.set(parseInt(tokens[i], 16), utf16ToString(tokens[i + 1]));
+    }
+  }
+
+  const bfrange = /beginbfrange([\s\S]*?)endbfrange/g;
+  while ((section = bfrange.exec(text)) !== null) {
+    const tokens = readTokens(section[1]);
+    for (let i = 0; i + 2 < tokens.length;) {
+      const start = parseInt(tokens[i], 16);
+      const end = parseInt(tokens[i + 1], 16);
+      if (isNaN(start) || isNaN(end)) break;
+
+      if (tokens[i + 2] === '[') {
+        // <start> <end> [<dst> <dst> ...]
+        let j = i + 3;
+        for (let code = start; j < tokens.length && tokens[j] !== ']'; j++, code++) {
+          mapping.set(code, utf16ToString(tokens[j]));
+        }
+        i = j + 1;
+      } else {
+        // <start> <end> <dst>: the last UTF-16 unit increments along the range
+        const dst = tokens[i + 2];
+        const units = utf16Units(dst);
+        for (let code = start; code <= end && code - start < 65536; code++) {
+          const shifted = units.slice();
+          shifted[shifted.length - 1] += code - start;
+          mapping.set(code, String.fromCharCode(...shifted));
+        }
+        i += 3;
+      }
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Parse an /Encoding CMap of a composite font (codespacerange, cidrange and
+ * cidchar sections, and the CMap named by usecmap)
+ * @param {string} text - CMap program
+ * @returns {Object} { codespaces, cids, ranges, useCMap }: codespaces
+ *   { length, low, high } in bytes and code values, cids code → CID, ranges
+ *   { low, high, cid } mapping low to cid and the codes after it in order
+ */
+function parseCIDCMap(text) {
+  const cmap = { codespaces: [], cids: new Map(), ranges: [], useCMap: null, parent: null, identity: false };
+  const token = /<([0-9A-Fa-f\s]*)>|(\d+)/g;
+
+  const readTokens = body => {
+    const tokens = [];
+    let match;
+    token.lastIndex = 0;
+    while ((match = token.exec(body)) !== null) {
+      tokens.push(match[1] !== undefined ? match[1].replace(/\s+/g, '') : parseInt(match[2], 10));
+    }
+    return tokens;
+  };
+  const sections = (name, each, size) => {
+    const pattern = new RegExp(`begin${name}([\\s\\S]*?)end${name}`, 'g');
+    let section;
+    while ((section = pattern.exec(text)) !== null) {
+      const tokens = readTokens(section[1]);
+      for (let i = 0; i + size - 1 < tokens.length; i += size) each(tokens.slice(i, i + size));
+    }
+  };
+  const hex = value => (typeof value === 'string' && value.length > 0 ? parseInt(value, 16) : NaN);
+
+  sections('codespacerange', ([low, high]) => {
+    if (!isNaN(hex(low)) && !isNaN(hex(high))) {
+      cmap.codespaces.push({ length: Math.ceil(low.length / 2), low: hex(low), high: hex(high) });
+    }
+  }, 2);
+  sections('cidrange', ([low, high, cid]) => {
+    if (!isNaN(hex(low)) && !isNaN(hex(high)) && typeof cid === 'number') {
+      cmap.ranges.push({ low: hex(low), high: hex(high), cid });
+    }
+  }, 3);
+  sections('cidchar', ([code, cid]) => {
+    if (!isNaN(hex(code)) && typeof cid === 'number') cmap.cids.set(hex(code), cid);
+  }, 2);
+
+  const useCMap = /\/([^\s/<>[\]()]+)\s+usecmap/.exec(text);
+  cmap.useCMap = useCMap ? useCMap[1] : null;
+  return cmap;
+}
+
+function utf16Units(hex) {
+  const units = [];
+  const padded = hex.length % 4 === 0 ? hex : hex.padStart(Math.ceil(hex.length / 4) * 4, '0');
+  for (let i = 0; i < padded.length; i += 4) {
+    units.push(parseInt(padded.substring(i, i + 4), 16));
+  }
+  return units.length > 0 ? units : [0];
+}
+
+function utf16ToString(hex) {
+  return String.fromCharCode(...utf16Units(hex));
+}
+
+function isPrivateUse(text) {
+  const code = text.charCodeAt(0);
+  return text.length === 1 && code >= 0xe000 && code <= 0xf8ff;
+}
+
+function nameOf(obj) {
+  return obj ? obj.toString().replace(/^\//, '') : null;
+}
+
+function numberOf(obj, fallback) {
+  if (obj instanceof PDFNumber) return obj.asNumber();
+  if (typeof obj === 'number') return obj;
+  return fallback;
+}
+
+PDFFont.parseToUnicodeCMap = parseToUnicodeCMap;
+
+module.exports = PDFFont;
@@ -0,0 +1,405 @@
+/**
+ * PDF Function
+ * Evaluates PDF function objects (ISO 32000 §7.10): sampled (type 0),
+ * exponential (type 2), stitching (type 3) and PostScript calculator (type 4)
+ * Used for Separation/DeviceN tint transforms and shading color functions
+ */
+
+const { PDFName, PDFArray, PDFNumber, PDFStream } = require('pdf-lib');
+
+class PDFFunction {
+  /**
+   * @param {PDFDict|PDFRawStream} obj - Function dictionary or stream
+   * @param {Object} options - { context, getStreamData(stream) → Buffer }
+   */
+  constructor(obj, options = {}) {
+    this.context = options.context;
+    this.getStreamData = options.getStreamData;
+
+    const resolved = this.resolve(obj);
+    const dict = resolved instanceof PDFStream ? resolved.dict : resolved;
+    if (!dict || !dict.lookup) {
+      throw new Error('Invalid function object');
+    }
+
+    this.type = this.number(dict.lookup(PDFName.of('FunctionType')));
+    this.domain = this.numbers(dict.lookup(PDFName.of('Domain')));
+    this.range = this.numbers(dict.lookup(PDFName.of('Range')));
+
+    switch (this.type) {
+      case 0:
+        this.initSampled(dict, resolved);
+        break;
+      case 2:
+        this.initExponential(dict);
+        break;
+      case 3:
+        this.initStitching(dict);
+        break;
+      case 4:
+        this.initPostScript(resolved);
+        break;
+      default:
+        throw new Error(`Unsupported function type ${this.type}`);
+    }
+  }
+
+  /**
+   * Create a function evaluator from a single function or an array of
+   * 1-output functions (as allowed for tint transforms and shadings)
+   * @param {PDFObject} obj - Function, or array of functions
+   * @param {Object} options - { context, getStreamData }
+   * @returns {Function} (inputs: number[]) => number[]
+   */
+  static create(obj, options = {}) {
+    const resolved = obj && options.context ? options.context.lookup(obj) : obj;
+
+    if (resolved instanceof PDFArray) {
+      const functions = resolved.asArray().map(entry => new PDFFunction(entry, options));
+      return inputs => functions.map(fn => fn.evaluate(inputs)[0]);
+    }
+
+    const fn = new PDFFunction(resolved, options);
+    return inputs => fn.evaluate(inputs);
+  }
+
+  /**
+   * Evaluate the function
+   * @param {Array<number>} inputs - Input values
+   * @returns {Array<number>} Output values
+   */
+  evaluate(inputs) {
+    const clipped = inputs.map((value, i) => this.clip(value, this.domain[2 * i], this.domain[2 * i + 1]));
+
+    let outputs;
+    switch (this.type) {
+      case 0:
+        outputs = this.evaluateSampled(clipped);
+        break;
+      case 2:
+        outputs = this.evaluateExponential(clipped[0]);
+        break;
+      case 3:
+        outputs = this.evaluateStitching(clipped[0]);
+        break;
+      case 4:
+        outputs = this.evaluatePostScript(clipped);
+        break;
+      default:
+        outputs = [];
+    }
+
+    if (this.range.length > 0) {
+      outputs = outputs.map((value, i) => this.clip(value, this.range[2 * i], this.range[2 * i + 1]));
+    }
+
+    return outputs;
+  }
+
+  // Type 0: sampled functions
+
+  initSampled(dict, stream) {
+    this.size = this.numbers(dict.lookup(PDFName.of('Size')));
+    this.bitsPerSample = this.number(dict.lookup(PDFName.of('BitsPerSample')));
+    this.encode = this.numbers(dict.lookup(PDFName.of('Encode')));
+    this.decode = this.numbers(dict.lookup(PDFName.of('Decode')));
+
+    if (this.encode.length === 0) {
+      this.size.forEach(size => this.encode.push(0, size - 1));
+    }
+    if (this.decode.length === 0) {
+      this.decode = [...this.range];
+    }
+
+    this.outputCount = this.range.length / 2;
+    const data = this.getStreamData ? this.getStreamData(stream) : null;
+    if (!data) {
+      throw new Error('Sampled function has no data');
+    }
+
+    // Unpack all samples to numbers in [0, 2^bps - 1]
+    const sampleCount = this.size.reduce((product, size) => product * size, 1) * this.outputCount;
+    this.samples = this.unpackSamples(data, sampleCount, this.bitsPerSample);
+    this.sampleMax = Math.pow(2, this.bitsPerSample) - 1;
+  }
+
+  unpackSamples(data, count, bits) {
+    const samples = new Float64Array(count);
+    let bitPos = 0;
+
+    for (let i = 0; i < count; i++) {
+      let value = 0;
+      for (let b = 0; b < bits; b++) {
+        const byte = data[(bitPos + b) >> 3] || 0;
+        const bit = (byte >> (7 - ((bitPos + b) & 7))) & 1;
+        value = value * 2 + bit;
+      }
+      samples[i] = value;
+      bitPos += bits;
+    }
+
+    return samples;
+  }
+
+  evaluateSampled(inputs) {
+    const m = this.size.length;
+    const n = this.outputCount;
+
+    // Map each input into sample space and find the surrounding grid cell
+    const lower = [];
+    const frac = [];
+    for (let i = 0; i < m; i++) {
+      const e = this.interpolate(
+        inputs[i],
+        this.domain[2 * i], this.domain[2 * i + 1],
+        this.encode[2 * i], this.encode[2 * i + 1]
+      );
+      const clamped = this.clip(e, 0, this.size[i] - 1);
+      const base = Math.min(Math.floor(clamped), Math.max(this.size[i] - 2, 0));
+      lower.push(base);
+      frac.push(this.size[i] > 1 ? clamped - base : 0);
+    }
+
+    // Multilinear interpolation over the 2^m cell corners
+    const outputs = new Array(n).fill(0);
+    for (let corner = 0; corner < (1 << m); corner++) {
+      let weight = 1;
+      let offset = 0;
+      let stride = 1;
+
+      for (let i = 0; i < m; i++) {
+        const upper = (corner >> i) & 1;
+        weight *= upper ? frac[i] : 1 - frac[i];
+        const index = Math.min(lower[i] + upper, this.size[i] - 1);
+        offset += index * stride;
+        stride *= this.size[i];
+      }
+
+      if (weight === 0) continue;
+      for (let j = 0; j < n; j++) {
+        outputs[j] += weight * this.samples[offset * n + j];
+      }
+    }
+
+    return outputs.map((value, j) => this.interpolate(
+      value, 0, this.sampleMax, this.decode[2 * j], this.decode[2 * j + 1]
+    ));
+  }
+
+  // Type 2: exponential interpolation
+
+  initExponential(dict) {
+    const c0 = this.numbers(dict.lookup(PDFName.of('C0')));
+    const c1 = this.numbers(dict.lookup(PDFName.of('C1')));
+    this.c0 = c0.length > 0 ? c0 : [0];
+    this.c1 = c1.length > 0 ? c1 : [1];
+    this.exponent = this.number(dict.lookup(PDFName.of('N')));
+  }
+
+  evaluateExponential(x) {
+    const xn = Math.pow(x, this.exponent);
+    return this.c0.map((c0, i) => c0 + xn * (this.c1[i] - c0));
+  }
+
+  // Type 3: stitching
+
+  initStitching(dict) {
+    const functions = dict.lookup(PDFName.of('Functions'));
+    this.functions = functions.asArray().map(entry => new PDFFunction(entry, {
+      context: this.context,
+      getStreamData: this.getStreamData
+    }));
+    this.bounds = this.numbers(dict.lookup(PDFName.of('Bounds')));
+    this.encode = this.numbers(dict.lookup(PDFName.of('Encode')));
+  }
+
+  evaluateStitching(x) {
+    const k = this.functions.length;
+    let i = 0;
+    while (i < this.bounds.length && x >= this.bounds[i]) {
+      i++;
+    }
+    i = Math.min(i, k - 1);
+
+    const low = i === 0 ? this.domain[0] : this.bounds[i - 1];
+    const high = i === k - 1 ? this.domain[1] : this.bounds[i];
+    const encoded = this.interpolate(x, low, high, this.encode[2 * i], this.encode[2 * i + 1]);
+
+    return this.functions[i].evaluate([encoded]);
+  }
+
+  // Type 4: PostScript calculator
+
+  initPostScript(stream) {
+    const data = this.getStreamData ? this.getStreamData(stream) : null;
+    if (!data) {
+      throw new Error('PostScript function has no program');
+    }
+
+    const tokens = data.toString('latin1').match(/[{}]|[^\s{}]+/g) || [];
+    let position = 0;
+
+    const parseBlock = () => {
+      const block = [];
+      while (position < tokens.length) {
+        const token = tokens[position++];
+        if (token === '{') {
+          block.push(parseBlock());
+        } else if (token === '}') {
+          return block;
+        } else {
+          const value = Number(token);
+          block.push(isNaN(value) ? token : value);
+        }
+      }
+      return block;
+    };
+
+    // The program is a single outer { ... } block
+    const program = parseBlock();
+    this.program = program.length === 1 && Array.isArray(program[0]) ? program[0] : program;
+  }
+
+  evaluatePostScript(inputs) {
+    const stack = [...inputs];
+    this.runPostScript(this.program, stack);
+
+    const outputCount = this.range.length / 2;
+    return stack.slice(stack.length - outputCount).map(value => Number(value));
+  }
+
+  runPostScript(block, stack) {
+    const pop = () => {
+      if (stack.length === 0) throw new Error('PostScript stack underflow');
+      return stack.pop();
+    };
+
+    for (let i = 0; i < block.length; i++) {
+      const op = block[i];
+
+      if (typeof op === 'number') {
+        stack.push(op);
+        continue;
+      }
+
+      if (Array.isArray(op)) {
+        // Procedure bodies are only used by if/ifelse
+        const next = block[i + 1];
+        if (next === 'if') {
+          if (pop()) this.runPostScript(op, stack);
+          i++;
+        } else if (Array.isArray(next) && block[i + 2] === 'ifelse') {
+          this.runPostScript(pop() ? op : next, stack);
+          i += 2;
+        }
+        continue;
+      }
+
+      let a;
+      let b;
+      switch (op) {
+        // Arithmetic
+        case 'abs': stack.push(Math.abs(pop())); break;
+        case 'add': b = pop(); a = pop(); stack.push(a + b); break;
+        case 'atan': {
+          b = pop(); a = pop();
+          let angle = Math.atan2(a, b) * 180 / Math.PI;
+          if (angle < 0) angle += 360;
+          stack.push(angle);
+          break;
+        }
+        case 'ceiling': stack.push(Math.ceil(pop())); break;
+        case 'cos': stack.push(Math.cos(pop() * Math.PI / 180)); break;
+        case 'cvi': stack.push(Math.trunc(pop())); break;
+        case 'cvr': stack.push(Number(pop())); break;
+        case 'div': b = pop(); a = pop(); stack.push(b === 0 ? 0 : a / b); break;
+        case 'exp': b = pop(); a = pop(); stack.push(Math.pow(a, b)); break;
+        case 'floor': stack.push(Math.floor(pop())); break;
+        case 'idiv': b = pop(); a = pop(); stack.push(b === 0 ? 0 : Math.trunc(a / b)); break;
+        case 'ln': stack.push(Math.log(pop())); break;
+        case 'log': stack.push(Math.log10(pop())); break;
+        case 'mod': b = pop(); a = pop(); stack.push(b === 0 ? 0 : a % b); break;
+        case 'mul': b = pop(); a = pop(); stack.push(a * b); break;
+        case 'neg': stack.push(-pop()); break;
+        case 'round': stack.push(Math.round(pop())); break;
+        case 'sin': stack.push(Math.sin(pop() * Math.PI / 180)); break;
+        case 'sqrt': stack.push(Math.sqrt(pop())); break;
+        case 'sub': b = pop(); a = pop(); stack.push(a - b); break;
+        case 'truncate': stack.push(Math.trunc(pop())); break;
+
+        // Relational, boolean and bitwise
+        case 'and': b = pop(); a = pop(); stack.push(typeof a === 'boolean' ? a && b : a & b); break;
+        case 'or': b = pop(); a = pop(); stack.push(typeof a === 'boolean' ? a || b : a | b); break;
+        case 'xor': b = pop(); a = pop(); stack.push(typeof a === 'boolean' ? a !== b : a ^ b); break;
+        case 'not': a = pop(); stack.push(typeof a === 'boolean' ? !a : ~a); break;
+        case 'bitshift': b = pop(); a = pop(); stack.push(b >= 0 ? a << b : a >> -b); break;
+        case 'eq': b = pop(); a = pop(); stack.push(a === b); break;
+        case 'ne': b = pop(); a = pop(); stack.push(a !== b); break;
+        case 'ge': b = pop(); a = pop(); stack.push(a >= b); break;
+        case 'gt': b = pop(); a = pop(); stack.push(a > b); break;
+        case 'le': b = pop(); a = pop(); stack.push(a <= b); break;
+        case 'lt': b = pop(); a = pop(); stack.push(a < b); break;
+        case 'true': stack.push(true); break;
+        case 'false': stack.push(false); break;
+
+        // Stack manipulation
+        case 'copy': {
+          const n = pop();
+          stack.push(...stack.slice(stack.length - n));
+          break;
+        }
+        case 'dup': a = pop(); stack.push(a, a); break;
+        case 'exch': b = pop(); a = pop(); stack.push(b, a); break;
+        case 'index': {
+          const n = pop();
+          stack.push(stack[stack.length - 1 - n]);
+          break;
+        }
+        case 'pop': pop(); break;
+        case 'roll': {
+          const j = pop();
+          const n = pop();
+          if (n > 0) {
+            const items = stack.splice(stack.length - n, n);
+            const shift = ((j % n) + n) % n;
+            stack.push(...items.slice(n - shift), ...items.slice(0, n - shift));
+          }
+          break;
+        }
+
+        default:
+          throw new Error(`Unknown PostScript operator: ${op}`);
+      }
+    }
+  }
+
+  // Helper methods
+
+  resolve(obj) {
+    return this.context && obj ? this.context.lookup(obj) : obj;
+  }
+
+  number(obj) {
+    const resolved = this.resolve(obj);
+    if (resolved instanceof PDFNumber) return resolved.asNumber();
+    return resolved !== undefined && resolved !== null ? parseFloat(resolved.toString()) : 0;
+  }
+
+  numbers(obj) {
+    const resolved = this.resolve(obj);
+    if (!(resolved instanceof PDFArray)) return [];
+    return resolved.asArray().map(entry => this.number(entry));
+  }
+
+  interpolate(x, xMin, xMax, yMin, yMax) {
+    if (xMax === xMin) return yMin;
+    return yMin + (x - xMin) * (yMax - yMin) / (xMax - xMin);
+  }
+
+  clip(value, min, max) {
+    if (min === undefined || max === undefined) return value;
+    return Math.min(Math.max(value, min), max);
+  }
+}
+
+module.exports = PDFFunction;
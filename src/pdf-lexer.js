@@ -0,0 +1,540 @@
+/**
+ * PDF Lexer
+ * Byte-level tokenizer for PDF content streams (ISO 32000 §7.2–7.3)
+ * Produces typed tokens with byte offsets; arrays and dictionaries are
+ * returned as single composite tokens holding their element tokens
+ */
+
+// Character classes
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+
+const CHAR = {
+  LPAREN: 0x28, // (
+  RPAREN: 0x29, // )
+  LT: 0x3c, // <
+  GT: 0x3e, // >
+  LBRACKET: 0x5b, // [
+  RBRACKET: 0x5d, // ]
+  LBRACE: 0x7b, // {
+  RBRACE: 0x7d, // }
+  SLASH: 0x2f, // /
+  PERCENT: 0x25, // %
+  BACKSLASH: 0x5c, // \
+  HASH: 0x23, // #
+  CR: 0x0d,
+  LF: 0x0a
+};
+
+// Maximum nesting of arrays/dictionaries before the lexer stops descending
+const MAX_NESTING = 64;
+
+// Components per sample for inline image color spaces (full and abbreviated names)
+const INLINE_COLOR_COMPONENTS = {
+  G: 1,
+  DeviceGray: 1,
+  CalGray: 1,
+  I: 1,
+  Indexed: 1,
+  RGB: 3,
+  DeviceRGB: 3,
+  CalRGB: 3,
+  Lab: 3,
+  CMYK: 4,
+  DeviceCMYK: 4
+};
+
+class PDFLexer {
+  /**
+   * @param {Buffer|Uint8Array|string} data - Content stream bytes (strings are read as latin1)
+   */
+  constructor(data) {
+    this.data = typeof data === 'string' ? Buffer.from(data, 'latin1') : data;
+    this.position = 0;
+    this.depth = 0;
+
+    // Inline images: tokens between BI and ID form the image dictionary,
+    // which decides how much binary data follows ID
+    this.inlineImageTokens = null;
+    this.pendingImageTokens = null;
+  }
+
+  /**
+   * Read all remaining tokens
+   * @returns {Array} Tokens { type, value, offset }
+   */
+  tokenize() {
+    const tokens = [];
+    let token;
+    while ((token = this.nextToken()) !== null) {
+      tokens.push(token);
+    }
+    return tokens;
+  }
+
+  /**
+   * Read the next token
+   * Types: 'number', 'string', 'hexstring', 'name', 'boolean', 'null',
+   * 'array', 'dict' and 'operator'. The binary payload of an inline image
+   * (after ID) is returned as one 'inlineImageData' token whose value is a
+   * Buffer. Closing delimiters without an opener are skipped.
+   * @returns {Object|null} Token { type, value, offset }, or null at end of data
+   */
+  nextToken() {
+    if (this.pendingImageTokens) {
+      const dictTokens = this.pendingImageTokens;
+      this.pendingImageTokens = null;
+      return this.readInlineImageData(dictTokens);
+    }
+
+    const token = this.readToken();
+    if (!token) return null;
+
+    if (token.type === 'operator' && token.value === 'BI') {
+      this.inlineImageTokens = [];
+    } else if (token.type === 'operator' && token.value === 'ID') {
+      this.pendingImageTokens = this.inlineImageTokens || [];
+      this.inlineImageTokens = null;
+    } else if (this.inlineImageTokens) {
+      this.inlineImageTokens.push(token);
+    }
+
+    return token;
+  }
+
+  /**
+   * Read the next object or operator token
+   * @returns {Object|null} Token, or null at end of data
+   */
+  readToken() {
+    while (true) {
+      this.skipWhitespaceAndComments();
+      if (this.position >= this.data.length) return null;
+
+      const offset = this.position;
+      const ch = this.data[offset];
+
+      switch (ch) {
+        case CHAR.LPAREN:
+          return { type: 'string', value: this.readLiteralString(), offset };
+
+        case CHAR.LT:
+          if (this.data[offset + 1] === CHAR.LT) {
+            return { type: 'dict', value: this.readDictionary(), offset };
+          }
+          return { type: 'hexstring', value: this.readHexString(), offset };
+
+        case CHAR.LBRACKET:
+          return { type: 'array', value: this.readArray(), offset };
+
+        case CHAR.SLASH:
+          return { type: 'name', value: this.readName(), offset };
+
+        case CHAR.LBRACE:
+        case CHAR.RBRACE:
+          // Only meaningful in PostScript calculator functions
+          this.position++;
+          return { type: 'operator', value: String.fromCharCode(ch), offset };
+
+        case CHAR.RBRACKET:
+        case CHAR.RPAREN:
+          // Unbalanced closing delimiter
+          this.position++;
+          continue;
+
+        case CHAR.GT:
+          this.position += this.data[offset + 1] === CHAR.GT ? 2 : 1;
+          continue;
+
+        default:
+          return this.readKeywordOrNumber(offset);
+      }
+    }
+  }
+
+  /**
+   * Read the binary data of an inline image, leaving the lexer before EI
+   * The data length is computed from the image dictionary when possible;
+   * otherwise the data ends at the first whitespace-delimited EI that is
+   * followed by text rather than more binary data.
+   * @param {Array} dictTokens - Tokens of the image dictionary (key, value, ...)
+   * @returns {Object} Token { type: 'inlineImageData', value: Buffer, offset }
+   */
+  readInlineImageData(dictTokens) {
+    const data = this.data;
+
+    // A single whitespace character separates ID from the data
+    if (WHITESPACE.has(data[this.position])) this.position++;
+    const start = this.position;
+
+    let end = -1;
+    const length = this.inlineImageLength(dictTokens);
+    if (length !== null && this.isInlineImageEnd(start + length)) {
+      end = start + length;
+    }
+    if (end < 0) {
+      end = this.findInlineImageEnd(start);
+    }
+
+    this.position = end;
+    return { type: 'inlineImageData', value: Buffer.from(data.subarray(start, end)), offset: start };
+  }
+
+  /**
+   * Compute the byte length of unfiltered inline image data
+   * @param {Array} dictTokens - Tokens of the image dictionary
+   * @returns {number|null} Length in bytes, or null if it cannot be known
+   */
+  inlineImageLength(dictTokens) {
+    const entries = {};
+    for (let i = 0; i + 1 < dictTokens.length; i += 2) {
+      if (dictTokens[i].type === 'name') entries[dictTokens[i].value] = dictTokens[i + 1];
+    }
+    const value = (...keys) => {
+      const key = keys.find(k => entries[k] !== undefined);
+      return key ? entries[key] : null;
+    };
+
+    const explicitLength = value('L', 'Length');
+    if (explicitLength && explicitLength.type === 'number') return explicitLength.value;
+
+    // Filtered data has no predictable length
+    const filter = value('F', 'Filter');
+    if (filter && !(filter.type === 'array' && filter.value.length === 0)) return null;
+
+    const width = value('W', 'Width');
+    const height = value('H', 'Height');
+    if (!width || !height || width.type !== 'number' || height.type !== 'number') return null;
+
+    const imageMask = value('IM', 'ImageMask');
+    let components = null;
+    let bitsPerComponent = 8;
+
+    if (imageMask && imageMask.value === true) {
+      components = 1;
+      bitsPerComponent = 1;
+    } else {
+      const bpc = value('BPC', 'BitsPerComponent');
+      if (bpc && bpc.type === 'number') bitsPerComponent = bpc.value;
+
+      const colorSpace = value('CS', 'ColorSpace');
+      const family = colorSpace && colorSpace.type === 'array'
+        ? (colorSpace.value[0] && colorSpace.value[0].value)
+        : colorSpace && colorSpace.value;
+      components = INLINE_COLOR_COMPONENTS[family] || null;
+    }
+
+    if (!components) return null;
+    return height.value * Math.ceil((width.value * components * bitsPerComponent) / 8);
+  }
+
+  /**
+   * Check for EI (after optional whitespace) at a position
+   */
+  isInlineImageEnd(position) {
+    const data = this.data;
+    let p = position;
+    while (p < data.length && WHITESPACE.has(data[p])) p++;
+
+    return data[p] === 0x45 && data[p + 1] === 0x49 && // EI
+      (p + 2 >= data.length || WHITESPACE.has(data[p + 2]) || DELIMITERS.has(data[p + 2]));
+  }
+
+  findInlineImageEnd(start) {
+    const data = this.data;
+
+    for (let i = start; i < data.length; i++) {
+      const atBoundary = i === start || WHITESPACE.has(data[i - 1]);
+      if (!atBoundary || data[i] !== 0x45 || data[i + 1] !== 0x49) continue;
+
+      const after = i + 2;
+      if (after < data.length && !WHITESPACE.has(data[after]) && !DELIMITERS.has(data[after])) continue;
+
+      // Binary data can contain " EI " by chance; real content resumes with text
+      let looksLikeText = true;
+      for (let j = after; j < Math.min(after + 32, data.length); j++) {
+        const ch = data[j];
+        if (!WHITESPACE.has(ch) && (ch < 0x20 || ch > 0x7e)) {
+          looksLikeText = false;
+          break;
+        }
+      }
+
+      if (looksLikeText) {
+        // Exclude the whitespace that separates the data from EI
+        return i > start ? i - 1 : i;
+      }
+    }
+
+    return data.length;
+  }
+
+  skipWhitespaceAndComments() {
+    const data = this.data;
+    while (this.position < data.length) {
+      const ch = data[this.position];
+      if (WHITESPACE.has(ch)) {
+        this.position++;
+      } else if (ch === CHAR.PERCENT) {
+        // Comment runs to end of line
+        while (this.position < data.length && data[this.position] !== CHAR.LF && data[this.position] !== CHAR.CR) {
+          this.position++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read a run of regular characters as a number or keyword
+   */
+  readKeywordOrNumber(offset) {
+    const data = this.data;
+    let end = offset;
+    while (end < data.length && !WHITESPACE.has(data[end]) && !DELIMITERS.has(data[end])) {
+      end++;
+    }
+    this.position = end;
+
+    const text = bytesToString(data.subarray(offset, end));
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(text)) {
+      return { type: 'number', value: parseFloat(text), offset };
+    }
+
+    // Malformed numbers such as "--5" or "1.2.3" are read leniently
+    if (/^[+-]+[\d.]/.test(text) || /^\d+\.\d*\./.test(text)) {
+      const value = parseFloat(text.replace(/^[+-]+(?=[+-])/, ''));
+      return { type: 'number', value: isNaN(value) ? 0 : value, offset };
+    }
+
+    if (text === 'true' || text === 'false') {
+      return { type: 'boolean', value: text === 'true', offset };
+    }
+    if (text === 'null') {
+      return { type: 'null', value: null, offset };
+    }
+
+    return { type: 'operator', value: text, offset };
+  }
+
+  /**
+   * Read a literal string, handling balanced parentheses and escapes
+   * @returns {string} String bytes (one char per byte)
+   */
+  readLiteralString() {
+    const data = this.data;
+    const chars = [];
+    let nesting = 1;
+    this.position++; // (
+
+    while (this.position < data.length) {
+      let ch = data[this.position++];
+
+      if (ch === CHAR.LPAREN) {
+        nesting++;
+      } else if (ch === CHAR.RPAREN) {
+        nesting--;
+        if (nesting === 0) break;
+      } else if (ch === CHAR.BACKSLASH) {
+        ch = data[this.position++];
+        switch (ch) {
+          case 0x6e: chars.push(0x0a); continue; // \n
+          case 0x72: chars.push(0x0d); continue; // \r
+          case 0x74: chars.push(0x09); continue; // \t
+          case 0x62: chars.push(0x08); continue; // \b
+          case 0x66: chars.push(0x0c); continue; // \f
+          case CHAR.LPAREN:
+          case CHAR.RPAREN:
+          case CHAR.BACKSLASH:
+            chars.push(ch);
+            continue;
+          case CHAR.CR:
+            // Line continuation (\ followed by EOL is ignored)
+            if (data[this.position] === CHAR.LF) this.position++;
+            continue;
+          case CHAR.LF:
+            continue;
+          default:
+            if (ch >= 0x30 && ch <= 0x37) {
+              // Octal escape: up to three digits
+              let code = ch - 0x30;
+              for (let i = 0; i < 2; i++) {
+                const next = data[this.position];
+                if (next >= 0x30 && next <= 0x37) {
+                  code = code * 8 + (next - 0x30);
+                  this.position++;
+                } else {
+                  break;
+                }
+              }
+              chars.push(code & 0xff);
+              continue;
+            }
+            // Unknown escape: the backslash is ignored
+            if (ch !== undefined) chars.push(ch);
+            continue;
+        }
+      } else if (ch === CHAR.CR) {
+        // Unescaped end-of-line markers are read as a single LF
+        if (data[this.position] === CHAR.LF) this.position++;
+        chars.push(CHAR.LF);
+        continue;
+      }
+
+      chars.push(ch);
+    }
+
+    return bytesToString(chars);
+  }
+
+  /**
+   * Read a hexadecimal string
+   * @returns {string} String bytes (one char per byte)
+   */
+  readHexString() {
+    const data = this.data;
+    const chars = [];
+    let high = -1;
+    this.position++; // <
+
+    while (this.position < data.length) {
+      const ch = data[this.position++];
+      if (ch === CHAR.GT) break;
+
+      const digit = hexValue(ch);
+      if (digit < 0) continue; // whitespace and stray characters
+
+      if (high < 0) {
+        high = digit;
+      } else {
+        chars.push((high << 4) | digit);
+        high = -1;
+      }
+    }
+
+    // An odd final digit is followed by an implied 0
+    if (high >= 0) chars.push(high << 4);
+
+    return bytesToString(chars);
+  }
+
+  /**
+   * Read a name, decoding #xx escapes
+   * @returns {string} Name without the leading slash
+   */
+  readName() {
+    const data = this.data;
+    const chars = [];
+    this.position++; // /
+
+    while (this.position < data.length) {
+      const ch = data[this.position];
+      if (WHITESPACE.has(ch) || DELIMITERS.has(ch)) break;
+      this.position++;
+
+      if (ch === CHAR.HASH) {
+        const high = hexValue(data[this.position]);
+        const low = hexValue(data[this.position + 1]);
+        if (high >= 0 && low >= 0) {
+          chars.push((high << 4) | low);
+          this.position += 2;
+          continue;
+        }
+      }
+
+      chars.push(ch);
+    }
+
+    return bytesToString(chars);
+  }
+
+  /**
+   * Read an array
+   * @returns {Array} Element tokens
+   */
+  readArray() {
+    this.position++; // [
+    const items = [];
+
+    this.depth++;
+    while (true) {
+      this.skipWhitespaceAndComments();
+      if (this.position >= this.data.length) break;
+      if (this.data[this.position] === CHAR.RBRACKET) {
+        this.position++;
+        break;
+      }
+      if (this.depth > MAX_NESTING) {
+        this.position++;
+        continue;
+      }
+
+      const token = this.readToken();
+      if (!token) break;
+      items.push(token);
+    }
+    this.depth--;
+
+    return items;
+  }
+
+  /**
+   * Read a dictionary
+   * @returns {Object} Map of key (without slash) to value token
+   */
+  readDictionary() {
+    this.position += 2; // <<
+    const entries = {};
+    let key = null;
+
+    this.depth++;
+    while (true) {
+      this.skipWhitespaceAndComments();
+      if (this.position >= this.data.length) break;
+      if (this.data[this.position] === CHAR.GT && this.data[this.position + 1] === CHAR.GT) {
+        this.position += 2;
+        break;
+      }
+      if (this.depth > MAX_NESTING) {
+        this.position++;
+        continue;
+      }
+
+      const token = this.readToken();
+      if (!token) break;
+
+      if (key === null) {
+        // Keys must be names; anything else is skipped
+        if (token.type === 'name') key = token.value;
+      } else {
+        entries[key] = token;
+        key = null;
+      }
+    }
+    this.depth--;
+
+    return entries;
+  }
+}
+
+// Helpers
+
+function hexValue(ch) {
+  if (ch >= 0x30 && ch <= 0x39) return ch - 0x30; // 0-9
+  if (ch >= 0x41 && ch <= 0x46) return ch - 0x37; // A-F
+  if (ch >= 0x61 && ch <= 0x66) return ch - 0x57; // a-f
+  return -1;
+}
+
+function bytesToString(bytes) {
+  // Chunked to stay clear of argument count limits on long strings
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    result += String.fromCharCode.apply(null, bytes.slice(i, i + 8192));
+  }
+  return result;
+}
+
+module.exports = PDFLexer;
@@ -1,8 +1,14 @@
-const { PDFDocument } = require('pdf-lib');
+const { PDFDocument, PDFName } = require('pdf-lib');
 const pdfParse = require('pdf-parse');
 const RasterExtractor = require('./raster-extractor');
 const VectorExtractor = require('./vector-extractor');
-const PDFContentParser = require('./pdf-content-parser');
+const OptionalContentReader = require('./optional-content-reader');
+const PageContentExtractor = require('./page-content-extractor');
+const StructureTreeReader = require('./structure-tree-reader');
+const ParseDiagnostics = require('./parse-diagnostics');
+const GeoreferenceReader = require('./georeference-reader');
+const NeatlineDetector = require('./neatline-detector');
+const Reprojector = require('./reprojector');
 
 class PDFProcessor {
   constructor(buffer) {
@@ -10,6 +16,14 @@ class PDFProcessor {
     this.pdfDoc = null;
     this.metadata = {};
     this.layers = [];
+    this.structureTree = null;
+    this.georeference = null;
+    this.georeferenceDiagnostics = new ParseDiagnostics();
+    this.neatlineDetector = null;
+    this.rasterExtractor = null;
+    this.vectorExtractor = null;
+    this.rasterLayers = [];
+    this.vectorLayers = [];
   }
 
   async process() {
@@ -23,25 +37,34 @@ class PDFProcessor {
       // Extract metadata
       await this.extractMetadata(pdfData);
 
+      // Fit the page → world transforms of georeferenced viewports
+      this.readGeoreference();
+
       // Identify and extract layers
       await this.identifyLayers();
 
-      // Extract raster data
-      const rasterExtractor = new RasterExtractor(this.pdfDoc, this.buffer);
-      const rasterLayers = await rasterExtractor.extract();
-
-      // Extract vector data using annotation extractor
-      const vectorExtractor = new VectorExtractor(this.pdfDoc, this.buffer);
-      const vectorLayers = await vectorExtractor.extract();
+      // Read the structure tree (tagged PDF) that carries feature attributes
+      this.readStructureTree();
 
-      // Extract vector paths from content streams
+      // Extract vector paths from content streams (this also finds inline images)
       const contentPaths = await this.extractContentPaths();
 
+      // Extract raster data (image XObjects and inline images)
+      this.rasterExtractor = new RasterExtractor(this.pdfDoc, this.buffer);
+      const rasterLayers = await this.rasterExtractor.extract(contentPaths.imagesByPage, contentPaths.imagePlacementsByPage);
+      this.rasterLayers = rasterLayers;
+
+      // Extract vector data using annotation extractor
+      this.vectorExtractor = new VectorExtractor(this.pdfDoc, this.buffer);
+      const vectorLayers = await this.vectorExtractor.extract();
+      this.vectorLayers = vectorLayers;
+
       return {
         metadata: this.metadata,
         rasterLayers,
         vectorLayers,
-        contentPaths, // New: paths extracted from content streams
+        contentPaths, // Paths, text objects and fonts extracted from content streams
+        layers: this.layers,
         pageCount: this.pdfDoc.getPageCount(),
         info: pdfData.info
       };
@@ -78,36 +101,35 @@ class PDFProcessor {
       // 2. VP (Viewport) entries
       // 3. Measure dictionary
 
-      const catalog = this.pdfDoc.catalog;
-
-      // Access the catalog's raw dictionary to look for geospatial info
-      const catalogDict = catalog.dict;
+      const pages = this.pdfDoc.getPages();
 
-      // Look for VP (Viewport) array - contains projection info
-      const vpKey = catalogDict.context.obj('/VP');
-      if (vpKey) {
+      // Look for VP (Viewport) arrays on pages - contain projection info
+      // (read in full by readGeoreference())
+      const viewportCount = pages.reduce((count, page) => {
+        const vp = page.node.lookup(PDFName.of('VP'));
+        return count + (vp ? (vp.size ? vp.size() : 1) : 0);
+      }, 0);
+      if (viewportCount > 0) {
         this.metadata.hasViewport = true;
+        this.metadata.viewportCount = viewportCount;
       }
 
-      // Look for LGIDict - Layer Geospatial Information
-      const lgiKey = catalogDict.context.obj('/LGIDict');
-      if (lgiKey) {
+      // Look for LGIDict - Layer Geospatial Information (page entries, one
+      // dictionary or an array; read in full by readGeoreference())
+      const lgiDictCount = pages.reduce((count, page) => {
+        const lgiDict = page.node.lookup(PDFName.of('LGIDict'));
+        return count + (lgiDict ? (lgiDict.size ? lgiDict.size() : 1) : 0);
+      }, 0);
+      if (lgiDictCount > 0) {
         this.metadata.hasLGIDict = true;
+        this.metadata.lgiDictCount = lgiDictCount;
         this.metadata.isGeoPDF = true;
       }
 
       // Check for Measure dictionary in pages
-      const pages = this.pdfDoc.getPages();
-      if (pages.length > 0) {
-        const firstPage = pages[0];
-        const pageDict = firstPage.node.dict;
-
-        // Look for Measure key
-        const measureKey = pageDict.context.obj('/Measure');
-        if (measureKey) {
-          this.metadata.hasMeasure = true;
-          this.metadata.isGeoPDF = true;
-        }
+      if (pages.length > 0 && pages[0].node.lookup(PDFName.of('Measure'))) {
+        this.metadata.hasMeasure = true;
+        this.metadata.isGeoPDF = true;
       }
 
       // If we found any geospatial markers, mark as GeoPDF
@@ -121,9 +143,270 @@ class PDFProcessor {
     }
   }
 
+  /**
+   * Read the georeferenced viewports (/VP with a /GEO measure, or /LGIDict)
+   * of all pages
+   * Keeps the reader as this.georeference for pageToGeo()/geoToPage().
+   * Viewports and LGIDict entries it cannot use are listed with the parse
+   * diagnostics.
+   */
+  readGeoreference() {
+    const reader = new GeoreferenceReader(this.pdfDoc, {
+      report: (severity, code, message) => this.georeferenceDiagnostics.add({ severity, code, message, stream: 'Georeference' })
+    });
+    const georeference = reader.read();
+
+    this.metadata.isGeoreferenced = !!georeference && georeference.georeferenced;
+    if (georeference) {
+      this.georeference = reader;
+      this.metadata.georeference = georeference;
+      if (georeference.georeferenced) {
+        this.metadata.isGeoPDF = true;
+      }
+
+      georeference.viewports.forEach(viewport => {
+        const label = `  [Geo] Page ${viewport.page + 1} ${viewport.encoding === 'LGIDict' ? 'LGIDict' : 'viewport'} ${viewport.name || viewport.index}`;
+        if (!viewport.georeferenced) {
+          console.log(`${label}: not georeferenced`);
+          return;
+        }
+        const { west, south, east, north } = viewport.geoBounds;
+        console.log(`${label}: ${viewport.crs.name || `EPSG:${viewport.crs.epsg}`}, ` +
+          `${west.toFixed(5)},${south.toFixed(5)} to ${east.toFixed(5)},${north.toFixed(5)}`);
+      });
+    }
+  }
+
+  /**
+   * Resolve paths, text objects or labels to the viewport that contains them
+   * (by the center of their page-space extent). Objects outside every
+   * viewport, such as the map collar, get viewport null.
+   * @param {number} pageIndex - Zero-based page index
+   * @param {Array} items - Paths, text objects or labels of the page
+   * @returns {number} Number of georeferenced objects
+   */
+  attachViewports(pageIndex, items) {
+    if (!this.georeference) return 0;
+
+    let georeferenced = 0;
+    items.forEach(item => {
+      const center = this.itemCenter(item);
+      const viewport = center ? this.georeference.viewportAt(pageIndex, center.x, center.y) : null;
+
+      item.viewport = viewport ? viewport.index : null;
+      item.georeferenced = !!viewport && viewport.georeferenced;
+      if (item.georeferenced) georeferenced++;
+    });
+    return georeferenced;
+  }
+
+  /**
+   * Center of an object's extent in page space
+   * @param {Object} item - Path (subpaths through its transform), label
+   *   (page-space bbox) or text object (origin through its CTM)
+   * @returns {Object|null} { x, y }
+   */
+  itemCenter(item) {
+    if (item.bbox) {
+      return { x: item.bbox.x + item.bbox.width / 2, y: item.bbox.y + item.bbox.height / 2 };
+    }
+
+    const apply = (m, p) => (m ? { x: m.a * p.x + m.c * p.y + m.e, y: m.b * p.x + m.d * p.y + m.f } : p);
+
+    if (!item.subpaths) {
+      return typeof item.x === 'number' ? apply(item.ctm, item) : null;
+    }
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    const add = point => {
+      if (!point) return;
+      const p = apply(item.transform, point);
+      minX = Math.min(minX, p.x);
+      minY = Math.min(minY, p.y);
+      maxX = Math.max(maxX, p.x);
+      maxY = Math.max(maxY, p.y);
+    };
+    item.subpaths.forEach(subpath => {
+      add(subpath.startPoint);
+      subpath.segments.forEach(segment => {
+        add(segment.point);
+        add(segment.cp1);
+        add(segment.cp2);
+      });
+    });
+
+    return minX <= maxX ? { x: (minX + maxX) / 2, y: (minY + maxY) / 2 } : null;
+  }
+
+  /**
+   * Convert a page point to longitude/latitude
+   * @param {number} pageIndex - Zero-based page index
+   * @param {number} x - Page x (default user space)
+   * @param {number} y - Page y
+   * @returns {Object|null} { lon, lat, viewport } or null if the point is not georeferenced
+   */
+  pageToGeo(pageIndex, x, y) {
+    return this.georeference ? this.georeference.pageToGeo(pageIndex, x, y) : null;
+  }
+
+  /**
+   * Convert longitude/latitude to a page point
+   * @returns {Object|null} { x, y, viewport } or null if no viewport shows the location
+   */
+  geoToPage(pageIndex, lon, lat) {
+    return this.georeference ? this.georeference.geoToPage(pageIndex, lon, lat) : null;
+  }
+
+  /**
+   * Export the vectors of a page (after process())
+   * @param {number} pageIndex - Zero-based page index
+   * @param {Object} options - { format: 'geojson' (default) or 'kml', targetCrs }
+   *   targetCrs reprojects page coordinates (see EpsgRegistry.resolve())
+   * @returns {string} File content
+   */
+  exportVectors(pageIndex, options = {}) {
+    const vectors = this.vectorLayers.filter(vector => vector.page === pageIndex);
+    if (options.format === 'kml') {
+      return this.vectorExtractor.toKML(vectors, options);
+    }
+    return JSON.stringify(this.vectorExtractor.toGeoJSON(vectors, options), null, 2);
+  }
+
+  /**
+   * Export the content paths of a page (the map geometry) as GeoJSON
+   * Paths are read with PageContentExtractor.iteratePage() and written out as
+   * they are parsed, so the page's paths are never held in memory together.
+   * @param {number} pageIndex - Zero-based page index
+   * @param {Object} options - { targetCrs, clip, write }
+   *   targetCrs reprojects page coordinates (see EpsgRegistry.resolve());
+   *   paths outside the georeferenced viewports are then left out.
+   *   clip keeps only the map body, cut at the viewport neatline.
+   *   write receives the file in chunks; without it the text is returned.
+   * @returns {string|number} GeoJSON text, or the number of features written
+   */
+  exportContentPaths(pageIndex, options = {}) {
+    const georeference = this.georeference || new GeoreferenceReader(this.pdfDoc);
+    const reprojector = options.targetCrs ? new Reprojector(georeference, options.targetCrs) : null;
+    const vectorExtractor = this.vectorExtractor || new VectorExtractor(this.pdfDoc, this.buffer);
+    const neatlineDetector = options.clip ? new NeatlineDetector(this.pdfDoc, { georeference }) : null;
+    const neatline = neatlineDetector ? neatlineDetector.detect(pageIndex) : null;
+    if (options.clip && !neatline) {
+      throw new Error(`Page ${pageIndex + 1} has no georeferenced viewport to clip to`);
+    }
+
+    const chunks = [];
+    const write = options.write || (chunk => chunks.push(chunk));
+    const crs = reprojector && reprojector.target.code
+      ? `"crs":${JSON.stringify({ type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${reprojector.target.code}` } })},`
+      : '';
+    write(`{"type":"FeatureCollection",${crs}"features":[\n`);
+
+    let count = 0;
+    let skipped = 0;
+    const extractor = new PageContentExtractor(this.pdfDoc);
+    for (const item of extractor.iteratePage(pageIndex)) {
+      if (item.type !== 'path') continue;
+
+      let path = item.path;
+      this.attachStructure(pageIndex, [path]);
+      if (neatline) {
+        const position = neatlineDetector.classify(path, neatline);
+        if (position === 'collar') continue;
+        if (position === 'crossing') path = neatlineDetector.clip(path, neatline);
+        if (!path) continue;
+      }
+
+      const pageGeometry = vectorExtractor.pathGeometry(path);
+      if (!pageGeometry) continue;
+      const geometry = reprojector ? reprojector.geometry(pageIndex, pageGeometry) : pageGeometry;
+      if (!geometry) {
+        skipped++;
+        continue;
+      }
+
+      const feature = {
+        type: 'Feature',
+        geometry,
+        properties: {
+          page: pageIndex,
+          operation: path.operation,
+          layer: path.layer || null,
+          stroke: path.style.stroke || null,
+          fill: path.style.fill || null,
+          structure: path.structure ? path.structure.type : null
+        }
+      };
+      write(`${count > 0 ? ',\n' : ''}${JSON.stringify(feature)}`);
+      count++;
+    }
+    write('\n]}\n');
+
+    if (skipped > 0) {
+      console.log(`  [Geo] ${skipped} paths outside the georeferenced viewports were not exported`);
+    }
+    return options.write ? count : chunks.join('');
+  }
+
+  /**
+   * Export a raster layer (after process())
+   * @param {number} layerIndex - Index into the raster layers
+   * @param {Object} options - { targetCrs } system of the world file
+   * @returns {Object} { data, format, worldFile }: image bytes, and a world
+   *   file when targetCrs is given and the image lies in a georeferenced viewport
+   *   (the image is not resampled, so across a change of projection the
+   *   world file only approximates its placement; see Reprojector.worldFile())
+   */
+  exportRaster(layerIndex, options = {}) {
+    const layer = this.rasterLayers[layerIndex];
+    if (!layer || !layer.dataUrl) {
+      throw new Error('No image data available for export');
+    }
+
+    return {
+      data: Buffer.from(layer.dataUrl.split(',')[1], 'base64'),
+      format: layer.format,
+      worldFile: options.targetCrs ? this.rasterExtractor.toWorldFile(layer, options) : null
+    };
+  }
+
+  /**
+   * Content of a page's map body (after extractContentPaths())
+   * @param {Object} contentPaths - Result of extractContentPaths()
+   * @param {number} pageIndex - Zero-based page index
+   * @param {Object} options - { clip } cut paths crossing the neatline;
+   *   otherwise they are kept whole
+   * @returns {Object|null} { neatline, paths, textObjects, labels }, or null
+   *   if the page has no neatline
+   */
+  mapBody(contentPaths, pageIndex, options = {}) {
+    const neatline = contentPaths.neatlinesByPage?.[pageIndex];
+    if (!neatline || !this.neatlineDetector) return null;
+
+    const body = this.neatlineDetector.mapBody({
+      paths: contentPaths.pathsByPage[pageIndex],
+      textObjects: contentPaths.textObjectsByPage[pageIndex],
+      labels: contentPaths.labelsByPage[pageIndex]
+    }, neatline, options);
+    return { neatline, ...body };
+  }
+
   async identifyLayers() {
     try {
       // In GeoPDF, layers are typically stored as Optional Content Groups (OCGs)
+      const optionalContent = new OptionalContentReader(this.pdfDoc).read();
+
+      if (optionalContent) {
+        this.layers = optionalContent.groups;
+        this.metadata.hasLayers = optionalContent.groups.length > 0;
+        this.metadata.layerTree = optionalContent.tree;
+        this.metadata.layerConfigs = optionalContent.configs;
+        return;
+      }
+
+      // No /OCProperties: fall back to flagging pages with XObjects
       const pages = this.pdfDoc.getPages();
 
       this.layers = [];
@@ -154,70 +437,152 @@ class PDFProcessor {
     }
   }
 
-  async extractContentPaths() {
-    const allPaths = [];
-
-    try {
-      const pages = this.pdfDoc.getPages();
-
-      for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
-        console.log(`Extracting paths from page ${pageIndex + 1}/${pages.length}...`);
-
-        const page = pages[pageIndex];
-        const pageDict = page.node.dict;
-
-        // Get the page's content stream(s)
-        const contents = pageDict.get(pageDict.context.obj('/Contents'));
+  readStructureTree() {
+    const reader = new StructureTreeReader(this.pdfDoc);
+    const summary = reader.read();
 
-        if (!contents) {
-          console.log(`  No content stream found on page ${pageIndex + 1}`);
-          continue;
-        }
-
-        // Contents can be a single stream or an array of streams
-        const streams = Array.isArray(contents) ? contents : [contents];
+    this.metadata.hasStructureTree = !!summary;
+    if (summary) {
+      this.structureTree = reader;
+      this.metadata.structureTree = summary;
+    }
+  }
 
-        for (const streamRef of streams) {
-          try {
-            // Look up the actual stream object
-            const stream = this.pdfDoc.context.lookup(streamRef);
+  /**
+   * Tag paths, text objects or labels with the structure element that owns
+   * their marked content (element type, title, attributes and parents)
+   * @param {number} pageIndex - Zero-based page index
+   * @param {Array} items - Objects carrying mcid/mcidStream from the parser
+   * @returns {number} Number of objects tagged
+   */
+  attachStructure(pageIndex, items) {
+    if (!this.structureTree) return 0;
+
+    let tagged = 0;
+    items.forEach(item => {
+      if (typeof item.mcid !== 'number') return;
+
+      const element = this.structureTree.elementFor(pageIndex, item.mcid, item.mcidStream);
+      if (element) {
+        item.structure = element;
+        tagged++;
+      }
+    });
+    return tagged;
+  }
 
-            if (!stream || !stream.contents) {
-              continue;
-            }
+  async extractContentPaths() {
+    const allPaths = [];
+    const allTextObjects = [];
+    const pathsByPage = {};
+    const textObjectsByPage = {};
+    const labelsByPage = {};
+    const fontsByPage = {};
+    const imagesByPage = {};
+    const imagePlacementsByPage = {};
+    const neatlinesByPage = {};
+    // Georeferencing problems belong to no single content stream
+    const diagnostics = [...this.georeferenceDiagnostics.list()];
+    const diagnosticsByPage = {};
+    let droppedDiagnostics = this.georeferenceDiagnostics.dropped;
 
-            // Parse the content stream
-            const parser = new PDFContentParser();
-            const paths = parser.parseContentStream(stream.contents);
+    try {
+      const pageCount = this.pdfDoc.getPageCount();
+      const extractor = new PageContentExtractor(this.pdfDoc);
+      this.neatlineDetector = new NeatlineDetector(this.pdfDoc, { georeference: this.georeference || undefined });
+
+      for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+        console.log(`Extracting paths from page ${pageIndex + 1}/${pageCount}...`);
+
+        try {
+          const { paths, textObjects, labels, images, imagePlacements, fonts, diagnostics: pageDiagnostics, droppedDiagnostics: pageDropped } = extractor.extractPage(pageIndex);
+
+          console.log(`  Found ${paths.length} paths, ${textObjects.length} text objects (${labels.length} labels) and ${images.length} inline images`);
+
+          pageDiagnostics.forEach(diagnostic => {
+            diagnostic.page = pageIndex;
+            diagnostics.push(diagnostic);
+          });
+          diagnosticsByPage[pageIndex] = pageDiagnostics;
+          droppedDiagnostics += pageDropped;
+          const pageSummary = ParseDiagnostics.summarize(pageDiagnostics, pageDropped);
+          if (!pageSummary.clean) {
+            console.log(`  Parse diagnostics: ${pageSummary.error} errors, ${pageSummary.warning} warnings` +
+              (pageDropped > 0 ? ` (${pageDropped} more not listed)` : ''));
+          }
 
-            console.log(`  Found ${paths.length} paths in content stream`);
+          const tagged = this.attachStructure(pageIndex, paths) +
+            this.attachStructure(pageIndex, textObjects) +
+            this.attachStructure(pageIndex, labels);
+          if (tagged > 0) {
+            console.log(`  Attached structure elements to ${tagged} objects`);
+          }
 
-            // Add page number to each path
-            paths.forEach(path => {
-              path.page = pageIndex;
-            });
+          if (this.georeference) {
+            const georeferenced = this.attachViewports(pageIndex, paths) +
+              this.attachViewports(pageIndex, textObjects) +
+              this.attachViewports(pageIndex, labels);
+            const total = paths.length + textObjects.length + labels.length;
+            console.log(`  ${georeferenced} of ${total} objects lie in a georeferenced viewport (${total - georeferenced} in the collar or other viewports)`);
+          }
 
-            allPaths.push(...paths);
-          } catch (streamError) {
-            console.error(`  Error parsing content stream:`, streamError.message);
+          const neatline = this.neatlineDetector.detect(pageIndex, paths);
+          if (neatline) {
+            const counts = [paths, textObjects, labels]
+              .map(items => this.neatlineDetector.classifyAll(items, neatline))
+              .reduce((sum, count) => ({
+                inside: sum.inside + count.inside,
+                crossing: sum.crossing + count.crossing,
+                collar: sum.collar + count.collar
+              }));
+            console.log(`  Neatline (${neatline.source === 'viewport' ? `viewport ${neatline.viewport}` : 'outer frame'}): ` +
+              `${counts.inside} objects inside, ${counts.crossing} crossing, ${counts.collar} in the collar`);
+            neatlinesByPage[pageIndex] = neatline;
           }
+
+          pathsByPage[pageIndex] = paths;
+          textObjectsByPage[pageIndex] = textObjects;
+          labelsByPage[pageIndex] = labels;
+          fontsByPage[pageIndex] = fonts;
+          imagesByPage[pageIndex] = images;
+          imagePlacementsByPage[pageIndex] = imagePlacements;
+
+          // Pages can hold hundreds of thousands of paths; avoid spreading into push()
+          paths.forEach(path => allPaths.push(path));
+          textObjects.forEach(textObject => allTextObjects.push(textObject));
+        } catch (pageError) {
+          console.error(`  Error parsing page ${pageIndex + 1}:`, pageError.message);
+
+          const diagnostic = {
+            severity: 'error',
+            code: 'parse-error',
+            message: `Page could not be parsed: ${pageError.message}`,
+            stream: `page ${pageIndex + 1}`,
+            offset: null,
+            operator: null,
+            count: 1,
+            page: pageIndex
+          };
+          diagnostics.push(diagnostic);
+          diagnosticsByPage[pageIndex] = [diagnostic];
         }
       }
 
       console.log(`\nTotal paths extracted: ${allPaths.length}`);
 
-      // Group paths by page for easier access
-      const pathsByPage = {};
-      allPaths.forEach(path => {
-        if (!pathsByPage[path.page]) {
-          pathsByPage[path.page] = [];
-        }
-        pathsByPage[path.page].push(path);
-      });
-
       return {
         paths: allPaths,
         pathsByPage,
+        textObjects: allTextObjects,
+        textObjectsByPage,
+        labelsByPage,
+        fontsByPage,
+        imagesByPage,
+        imagePlacementsByPage, // Where image XObjects are painted { name, ref, ctm, ... }
+        neatlinesByPage, // Map body outline { source, viewport, ring, bounds }; objects carry .neatline
+        diagnostics, // Parse anomalies { severity, code, message, stream, offset, operator, count, page }
+        diagnosticsByPage,
+        diagnosticSummary: ParseDiagnostics.summarize(diagnostics, droppedDiagnostics),
         statistics: this.generatePathStatistics(allPaths)
       };
 
@@ -226,6 +591,16 @@ class PDFProcessor {
       return {
         paths: [],
         pathsByPage: {},
+        textObjects: [],
+        textObjectsByPage: {},
+        labelsByPage: {},
+        fontsByPage: {},
+        imagesByPage: {},
+        imagePlacementsByPage: {},
+        neatlinesByPage,
+        diagnostics,
+        diagnosticsByPage,
+        diagnosticSummary: ParseDiagnostics.summarize(diagnostics, droppedDiagnostics),
         statistics: {},
         error: error.message
       };
@@ -237,6 +612,10 @@ class PDFProcessor {
       total: paths.length,
       byOperation: {},
       byColor: {},
+      byLayer: {},
+      byStructureType: {},
+      byViewport: {},
+      byNeatline: {},
       averageSegments: 0
     };
 
@@ -264,6 +643,27 @@ class PDFProcessor {
         stats.byColor[color].stroke++;
       }
 
+      // Count by Optional Content Group (layer)
+      const layer = path.layer || 'unassigned';
+      stats.byLayer[layer] = (stats.byLayer[layer] || 0) + 1;
+
+      // Count by structure element type (tagged PDF)
+      if (path.structure) {
+        const type = path.structure.type;
+        stats.byStructureType[type] = (stats.byStructureType[type] || 0) + 1;
+      }
+
+      // Count by viewport (georeferenced PDFs); null is the collar
+      if (path.viewport !== undefined) {
+        const viewport = path.viewport === null ? 'collar' : `viewport ${path.viewport}`;
+        stats.byViewport[viewport] = (stats.byViewport[viewport] || 0) + 1;
+      }
+
+      // Count by position relative to the neatline
+      if (path.neatline) {
+        stats.byNeatline[path.neatline] = (stats.byNeatline[path.neatline] || 0) + 1;
+      }
+
       // Count segments
       path.subpaths.forEach(subpath => {
         totalSegments += subpath.segments.length;
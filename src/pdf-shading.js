@@ -0,0 +1,306 @@
+/**
+ * PDF Shading
+ * Reads shading dictionaries (ISO 32000 §8.7.4.5) used by the sh operator
+ * and by shading patterns (/PatternType 2)
+ * Axial (type 2) and radial (type 3) shadings become gradient descriptions
+ * with sampled color stops; function-based (type 1) and mesh (types 4-7)
+ * shadings are sampled for an average color only.
+ */
+
+const { PDFName, PDFArray, PDFNumber, PDFBool, PDFStream } = require('pdf-lib');
+const ColorSpace = require('./color-space');
+const PDFFunction = require('./pdf-function');
+
+// Color stops sampled along axial and radial shadings
+const STOP_COUNT = 16;
+
+// Grid used to sample function-based shadings
+const FUNCTION_SAMPLES = 8;
+
+class PDFShading {
+  /**
+   * @param {PDFDict|PDFRawStream} obj - Shading dictionary, or stream (mesh types)
+   * @param {Object} options - { context, getStreamData(stream), lookupNamed(name),
+   *   report(severity, code, message) } (see ColorSpace.resolve())
+   */
+  constructor(obj, options = {}) {
+    this.context = options.context;
+    this.getStreamData = options.getStreamData;
+
+    const resolved = this.resolve(obj);
+    this.stream = resolved instanceof PDFStream ? resolved : null;
+    const dict = this.stream ? this.stream.dict : resolved;
+    if (!dict || !dict.lookup) {
+      throw new Error('Invalid shading object');
+    }
+
+    this.type = this.number(dict.lookup(PDFName.of('ShadingType')));
+    this.colorSpace = ColorSpace.resolve(dict.lookup(PDFName.of('ColorSpace')), options);
+    if (!this.colorSpace) {
+      throw new Error('Shading has no usable color space');
+    }
+
+    const background = this.numbers(dict.lookup(PDFName.of('Background')));
+    this.background = background.length > 0 ? this.toColor(background) : null;
+    const bbox = this.numbers(dict.lookup(PDFName.of('BBox')));
+    this.bbox = bbox.length === 4 ? bbox : null;
+
+    const fn = dict.lookup(PDFName.of('Function'));
+    this.fn = fn ? PDFFunction.create(fn, options) : null;
+
+    this.coords = this.numbers(dict.lookup(PDFName.of('Coords')));
+    const domain = this.numbers(dict.lookup(PDFName.of('Domain')));
+    this.domain = domain.length > 0 ? domain : (this.type === 1 ? [0, 1, 0, 1] : [0, 1]);
+    const matrix = this.numbers(dict.lookup(PDFName.of('Matrix')));
+    this.matrix = matrix.length === 6 ? matrix : [1, 0, 0, 1, 0, 0];
+
+    const extend = this.resolve(dict.lookup(PDFName.of('Extend')));
+    this.extend = extend instanceof PDFArray
+      ? extend.asArray().map(entry => this.bool(entry))
+      : [false, false];
+
+    if (this.type >= 4 && this.type <= 7) {
+      this.meshParams = {
+        bitsPerCoordinate: this.number(dict.lookup(PDFName.of('BitsPerCoordinate'))),
+        bitsPerComponent: this.number(dict.lookup(PDFName.of('BitsPerComponent'))),
+        bitsPerFlag: this.number(dict.lookup(PDFName.of('BitsPerFlag'))),
+        decode: this.numbers(dict.lookup(PDFName.of('Decode')))
+      };
+    }
+  }
+
+  /**
+   * Whether the shading can be drawn as an SVG gradient (axial and radial)
+   */
+  isGradient() {
+    return (this.type === 2 && this.coords.length >= 4) ||
+      (this.type === 3 && this.coords.length >= 6);
+  }
+
+  /**
+   * Sample the color function along the gradient axis
+   * @param {number} count - Number of intervals (count + 1 stops)
+   * @returns {Array} Stops { offset, color } with offsets in 0..1
+   */
+  getStops(count = STOP_COUNT) {
+    const [t0, t1] = this.domain;
+    const stops = [];
+
+    for (let i = 0; i <= count; i++) {
+      const offset = i / count;
+      const color = this.colorAt(t0 + offset * (t1 - t0));
+      if (color) stops.push({ offset, color });
+    }
+
+    return stops;
+  }
+
+  colorAt(...inputs) {
+    const components = this.fn ? this.fn(inputs) : inputs;
+    return this.toColor(components);
+  }
+
+  toColor(components) {
+    const rgb = this.colorSpace.toRGB(components);
+    return rgb ? rgbToHex(rgb) : null;
+  }
+
+  /**
+   * Average color of the shading, used where gradients cannot be drawn
+   * @returns {string|null} Hex color
+   */
+  getAverageColor() {
+    if (this.averageColor !== undefined) return this.averageColor;
+    let colors = [];
+
+    if (this.isGradient()) {
+      colors = this.getStops().map(stop => stop.color);
+    } else if (this.type === 1) {
+      const [x0, x1, y0, y1] = this.domain;
+      for (let i = 0; i < FUNCTION_SAMPLES; i++) {
+        for (let j = 0; j < FUNCTION_SAMPLES; j++) {
+          const x = x0 + (i + 0.5) / FUNCTION_SAMPLES * (x1 - x0);
+          const y = y0 + (j + 0.5) / FUNCTION_SAMPLES * (y1 - y0);
+          colors.push(this.colorAt(x, y));
+        }
+      }
+    } else if (this.meshParams) {
+      colors = this.readMeshVertices()
+        .filter(vertex => vertex.color)
+        .map(vertex => this.colorAt(...vertex.color));
+    }
+
+    this.averageColor = averageColor(colors.filter(color => color)) || this.background;
+    return this.averageColor;
+  }
+
+  /**
+   * Bounding box of a mesh shading's vertices in shading space
+   * @returns {Array|null} [x1, y1, x2, y2]
+   */
+  getMeshBounds() {
+    if (!this.meshParams) return null;
+
+    const vertices = this.readMeshVertices();
+    if (vertices.length === 0) return null;
+
+    const xs = vertices.map(vertex => vertex.x);
+    const ys = vertices.map(vertex => vertex.y);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  }
+
+  /**
+   * Read the vertices (and patch control points) of a mesh shading
+   * Each vertex or patch starts on a byte boundary; edge flags of free-form
+   * meshes and patches only change how many points and colors follow.
+   * @returns {Array} Vertices { x, y, color }; control points have color null
+   */
+  readMeshVertices() {
+    if (this.meshVertices) return this.meshVertices;
+    this.meshVertices = [];
+
+    const data = this.stream && this.getStreamData ? this.getStreamData(this.stream) : null;
+    if (!data) return this.meshVertices;
+
+    const { bitsPerCoordinate, bitsPerComponent, bitsPerFlag, decode } = this.meshParams;
+    const colorCount = this.fn ? 1 : this.colorSpace.numComponents;
+    if (!bitsPerCoordinate || !bitsPerComponent || decode.length < 4 + colorCount * 2) {
+      return this.meshVertices;
+    }
+
+    const reader = new BitReader(data);
+    const coordMax = Math.pow(2, bitsPerCoordinate) - 1;
+    const componentMax = Math.pow(2, bitsPerComponent) - 1;
+    const scale = (value, max, index) => decode[index] + value * (decode[index + 1] - decode[index]) / max;
+
+    const readPoint = () => ({
+      x: scale(reader.read(bitsPerCoordinate), coordMax, 0),
+      y: scale(reader.read(bitsPerCoordinate), coordMax, 2),
+      color: null
+    });
+    const readColor = () => {
+      const color = [];
+      for (let i = 0; i < colorCount; i++) {
+        color.push(scale(reader.read(bitsPerComponent), componentMax, 4 + i * 2));
+      }
+      return color;
+    };
+
+    // Smallest vertex or patch record; shorter trailing data is padding
+    const colorBits = colorCount * bitsPerComponent;
+    const minimumBits = this.type === 4 || this.type === 5
+      ? (this.type === 4 ? bitsPerFlag : 0) + 2 * bitsPerCoordinate + colorBits
+      : bitsPerFlag + (this.type === 6 ? 8 : 12) * 2 * bitsPerCoordinate + 2 * colorBits;
+    while (reader.remaining() >= minimumBits) {
+      if (this.type === 4 || this.type === 5) {
+        if (this.type === 4) reader.read(bitsPerFlag);
+        const vertex = readPoint();
+        vertex.color = readColor();
+        this.meshVertices.push(vertex);
+      } else {
+        // Coons (6) and tensor-product (7) patches; flag 0 starts a new patch,
+        // other flags share an edge with the previous one
+        const flag = reader.read(bitsPerFlag);
+        const pointCount = (this.type === 6 ? 12 : 16) - (flag === 0 ? 0 : 4);
+        const patchColors = flag === 0 ? 4 : 2;
+        for (let i = 0; i < pointCount; i++) this.meshVertices.push(readPoint());
+        for (let i = 0; i < patchColors; i++) {
+          const vertex = this.meshVertices[this.meshVertices.length - pointCount + i];
+          vertex.color = readColor();
+        }
+      }
+      reader.align();
+    }
+
+    return this.meshVertices;
+  }
+
+  /**
+   * Describe the shading for a painted path
+   * @param {Object} matrix - Shading space → page space matrix { a, b, c, d, e, f }
+   * @returns {Object} { shadingType, coords, extend, stops, matrix, averageColor, background }
+   */
+  describe(matrix) {
+    const gradient = this.isGradient();
+    return {
+      shadingType: this.type,
+      coords: gradient ? this.coords.slice(0, this.type === 2 ? 4 : 6) : null,
+      extend: [!!this.extend[0], !!this.extend[1]],
+      stops: gradient ? this.getStops() : null,
+      matrix: { ...matrix },
+      averageColor: this.getAverageColor(),
+      background: this.background
+    };
+  }
+
+  // Helper methods
+
+  resolve(obj) {
+    return this.context && obj ? this.context.lookup(obj) : obj;
+  }
+
+  number(obj) {
+    const resolved = this.resolve(obj);
+    if (resolved instanceof PDFNumber) return resolved.asNumber();
+    return resolved !== undefined && resolved !== null ? parseFloat(resolved.toString()) : 0;
+  }
+
+  numbers(obj) {
+    const resolved = this.resolve(obj);
+    if (!(resolved instanceof PDFArray)) return [];
+    return resolved.asArray().map(entry => this.number(entry));
+  }
+
+  bool(obj) {
+    const resolved = this.resolve(obj);
+    return resolved instanceof PDFBool ? resolved.asBoolean() : String(resolved) === 'true';
+  }
+}
+
+/**
+ * Reads big-endian bit fields from mesh shading data
+ */
+class BitReader {
+  constructor(data) {
+    this.data = data;
+    this.bitPos = 0;
+  }
+
+  read(bits) {
+    let value = 0;
+    for (let i = 0; i < bits; i++) {
+      const byte = this.data[(this.bitPos + i) >> 3] || 0;
+      value = value * 2 + ((byte >> (7 - ((this.bitPos + i) & 7))) & 1);
+    }
+    this.bitPos += bits;
+    return value;
+  }
+
+  align() {
+    this.bitPos = Math.ceil(this.bitPos / 8) * 8;
+  }
+
+  remaining() {
+    return this.data.length * 8 - this.bitPos;
+  }
+}
+
+function rgbToHex(rgb) {
+  return '#' + rgb
+    .map(value => Math.round(Math.min(Math.max(value, 0), 1) * 255).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function averageColor(colors) {
+  if (colors.length === 0) return null;
+
+  const sums = [0, 0, 0];
+  for (const color of colors) {
+    for (let i = 0; i < 3; i++) {
+      sums[i] += parseInt(color.substring(1 + i * 2, 3 + i * 2), 16);
+    }
+  }
+  return rgbToHex(sums.map(sum => sum / colors.length / 255));
+}
+
+module.exports = PDFShading;
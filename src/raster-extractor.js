@@ -1,22 +1,43 @@
-const { PDFDocument, PDFName, PDFRawStream } = require('pdf-lib');
-const proj4 = require('proj4');
+const zlib = require('zlib');
+const { PDFDocument, PDFName, PDFRef, PDFRawStream, PDFNumber, PDFHexString } = require('pdf-lib');
+const StreamDecoder = require('./stream-decoder');
+const ColorSpace = require('./color-space');
+const GeoreferenceReader = require('./georeference-reader');
+const Reprojector = require('./reprojector');
 
 class RasterExtractor {
   constructor(pdfDoc, buffer) {
     this.pdfDoc = pdfDoc;
     this.buffer = buffer;
     this.rasterLayers = [];
+    this.streamDecoder = new StreamDecoder(pdfDoc.context);
+    this.georeference = new GeoreferenceReader(pdfDoc);
   }
 
-  async extract() {
+  /**
+   * List the images of all pages
+   * @param {Object} inlineImagesByPage - Inline images found by the content parser, by page index
+   * @param {Object} placementsByPage - Image XObject placements found by the
+   *   content parser, by page index; the first placement of an image (matched
+   *   by object reference, as forms may reuse resource names) gives its ctm
+   * @returns {Array} Raster layers (image XObjects, then inline images, per page)
+   */
+  async extract(inlineImagesByPage = {}, placementsByPage = {}) {
     try {
       const pages = this.pdfDoc.getPages();
 
       for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
         const page = pages[pageIndex];
         const pageImages = await this.extractImagesFromPage(page, pageIndex);
+        pageImages.forEach(image => {
+          const placement = image.ref
+            ? (placementsByPage[pageIndex] || []).find(candidate => candidate.ref === image.ref)
+            : null;
+          image.ctm = placement ? placement.ctm : null;
+        });
 
         this.rasterLayers.push(...pageImages);
+        this.rasterLayers.push(...this.extractInlineImages(inlineImagesByPage[pageIndex] || [], pageIndex, page));
       }
 
       return this.rasterLayers;
@@ -30,35 +51,36 @@ class RasterExtractor {
     const images = [];
 
     try {
-      const pageDict = page.node.dict;
-      const resources = pageDict.get(pageDict.context.obj('/Resources'));
+      const resources = page.node.lookup(PDFName.of('Resources'));
 
-      if (!resources) {
+      if (!resources || !resources.lookup) {
         return images;
       }
 
-      const xObject = resources.get(resources.context.obj('/XObject'));
+      const xObject = resources.lookup(PDFName.of('XObject'));
 
-      if (!xObject) {
+      if (!xObject || !xObject.keys) {
         return images;
       }
 
       // XObject is a dictionary of all objects on the page
-      const xObjectKeys = xObject.dict ? xObject.dict.keys() : [];
+      const xObjectKeys = xObject.keys();
 
       for (const key of xObjectKeys) {
         try {
-          const xObj = xObject.get(key);
+          const xObj = xObject.lookup(key);
 
           if (!xObj) continue;
 
           // Check if this XObject is an image
-          const subtype = xObj.dict?.get(xObj.dict.context.obj('/Subtype'));
+          const subtype = xObj.dict?.lookup(PDFName.of('Subtype'));
           const subtypeName = subtype?.toString();
 
           if (subtypeName === '/Image') {
             const imageData = await this.extractImageData(xObj, key, pageIndex, page);
             if (imageData) {
+              const ref = xObject.get(key);
+              imageData.ref = ref instanceof PDFRef ? ref.toString() : null;
               images.push(imageData);
             }
           }
@@ -79,45 +101,59 @@ class RasterExtractor {
       const dict = imageObj.dict;
 
       // Get image properties
-      const width = dict.get(dict.context.obj('/Width'));
-      const height = dict.get(dict.context.obj('/Height'));
-      const colorSpace = dict.get(dict.context.obj('/ColorSpace'));
-      const bitsPerComponent = dict.get(dict.context.obj('/BitsPerComponent'));
-      const filter = dict.get(dict.context.obj('/Filter'));
+      const width = dict.lookup(PDFName.of('Width'));
+      const height = dict.lookup(PDFName.of('Height'));
+      const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+      const bitsPerComponent = dict.lookup(PDFName.of('BitsPerComponent'));
+      const filter = dict.lookup(PDFName.of('Filter'));
 
-      // Get image data
+      const filterName = filter?.toString();
+
+      // Get image data: general-purpose filters are decoded, image codecs
+      // (JPEG, JPEG 2000, CCITT, JBIG2) are passed on in their own format
       let imageBytes;
+      let format = 'unknown';
       try {
-        if (imageObj instanceof PDFRawStream) {
-          imageBytes = imageObj.contents;
-        } else {
-          // Try to get the stream data
-          const ref = imageObj.ref;
-          if (ref) {
-            const obj = this.pdfDoc.context.lookup(ref);
-            if (obj && obj.contents) {
-              imageBytes = obj.contents;
-            }
+        const stream = imageObj instanceof PDFRawStream
+          ? imageObj
+          : this.pdfDoc.context.lookup(imageObj.ref);
+        const decoded = this.streamDecoder.decodeWithInfo(stream);
+
+        switch (decoded.imageFilter) {
+          case 'DCTDecode':
+            format = 'jpeg';
+            imageBytes = decoded.data;
+            break;
+          case 'JPXDecode':
+            format = 'jp2';
+            imageBytes = decoded.data;
+            break;
+          case 'CCITTFaxDecode':
+            format = 'tiff';
+            imageBytes = decoded.data;
+            break;
+          case 'JBIG2Decode':
+            format = 'jbig2';
+            imageBytes = decoded.data;
+            break;
+          default: {
+            // Raw samples: re-encode as PNG
+            const png = this.samplesToPNG(decoded.data, {
+              width: width instanceof PDFNumber ? width.asNumber() : 0,
+              height: height instanceof PDFNumber ? height.asNumber() : 0,
+              bitsPerComponent: bitsPerComponent instanceof PDFNumber ? bitsPerComponent.asNumber() : 8,
+              colorSpace
+            });
+            format = png ? 'png' : 'raw';
+            imageBytes = png || decoded.data;
           }
         }
       } catch (error) {
         console.error('Error getting image bytes:', error);
       }
 
-      // Determine image format
-      let format = 'unknown';
-      const filterName = filter?.toString();
-
-      if (filterName?.includes('DCTDecode')) {
-        format = 'jpeg';
-      } else if (filterName?.includes('FlateDecode')) {
-        format = 'png';
-      } else if (filterName?.includes('CCITTFaxDecode')) {
-        format = 'tiff';
-      }
-
       // Extract georeferencing information
-      const geoInfo = this.extractGeoReference(page, imageObj);
+      const geoInfo = this.extractGeoReference(pageIndex);
 
       // Convert image bytes to base64 for transfer
       let base64Data = null;
@@ -126,7 +162,7 @@ class RasterExtractor {
       }
 
       return {
-        name: imageName?.toString() || `image_${pageIndex}`,
+        name: imageName?.toString().replace(/^\//, '') || `image_${pageIndex}`,
         page: pageIndex,
         width: width?.toString(),
         height: height?.toString(),
@@ -135,7 +171,7 @@ class RasterExtractor {
         format,
         filter: filterName,
         geoReference: geoInfo,
-        dataUrl: base64Data ? `data:image/${format};base64,${base64Data}` : null,
+        dataUrl: base64Data && format !== 'raw' ? `data:image/${format};base64,${base64Data}` : null,
         size: imageBytes ? imageBytes.length : 0
       };
     } catch (error) {
@@ -144,101 +180,287 @@ class RasterExtractor {
     }
   }
 
-  extractGeoReference(page, imageObj) {
-    try {
-      const geoInfo = {
-        hasGeoReference: false,
-        coordinateSystem: null,
-        bounds: null,
-        projection: null
-      };
+  /**
+   * Build raster layers for inline images (BI ... ID ... EI)
+   * @param {Array} images - Inline images from PDFContentParser
+   * @param {number} pageIndex - Page index
+   * @param {PDFPage} page - pdf-lib page (for named color spaces)
+   * @returns {Array} Raster layers
+   */
+  extractInlineImages(images, pageIndex, page) {
+    const layers = [];
+    const resources = page.node.lookup(PDFName.of('Resources'));
+    const colorSpaces = resources && resources.lookup ? resources.lookup(PDFName.of('ColorSpace')) : null;
+    const lookupNamed = name => (colorSpaces && colorSpaces.lookup ? colorSpaces.lookup(PDFName.of(name)) || null : null);
+
+    images.forEach((image, index) => {
+      try {
+        const decoded = this.streamDecoder.decodeData(image.data, image.filter, image.decodeParms);
+        const colorSpace = image.imageMask ? 'DeviceGray' : this.toPDFObject(image.colorSpace);
+
+        let imageBytes = decoded.data;
+        let format;
+        switch (decoded.imageFilter) {
+          case 'DCTDecode':
+            format = 'jpeg';
+            break;
+          case 'CCITTFaxDecode':
+            format = 'tiff';
+            break;
+          case null: {
+            const png = this.samplesToPNG(decoded.data, {
+              width: image.width,
+              height: image.height,
+              bitsPerComponent: image.bitsPerComponent,
+              colorSpace,
+              lookupNamed
+            });
+            format = png ? 'png' : 'raw';
+            imageBytes = png || decoded.data;
+            break;
+          }
+          default:
+            format = 'raw';
+        }
 
-      // Get page dictionary
-      const pageDict = page.node.dict;
+        const base64Data = imageBytes ? Buffer.from(imageBytes).toString('base64') : null;
+
+        layers.push({
+          name: `inline_${pageIndex}_${index}`,
+          page: pageIndex,
+          inline: true,
+          width: String(image.width),
+          height: String(image.height),
+          colorSpace: image.imageMask ? 'ImageMask' : this.describeColorSpace(image.colorSpace),
+          bitsPerComponent: String(image.bitsPerComponent),
+          format,
+          filter: image.filter.map(name => `/${name}`).join(' ') || undefined,
+          ctm: image.ctm,
+          layer: image.layer,
+          geoReference: this.extractGeoReference(pageIndex),
+          dataUrl: base64Data && format !== 'raw' ? `data:image/${format};base64,${base64Data}` : null,
+          size: imageBytes ? imageBytes.length : 0
+        });
+      } catch (error) {
+        console.error(`Error extracting inline image ${index} on page ${pageIndex}:`, error);
+      }
+    });
 
-      // Look for VP (Viewport) array in page
-      const vp = pageDict.get(pageDict.context.obj('/VP'));
+    return layers;
+  }
 
-      if (vp) {
-        geoInfo.hasGeoReference = true;
-        // VP contains projection and bounding box information
-        // This would need more detailed parsing for full implementation
-      }
+  /**
+   * Convert a content stream operand (as produced by PDFContentParser) to a pdf-lib object
+   */
+  toPDFObject(value) {
+    if (typeof value === 'string') return PDFName.of(value.replace(/^\//, ''));
+    if (typeof value === 'number') return PDFNumber.of(value);
+    if (Array.isArray(value)) return this.pdfDoc.context.obj(value.map(item => this.toPDFObject(item)));
+    if (value && (value.type === 'string' || value.type === 'hexstring')) {
+      return PDFHexString.of(Buffer.from(value.value, 'latin1').toString('hex'));
+    }
+    return null;
+  }
 
-      // Look for Measure dictionary
-      const measure = pageDict.get(pageDict.context.obj('/Measure'));
+  describeColorSpace(value) {
+    if (Array.isArray(value)) return `[${value.filter(item => typeof item === 'string').join(' ')}]`;
+    return typeof value === 'string' ? value : undefined;
+  }
 
-      if (measure) {
-        geoInfo.hasGeoReference = true;
+  /**
+   * Convert decoded image samples to a PNG file
+   * @param {Buffer} samples - Decoded sample data
+   * @param {Object} info - { width, height, bitsPerComponent, colorSpace, lookupNamed }
+   * @returns {Buffer|null} PNG data, or null if the samples cannot be converted
+   */
+  samplesToPNG(samples, info) {
+    const { width, height, bitsPerComponent } = info;
+    if (!width || !height || ![1, 2, 4, 8].includes(bitsPerComponent)) {
+      return null;
+    }
 
-        // Measure dictionary contains:
-        // - Subtype: Should be /GEO for geospatial
-        // - Bounds: Bounding box in PDF coordinates
-        // - GPTS: Geographic coordinate points
-        // - LPTS: PDF coordinate points
+    const colorSpace = ColorSpace.resolve(info.colorSpace, {
+      context: this.pdfDoc.context,
+      getStreamData: stream => this.streamDecoder.decode(stream),
+      lookupNamed: info.lookupNamed
+    });
+    if (!colorSpace || colorSpace.numComponents === 0) {
+      return null;
+    }
 
-        try {
-          const subtype = measure.get(measure.context.obj('/Subtype'));
-          if (subtype?.toString() === '/GEO') {
-            geoInfo.isGEO = true;
-
-            // Extract bounds if available
-            const bounds = measure.get(measure.context.obj('/Bounds'));
-            if (bounds && bounds.array) {
-              geoInfo.bounds = bounds.array.map(v => v.toString());
-            }
+    const components = colorSpace.numComponents;
+    const rowBytes = Math.ceil((width * components * bitsPerComponent) / 8);
+    if (samples.length < rowBytes * height) {
+      return null;
+    }
 
-            // Extract GPTS (Geographic Points) if available
-            const gpts = measure.get(measure.context.obj('/GPTS'));
-            if (gpts && gpts.array) {
-              geoInfo.geographicPoints = gpts.array.map(v => v.toString());
-            }
+    // Samples are scaled to 0..1, except Indexed where they are palette indices
+    const isIndexed = colorSpace.family === 'Indexed';
+    const maxValue = (1 << bitsPerComponent) - 1;
+    const isGray = colorSpace.family === 'DeviceGray';
+    const channels = isGray ? 1 : 3;
+    const pixels = Buffer.alloc(height * (width * channels + 1));
+    const colorCache = new Map();
+
+    for (let y = 0; y < height; y++) {
+      const row = samples.subarray(y * rowBytes, (y + 1) * rowBytes);
+      const outOffset = y * (width * channels + 1);
+      pixels[outOffset] = 0; // PNG filter type: None
+
+      for (let x = 0; x < width; x++) {
+        const values = [];
+        for (let c = 0; c < components; c++) {
+          const index = x * components + c;
+          values.push(bitsPerComponent === 8 ? row[index] : this.readSample(row, index, bitsPerComponent));
+        }
 
-            // Extract LPTS (Layout Points) if available
-            const lpts = measure.get(measure.context.obj('/LPTS'));
-            if (lpts && lpts.array) {
-              geoInfo.layoutPoints = lpts.array.map(v => v.toString());
-            }
-          }
-        } catch (error) {
-          console.error('Error parsing Measure dictionary:', error);
+        const out = outOffset + 1 + x * channels;
+        if (isGray) {
+          pixels[out] = Math.round((values[0] / maxValue) * 255);
+          continue;
         }
-      }
 
-      return geoInfo;
-    } catch (error) {
-      console.error('Error extracting georeference:', error);
-      return { hasGeoReference: false };
+        const key = values.join(',');
+        let rgb = colorCache.get(key);
+        if (!rgb) {
+          const rgbFloat = colorSpace.toRGB(isIndexed ? values : values.map(v => v / maxValue)) || [1, 1, 1];
+          rgb = rgbFloat.map(v => Math.round(v * 255));
+          if (colorCache.size < 65536) colorCache.set(key, rgb);
+        }
+        pixels[out] = rgb[0];
+        pixels[out + 1] = rgb[1];
+        pixels[out + 2] = rgb[2];
+      }
     }
+
+    return this.encodePNG(pixels, width, height, isGray ? 0 : 2);
   }
 
-  // Convert PDF coordinates to geographic coordinates using georeferencing info
-  transformCoordinates(pdfX, pdfY, geoReference) {
+  readSample(row, index, bits) {
+    const bitOffset = index * bits;
+    const shift = 8 - (bitOffset & 7) - bits;
+    return (row[bitOffset >> 3] >> shift) & ((1 << bits) - 1);
+  }
+
+  /**
+   * Build a PNG file from filtered scanlines
+   * @param {Buffer} scanlines - Rows, each prefixed with a filter type byte
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} colorType - PNG color type (0 gray, 2 RGB)
+   * @returns {Buffer} PNG data
+   */
+  encodePNG(scanlines, width, height, colorType) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = colorType;
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(scanlines)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  /**
+   * Georeferencing of the page an image is drawn on (its /VP viewports)
+   * @param {number} pageIndex - Zero-based page index
+   * @returns {Object} { hasGeoReference, page, coordinateSystem, bounds, projection, viewports }:
+   *   coordinate system name (or EPSG code), longitude/latitude bounds and WKT
+   *   of the main (largest georeferenced) viewport, and descriptions of all
+   *   viewports
+   */
+  extractGeoReference(pageIndex) {
     try {
-      if (!geoReference || !geoReference.hasGeoReference) {
-        return { x: pdfX, y: pdfY, geographic: false };
+      const viewports = this.georeference.viewportsFor(pageIndex)
+        .map(viewport => this.georeference.describe(viewport, pageIndex));
+      const georeferenced = viewports.filter(viewport => viewport.georeferenced);
+      if (georeferenced.length === 0) {
+        return { hasGeoReference: false, page: pageIndex, viewports };
       }
 
-      // If we have GPTS and LPTS, we can compute the transformation
-      if (geoReference.geographicPoints && geoReference.layoutPoints) {
-        // This is a simplified transformation
-        // A full implementation would use affine transformation
-        // based on the control points
-
-        return {
-          x: pdfX,
-          y: pdfY,
-          geographic: true,
-          projected: true
-        };
-      }
+      // The largest georeferenced viewport is the map frame
+      const area = ({ bbox: [x1, y1, x2, y2] }) => (x2 - x1) * (y2 - y1);
+      const main = georeferenced.reduce((largest, viewport) => (area(viewport) > area(largest) ? viewport : largest));
 
-      return { x: pdfX, y: pdfY, geographic: false };
+      return {
+        hasGeoReference: true,
+        page: pageIndex,
+        coordinateSystem: main.crs.name || (main.crs.epsg ? `EPSG:${main.crs.epsg}` : null),
+        bounds: main.geoBounds,
+        projection: main.crs.wkt,
+        viewports
+      };
     } catch (error) {
-      console.error('Error transforming coordinates:', error);
+      console.error('Error extracting georeference:', error);
+      return { hasGeoReference: false, page: pageIndex };
+    }
+  }
+
+  /**
+   * World file (.pgw, .jgw, .tfw, ...) of a raster layer in a target system
+   * An affine approximation across a change of projection (see
+   * Reprojector.worldFile()).
+   * @param {Object} layer - Raster layer with its placement (ctm)
+   * @param {Object} options - { targetCrs } (see EpsgRegistry.resolve())
+   * @returns {string|null} World file content, or null if the layer's
+   *   placement is unknown or not georeferenced
+   */
+  toWorldFile(layer, options = {}) {
+    if (!layer.ctm || !options.targetCrs) return null;
+
+    const reprojector = new Reprojector(this.georeference, options.targetCrs);
+    return reprojector.worldFile(layer.page, layer.ctm, Number(layer.width), Number(layer.height));
+  }
+
+  /**
+   * Convert page coordinates to longitude/latitude
+   * @param {number} pdfX - Page x
+   * @param {number} pdfY - Page y
+   * @param {Object} geoReference - Result of extractGeoReference()
+   * @returns {Object} { x: lon, y: lat, geographic: true }, or the input with
+   *   geographic: false outside every viewport
+   */
+  transformCoordinates(pdfX, pdfY, geoReference) {
+    if (!geoReference || !geoReference.hasGeoReference) {
       return { x: pdfX, y: pdfY, geographic: false };
     }
+
+    const geo = this.georeference.pageToGeo(geoReference.page, pdfX, pdfY);
+    return geo
+      ? { x: geo.lon, y: geo.lat, geographic: true }
+      : { x: pdfX, y: pdfY, geographic: false };
   }
 }
 
+// PNG helpers
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, crc]);
+}
+
 module.exports = RasterExtractor;
@@ -0,0 +1,116 @@
+/**
+ * Reprojector
+ * Converts georeferenced page geometry to a target coordinate system
+ * Page points go through the fitted transform of the viewport that contains
+ * them (GeoreferenceReader) into that viewport's longitude/latitude, then
+ * through proj4 into the target system, which is resolved offline by
+ * EpsgRegistry.
+ */
+
+const proj4 = require('proj4');
+const EpsgRegistry = require('./epsg-registry');
+
+class Reprojector {
+  /**
+   * @param {GeoreferenceReader} georeference - Reader of the document's viewports
+   * @param {number|string|Object} targetCrs - Target system (see EpsgRegistry.resolve())
+   */
+  constructor(georeference, targetCrs) {
+    this.georeference = georeference;
+    this.target = EpsgRegistry.resolve(targetCrs);
+    if (!this.target) {
+      throw new Error(`Unknown target coordinate system: ${typeof targetCrs === 'object' ? JSON.stringify(targetCrs) : targetCrs}`);
+    }
+
+    // proj4 converters by source geographic definition
+    this.converters = new Map();
+  }
+
+  /**
+   * Convert a page point to the target system
+   * @param {number} pageIndex - Zero-based page index
+   * @param {number} x - Page x
+   * @param {number} y - Page y
+   * @returns {Array<number>|null} [x, y] in target units, or null outside
+   *   every georeferenced viewport
+   */
+  toTarget(pageIndex, x, y) {
+    const viewport = this.georeference.viewportAt(pageIndex, x, y);
+    if (!viewport || !viewport.georeferenced) return null;
+
+    const { lon, lat } = this.georeference.viewportToGeo(viewport, { x, y });
+    const [targetX, targetY] = this.converterFor(viewport).forward([lon, lat]);
+    return Number.isFinite(targetX) && Number.isFinite(targetY) ? [targetX, targetY] : null;
+  }
+
+  /**
+   * Convert a GeoJSON geometry in page coordinates
+   * @param {number} pageIndex - Zero-based page index
+   * @param {Object} geometry - Point, MultiPoint, LineString,
+   *   MultiLineString, Polygon or MultiPolygon
+   * @returns {Object|null} Geometry in target coordinates, or null if any
+   *   point lies outside the georeferenced viewports
+   */
+  geometry(pageIndex, geometry) {
+    if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+
+    let complete = true;
+    const convert = coordinates => {
+      if (typeof coordinates[0] === 'number') {
+        const point = this.toTarget(pageIndex, coordinates[0], coordinates[1]);
+        if (!point) complete = false;
+        return point;
+      }
+      return coordinates.map(convert);
+    };
+
+    const coordinates = convert(geometry.coordinates);
+    return complete ? { type: geometry.type, coordinates } : null;
+  }
+
+  /**
+   * World file for an image placed on a page
+   * The affine terms are fitted to three corners of the image and the image
+   * is not resampled. When the target system is not an affine transform of
+   * the viewport's (a projected map exported to EPSG:4326, say), the far
+   * corner and the interior drift by the curvature of the projection.
+   * @param {number} pageIndex - Zero-based page index
+   * @param {Object} ctm - Placement { a, b, c, d, e, f } of the image's unit square
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @returns {string|null} Six-line world file (pixel size and rotation terms,
+   *   then the center of the upper left pixel), or null if a corner of the
+   *   image is not georeferenced
+   */
+  worldFile(pageIndex, ctm, width, height) {
+    if (!ctm || !(width > 0) || !(height > 0)) return null;
+
+    // Image row 0 is the top of the unit square
+    const corner = (u, v) => this.toTarget(pageIndex,
+      ctm.a * u + ctm.c * v + ctm.e,
+      ctm.b * u + ctm.d * v + ctm.f);
+    const topLeft = corner(0, 1);
+    const topRight = corner(1, 1);
+    const bottomLeft = corner(0, 0);
+    if (!topLeft || !topRight || !bottomLeft) return null;
+
+    const a = (topRight[0] - topLeft[0]) / width;
+    const d = (topRight[1] - topLeft[1]) / width;
+    const b = (bottomLeft[0] - topLeft[0]) / height;
+    const e = (bottomLeft[1] - topLeft[1]) / height;
+    const c = topLeft[0] + (a + b) / 2;
+    const f = topLeft[1] + (d + e) / 2;
+
+    return [a, d, b, e, c, f].map(value => value.toFixed(10)).join('\n') + '\n';
+  }
+
+  converterFor(viewport) {
+    const source = this.georeference.geographicDefinition(viewport.crs);
+    if (!this.converters.has(source)) {
+      this.converters.set(source, proj4(source, this.target.definition));
+    }
+    return this.converters.get(source);
+  }
+}
+
+module.exports = Reprojector;
@@ -0,0 +1,437 @@
+/**
+ * Stream Decoder
+ * Decodes PDF stream data through its /Filter chain (ISO 32000 §7.4)
+ * Supports FlateDecode, LZWDecode (with PNG/TIFF predictors), ASCII85Decode,
+ * ASCIIHexDecode and RunLengthDecode. Image codecs (DCT, JPX, CCITT, JBIG2)
+ * are left encoded and reported so callers can hand the bytes on as-is.
+ */
+
+const zlib = require('zlib');
+const { PDFName, PDFArray, PDFDict, PDFNumber, PDFBool, PDFStream } = require('pdf-lib');
+
+// Abbreviated filter names (used by inline images)
+const FILTER_ALIASES = {
+  AHx: 'ASCIIHexDecode',
+  A85: 'ASCII85Decode',
+  LZW: 'LZWDecode',
+  Fl: 'FlateDecode',
+  RL: 'RunLengthDecode',
+  CCF: 'CCITTFaxDecode',
+  DCT: 'DCTDecode'
+};
+
+// Filters that produce encoded image data rather than bytes we can decode
+const IMAGE_FILTERS = new Set(['DCTDecode', 'JPXDecode', 'CCITTFaxDecode', 'JBIG2Decode']);
+
+class StreamDecoder {
+  /**
+   * @param {PDFContext} context - Document context used to resolve references
+   */
+  constructor(context) {
+    this.context = context;
+  }
+
+  /**
+   * Decode a stream's data
+   * Decoding stops at the first image codec; the bytes returned are then
+   * still encoded in that filter (e.g. a JPEG for DCTDecode).
+   * @param {PDFStream} stream - PDF stream object
+   * @returns {Buffer} Decoded data
+   */
+  decode(stream) {
+    return this.decodeWithInfo(stream).data;
+  }
+
+  /**
+   * Decode a stream's data and report any image codec left undecoded
+   * @param {PDFStream} stream - PDF stream object
+   * @returns {Object} { data: Buffer, imageFilter: string|null, decodeParms: Object|null }
+   */
+  decodeWithInfo(stream) {
+    const raw = stream.getContents ? stream.getContents() : stream.contents;
+    const dict = stream instanceof PDFStream ? stream.dict : null;
+
+    const filters = dict ? this.readFilters(dict.lookup(PDFName.of('Filter'))) : [];
+    const parms = dict ? this.readDecodeParms(dict.lookup(PDFName.of('DecodeParms')), filters.length) : [];
+
+    return this.decodeData(Buffer.from(raw), filters, parms);
+  }
+
+  /**
+   * Run data through a filter chain
+   * @param {Buffer} data - Encoded data
+   * @param {Array<string>} filters - Filter names (without slash, aliases allowed)
+   * @param {Array<Object|null>} parms - Decode parameters per filter
+   * @returns {Object} { data, imageFilter, decodeParms }
+   */
+  decodeData(data, filters, parms = []) {
+    for (let i = 0; i < filters.length; i++) {
+      const filter = FILTER_ALIASES[filters[i]] || filters[i];
+      const decodeParms = parms[i] || null;
+
+      if (IMAGE_FILTERS.has(filter)) {
+        return { data, imageFilter: filter, decodeParms };
+      }
+
+      data = this.applyFilter(data, filter, decodeParms);
+    }
+
+    return { data, imageFilter: null, decodeParms: null };
+  }
+
+  applyFilter(data, filter, parms) {
+    switch (filter) {
+      case 'FlateDecode':
+        return this.applyPredictor(this.inflate(data), parms);
+      case 'LZWDecode': {
+        const earlyChange = parms && parms.EarlyChange !== undefined ? parms.EarlyChange : 1;
+        return this.applyPredictor(this.decodeLZW(data, earlyChange), parms);
+      }
+      case 'ASCII85Decode':
+        return this.decodeASCII85(data);
+      case 'ASCIIHexDecode':
+        return this.decodeASCIIHex(data);
+      case 'RunLengthDecode':
+        return this.decodeRunLength(data);
+      case 'Crypt':
+        // Only the Identity crypt filter can be applied without decryption
+        if (!parms || !parms.Name || parms.Name === 'Identity') return data;
+        throw new Error(`Unsupported crypt filter ${parms.Name}`);
+      default:
+        throw new Error(`Unsupported filter ${filter}`);
+    }
+  }
+
+  // Filter and parameter reading
+
+  readFilters(filter) {
+    if (!filter) return [];
+    const entries = filter instanceof PDFArray ? filter.asArray() : [filter];
+    return entries.map(entry => this.resolve(entry).toString().replace(/^\//, ''));
+  }
+
+  readDecodeParms(decodeParms, count) {
+    const resolved = this.resolve(decodeParms);
+    if (!resolved) return [];
+    const entries = resolved instanceof PDFArray ? resolved.asArray() : [resolved];
+    return entries.slice(0, count).map(entry => this.toPlainParms(this.resolve(entry)));
+  }
+
+  /**
+   * Convert a /DecodeParms dictionary into a plain object of numbers/booleans/names
+   */
+  toPlainParms(dict) {
+    if (!(dict instanceof PDFDict)) return null;
+
+    const parms = {};
+    for (const [key, value] of dict.entries()) {
+      const resolved = this.resolve(value);
+      const name = key.toString().replace(/^\//, '');
+      if (resolved instanceof PDFNumber) {
+        parms[name] = resolved.asNumber();
+      } else if (resolved instanceof PDFBool) {
+        parms[name] = resolved.asBoolean();
+      } else if (resolved instanceof PDFName) {
+        parms[name] = resolved.toString().replace(/^\//, '');
+      }
+    }
+    return parms;
+  }
+
+  resolve(obj) {
+    return this.context && obj ? this.context.lookup(obj) : obj;
+  }
+
+  // Filters
+
+  inflate(data) {
+    try {
+      return zlib.inflateSync(data);
+    } catch (error) {
+      // Truncated or slightly corrupt streams: keep whatever inflates cleanly
+      try {
+        return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } catch (retryError) {
+        // Some producers omit the zlib header
+        return zlib.inflateRawSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      }
+    }
+  }
+
+  decodeLZW(data, earlyChange) {
+    const output = [];
+    let dictionary = [];
+    let codeLength = 9;
+    let previous = null;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const reset = () => {
+      dictionary = [];
+      for (let i = 0; i < 256; i++) dictionary.push([i]);
+      dictionary.push(null, null); // 256 clear-table, 257 end-of-data
+      codeLength = 9;
+      previous = null;
+    };
+    reset();
+
+    for (let i = 0; i < data.length; i++) {
+      bitBuffer = ((bitBuffer << 8) | data[i]) >>> 0;
+      bitCount += 8;
+
+      while (bitCount >= codeLength) {
+        const code = (bitBuffer >>> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+        bitCount -= codeLength;
+        bitBuffer &= (1 << bitCount) - 1;
+
+        if (code === 256) {
+          reset();
+          continue;
+        }
+        if (code === 257) {
+          return Buffer.from(output);
+        }
+
+        let entry;
+        if (code < dictionary.length && dictionary[code]) {
+          entry = dictionary[code];
+          if (previous && dictionary.length < 4096) dictionary.push(previous.concat(entry[0]));
+        } else if (previous) {
+          // KwKwK case: the code being defined right now
+          entry = previous.concat(previous[0]);
+          if (dictionary.length < 4096) dictionary.push(entry);
+        } else {
+          throw new Error('Invalid LZW code');
+        }
+
+        for (let j = 0; j < entry.length; j++) output.push(entry[j]);
+        previous = entry;
+
+        const next = dictionary.length + earlyChange;
+        if (next >= 2048) {
+          codeLength = 12;
+        } else if (next >= 1024) {
+          codeLength = 11;
+        } else if (next >= 512) {
+          codeLength = 10;
+        }
+      }
+    }
+
+    return Buffer.from(output);
+  }
+
+  decodeASCII85(data) {
+    const output = [];
+    const group = [];
+
+    const flush = count => {
+      // Partial groups are padded with 'u' (84)
+      while (group.length < 5) group.push(84);
+      let value = 0;
+      for (const digit of group) value = value * 85 + digit;
+      const bytes = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+      output.push(...bytes.slice(0, count));
+      group.length = 0;
+    };
+
+    for (let i = 0; i < data.length; i++) {
+      const ch = data[i];
+
+      if (ch === 0x7e) break; // ~> end of data
+      if (ch <= 0x20) continue; // whitespace
+
+      if (ch === 0x7a && group.length === 0) {
+        output.push(0, 0, 0, 0); // z
+        continue;
+      }
+      if (ch < 0x21 || ch > 0x75) {
+        throw new Error(`Invalid ASCII85 character 0x${ch.toString(16)}`);
+      }
+
+      group.push(ch - 0x21);
+      if (group.length === 5) flush(4);
+    }
+
+    if (group.length > 0) flush(group.length - 1);
+
+    return Buffer.from(output);
+  }
+
+  decodeASCIIHex(data) {
+    const output = [];
+    let high = -1;
+
+    for (let i = 0; i < data.length; i++) {
+      const ch = data[i];
+      if (ch === 0x3e) break; // > end of data
+
+      let digit = -1;
+      if (ch >= 0x30 && ch <= 0x39) digit = ch - 0x30;
+      else if (ch >= 0x41 && ch <= 0x46) digit = ch - 0x37;
+      else if (ch >= 0x61 && ch <= 0x66) digit = ch - 0x57;
+      if (digit < 0) continue;
+
+      if (high < 0) {
+        high = digit;
+      } else {
+        output.push((high << 4) | digit);
+        high = -1;
+      }
+    }
+
+    if (high >= 0) output.push(high << 4);
+
+    return Buffer.from(output);
+  }
+
+  decodeRunLength(data) {
+    const output = [];
+    let i = 0;
+
+    while (i < data.length) {
+      const length = data[i++];
+      if (length === 128) break; // end of data
+
+      if (length < 128) {
+        // Copy the next length + 1 bytes literally
+        for (let j = 0; j <= length && i < data.length; j++) output.push(data[i++]);
+      } else {
+        // Repeat the next byte 257 - length times
+        const value = data[i++];
+        for (let j = 0; j < 257 - length; j++) output.push(value);
+      }
+    }
+
+    return Buffer.from(output);
+  }
+
+  // Predictors
+
+  /**
+   * Undo a PNG or TIFF predictor (Flate and LZW /DecodeParms)
+   * @param {Buffer} data - Filter output
+   * @param {Object|null} parms - { Predictor, Colors, BitsPerComponent, Columns }
+   * @returns {Buffer} Unpredicted data
+   */
+  applyPredictor(data, parms) {
+    const predictor = parms && parms.Predictor ? parms.Predictor : 1;
+    if (predictor === 1) return data;
+
+    const colors = parms.Colors || 1;
+    const bitsPerComponent = parms.BitsPerComponent || 8;
+    const columns = parms.Columns || 1;
+
+    if (predictor === 2) {
+      return this.applyTIFFPredictor(data, colors, bitsPerComponent, columns);
+    }
+    if (predictor >= 10) {
+      return this.applyPNGPredictor(data, colors, bitsPerComponent, columns);
+    }
+
+    throw new Error(`Unsupported predictor ${predictor}`);
+  }
+
+  applyPNGPredictor(data, colors, bitsPerComponent, columns) {
+    const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+    const rowLength = Math.ceil((colors * bitsPerComponent * columns) / 8);
+    const rows = Math.floor(data.length / (rowLength + 1));
+    const output = Buffer.alloc(rows * rowLength);
+    let previous = Buffer.alloc(rowLength);
+
+    for (let row = 0; row < rows; row++) {
+      const offset = row * (rowLength + 1);
+      const filterType = data[offset];
+      const current = output.subarray(row * rowLength, (row + 1) * rowLength);
+      data.copy(current, 0, offset + 1, offset + 1 + rowLength);
+
+      for (let i = 0; i < rowLength; i++) {
+        const left = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+        const up = previous[i];
+        const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+
+        switch (filterType) {
+          case 0: // None
+            break;
+          case 1: // Sub
+            current[i] = (current[i] + left) & 0xff;
+            break;
+          case 2: // Up
+            current[i] = (current[i] + up) & 0xff;
+            break;
+          case 3: // Average
+            current[i] = (current[i] + ((left + up) >> 1)) & 0xff;
+            break;
+          case 4: // Paeth
+            current[i] = (current[i] + paeth(left, up, upLeft)) & 0xff;
+            break;
+          default:
+            throw new Error(`Invalid PNG filter type ${filterType}`);
+        }
+      }
+
+      previous = current;
+    }
+
+    return output;
+  }
+
+  applyTIFFPredictor(data, colors, bitsPerComponent, columns) {
+    const rowLength = Math.ceil((colors * bitsPerComponent * columns) / 8);
+    const output = Buffer.from(data);
+    const max = (1 << bitsPerComponent) - 1;
+
+    for (let rowStart = 0; rowStart + rowLength <= output.length; rowStart += rowLength) {
+      if (bitsPerComponent === 8) {
+        for (let i = colors; i < rowLength; i++) {
+          output[rowStart + i] = (output[rowStart + i] + output[rowStart + i - colors]) & 0xff;
+        }
+      } else if (bitsPerComponent === 16) {
+        for (let i = 2 * colors; i + 1 < rowLength; i += 2) {
+          const value = output.readUInt16BE(rowStart + i) + output.readUInt16BE(rowStart + i - 2 * colors);
+          output.writeUInt16BE(value & 0xffff, rowStart + i);
+        }
+      } else {
+        // Sub-byte components: differences are taken per component value
+        const row = output.subarray(rowStart, rowStart + rowLength);
+        const count = colors * columns;
+        for (let i = colors; i < count; i++) {
+          const value = (readBits(row, i, bitsPerComponent) + readBits(row, i - colors, bitsPerComponent)) & max;
+          writeBits(row, i, bitsPerComponent, value);
+        }
+      }
+    }
+
+    return output;
+  }
+}
+
+// Helpers
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const dLeft = Math.abs(estimate - left);
+  const dUp = Math.abs(estimate - up);
+  const dUpLeft = Math.abs(estimate - upLeft);
+  if (dLeft <= dUp && dLeft <= dUpLeft) return left;
+  if (dUp <= dUpLeft) return up;
+  return upLeft;
+}
+
+function readBits(bytes, index, bits) {
+  const bitOffset = index * bits;
+  const byte = bytes[bitOffset >> 3];
+  const shift = 8 - (bitOffset & 7) - bits;
+  return (byte >> shift) & ((1 << bits) - 1);
+}
+
+function writeBits(bytes, index, bits, value) {
+  const bitOffset = index * bits;
+  const shift = 8 - (bitOffset & 7) - bits;
+  const mask = ((1 << bits) - 1) << shift;
+  bytes[bitOffset >> 3] = (bytes[bitOffset >> 3] & ~mask) | ((value << shift) & mask);
+}
+
+StreamDecoder.FILTER_ALIASES = FILTER_ALIASES;
+
+module.exports = StreamDecoder;
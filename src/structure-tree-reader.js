@@ -0,0 +1,322 @@
+/**
+ * Structure Tree Reader
+ * Reads the logical structure tree of a tagged PDF (/StructTreeRoot) and
+ * indexes its structure elements by the marked content (MCID) they own
+ * GeoPDF producers use it to carry feature classes and attribute tables.
+ */
+
+const {
+  PDFName, PDFRef, PDFArray, PDFDict, PDFNumber, PDFBool,
+  PDFString, PDFHexString, PDFStream
+} = require('pdf-lib');
+
+// Structure trees are shallow in practice; this guards against cycles and
+// pathological nesting
+const MAX_DEPTH = 64;
+
+class StructureTreeReader {
+  constructor(pdfDoc) {
+    this.pdfDoc = pdfDoc;
+    this.context = pdfDoc.context;
+
+    // Structure element per page, keyed by marked content (see contentKey)
+    this.contentByPage = new Map();
+  }
+
+  /**
+   * Read /StructTreeRoot from the document catalog
+   * @returns {Object|null} { elementCount, contentCount, types } or null if the PDF is not tagged
+   */
+  read() {
+    try {
+      const root = this.pdfDoc.catalog.lookup(PDFName.of('StructTreeRoot'));
+      if (!root || !root.lookup) {
+        return null;
+      }
+
+      this.roleMap = this.readRoleMap(root.lookup(PDFName.of('RoleMap')));
+      this.classMap = root.lookup(PDFName.of('ClassMap')) || null;
+      this.pageIndexByRef = new Map(
+        this.pdfDoc.getPages().map((page, index) => [page.ref.toString(), index])
+      );
+      this.contentByPage.clear();
+      this.visited = new Set();
+      this.types = {};
+      this.elementCount = 0;
+      this.contentCount = 0;
+
+      this.visit(root.lookup(PDFName.of('K')), null, null, 0);
+
+      return {
+        elementCount: this.elementCount,
+        contentCount: this.contentCount,
+        types: this.types
+      };
+    } catch (error) {
+      console.error('Error reading structure tree:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the structure element that owns a piece of marked content
+   * @param {number} pageIndex - Zero-based page index
+   * @param {number} mcid - Marked content identifier
+   * @param {string|null} streamRef - Form XObject holding the content ("12 0 R"),
+   *   or null for the page's own content stream
+   * @returns {Object|null} Structure element
+   */
+  elementFor(pageIndex, mcid, streamRef = null) {
+    const content = this.contentByPage.get(pageIndex);
+    return content ? content.get(StructureTreeReader.contentKey(mcid, streamRef)) || null : null;
+  }
+
+  /**
+   * Walk one node of the tree: a structure element, an array of kids, an
+   * MCID or a marked content reference (/MCR)
+   * @param {PDFObject} obj - Node
+   * @param {Object|null} parent - Enclosing structure element
+   * @param {number|null} pageIndex - Page inherited from the enclosing elements
+   */
+  visit(obj, parent, pageIndex, depth) {
+    if (!obj || depth > MAX_DEPTH) return;
+
+    const node = obj instanceof PDFRef ? this.context.lookup(obj) : obj;
+
+    if (node instanceof PDFNumber) {
+      this.addContent(pageIndex, node.asNumber(), null, parent);
+      return;
+    }
+
+    if (node instanceof PDFArray) {
+      node.asArray().forEach(kid => this.visit(kid, parent, pageIndex, depth + 1));
+      return;
+    }
+
+    if (!(node instanceof PDFDict) || this.visited.has(node)) return;
+    this.visited.add(node);
+
+    const type = this.name(node.lookup(PDFName.of('Type')));
+    const page = this.pageIndex(node.get(PDFName.of('Pg')));
+
+    if (type === 'MCR') {
+      const mcid = node.lookup(PDFName.of('MCID'));
+      const stream = node.get(PDFName.of('Stm'));
+      if (mcid instanceof PDFNumber) {
+        this.addContent(page !== null ? page : pageIndex, mcid.asNumber(),
+          stream instanceof PDFRef ? stream.toString() : null, parent);
+      }
+      return;
+    }
+
+    // Object references (annotations, XObjects) own no marked content
+    if (type === 'OBJR' || !node.lookup(PDFName.of('S'))) return;
+
+    const element = this.readElement(node, parent);
+    this.elementCount++;
+    this.types[element.type] = (this.types[element.type] || 0) + 1;
+
+    this.visit(node.lookup(PDFName.of('K')), element, page !== null ? page : pageIndex, depth + 1);
+  }
+
+  addContent(pageIndex, mcid, streamRef, element) {
+    if (pageIndex === null || !element) return;
+
+    if (!this.contentByPage.has(pageIndex)) {
+      this.contentByPage.set(pageIndex, new Map());
+    }
+    this.contentByPage.get(pageIndex).set(StructureTreeReader.contentKey(mcid, streamRef), element);
+    this.contentCount++;
+  }
+
+  /**
+   * Read a structure element dictionary
+   * @param {PDFDict} dict - Structure element
+   * @param {Object|null} parent - Enclosing structure element
+   * @returns {Object} { type, role, title, id, alt, actualText, attributes, parents }
+   */
+  readElement(dict, parent) {
+    const type = this.name(dict.lookup(PDFName.of('S')));
+
+    return {
+      type,
+      role: this.standardType(type),
+      title: this.text(dict.lookup(PDFName.of('T'))),
+      id: this.text(dict.lookup(PDFName.of('ID'))),
+      alt: this.text(dict.lookup(PDFName.of('Alt'))),
+      actualText: this.text(dict.lookup(PDFName.of('ActualText'))),
+      attributes: this.readAttributes(dict),
+      // Enclosing elements, outermost first (e.g. the feature class of a feature)
+      parents: parent
+        ? [...parent.parents, { type: parent.type, title: parent.title }]
+        : []
+    };
+  }
+
+  /**
+   * Collect an element's attributes
+   * Attribute classes (/C, through /ClassMap) apply first, then the element's
+   * own attribute objects (/A). /UserProperties objects contribute their
+   * name/value pairs; other owners contribute their entries directly.
+   * @param {PDFDict} dict - Structure element
+   * @returns {Object} Attribute name → value
+   */
+  readAttributes(dict) {
+    const attributes = {};
+    const objects = [];
+
+    if (this.classMap) {
+      for (const className of this.asArray(dict.lookup(PDFName.of('C')))) {
+        const name = this.name(this.context.lookup(className));
+        if (name) objects.push(...this.asArray(this.classMap.lookup(PDFName.of(name))));
+      }
+    }
+    objects.push(...this.asArray(dict.lookup(PDFName.of('A'))));
+
+    for (const entry of objects) {
+      // Attribute arrays may interleave revision numbers
+      const object = this.context.lookup(entry);
+      if (!(object instanceof PDFDict)) continue;
+
+      if (this.name(object.lookup(PDFName.of('O'))) === 'UserProperties') {
+        for (const property of this.asArray(object.lookup(PDFName.of('P')))) {
+          const propertyDict = this.context.lookup(property);
+          if (!(propertyDict instanceof PDFDict)) continue;
+
+          const name = this.text(propertyDict.lookup(PDFName.of('N')));
+          if (!name) continue;
+          const value = propertyDict.get(PDFName.of('V'));
+          attributes[name] = value !== undefined
+            ? StructureTreeReader.plainValue(value, this.context)
+            : this.text(propertyDict.lookup(PDFName.of('F')));
+        }
+        continue;
+      }
+
+      for (const [key, value] of object.entries()) {
+        const name = key.decodeText();
+        if (name !== 'O') attributes[name] = StructureTreeReader.plainValue(value, this.context);
+      }
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Read /RoleMap (custom structure types → standard types)
+   * @param {PDFDict} dict - Role map dictionary
+   * @returns {Object} Custom type → mapped type
+   */
+  readRoleMap(dict) {
+    const roleMap = {};
+    if (!dict || !dict.entries) return roleMap;
+
+    for (const [key, value] of dict.entries()) {
+      const mapped = this.name(this.context.lookup(value));
+      if (mapped) roleMap[key.decodeText()] = mapped;
+    }
+    return roleMap;
+  }
+
+  /**
+   * Follow the role map to a standard structure type
+   * @param {string} type - Structure type
+   * @returns {string} Standard type (the type itself when unmapped)
+   */
+  standardType(type) {
+    let role = type;
+    for (let i = 0; i < 8 && this.roleMap[role] && this.roleMap[role] !== role; i++) {
+      role = this.roleMap[role];
+    }
+    return role;
+  }
+
+  pageIndex(ref) {
+    if (!(ref instanceof PDFRef)) return null;
+    const index = this.pageIndexByRef.get(ref.toString());
+    return index !== undefined ? index : null;
+  }
+
+  /**
+   * Key of a piece of marked content within a page
+   * @param {number} mcid - Marked content identifier
+   * @param {string|null} streamRef - Form XObject reference, or null for page content
+   * @returns {string} Key
+   */
+  static contentKey(mcid, streamRef) {
+    return streamRef ? `${streamRef}#${mcid}` : String(mcid);
+  }
+
+  /**
+   * Convert a PDF object to a plain JS value (numbers, booleans, strings,
+   * arrays and objects; names lose their slash, streams become null)
+   * @param {PDFObject} obj - PDF object (references are resolved)
+   * @param {PDFContext} context - Document context
+   * @returns {*} Plain value
+   */
+  static plainValue(obj, context, depth = 0) {
+    const resolved = obj instanceof PDFRef && context ? context.lookup(obj) : obj;
+
+    if (resolved === undefined || resolved === null || depth > MAX_DEPTH) return null;
+    if (resolved instanceof PDFNumber) return resolved.asNumber();
+    if (resolved instanceof PDFBool) return resolved.asBoolean();
+    if (resolved instanceof PDFName) return resolved.decodeText();
+    if (resolved instanceof PDFString || resolved instanceof PDFHexString) return resolved.decodeText();
+    if (resolved instanceof PDFArray) {
+      return resolved.asArray().map(entry => StructureTreeReader.plainValue(entry, context, depth + 1));
+    }
+    if (resolved instanceof PDFDict) {
+      const value = {};
+      for (const [key, entry] of resolved.entries()) {
+        value[key.decodeText()] = StructureTreeReader.plainValue(entry, context, depth + 1);
+      }
+      return value;
+    }
+    if (resolved instanceof PDFStream) return null;
+
+    // PDFNull and anything unrecognized
+    const text = resolved.toString();
+    return text === 'null' ? null : text;
+  }
+
+  /**
+   * Decode a PDF text string given as bytes (one char per byte)
+   * UTF-16BE and UTF-8 strings start with a byte order mark; other strings
+   * are PDFDocEncoding, which matches Latin-1 for printable characters.
+   * @param {string} bytes - String bytes
+   * @returns {string} Decoded text
+   */
+  static decodeTextBytes(bytes) {
+    if (bytes.startsWith('\xFE\xFF')) {
+      let text = '';
+      for (let i = 2; i + 1 < bytes.length; i += 2) {
+        text += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+      }
+      return text;
+    }
+    if (bytes.startsWith('\xEF\xBB\xBF')) {
+      return Buffer.from(bytes.substring(3), 'latin1').toString('utf8');
+    }
+    return bytes;
+  }
+
+  // Helper methods
+
+  asArray(obj) {
+    if (!obj) return [];
+    if (obj instanceof PDFArray) return obj.asArray();
+    return [obj];
+  }
+
+  name(obj) {
+    return obj instanceof PDFName ? obj.decodeText() : null;
+  }
+
+  text(obj) {
+    if (obj instanceof PDFString || obj instanceof PDFHexString) return obj.decodeText();
+    if (obj instanceof PDFName) return obj.decodeText();
+    return null;
+  }
+}
+
+module.exports = StructureTreeReader;
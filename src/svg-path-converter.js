@@ -4,6 +4,13 @@
  * Handles PDF → SVG coordinate space conversion and path syntax
  */
 
+const PathClipper = require('./path-clipper');
+
+const IDENTITY = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+// Cells larger than one pattern step are repeated at most this many steps back
+const MAX_CELL_COPIES = 8;
+
 class SVGPathConverter {
   constructor(options = {}) {
     this.options = {
@@ -25,9 +32,49 @@ class SVGPathConverter {
       flipY: options.flipY !== undefined ? options.flipY : true,
 
       // Apply transformation matrix
-      applyTransform: options.applyTransform !== undefined ? options.applyTransform : true
+      applyTransform: options.applyTransform !== undefined ? options.applyTransform : true,
+
+      // How PDF clipping paths are honored:
+      // 'clipPath' - reference <clipPath> definitions (see generateClipPathDefs)
+      // 'geometry' - clip the path geometry itself (for plotters)
+      // 'none'     - ignore clipping
+      clipMode: options.clipMode || 'clipPath',
+
+      // Curve flattening tolerance for geometric clipping (PDF units)
+      flatness: options.flatness || 1,
+
+      // How shadings (sh and shading patterns) are painted:
+      // 'gradient' - reference <linearGradient>/<radialGradient> definitions
+      //              (see generateGradientDefs); other shading types fall
+      //              back to their average color
+      // 'average'  - fill with the shading's average color (for plotters)
+      shadingMode: options.shadingMode || 'gradient',
+
+      // How tiling patterns are painted:
+      // 'pattern' - reference <pattern> definitions (see generatePatternDefs)
+      // 'expand'  - repeat the pattern cell as explicit geometry clipped to
+      //             the filled area (for plotters; see convertPaths)
+      // 'color'   - fill with the pattern's dominant or uncolored paint color
+      patternMode: options.patternMode || 'pattern',
+
+      // Most pattern cells generated for one path in 'expand' mode; larger
+      // fills fall back to the pattern color
+      maxPatternTiles: options.maxPatternTiles || 10000
     };
 
+    // Clip entries referenced by converted paths, mapped to their clipPath ids
+    this.usedClips = new Map();
+
+    // Soft masks referenced by converted paths, mapped to their mask ids
+    this.usedSoftMasks = new Map();
+
+    // Shading descriptions referenced by converted paths → gradient ids
+    this.usedGradients = new Map();
+
+    // Tiling pattern descriptions referenced by converted paths → { id, color }
+    this.usedPatterns = new Map();
+    this.pathClipper = new PathClipper({ flatness: this.options.flatness });
+
     // Calculate scale factors
     this.calculateScaleFactors();
   }
@@ -56,17 +103,304 @@ class SVGPathConverter {
       return null;
     }
 
+    const originalPath = path;
+    let clipPathId = null;
+
+    if (path.clip && this.options.clipMode === 'geometry') {
+      path = this.pathClipper.clipPath(path);
+      if (!path || path.subpaths.length === 0) {
+        return null;
+      }
+    } else if (path.clip && this.options.clipMode === 'clipPath') {
+      clipPathId = this.registerClip(path.clip);
+    }
+
+    const maskId = path.softMask ? this.registerSoftMask(path.softMask) : null;
+
     // Build SVG path data string
     const pathData = this.buildPathData(path.subpaths, path.transform);
 
     // Build style object
     const style = this.buildStyle(path.style, path.operation);
 
+    if (this.options.shadingMode === 'gradient') {
+      if (path.style.fillShading && style.fill !== 'none') {
+        const gradientId = this.registerGradient(path.style.fillShading);
+        if (gradientId) style.fill = `url(#${gradientId})`;
+      }
+      if (path.style.strokeShading && style.stroke) {
+        const gradientId = this.registerGradient(path.style.strokeShading);
+        if (gradientId) style.stroke = `url(#${gradientId})`;
+      }
+    }
+
+    if (this.options.patternMode === 'pattern') {
+      if (path.style.fillTiling && style.fill !== 'none') {
+        style.fill = `url(#${this.registerPattern(path.style.fillTiling, style.fill)})`;
+      }
+      if (path.style.strokeTiling && style.stroke) {
+        style.stroke = `url(#${this.registerPattern(path.style.strokeTiling, style.stroke)})`;
+      }
+    }
+
     return {
       d: pathData,
       style,
       operation: path.operation,
-      originalPath: path
+      clipPathId,
+      maskId,
+      originalPath
+    };
+  }
+
+  /**
+   * Record a clip entry (and the clips it is nested in) for generateClipPathDefs()
+   * Ids are assigned here, as clip entries come from separate parsers
+   * (one per content stream) and are only unique as objects.
+   * @param {Object} clip - Clip entry from PDF parser
+   * @returns {string} clipPath element id
+   */
+  registerClip(clip) {
+    for (let entry = clip; entry; entry = entry.parent) {
+      if (this.usedClips.has(entry)) break;
+      this.usedClips.set(entry, `clip-${this.usedClips.size + 1}`);
+    }
+    return this.usedClips.get(clip);
+  }
+
+  /**
+   * Generate <clipPath> definitions for every clip referenced by converted paths
+   * Nested clips reference their parent clip, so the intersection is preserved.
+   * @returns {string} clipPath elements to place inside <defs>
+   */
+  generateClipPathDefs() {
+    const defs = [];
+
+    for (const [clip, id] of this.usedClips) {
+      const pathData = this.escapeXML(this.buildPathData(clip.subpaths, clip.transform));
+      const parentRef = clip.parent ? ` clip-path="url(#${this.escapeXML(this.usedClips.get(clip.parent))})"` : '';
+      const clipRule = clip.fillRule === 'evenodd' ? ' clip-rule="evenodd"' : '';
+
+      defs.push(
+        `<clipPath id="${this.escapeXML(id)}" clipPathUnits="userSpaceOnUse"${parentRef}>` +
+        `<path d="${pathData}"${clipRule}/></clipPath>`
+      );
+    }
+
+    return defs.join('\n');
+  }
+
+  /**
+   * Record a soft mask for generateSoftMaskDefs()
+   * @param {Object} softMask - Soft mask from PDF parser { subtype, paths, backdrop }
+   * @returns {string} mask element id
+   */
+  registerSoftMask(softMask) {
+    if (!this.usedSoftMasks.has(softMask)) {
+      this.usedSoftMasks.set(softMask, `smask-${this.usedSoftMasks.size + 1}`);
+    }
+    return this.usedSoftMasks.get(softMask);
+  }
+
+  /**
+   * Generate <mask> definitions for every soft mask referenced by converted paths
+   * Luminosity masks become luminance masks over their backdrop color, alpha
+   * masks use the group's opacity. Mask content can reference clips, gradients
+   * and patterns, so call this before generateClipPathDefs(),
+   * generateGradientDefs() and generatePatternDefs().
+   * @returns {string} mask elements to place inside <defs>
+   */
+  generateSoftMaskDefs() {
+    const defs = [];
+    const { svgWidth, svgHeight } = this.options;
+
+    // Masks can themselves be masked, so entries may be added while iterating
+    for (const [softMask, id] of this.usedSoftMasks) {
+      const maskType = softMask.subtype === 'Alpha' ? 'alpha' : 'luminance';
+      const backdrop = softMask.backdrop
+        ? `<rect x="0" y="0" width="${svgWidth}" height="${svgHeight}" fill="${this.escapeXML(softMask.backdrop)}"/>`
+        : '';
+      const content = this.convertPaths(softMask.paths)
+        .map(svgPath => this.generatePathElement(svgPath))
+        .join('');
+
+      defs.push(
+        `<mask id="${this.escapeXML(id)}" mask-type="${maskType}" maskUnits="userSpaceOnUse" ` +
+        `x="0" y="0" width="${svgWidth}" height="${svgHeight}">${backdrop}${content}</mask>`
+      );
+    }
+
+    return defs.join('\n');
+  }
+
+  /**
+   * Record a shading for generateGradientDefs()
+   * @param {Object} shading - Shading description from PDF parser
+   * @returns {string|null} Gradient element id, or null if the shading is
+   *   not axial or radial
+   */
+  registerGradient(shading) {
+    if (!shading.coords || !shading.stops || shading.stops.length === 0) {
+      return null;
+    }
+    if (!this.usedGradients.has(shading)) {
+      this.usedGradients.set(shading, `gradient-${this.usedGradients.size + 1}`);
+    }
+    return this.usedGradients.get(shading);
+  }
+
+  /**
+   * Generate gradient definitions for every shading referenced by converted paths
+   * Gradients are defined in shading space; gradientTransform maps them through
+   * the shading matrix and the PDF → SVG transform. Ends the PDF does not
+   * extend get transparent stops, since SVG always pads.
+   * @returns {string} Gradient elements to place inside <defs>
+   */
+  generateGradientDefs() {
+    const defs = [];
+
+    for (const [shading, id] of this.usedGradients) {
+      const m = this.multiplyMatrices(shading.matrix, this.getPageMatrix());
+      const transform = `matrix(${[m.a, m.b, m.c, m.d, m.e, m.f].map(v => +v.toFixed(6)).join(' ')})`;
+      const stops = shading.stops.map(stop =>
+        `<stop offset="${stop.offset.toFixed(3)}" stop-color="${this.escapeXML(stop.color)}"/>`
+      );
+      const first = shading.stops[0];
+      const last = shading.stops[shading.stops.length - 1];
+      if (!shading.extend[0]) {
+        stops.unshift(`<stop offset="${first.offset.toFixed(3)}" stop-color="${this.escapeXML(first.color)}" stop-opacity="0"/>`);
+      }
+      if (!shading.extend[1]) {
+        stops.push(`<stop offset="${last.offset.toFixed(3)}" stop-color="${this.escapeXML(last.color)}" stop-opacity="0"/>`);
+      }
+
+      const c = shading.coords.map(v => this.formatCoord(v));
+      const geometry = shading.coords.length === 4
+        ? `x1="${c[0]}" y1="${c[1]}" x2="${c[2]}" y2="${c[3]}"`
+        : `cx="${c[3]}" cy="${c[4]}" r="${c[5]}" fx="${c[0]}" fy="${c[1]}" fr="${c[2]}"`;
+      const element = shading.coords.length === 4 ? 'linearGradient' : 'radialGradient';
+
+      defs.push(
+        `<${element} id="${this.escapeXML(id)}" gradientUnits="userSpaceOnUse" ${geometry} ` +
+        `gradientTransform="${transform}">${stops.join('')}</${element}>`
+      );
+    }
+
+    return defs.join('\n');
+  }
+
+  /**
+   * Record a tiling pattern for generatePatternDefs()
+   * @param {Object} tiling - Tiling pattern description from PDF parser
+   * @param {string} color - Current paint color (paints uncolored patterns)
+   * @returns {string} pattern element id
+   */
+  registerPattern(tiling, color) {
+    if (!this.usedPatterns.has(tiling)) {
+      this.usedPatterns.set(tiling, { id: `pattern-${this.usedPatterns.size + 1}`, color });
+    }
+    return this.usedPatterns.get(tiling).id;
+  }
+
+  /**
+   * Generate <pattern> definitions for every tiling pattern referenced by converted paths
+   * Cells are drawn in pattern space and clipped to their /BBox; patternTransform
+   * maps them through the pattern matrix and the PDF → SVG transform. SVG clips
+   * each tile to one XStep × YStep step, so cells larger than a step are
+   * drawn again shifted back by whole steps.
+   * @returns {string} pattern elements to place inside <defs>
+   */
+  generatePatternDefs() {
+    const defs = [];
+
+    for (const [tiling, { id, color }] of this.usedPatterns) {
+      const m = this.multiplyMatrices(tiling.matrix, this.getPageMatrix());
+      const transform = `matrix(${[m.a, m.b, m.c, m.d, m.e, m.f].map(v => +v.toFixed(6)).join(' ')})`;
+      const cell = this.convertPatternCell(tiling, color, Math.sqrt(Math.abs(m.a * m.d - m.b * m.c))).join('');
+
+      const [x1, y1, x2, y2] = tiling.bbox;
+      const left = Math.min(x1, x2);
+      const bottom = Math.min(y1, y2);
+      const width = Math.abs(tiling.xStep);
+      const height = Math.abs(tiling.yStep);
+      const columns = Math.min(Math.ceil((Math.max(x1, x2) - left) / width), MAX_CELL_COPIES);
+      const rows = Math.min(Math.ceil((Math.max(y1, y2) - bottom) / height), MAX_CELL_COPIES);
+
+      const copies = [];
+      for (let i = 0; i < Math.max(columns, 1); i++) {
+        for (let j = 0; j < Math.max(rows, 1); j++) {
+          copies.push(i === 0 && j === 0
+            ? cell
+            : `<g transform="translate(${this.formatCoord(-i * width)} ${this.formatCoord(-j * height)})">${cell}</g>`);
+        }
+      }
+
+      defs.push(
+        `<pattern id="${this.escapeXML(id)}" patternUnits="userSpaceOnUse" ` +
+        `x="${this.formatCoord(left)}" y="${this.formatCoord(bottom)}" ` +
+        `width="${this.formatCoord(width)}" height="${this.formatCoord(height)}" ` +
+        `patternTransform="${transform}">${copies.join('')}</pattern>`
+      );
+    }
+
+    return defs.join('\n');
+  }
+
+  /**
+   * Convert a tiling pattern's cell paths to SVG path elements in pattern space
+   * Clips are applied to the geometry, soft masks are dropped, and nested
+   * shadings and patterns are painted in their fallback colors.
+   * @param {Object} tiling - Tiling pattern description from PDF parser
+   * @param {string} color - Paint color of an uncolored (/PaintType 2) pattern
+   * @param {number} scale - Pattern space → SVG scale, for curve flattening
+   * @returns {Array<string>} SVG path elements
+   */
+  convertPatternCell(tiling, color, scale) {
+    const converter = new SVGPathConverter({
+      precision: this.options.precision,
+      flipY: false,
+      clipMode: 'geometry',
+      flatness: this.options.flatness / (scale || 1),
+      shadingMode: 'average',
+      patternMode: 'color'
+    });
+
+    return converter.convertPaths(tiling.paths).map(svgPath => {
+      svgPath.maskId = null;
+      if (tiling.paintType === 2) {
+        if (svgPath.style.fill !== 'none') svgPath.style.fill = color;
+        if (svgPath.style.stroke) svgPath.style.stroke = color;
+      }
+      return converter.generatePathElement(svgPath);
+    });
+  }
+
+  /**
+   * The PDF page space → SVG space transform applied by transformPoint()
+   * @returns {Object} Matrix { a, b, c, d, e, f }
+   */
+  getPageMatrix() {
+    const height = this.options.cropBox ? this.options.cropBox.height : this.options.pdfHeight;
+    const flip = this.options.flipY;
+
+    return {
+      a: this.scaleX,
+      b: 0,
+      c: 0,
+      d: flip ? -this.scaleY : this.scaleY,
+      e: -this.offsetX * this.scaleX,
+      f: flip ? (height + this.offsetY) * this.scaleY : -this.offsetY * this.scaleY
+    };
+  }
+
+  multiplyMatrices(m1, m2) {
+    return {
+      a: m1.a * m2.a + m1.b * m2.c,
+      b: m1.a * m2.b + m1.b * m2.d,
+      c: m1.c * m2.a + m1.d * m2.c,
+      d: m1.c * m2.b + m1.d * m2.d,
+      e: m1.e * m2.a + m1.f * m2.c + m2.e,
+      f: m1.e * m2.b + m1.f * m2.d + m2.f
     };
   }
 
@@ -76,11 +410,145 @@ class SVGPathConverter {
    * @returns {Array} Array of SVG path elements
    */
   convertPaths(paths) {
+    if (this.options.patternMode === 'expand') {
+      paths = paths.flatMap(path => this.expandTilingPattern(path) || [path]);
+    }
+
     return paths
       .map(path => this.convertPath(path))
       .filter(path => path !== null);
   }
 
+  /**
+   * Repeat a filled path's tiling pattern cell as explicit geometry ('expand' mode)
+   * Each cell overlapping the path is placed through the pattern matrix and
+   * clipped to its /BBox, to the filled area and to the path's own clip.
+   * A filled and stroked path keeps its outline as a separate stroked path.
+   * @param {Object} path - Path object from PDF parser
+   * @returns {Array|null} Paths in page space, or null to paint the path as is
+   */
+  expandTilingPattern(path) {
+    const tiling = path.style && path.style.fillTiling;
+    if (!tiling || (path.operation !== 'fill' && path.operation !== 'fill-stroke')) {
+      return null;
+    }
+
+    const m = tiling.matrix;
+    const det = m.a * m.d - m.b * m.c;
+    if (Math.abs(det) < 1e-12) return null;
+
+    // Extent of the filled area in pattern space
+    const inverse = {
+      a: m.d / det,
+      b: -m.b / det,
+      c: -m.c / det,
+      d: m.a / det,
+      e: (m.c * m.f - m.d * m.e) / det,
+      f: (m.b * m.e - m.a * m.f) / det
+    };
+    const points = path.subpaths
+      .flatMap(subpath => this.pathClipper.flattenSubpath(subpath, path.transform))
+      .map(point => this.pathClipper.applyMatrix(point, inverse));
+    if (points.length === 0) return null;
+
+    // Cells i (and j) whose /BBox, offset by i × XStep, overlaps that extent;
+    // cells that only touch its edge are skipped
+    const [x1, y1, x2, y2] = tiling.bbox;
+    const cellRange = (values, low, high, step) => {
+      const from = (Math.min(...values) - high) / step;
+      const to = (Math.max(...values) - low) / step;
+      return [Math.floor(Math.min(from, to) + 1e-9) + 1, Math.ceil(Math.max(from, to) - 1e-9) - 1];
+    };
+    const [i0, i1] = cellRange(points.map(p => p.x), Math.min(x1, x2), Math.max(x1, x2), tiling.xStep);
+    const [j0, j1] = cellRange(points.map(p => p.y), Math.min(y1, y2), Math.max(y1, y2), tiling.yStep);
+
+    const cellCount = Math.max(i1 - i0 + 1, 0) * Math.max(j1 - j0 + 1, 0);
+    if (cellCount > this.options.maxPatternTiles) {
+      console.log(`  [Pattern] ${cellCount} pattern cells exceed maxPatternTiles; painting the pattern color`);
+      return null;
+    }
+
+    // The filled area becomes the innermost clip of every placed cell
+    const fillRegion = {
+      subpaths: path.subpaths,
+      transform: path.transform,
+      fillRule: path.style.fillRule || 'nonzero',
+      parent: path.clip || null
+    };
+    const scale = Math.sqrt(Math.abs(det));
+
+    const expanded = [];
+    for (let i = i0; i <= i1; i++) {
+      for (let j = j0; j <= j1; j++) {
+        const cellMatrix = this.multiplyMatrices(
+          { a: 1, b: 0, c: 0, d: 1, e: i * tiling.xStep, f: j * tiling.yStep },
+          m
+        );
+        const placedClips = new Map();
+
+        for (const cellPath of tiling.paths) {
+          const placed = this.pathClipper.clipPath({
+            ...cellPath,
+            transform: this.multiplyMatrices(cellPath.transform || IDENTITY, cellMatrix),
+            clip: this.placeCellClip(cellPath.clip, cellMatrix, fillRegion, placedClips),
+            style: this.cellStyle(cellPath.style, tiling, path.style.fill, scale),
+            layer: path.layer,
+            layerPath: path.layerPath,
+            mcid: path.mcid,
+            markedContent: path.markedContent,
+            structure: path.structure
+          });
+          if (placed) expanded.push(placed);
+        }
+      }
+    }
+
+    if (path.operation === 'fill-stroke') {
+      expanded.push({ ...path, operation: 'stroke' });
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Copy a cell path's clip chain into page space for one placed cell
+   * @param {Object} clip - Clip entry in pattern space (or null)
+   * @param {Object} matrix - Pattern space → page space matrix of the cell
+   * @param {Object} root - Clip entry the chain is nested in
+   * @param {Map} placed - Entries already copied for this cell
+   * @returns {Object} Clip entry
+   */
+  placeCellClip(clip, matrix, root, placed) {
+    if (!clip) return root;
+
+    if (!placed.has(clip)) {
+      placed.set(clip, {
+        ...clip,
+        transform: this.multiplyMatrices(clip.transform || IDENTITY, matrix),
+        parent: this.placeCellClip(clip.parent, matrix, root, placed)
+      });
+    }
+    return placed.get(clip);
+  }
+
+  /**
+   * Style of a placed cell path; uncolored patterns paint in the path's color
+   * and line widths follow the pattern matrix
+   */
+  cellStyle(style, tiling, color, scale) {
+    const cellStyle = { ...style };
+
+    if (tiling.paintType === 2) {
+      if (cellStyle.fill && cellStyle.fill !== 'none') cellStyle.fill = color;
+      if (cellStyle.stroke && cellStyle.stroke !== 'none') cellStyle.stroke = color;
+    }
+    if (cellStyle.strokeWidth !== undefined) {
+      cellStyle.strokeWidth *= scale;
+    }
+
+    return cellStyle;
+  }
+
   /**
    * Build SVG path data string from subpaths
    * @param {Array} subpaths - Array of subpath objects
@@ -239,6 +707,9 @@ class SVGPathConverter {
     // Handle stroke
     if (operation === 'stroke' || operation === 'fill-stroke') {
       svgStyle.stroke = style.stroke || '#000000';
+      if (style.strokeOpacity !== undefined) {
+        svgStyle.strokeOpacity = style.strokeOpacity;
+      }
 
       if (style.strokeWidth !== undefined) {
         // Scale stroke width
@@ -253,11 +724,22 @@ class SVGPathConverter {
         svgStyle.strokeLinejoin = style.strokeLinejoin;
       }
 
+      if (style.strokeMiterlimit !== undefined) {
+        svgStyle.strokeMiterlimit = style.strokeMiterlimit;
+      }
+
       if (style.strokeDasharray) {
         svgStyle.strokeDasharray = style.strokeDasharray;
+        if (style.strokeDashoffset) {
+          svgStyle.strokeDashoffset = style.strokeDashoffset;
+        }
       }
     }
 
+    if (style.blendMode) {
+      svgStyle.mixBlendMode = style.blendMode;
+    }
+
     return svgStyle;
   }
 
@@ -314,9 +796,22 @@ class SVGPathConverter {
     if (style.strokeLinejoin !== undefined && style.strokeLinejoin !== null) {
       attrs.push(`stroke-linejoin="${this.escapeXML(style.strokeLinejoin)}"`);
     }
+    if (style.strokeOpacity !== undefined && style.strokeOpacity !== null) {
+      attrs.push(`stroke-opacity="${this.escapeXML(style.strokeOpacity)}"`);
+    }
+    if (style.strokeMiterlimit !== undefined && style.strokeMiterlimit !== null) {
+      attrs.push(`stroke-miterlimit="${this.escapeXML(style.strokeMiterlimit)}"`);
+    }
     if (style.strokeDasharray !== undefined && style.strokeDasharray !== null) {
       attrs.push(`stroke-dasharray="${this.escapeXML(style.strokeDasharray)}"`);
     }
+    if (style.strokeDashoffset !== undefined && style.strokeDashoffset !== null) {
+      attrs.push(`stroke-dashoffset="${this.escapeXML(style.strokeDashoffset)}"`);
+    }
+    // mix-blend-mode is a CSS property, not a presentation attribute
+    if (style.mixBlendMode !== undefined && style.mixBlendMode !== null) {
+      attrs.push(`style="mix-blend-mode:${this.escapeXML(style.mixBlendMode)}"`);
+    }
 
     return attrs.join(' ');
   }
@@ -332,11 +827,13 @@ class SVGPathConverter {
     const className = options.className ? ` class="${this.escapeXML(options.className)}"` : '';
     const attributes = this.styleToAttributes(svgPath.style);
     const pathData = this.escapeXML(svgPath.d);
+    const clipPath = svgPath.clipPathId ? ` clip-path="url(#${this.escapeXML(svgPath.clipPathId)})"` : '';
+    const mask = svgPath.maskId ? ` mask="url(#${this.escapeXML(svgPath.maskId)})"` : '';
 
     // Ensure proper spacing between attributes
     const attrStr = attributes ? ` ${attributes}` : '';
 
-    return `<path${id}${className} d="${pathData}"${attrStr}/>`;
+    return `<path${id}${className} d="${pathData}"${attrStr}${clipPath}${mask}/>`;
   }
 
   /**
@@ -346,6 +843,7 @@ class SVGPathConverter {
   updateOptions(newOptions) {
     this.options = { ...this.options, ...newOptions };
     this.calculateScaleFactors();
+    this.pathClipper = new PathClipper({ flatness: this.options.flatness });
   }
 
   /**
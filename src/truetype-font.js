@@ -0,0 +1,502 @@
+/**
+ * TrueType Font
+ * Reads glyph outlines from an embedded TrueType program (/FontFile2)
+ * Parses the sfnt tables needed to draw glyphs: head, maxp, loca, glyf
+ * (simple and composite glyphs), cmap and post. Quadratic contours are
+ * returned as cubic outline commands in font units.
+ */
+
+const { MAC_GLYPH_NAMES } = require('./font-encodings');
+
+// Simple glyph point flags
+const ON_CURVE = 0x01;
+const X_SHORT = 0x02;
+const Y_SHORT = 0x04;
+const REPEAT = 0x08;
+const X_SAME_OR_POSITIVE = 0x10;
+const Y_SAME_OR_POSITIVE = 0x20;
+
+// Composite glyph component flags
+const ARGS_ARE_WORDS = 0x0001;
+const ARGS_ARE_XY_VALUES = 0x0002;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+// Nesting limit for composite glyphs
+const MAX_COMPONENT_DEPTH = 8;
+
+class TrueTypeFont {
+  /**
+   * @param {Buffer} data - sfnt data (a TrueType or OpenType font file)
+   * @param {Object} options - { report(severity, code, message) } for damaged tables
+   */
+  constructor(data, options = {}) {
+    this.report = options.report || null;
+    this.data = Buffer.from(data);
+    this.tables = this.readTableDirectory();
+
+    if (!this.tables.head || !this.tables.glyf || !this.tables.loca) {
+      throw new Error('TrueType font has no head, loca or glyf table');
+    }
+
+    const head = this.tables.head.offset;
+    this.unitsPerEm = this.data.readUInt16BE(head + 18) || 1000;
+    this.indexToLocFormat = this.data.readInt16BE(head + 50);
+
+    this.numGlyphs = this.tables.maxp ? this.data.readUInt16BE(this.tables.maxp.offset + 4) : 0;
+
+    // Font units to text space
+    this.fontMatrix = [1 / this.unitsPerEm, 0, 0, 1 / this.unitsPerEm, 0, 0];
+
+    this.cmaps = this.readCmaps();
+    this.glyphNames = null; // Read from 'post' on first use
+    this.outlineCache = new Map();
+  }
+
+  /**
+   * Check whether data starts like an sfnt with glyf outlines
+   */
+  static isTrueType(data) {
+    if (!data || data.length < 12) return false;
+    const tag = Buffer.from(data.subarray(0, 4)).toString('latin1');
+    return tag === '\u0000\u0001\u0000\u0000' || tag === 'true';
+  }
+
+  readTableDirectory() {
+    const tables = {};
+    const numTables = this.data.readUInt16BE(4);
+
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + i * 16;
+      if (record + 16 > this.data.length) break;
+
+      const tag = this.data.toString('latin1', record, record + 4);
+      const offset = this.data.readUInt32BE(record + 8);
+      const length = this.data.readUInt32BE(record + 12);
+      if (offset + length <= this.data.length) {
+        tables[tag.trim()] = { offset, length };
+      }
+    }
+
+    return tables;
+  }
+
+  /**
+   * Read the cmap subtables, keyed by "platformID,encodingID"
+   * @returns {Object} Maps of character code → glyph ID
+   */
+  readCmaps() {
+    const cmaps = {};
+    const table = this.tables.cmap;
+    if (!table) return cmaps;
+
+    const data = this.data;
+    const numSubtables = data.readUInt16BE(table.offset + 2);
+
+    for (let i = 0; i < numSubtables; i++) {
+      const record = table.offset + 4 + i * 8;
+      const key = `${data.readUInt16BE(record)},${data.readUInt16BE(record + 2)}`;
+      const offset = table.offset + data.readUInt32BE(record + 4);
+      if (cmaps[key] || offset + 6 > data.length) continue;
+
+      try {
+        const mapping = this.readCmapSubtable(offset);
+        if (mapping) cmaps[key] = mapping;
+      } catch (error) {
+        this.warn('font-error', `Skipping damaged cmap subtable ${key}: ${error.message}`);
+      }
+    }
+
+    return cmaps;
+  }
+
+  readCmapSubtable(offset) {
+    const data = this.data;
+    const format = data.readUInt16BE(offset);
+    const mapping = new Map();
+
+    switch (format) {
+      case 0: // Byte encoding table
+        for (let code = 0; code < 256; code++) {
+          const glyphId = data[offset + 6 + code];
+          if (glyphId) mapping.set(code, glyphId);
+        }
+        return mapping;
+
+      case 4: { // Segment mapping to delta values
+        const segCount = data.readUInt16BE(offset + 6) / 2;
+        const endCodes = offset + 14;
+        const startCodes = endCodes + segCount * 2 + 2;
+        const idDeltas = startCodes + segCount * 2;
+        const idRangeOffsets = idDeltas + segCount * 2;
+
+        for (let seg = 0; seg < segCount; seg++) {
+          const end = data.readUInt16BE(endCodes + seg * 2);
+          const start = data.readUInt16BE(startCodes + seg * 2);
+          const delta = data.readInt16BE(idDeltas + seg * 2);
+          const rangeOffsetPosition = idRangeOffsets + seg * 2;
+          const rangeOffset = data.readUInt16BE(rangeOffsetPosition);
+
+          for (let code = start; code <= end && code !== 0xffff; code++) {
+            let glyphId;
+            if (rangeOffset === 0) {
+              glyphId = (code + delta) & 0xffff;
+            } else {
+              const position = rangeOffsetPosition + rangeOffset + (code - start) * 2;
+              if (position + 2 > data.length) continue;
+              glyphId = data.readUInt16BE(position);
+              if (glyphId !== 0) glyphId = (glyphId + delta) & 0xffff;
+            }
+            if (glyphId) mapping.set(code, glyphId);
+          }
+        }
+        return mapping;
+      }
+
+      case 6: { // Trimmed table mapping
+        const firstCode = data.readUInt16BE(offset + 6);
+        const count = data.readUInt16BE(offset + 8);
+        for (let i = 0; i < count; i++) {
+          const glyphId = data.readUInt16BE(offset + 10 + i * 2);
+          if (glyphId) mapping.set(firstCode + i, glyphId);
+        }
+        return mapping;
+      }
+
+      case 12: { // Segmented coverage
+        const groups = data.readUInt32BE(offset + 12);
+        for (let i = 0; i < groups; i++) {
+          const group = offset + 16 + i * 12;
+          const start = data.readUInt32BE(group);
+          const end = data.readUInt32BE(group + 4);
+          const startGlyph = data.readUInt32BE(group + 8);
+          for (let code = start; code <= end && code - start < 65536; code++) {
+            mapping.set(code, startGlyph + (code - start));
+          }
+        }
+        return mapping;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get a cmap subtable
+   * @param {number} platformId - 3 (Windows), 1 (Macintosh) or 0 (Unicode)
+   * @param {number} encodingId - Platform-specific encoding
+   * @returns {Map|null} Character code → glyph ID
+   */
+  getCmap(platformId, encodingId) {
+    return this.cmaps[`${platformId},${encodingId}`] || null;
+  }
+
+  /**
+   * Look up a glyph by Unicode code point (Windows or Unicode platform cmaps)
+   */
+  glyphIdForUnicode(codePoint) {
+    for (const key of ['3,1', '3,10', '0,3', '0,4', '0,1', '0,0']) {
+      const cmap = this.cmaps[key];
+      if (cmap && cmap.has(codePoint)) return cmap.get(codePoint);
+    }
+    return 0;
+  }
+
+  /**
+   * Look up a glyph by its PostScript name (from the 'post' table)
+   */
+  glyphIdForName(name) {
+    if (!this.glyphNames) {
+      this.glyphNames = this.readGlyphNames();
+    }
+    return this.glyphNames.has(name) ? this.glyphNames.get(name) : 0;
+  }
+
+  readGlyphNames() {
+    const names = new Map();
+    const table = this.tables.post;
+    if (!table) return names;
+
+    const data = this.data;
+    const version = data.readUInt32BE(table.offset);
+
+    if (version === 0x00010000) {
+      MAC_GLYPH_NAMES.forEach((name, glyphId) => names.set(name, glyphId));
+    } else if (version === 0x00020000) {
+      const count = data.readUInt16BE(table.offset + 32);
+      const indices = [];
+      for (let i = 0; i < count; i++) {
+        indices.push(data.readUInt16BE(table.offset + 34 + i * 2));
+      }
+
+      // Custom names follow as Pascal strings
+      const customNames = [];
+      let position = table.offset + 34 + count * 2;
+      const end = table.offset + table.length;
+      while (position < end) {
+        const length = data[position];
+        customNames.push(data.toString('latin1', position + 1, position + 1 + length));
+        position += 1 + length;
+      }
+
+      indices.forEach((index, glyphId) => {
+        const name = index < 258 ? MAC_GLYPH_NAMES[index] : customNames[index - 258];
+        if (name && !names.has(name)) names.set(name, glyphId);
+      });
+    }
+
+    return names;
+  }
+
+  /**
+   * Get the outline of a glyph
+   * @param {number} glyphId - Glyph index
+   * @returns {Array} Commands { type: 'M'|'L'|'C'|'Z', ... } in font units
+   */
+  getGlyphOutline(glyphId) {
+    if (!this.outlineCache.has(glyphId)) {
+      const commands = [];
+      this.appendGlyph(commands, glyphId, [1, 0, 0, 1, 0, 0], 0);
+      this.outlineCache.set(glyphId, commands);
+    }
+    return this.outlineCache.get(glyphId);
+  }
+
+  getGlyphRange(glyphId) {
+    const loca = this.tables.loca.offset;
+    if (this.numGlyphs && glyphId >= this.numGlyphs) return null;
+
+    let start;
+    let end;
+    if (this.indexToLocFormat === 0) {
+      if (loca + glyphId * 2 + 4 > this.data.length) return null;
+      start = this.data.readUInt16BE(loca + glyphId * 2) * 2;
+      end = this.data.readUInt16BE(loca + glyphId * 2 + 2) * 2;
+    } else {
+      if (loca + glyphId * 4 + 8 > this.data.length) return null;
+      start = this.data.readUInt32BE(loca + glyphId * 4);
+      end = this.data.readUInt32BE(loca + glyphId * 4 + 4);
+    }
+
+    if (end <= start || start + 10 > this.tables.glyf.length) return null;
+    return { offset: this.tables.glyf.offset + start, length: end - start };
+  }
+
+  appendGlyph(commands, glyphId, matrix, depth) {
+    const range = this.getGlyphRange(glyphId);
+    if (!range || depth > MAX_COMPONENT_DEPTH) return;
+
+    const numberOfContours = this.data.readInt16BE(range.offset);
+    if (numberOfContours >= 0) {
+      this.appendSimpleGlyph(commands, range.offset, numberOfContours, matrix);
+    } else {
+      this.appendCompositeGlyph(commands, range.offset, matrix, depth);
+    }
+  }
+
+  appendSimpleGlyph(commands, offset, numberOfContours, matrix) {
+    const data = this.data;
+    let position = offset + 10;
+
+    const endPoints = [];
+    for (let i = 0; i < numberOfContours; i++) {
+      endPoints.push(data.readUInt16BE(position));
+      position += 2;
+    }
+    const numPoints = numberOfContours > 0 ? endPoints[numberOfContours - 1] + 1 : 0;
+
+    const instructionLength = data.readUInt16BE(position);
+    position += 2 + instructionLength;
+
+    const flags = [];
+    while (flags.length < numPoints) {
+      const flag = data[position++];
+      flags.push(flag);
+      if (flag & REPEAT) {
+        let count = data[position++];
+        while (count-- > 0 && flags.length < numPoints) flags.push(flag);
+      }
+    }
+
+    const readCoordinates = (shortFlag, sameFlag) => {
+      const values = [];
+      let value = 0;
+      for (const flag of flags) {
+        if (flag & shortFlag) {
+          const delta = data[position++];
+          value += flag & sameFlag ? delta : -delta;
+        } else if (!(flag & sameFlag)) {
+          value += data.readInt16BE(position);
+          position += 2;
+        }
+        values.push(value);
+      }
+      return values;
+    };
+    const xs = readCoordinates(X_SHORT, X_SAME_OR_POSITIVE);
+    const ys = readCoordinates(Y_SHORT, Y_SAME_OR_POSITIVE);
+
+    let start = 0;
+    for (const end of endPoints) {
+      const contour = [];
+      for (let i = start; i <= end; i++) {
+        const [x, y] = transformPoint(matrix, xs[i], ys[i]);
+        contour.push({ x, y, onCurve: (flags[i] & ON_CURVE) !== 0 });
+      }
+      appendQuadraticContour(commands, contour);
+      start = end + 1;
+    }
+  }
+
+  appendCompositeGlyph(commands, offset, matrix, depth) {
+    const data = this.data;
+    let position = offset + 10;
+    let flags;
+
+    do {
+      flags = data.readUInt16BE(position);
+      const glyphId = data.readUInt16BE(position + 2);
+      position += 4;
+
+      let dx = 0;
+      let dy = 0;
+      if (flags & ARGS_ARE_WORDS) {
+        if (flags & ARGS_ARE_XY_VALUES) {
+          dx = data.readInt16BE(position);
+          dy = data.readInt16BE(position + 2);
+        }
+        position += 4;
+      } else {
+        if (flags & ARGS_ARE_XY_VALUES) {
+          dx = data.readInt8(position);
+          dy = data.readInt8(position + 1);
+        }
+        position += 2;
+      }
+      // Point-matching placement (args are point numbers) is not supported
+
+      let [a, b, c, d] = [1, 0, 0, 1];
+      if (flags & WE_HAVE_A_SCALE) {
+        a = d = readF2Dot14(data, position);
+        position += 2;
+      } else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) {
+        a = readF2Dot14(data, position);
+        d = readF2Dot14(data, position + 2);
+        position += 4;
+      } else if (flags & WE_HAVE_A_TWO_BY_TWO) {
+        a = readF2Dot14(data, position);
+        b = readF2Dot14(data, position + 2);
+        c = readF2Dot14(data, position + 4);
+        d = readF2Dot14(data, position + 6);
+        position += 8;
+      }
+
+      const component = multiply([a, b, c, d, dx, dy], matrix);
+      this.appendGlyph(commands, glyphId, component, depth + 1);
+    } while (flags & MORE_COMPONENTS);
+  }
+
+  warn(code, message) {
+    if (this.report) {
+      this.report('warning', code, message);
+    } else {
+      console.log(`  [Font] ${message}`);
+    }
+  }
+}
+
+/**
+ * Convert a TrueType contour (on- and off-curve points) to outline commands
+ * Consecutive off-curve points imply an on-curve point midway between them;
+ * each quadratic segment becomes an equivalent cubic.
+ */
+function appendQuadraticContour(commands, points) {
+  if (points.length === 0) return;
+
+  // Start on an on-curve point (or the implied midpoint of two off-curve ones)
+  let startIndex = points.findIndex(point => point.onCurve);
+  let start;
+  if (startIndex >= 0) {
+    start = points[startIndex];
+  } else {
+    startIndex = 0;
+    start = midpoint(points[0], points[1 % points.length]);
+    start.onCurve = true;
+  }
+
+  // Walk the rest of the contour back round to the start point (for an
+  // implied start, the final off-curve point closes the contour below)
+  const ordered = [];
+  for (let i = 1; i <= points.length; i++) {
+    ordered.push(points[(startIndex + i) % points.length]);
+  }
+
+  commands.push({ type: 'M', x: start.x, y: start.y });
+
+  let current = start;
+  let control = null;
+  const quadTo = (q, end) => {
+    commands.push({
+      type: 'C',
+      x1: current.x + (2 / 3) * (q.x - current.x),
+      y1: current.y + (2 / 3) * (q.y - current.y),
+      x2: end.x + (2 / 3) * (q.x - end.x),
+      y2: end.y + (2 / 3) * (q.y - end.y),
+      x: end.x,
+      y: end.y
+    });
+    current = end;
+  };
+
+  for (const point of ordered) {
+    if (point.onCurve) {
+      if (control) {
+        quadTo(control, point);
+        control = null;
+      } else {
+        commands.push({ type: 'L', x: point.x, y: point.y });
+        current = point;
+      }
+    } else if (control) {
+      const implied = midpoint(control, point);
+      quadTo(control, implied);
+      control = point;
+    } else {
+      control = point;
+    }
+  }
+  if (control) {
+    quadTo(control, start);
+  }
+
+  commands.push({ type: 'Z' });
+}
+
+function midpoint(p, q) {
+  return { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+}
+
+function readF2Dot14(data, position) {
+  return data.readInt16BE(position) / 16384;
+}
+
+function transformPoint(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+// [a b c d e f] matrices, m1 applied first
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+module.exports = TrueTypeFont;
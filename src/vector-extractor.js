@@ -1,11 +1,15 @@
-const { PDFDocument, PDFName } = require('pdf-lib');
-const proj4 = require('proj4');
+const { PDFDocument, PDFName, PDFArray, PDFNumber, PDFString, PDFHexString } = require('pdf-lib');
+const GeoreferenceReader = require('./georeference-reader');
+const Reprojector = require('./reprojector');
+const PathClipper = require('./path-clipper');
 
 class VectorExtractor {
   constructor(pdfDoc, buffer) {
     this.pdfDoc = pdfDoc;
     this.buffer = buffer;
     this.vectorLayers = [];
+    this.georeference = new GeoreferenceReader(pdfDoc);
+    this.clipper = new PathClipper();
   }
 
   async extract() {
@@ -53,41 +57,39 @@ class VectorExtractor {
     const annotations = [];
 
     try {
-      const pageDict = page.node.dict;
-      const annotsRef = pageDict.get(pageDict.context.obj('/Annots'));
+      const annotsArray = page.node.lookup(PDFName.of('Annots'));
 
-      if (!annotsRef) {
+      if (!(annotsArray instanceof PDFArray)) {
         return annotations;
       }
 
       // Annotations can be various types: Text, Line, Square, Circle, Polygon, etc.
-      const annots = annotsRef.array || [];
+      const annots = annotsArray.asArray();
 
       for (let i = 0; i < annots.length; i++) {
         try {
           const annotRef = annots[i];
           const annot = this.pdfDoc.context.lookup(annotRef);
 
-          if (!annot || !annot.dict) continue;
+          if (!annot || !annot.lookup) continue;
 
-          const subtype = annot.dict.get(annot.dict.context.obj('/Subtype'));
+          const subtype = annot.lookup(PDFName.of('Subtype'));
           const subtypeName = subtype?.toString();
 
           // Get annotation rectangle
-          const rect = annot.dict.get(annot.dict.context.obj('/Rect'));
-          const rectArray = rect?.array || [];
+          const rectArray = this.numbers(annot.lookup(PDFName.of('Rect')));
 
           // Get annotation contents/title
-          const contents = annot.dict.get(annot.dict.context.obj('/Contents'));
-          const title = annot.dict.get(annot.dict.context.obj('/T'));
+          const contents = annot.lookup(PDFName.of('Contents'));
+          const title = annot.lookup(PDFName.of('T'));
 
           const annotData = {
             type: 'annotation',
             subtype: subtypeName,
             page: pageIndex,
-            rect: rectArray.map(v => parseFloat(v.toString())),
-            contents: contents?.toString(),
-            title: title?.toString(),
+            rect: rectArray,
+            contents: this.text(contents),
+            title: this.text(title),
             geometry: null
           };
 
@@ -114,15 +116,14 @@ class VectorExtractor {
 
   extractLineGeometry(annot) {
     try {
-      const dict = annot.dict;
-      const l = dict.get(dict.context.obj('/L'));
+      const l = this.numbers(annot.lookup(PDFName.of('L')));
 
-      if (l && l.array && l.array.length === 4) {
+      if (l.length === 4) {
         return {
           type: 'LineString',
           coordinates: [
-            [parseFloat(l.array[0].toString()), parseFloat(l.array[1].toString())],
-            [parseFloat(l.array[2].toString()), parseFloat(l.array[3].toString())]
+            [l[0], l[1]],
+            [l[2], l[3]]
           ]
         };
       }
@@ -135,23 +136,25 @@ class VectorExtractor {
 
   extractPolygonGeometry(annot) {
     try {
-      const dict = annot.dict;
-      const vertices = dict.get(dict.context.obj('/Vertices'));
+      const vertices = this.numbers(annot.lookup(PDFName.of('Vertices')));
 
-      if (vertices && vertices.array) {
+      if (vertices.length >= 4) {
         const coords = [];
-        for (let i = 0; i < vertices.array.length; i += 2) {
-          if (i + 1 < vertices.array.length) {
-            coords.push([
-              parseFloat(vertices.array[i].toString()),
-              parseFloat(vertices.array[i + 1].toString())
-            ]);
-          }
+        for (let i = 0; i + 1 < vertices.length; i += 2) {
+          coords.push([vertices[i], vertices[i + 1]]);
+        }
+
+        // PolyLines stay open; polygon rings are closed
+        if (annot.lookup(PDFName.of('Subtype'))?.toString() === '/PolyLine') {
+          return {
+            type: 'LineString',
+            coordinates: coords
+          };
         }
 
         return {
           type: 'Polygon',
-          coordinates: [coords]
+          coordinates: [[...coords, coords[0]]]
         };
       }
     } catch (error) {
@@ -163,14 +166,10 @@ class VectorExtractor {
 
   extractShapeGeometry(annot, subtype) {
     try {
-      const dict = annot.dict;
-      const rect = dict.get(dict.context.obj('/Rect'));
+      const rect = this.numbers(annot.lookup(PDFName.of('Rect')));
 
-      if (rect && rect.array && rect.array.length === 4) {
-        const x1 = parseFloat(rect.array[0].toString());
-        const y1 = parseFloat(rect.array[1].toString());
-        const x2 = parseFloat(rect.array[2].toString());
-        const y2 = parseFloat(rect.array[3].toString());
+      if (rect.length === 4) {
+        const [x1, y1, x2, y2] = rect;
 
         if (subtype === '/Square') {
           return {
@@ -222,8 +221,7 @@ class VectorExtractor {
       // This is where vector paths are defined using PDF operators
       // like: m (moveto), l (lineto), c (curveto), h (closepath), etc.
 
-      const pageDict = page.node.dict;
-      const contents = pageDict.get(pageDict.context.obj('/Contents'));
+      const contents = page.node.lookup(PDFName.of('Contents'));
 
       if (contents) {
         // Parse content stream would require a full PDF content parser
@@ -246,28 +244,25 @@ class VectorExtractor {
     const forms = [];
 
     try {
-      const pageDict = page.node.dict;
-      const resources = pageDict.get(pageDict.context.obj('/Resources'));
+      const resources = page.node.lookup(PDFName.of('Resources'));
 
-      if (!resources) {
+      if (!resources || !resources.lookup) {
         return forms;
       }
 
-      const xObject = resources.get(resources.context.obj('/XObject'));
+      const xObject = resources.lookup(PDFName.of('XObject'));
 
-      if (!xObject) {
+      if (!xObject || !xObject.keys) {
         return forms;
       }
 
-      const xObjectKeys = xObject.dict ? xObject.dict.keys() : [];
-
-      for (const key of xObjectKeys) {
+      for (const key of xObject.keys()) {
         try {
-          const xObj = xObject.get(key);
+          const xObj = xObject.lookup(key);
 
           if (!xObj) continue;
 
-          const subtype = xObj.dict?.get(xObj.dict.context.obj('/Subtype'));
+          const subtype = xObj.dict?.lookup(PDFName.of('Subtype'));
           const subtypeName = subtype?.toString();
 
           // Form XObjects contain reusable content (can be vector graphics)
@@ -290,15 +285,30 @@ class VectorExtractor {
     return forms;
   }
 
-  // Convert extracted vectors to GeoJSON format
-  toGeoJSON(vectors) {
+  /**
+   * Convert extracted vectors to GeoJSON format
+   * @param {Array} vectors - Vectors from extract()
+   * @param {Object} options - { targetCrs } reproject page coordinates to this
+   *   system (see EpsgRegistry.resolve()); vectors outside the georeferenced
+   *   viewports are left out
+   * @returns {Object} FeatureCollection (with a named crs member when reprojected)
+   */
+  toGeoJSON(vectors, options = {}) {
     const features = [];
+    const reprojector = options.targetCrs ? new Reprojector(this.georeference, options.targetCrs) : null;
+    let skipped = 0;
 
     for (const vector of vectors) {
       if (vector.geometry) {
+        const geometry = reprojector ? reprojector.geometry(vector.page, vector.geometry) : vector.geometry;
+        if (!geometry) {
+          skipped++;
+          continue;
+        }
+
         const feature = {
           type: 'Feature',
-          geometry: vector.geometry,
+          geometry,
           properties: {
             type: vector.type,
             subtype: vector.subtype,
@@ -312,14 +322,34 @@ class VectorExtractor {
       }
     }
 
-    return {
+    if (skipped > 0) {
+      console.log(`  [Geo] ${skipped} vectors outside the georeferenced viewports were not exported`);
+    }
+
+    const collection = {
       type: 'FeatureCollection',
       features
     };
+    if (reprojector && reprojector.target.code) {
+      collection.crs = { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${reprojector.target.code}` } };
+    }
+    return collection;
   }
 
-  // Convert to KML format
-  toKML(vectors) {
+  /**
+   * Convert to KML format
+   * @param {Array} vectors - Vectors from extract()
+   * @param {Object} options - { targetCrs } KML coordinates are always WGS 84
+   *   longitude/latitude, so only EPSG:4326 is accepted; when given, the
+   *   geometries are reprojected and written out
+   * @returns {string} KML document
+   */
+  toKML(vectors, options = {}) {
+    const reprojector = options.targetCrs ? new Reprojector(this.georeference, options.targetCrs) : null;
+    if (reprojector && reprojector.target.code !== 4326) {
+      throw new Error('KML coordinates are WGS 84 longitude/latitude; use EPSG:4326 as the target');
+    }
+
     let kml = '<?xml version="1.0" encoding="UTF-8"?>\n';
     kml += '<kml xmlns="http://www.opengis.net/kml/2.2">\n';
     kml += '  <Document>\n';
@@ -337,8 +367,13 @@ class VectorExtractor {
           kml += `      <description>${this.escapeXML(vector.contents)}</description>\n`;
         }
 
-        // Add geometry (simplified - would need full implementation)
-        kml += '      <!-- Geometry would be converted here -->\n';
+        const geometry = reprojector ? reprojector.geometry(vector.page, vector.geometry) : null;
+        if (geometry) {
+          kml += this.geometryToKML(geometry);
+        } else {
+          // Page coordinates have no place in KML
+          kml += '      <!-- Geometry is not georeferenced -->\n';
+        }
 
         kml += '    </Placemark>\n';
       }
@@ -350,6 +385,108 @@ class VectorExtractor {
     return kml;
   }
 
+  /**
+   * GeoJSON geometry of a parsed content path, in page space
+   * Curves are flattened. Filled paths become polygons, with rings nested
+   * an odd number of times inside others as holes; stroked paths become lines.
+   * @param {Object} path - Path from PDFContentParser
+   * @returns {Object|null} (Multi)Polygon or (Multi)LineString, or null
+   *   without enough points
+   */
+  pathGeometry(path) {
+    const isFill = path.operation === 'fill' || path.operation === 'fill-stroke';
+    const toCoordinates = points => points.map(({ x, y }) => [x, y]);
+    const rings = path.subpaths
+      .map(subpath => {
+        const points = this.clipper.flattenSubpath(subpath, path.transform);
+        return (subpath.closed || isFill) && points.length > 2 ? [...points, points[0]] : points;
+      })
+      .filter(points => points.length >= (isFill ? 4 : 2));
+    if (rings.length === 0) return null;
+
+    if (!isFill) {
+      const lines = rings.map(toCoordinates);
+      return lines.length === 1
+        ? { type: 'LineString', coordinates: lines[0] }
+        : { type: 'MultiLineString', coordinates: lines };
+    }
+
+    // Nesting depth of each ring; even depths are outer boundaries
+    const boxes = rings.map(ring => this.bounds(ring));
+    const containers = rings.map((ring, i) => rings
+      .map((other, j) => j)
+      .filter(j => j !== i && this.boxContains(boxes[j], boxes[i]) &&
+        this.clipper.pointInRegion(ring[0], { rings: [rings[j]], fillRule: 'nonzero' })));
+
+    const polygons = new Map();
+    rings.forEach((ring, i) => {
+      if (containers[i].length % 2 === 0) polygons.set(i, [toCoordinates(ring)]);
+    });
+    rings.forEach((ring, i) => {
+      if (containers[i].length % 2 === 0) return;
+      // A hole belongs to the innermost outer ring around it
+      const outer = containers[i]
+        .filter(j => polygons.has(j))
+        .reduce((best, j) => (best === null || containers[j].length > containers[best].length ? j : best), null);
+      if (outer !== null) polygons.get(outer).push(toCoordinates(ring));
+    });
+
+    const coordinates = Array.from(polygons.values());
+    return coordinates.length === 1
+      ? { type: 'Polygon', coordinates: coordinates[0] }
+      : { type: 'MultiPolygon', coordinates };
+  }
+
+  bounds(points) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    points.forEach(({ x, y }) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    });
+    return { minX, minY, maxX, maxY };
+  }
+
+  boxContains(outer, inner) {
+    return outer.minX <= inner.minX && outer.minY <= inner.minY &&
+      outer.maxX >= inner.maxX && outer.maxY >= inner.maxY;
+  }
+
+  geometryToKML(geometry) {
+    const coordinates = points => points.map(([x, y]) => `${x},${y}`).join(' ');
+    const ring = (tag, points) => `<${tag}><LinearRing><coordinates>${coordinates(points)}</coordinates></LinearRing></${tag}>`;
+
+    switch (geometry.type) {
+      case 'Point':
+        return `      <Point><coordinates>${coordinates([geometry.coordinates])}</coordinates></Point>\n`;
+      case 'LineString':
+        return `      <LineString><coordinates>${coordinates(geometry.coordinates)}</coordinates></LineString>\n`;
+      case 'Polygon': {
+        const [outer, ...inner] = geometry.coordinates;
+        return `      <Polygon>${ring('outerBoundaryIs', outer)}${inner.map(points => ring('innerBoundaryIs', points)).join('')}</Polygon>\n`;
+      }
+      default:
+        return `      <!-- ${geometry.type} geometry is not supported -->\n`;
+    }
+  }
+
+  numbers(obj) {
+    if (!(obj instanceof PDFArray)) return [];
+    return obj.asArray()
+      .map(entry => this.pdfDoc.context.lookup(entry))
+      .filter(value => value instanceof PDFNumber)
+      .map(value => value.asNumber());
+  }
+
+  text(obj) {
+    if (obj instanceof PDFString || obj instanceof PDFHexString) return obj.decodeText();
+    return obj?.toString();
+  }
+
   escapeXML(str) {
     if (!str) return '';
     return str
@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const PDFProcessor = require('./src/pdf-processor');
+const Reprojector = require('./src/reprojector');
 
 async function testParser() {
   console.log('='.repeat(80));
@@ -51,12 +52,35 @@ async function testParser() {
     console.log('   Creator:', result.metadata.creator);
     console.log('   Pages:', result.metadata.pageCount);
     console.log('   Is GeoPDF:', result.metadata.isGeoPDF ? 'Yes ✓' : 'No');
+    console.log('   Structure tree:', result.metadata.hasStructureTree
+      ? `${result.metadata.structureTree.elementCount} elements` : 'No');
+    console.log('   Viewports:', result.metadata.georeference
+      ? result.metadata.georeference.viewports.length : 'None');
+    (result.metadata.georeference?.viewports || []).forEach(viewport => {
+      const label = `     Page ${viewport.page + 1} ${viewport.name || `#${viewport.index}`} (${viewport.encoding})`;
+      if (!viewport.georeferenced) {
+        console.log(`${label}: not georeferenced`);
+        return;
+      }
+      const { west, south, east, north } = viewport.geoBounds;
+      console.log(`${label}: ${viewport.crs.name || `EPSG:${viewport.crs.epsg}`} ` +
+        `(${west.toFixed(5)}, ${south.toFixed(5)}) to (${east.toFixed(5)}, ${north.toFixed(5)}), ` +
+        `fit RMS ${viewport.rmsError.toExponential(2)}`);
+    });
+    const mapViewport = (result.metadata.georeference?.viewports || []).find(viewport => viewport.georeferenced);
+    if (mapViewport) {
+      const [x1, y1, x2, y2] = mapViewport.bbox;
+      const center = new Reprojector(processor.georeference, 'EPSG:3857')
+        .toTarget(mapViewport.page, (x1 + x2) / 2, (y1 + y2) / 2);
+      console.log('   Map center in EPSG:3857:', center ? center.map(value => value.toFixed(1)).join(', ') : 'n/a');
+    }
     console.log();
 
     // Display content paths statistics
     console.log('🎨 Content Paths:');
     console.log('   Total paths extracted:', result.contentPaths.statistics.total);
     console.log('   Average segments per path:', result.contentPaths.statistics.averageSegments);
+    console.log('   Text objects extracted:', result.contentPaths.textObjects.length);
     console.log();
 
     // Display paths by operation
@@ -79,6 +103,50 @@ async function testParser() {
     });
     console.log();
 
+    // Display paths by structure element type (tagged PDFs)
+    const structureEntries = Object.entries(result.contentPaths.statistics.byStructureType);
+    if (structureEntries.length > 0) {
+      console.log('   Paths by structure type:');
+      structureEntries.forEach(([type, count]) => {
+        console.log(`     ${type.padEnd(15)} ${count.toString().padStart(6)}`);
+      });
+      console.log();
+    }
+
+    // Display paths by viewport (georeferenced PDFs)
+    const viewportEntries = Object.entries(result.contentPaths.statistics.byViewport);
+    if (viewportEntries.length > 0) {
+      console.log('   Paths by viewport:');
+      viewportEntries.forEach(([viewport, count]) => {
+        console.log(`     ${viewport.padEnd(15)} ${count.toString().padStart(6)}`);
+      });
+      console.log();
+    }
+
+    // Display paths by position relative to the neatline (map body or collar)
+    const neatlineEntries = Object.entries(result.contentPaths.statistics.byNeatline || {});
+    if (neatlineEntries.length > 0) {
+      console.log('   Paths by neatline position:');
+      neatlineEntries.forEach(([position, count]) => {
+        console.log(`     ${position.padEnd(15)} ${count.toString().padStart(6)}`);
+      });
+      console.log();
+    }
+
+    // Display parse diagnostics (anomalies in content streams)
+    const diagnosticSummary = result.contentPaths.diagnosticSummary;
+    console.log('   Parse diagnostics:', diagnosticSummary.clean
+      ? 'parsed cleanly'
+      : `${diagnosticSummary.error} errors, ${diagnosticSummary.warning} warnings, ${diagnosticSummary.info} notes` +
+        (diagnosticSummary.dropped > 0 ? `, ${diagnosticSummary.dropped} more not listed` : ''));
+    result.contentPaths.diagnostics.slice(0, 10).forEach(diagnostic => {
+      console.log(`     [${diagnostic.severity}] page ${diagnostic.page + 1}, ${diagnostic.stream} @${diagnostic.offset}: ${diagnostic.message}${diagnostic.count > 1 ? ` (x${diagnostic.count})` : ''}`);
+    });
+    if (result.contentPaths.diagnostics.length > 10) {
+      console.log(`     ... and ${result.contentPaths.diagnostics.length - 10} more`);
+    }
+    console.log();
+
     // Display paths by page
     console.log('   Paths per page:');
     Object.entries(result.contentPaths.pathsByPage).forEach(([page, paths]) => {
@@ -114,6 +182,7 @@ async function testParser() {
     fs.writeFileSync(outputPath, JSON.stringify({
       metadata: result.metadata,
       statistics: result.contentPaths.statistics,
+      diagnostics: result.contentPaths.diagnostics,
       samplePaths: result.contentPaths.paths.slice(0, 10)
     }, null, 2));
 
@@ -4,18 +4,26 @@
  *
  * Usage: node test-svg-conversion.js [--include-marsh]
  *        node test-svg-conversion.js [--exclude-marsh]  (default)
+ *        node test-svg-conversion.js [--clip-geometry]  (clip paths geometrically for plotters)
+ *        node test-svg-conversion.js [--flat-shading]   (fill shadings with their average color)
+ *        node test-svg-conversion.js [--expand-patterns] (repeat tiling pattern cells as clipped geometry)
+ *        node test-svg-conversion.js [--clip-neatline]  (map body only: drop the collar, cut paths at the neatline)
  */
 
 const fs = require('fs');
 const path = require('path');
-const zlib = require('zlib');
-const { PDFDocument, PDFName } = require('pdf-lib');
-const PDFContentParser = require('./src/pdf-content-parser');
+const { PDFDocument } = require('pdf-lib');
+const PageContentExtractor = require('./src/page-content-extractor');
 const SVGPathConverter = require('./src/svg-path-converter');
+const NeatlineDetector = require('./src/neatline-detector');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const includeMarsh = args.includes('--include-marsh');
+const clipGeometry = args.includes('--clip-geometry');
+const flatShading = args.includes('--flat-shading');
+const expandPatterns = args.includes('--expand-patterns');
+const clipNeatline = args.includes('--clip-neatline');
 
 // Marsh/swamp area symbols (these are decorative patterns that make files huge)
 const MARSH_SYMBOLS = {
@@ -142,225 +150,69 @@ async function testSVGConversion() {
 
   console.log(`PDF page dimensions: ${pdfWidth} x ${pdfHeight} points`);
 
-  // Get content stream - use PDFName to create the key
-  const pageDict = firstPage.node.dict;
-  const contentsKey = PDFName.of('Contents');
-  const contents = pageDict.get(contentsKey);
+  // Shared page extraction (decoding, content stream arrays, fonts, Form XObjects)
+  const extractor = new PageContentExtractor(pdfDoc);
+  const contentStreams = extractor.getContentStreams(firstPage);
 
-  if (!contents) {
+  if (contentStreams.length === 0) {
     console.error('Error: No content stream found on first page');
-    console.log('\nDebugging page dictionary:');
-    console.log('Available keys:', pageDict.keys());
-    console.log('Trying to get Contents with different approaches...');
-
-    // Try looking up directly
-    const allEntries = Array.from(pageDict.entries());
-    console.log('All entries:', allEntries.map(([k, v]) => [k.toString(), v.constructor.name]));
     return;
   }
+  console.log(`Found ${contentStreams.length} content stream(s)`);
 
-  // Handle the case where contents might be a PDFArray
-  let streamRefs = [];
-
-  if (contents.constructor.name === 'PDFArray') {
-    console.log('Contents is a PDFArray, extracting stream references...');
-    streamRefs = contents.array; // Get the actual array of references
-    console.log(`Found ${streamRefs.length} stream reference(s) in array`);
-  } else if (Array.isArray(contents)) {
-    streamRefs = contents;
-    console.log(`Found ${streamRefs.length} stream reference(s)`);
-  } else {
-    streamRefs = [contents];
-    console.log('Found 1 stream reference');
-  }
+  const { paths: extractedPaths, textObjects: extractedTextObjects, labels, fonts, diagnostics } = extractor.extractPage(0);
 
-  // Extract font resources for text decoding
-  const resourcesKey = PDFName.of('Resources');
-  const resources = pageDict.get(resourcesKey);
-  let fontDict = null;
-
-  if (resources) {
-    const fontKey = PDFName.of('Font');
-    fontDict = resources.get(fontKey);
-    if (fontDict) {
-      console.log('Found Font dictionary for text decoding');
-      console.log(`  Font dict type: ${fontDict.constructor.name}`);
-
-      // Debug: show what fonts are actually available
-      try {
-        // Check if it has entries method
-        if (typeof fontDict.entries === 'function') {
-          const fontEntries = Array.from(fontDict.entries());
-          console.log(`  Available fonts: ${fontEntries.length}`);
-          fontEntries.slice(0, 10).forEach(([name, ref]) => {
-            console.log(`    - ${name.toString()}`);
-          });
-          if (fontEntries.length > 10) {
-            console.log(`    ... and ${fontEntries.length - 10} more`);
-          }
-        } else if (typeof fontDict.get === 'function') {
-          console.log(`  Font dict has .get() method but not .entries()`);
-          console.log(`  Dict keys:`, fontDict.dict ? Array.from(fontDict.dict.keys()).map(k => k.toString()) : 'no dict property');
-        } else {
-          console.log(`  Font dict methods:`, Object.getOwnPropertyNames(Object.getPrototypeOf(fontDict)).filter(m => typeof fontDict[m] === 'function'));
-        }
-      } catch (e) {
-        console.log(`  Error inspecting fonts: ${e.message}`);
-        console.log(`  Stack:`, e.stack);
-      }
-      console.log();
-    } else {
-      console.log('WARNING: No Font dictionary found in Resources!\n');
+  if (fonts.length > 0) {
+    console.log(`Fonts available for text decoding: ${fonts.length}`);
+    fonts.slice(0, 10).forEach(font => {
+      console.log(`    - ${font.name}: ${font.baseFont || 'unknown'} (${font.subtype || 'unknown'}, ToUnicode: ${font.hasToUnicode ? 'yes' : 'no'})`);
+    });
+    if (fonts.length > 10) {
+      console.log(`    ... and ${fonts.length - 10} more`);
     }
+    console.log();
   } else {
-    console.log('WARNING: No Resources found on page!\n');
+    console.log('WARNING: No fonts found in page Resources!\n');
   }
 
-  // Parse paths
-  let allPaths = [];
-  let allTextObjects = [];
-  for (let i = 0; i < streamRefs.length; i++) {
-    try {
-      const streamRef = streamRefs[i];
-      const stream = pdfDoc.context.lookup(streamRef);
-
-      if (!stream) {
-        continue;
-      }
-
-      // Get DECODED stream content (not raw compressed data)
-      let contentData = null;
-
-      try {
-        const { dict } = stream;
-        const filterKey = PDFName.of('Filter');
-        const filter = dict ? dict.get(filterKey) : null;
-        const rawContent = stream.getContents();
-
-        if (filter && filter.toString() === '/FlateDecode') {
-          try {
-            contentData = zlib.inflateSync(Buffer.from(rawContent));
-          } catch (zlibError) {
-            contentData = rawContent;
-          }
-        } else {
-          contentData = rawContent;
-        }
-      } catch (decodeError) {
-        if (stream.contents) {
-          contentData = stream.contents;
-        }
-      }
-
-      if (!contentData) {
-        continue;
-      }
-
-      const parser = new PDFContentParser({
-        pdfContext: pdfDoc.context,
-        fontDict: fontDict
-      });
-      const { paths, textObjects} = parser.parseContentStream(contentData);
-      allPaths = allPaths.concat(paths);
-      allTextObjects = allTextObjects.concat(textObjects);
-    } catch (streamError) {
-      // Silent
-    }
-  }
+  console.log(`Extracted ${extractedPaths.length} paths and ${extractedTextObjects.length} text objects from first page`);
+  console.log('(Form XObjects are followed by the parser wherever the page invokes them)\n');
+
+  // Neatline: the viewport /BBox (or its /Bounds), else the outer frame path
+  const neatlineDetector = new NeatlineDetector(pdfDoc);
+  const neatline = neatlineDetector.detect(0, extractedPaths);
+  let allPaths = extractedPaths;
+  let allTextObjects = extractedTextObjects;
+
+  if (neatline) {
+    const { x, y, width, height } = neatline.bounds;
+    console.log(`Neatline from ${neatline.source === 'viewport' ? `viewport ${neatline.viewport}` : 'outer frame path'}: ` +
+      `(${x.toFixed(1)}, ${y.toFixed(1)}) ${width.toFixed(1)} x ${height.toFixed(1)}`);
+    [['Paths', extractedPaths], ['Text objects', extractedTextObjects], ['Labels', labels]].forEach(([name, items]) => {
+      const counts = neatlineDetector.classifyAll(items, neatline);
+      console.log(`  ${name.padEnd(13)}: ${counts.inside} inside, ${counts.crossing} crossing, ${counts.collar} in the collar`);
+    });
 
-  console.log(`Extracted ${allPaths.length} paths and ${allTextObjects.length} text objects from first page\n`);
-
-  // Also check for XObjects (Form XObjects that might contain text)
-  console.log('\nChecking for XObjects...');
-
-  // Reuse resources variable from above (already extracted for fonts)
-  if (resources) {
-    const xobjectKey = PDFName.of('XObject');
-    const xobjects = resources.get(xobjectKey);
-
-    if (xobjects) {
-      const xobjectEntries = Array.from(xobjects.entries());
-      let imageCount = 0;
-      let formCount = 0;
-
-      for (const [name, xobjRef] of xobjectEntries) {
-        try {
-          const xobj = pdfDoc.context.lookup(xobjRef);
-          if (!xobj || !xobj.dict) continue;
-
-          // Check subtype
-          const subtypeKey = PDFName.of('Subtype');
-          const subtype = xobj.dict.get(subtypeKey);
-
-          // We're interested in Form XObjects (not Image XObjects)
-          if (subtype && subtype.toString() === '/Form') {
-            formCount++;
-            try {
-              // Check if XObject has its own Resources (and fonts)
-              const xobjResourcesKey = PDFName.of('Resources');
-              const xobjResources = xobj.dict.get(xobjResourcesKey);
-              let xobjFontDict = fontDict; // Default to page fonts
-
-              if (xobjResources) {
-                const xobjFontKey = PDFName.of('Font');
-                const xobjFonts = xobjResources.get(xobjFontKey);
-                if (xobjFonts) {
-                  xobjFontDict = xobjFonts;
-                }
-              }
-
-              // Get the content stream from the XObject
-              const xobjContent = xobj.getContents();
-
-              // Decompress if needed
-              let xobjData = null;
-              const filterKey = PDFName.of('Filter');
-              const filter = xobj.dict.get(filterKey);
-
-              if (filter && filter.toString() === '/FlateDecode') {
-                try {
-                  xobjData = zlib.inflateSync(Buffer.from(xobjContent));
-                } catch (zlibError) {
-                  xobjData = xobjContent;
-                }
-              } else {
-                xobjData = xobjContent;
-              }
-
-              // Parse the XObject content stream with XObject-specific fonts
-              const xobjParser = new PDFContentParser({
-                pdfContext: pdfDoc.context,
-                fontDict: xobjFontDict
-              });
-              const { paths: xobjPaths, textObjects: xobjText } = xobjParser.parseContentStream(xobjData);
-
-              // Merge into main arrays
-              allPaths = allPaths.concat(xobjPaths);
-              allTextObjects = allTextObjects.concat(xobjText);
-
-            } catch (xobjParseError) {
-              // Silent
-            }
-          } else if (subtype && subtype.toString() === '/Image') {
-            imageCount++;
-          }
-
-        } catch (xobjError) {
-          // Silent
-        }
-      }
-
-      console.log(`  Found ${imageCount} Image XObjects (skipped)`);
-      console.log(`  Found ${formCount} Form XObjects (processed)`);
-    } else {
-      console.log('  No XObject dictionary');
+    if (clipNeatline) {
+      const body = neatlineDetector.mapBody({ paths: extractedPaths, textObjects: extractedTextObjects }, neatline, { clip: true });
+      allPaths = body.paths;
+      allTextObjects = body.textObjects;
+      console.log(`  Map body: ${allPaths.length} paths (crossing paths clipped), ${allTextObjects.length} text objects`);
     }
+    console.log();
   } else {
-    console.log('  No Resources');
+    console.log('Neatline: not found (no georeferenced viewport or outer frame)\n');
   }
 
-  console.log();
-  console.log(`Total after XObjects: ${allPaths.length} paths and ${allTextObjects.length} text objects\n`);
+  if (diagnostics.length > 0) {
+    console.log(`Parse diagnostics: ${diagnostics.length}`);
+    diagnostics.slice(0, 10).forEach(diagnostic => {
+      console.log(`    - [${diagnostic.severity}] ${diagnostic.stream} @${diagnostic.offset} ${diagnostic.operator || ''}: ${diagnostic.message}${diagnostic.count > 1 ? ` (x${diagnostic.count})` : ''}`);
+    });
+    console.log();
+  } else {
+    console.log('Parse diagnostics: none (parsed cleanly)\n');
+  }
 
   if (allPaths.length === 0) {
     console.log('No paths found. Cannot test conversion.');
@@ -381,6 +233,14 @@ async function testSVGConversion() {
     allTextObjects.slice(0, 5).forEach((textObj, i) => {
       console.log(`  ${i + 1}. "${textObj.text}" at (${textObj.x.toFixed(1)}, ${textObj.y.toFixed(1)}) - font: ${textObj.font}, size: ${textObj.fontSize}`);
     });
+    console.log(`Assembled ${labels.length} labels, first 5 in reading order:`);
+    labels
+      .slice()
+      .sort((a, b) => a.readingOrder - b.readingOrder)
+      .slice(0, 5)
+      .forEach((label, i) => {
+        console.log(`  ${i + 1}. "${label.text}" at (${label.x.toFixed(1)}, ${label.y.toFixed(1)}) - ${label.fontSize.toFixed(1)}pt, ${label.angle.toFixed(0)}°`);
+      });
     console.log();
   } else {
     console.log('WARNING: No text objects extracted from PDF!');
@@ -408,7 +268,10 @@ async function testSVGConversion() {
     svgHeight,
     precision: 2,
     flipY: true,
-    applyTransform: true
+    applyTransform: true,
+    clipMode: clipGeometry ? 'geometry' : 'clipPath',
+    shadingMode: flatShading ? 'average' : 'gradient',
+    patternMode: expandPatterns ? 'expand' : 'pattern'
   });
 
   console.log('Converter settings:');
@@ -416,7 +279,11 @@ async function testSVGConversion() {
   console.log(`  SVG dimensions: ${svgWidth} x ${svgHeight} (preserves aspect ratio ${aspectRatio.toFixed(3)})`);
   console.log(`  Coordinate precision: 2 decimal places`);
   console.log(`  Y-axis flip: enabled`);
-  console.log(`  Transform application: enabled\n`);
+  console.log(`  Transform application: enabled`);
+  console.log(`  Clipping: ${clipGeometry ? 'geometric (plotter)' : '<clipPath> references'}`);
+  console.log(`  Shadings: ${flatShading ? 'average color (plotter)' : 'SVG gradients'}`);
+  console.log(`  Tiling patterns: ${expandPatterns ? 'expanded geometry (plotter)' : '<pattern> references'}`);
+  console.log(`  Map body: ${clipNeatline ? (neatline ? 'clipped at the neatline' : 'no neatline, whole page') : 'whole page'}\n`);
 
   // Convert paths to SVG
   console.log('Converting paths to SVG format...');
@@ -429,6 +296,7 @@ async function testSVGConversion() {
     byOperation: {},
     byFillColor: {},
     byStrokeColor: {},
+    byLayer: {},
     samplePaths: []
   };
 
@@ -443,6 +311,10 @@ async function testSVGConversion() {
     if (svgPath.style.stroke) {
       stats.byStrokeColor[svgPath.style.stroke] = (stats.byStrokeColor[svgPath.style.stroke] || 0) + 1;
     }
+
+    // Count layers (Optional Content Groups)
+    const layer = svgPath.originalPath.layer || 'unassigned';
+    stats.byLayer[layer] = (stats.byLayer[layer] || 0) + 1;
   });
 
   // Collect sample paths (first 10)
@@ -492,6 +364,14 @@ async function testSVGConversion() {
     });
   console.log();
 
+  console.log('Paths by layer (Optional Content Group):');
+  Object.entries(stats.byLayer)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([layer, count]) => {
+      console.log(`  ${layer.padEnd(30)}: ${count.toString().padStart(6)} paths`);
+    });
+  console.log();
+
   // Display sample paths
   console.log('='.repeat(80));
   console.log('SAMPLE CONVERTED PATHS (first 10)');
@@ -510,8 +390,8 @@ async function testSVGConversion() {
     console.log();
   });
 
-  // Calculate bounds from transformed SVG paths for optimal viewBox
-  const bounds = converter.calculateBoundsFromSVGPaths(svgPaths);
+  // The viewBox frames the neatline; without one it is fitted to the converted paths
+  const bounds = neatline ? neatlineSVGBounds(neatline, converter) : converter.calculateBoundsFromSVGPaths(svgPaths);
 
   // Generate complete SVG file
   console.log('='.repeat(80));
@@ -519,7 +399,13 @@ async function testSVGConversion() {
   console.log('='.repeat(80));
   console.log();
 
-  const svgContent = generateSampleSVG(svgPaths, allTextObjects, svgWidth, svgHeight, bounds, pdfHeight, { includeMarsh });
+  const svgContent = generateSampleSVG(svgPaths, allTextObjects, svgWidth, svgHeight, bounds, pdfHeight, {
+    includeMarsh,
+    softMaskDefs: converter.generateSoftMaskDefs(),
+    clipPathDefs: converter.generateClipPathDefs(),
+    gradientDefs: converter.generateGradientDefs(),
+    patternDefs: converter.generatePatternDefs()
+  });
   const outputPath = path.join(outputDir, 'test-svg-output.svg');
   fs.writeFileSync(outputPath, svgContent);
 
@@ -548,7 +434,7 @@ async function testSVGConversion() {
   console.log('='.repeat(80));
   console.log();
 
-  console.log('Transformed SVG bounds (after coordinate transformation):');
+  console.log(`Transformed SVG bounds (after coordinate transformation, ${neatline ? 'neatline' : 'fitted to paths'}):`);
   console.log(`  X: ${bounds.x.toFixed(2)} to ${(bounds.x + bounds.width).toFixed(2)}`);
   console.log(`  Y: ${bounds.y.toFixed(2)} to ${(bounds.y + bounds.height).toFixed(2)}`);
   console.log(`  Width: ${bounds.width.toFixed(2)}`);
@@ -561,9 +447,10 @@ async function testSVGConversion() {
       pdfFile: path.basename(samplePath),
       pdfDimensions: { width: pdfWidth, height: pdfHeight },
       svgDimensions: { width: svgWidth, height: svgHeight },
-      totalPathsExtracted: allPaths.length,
+      totalPathsExtracted: extractedPaths.length,
       totalPathsConverted: svgPaths.length,
       totalTextObjects: allTextObjects.length,
+      neatline: neatline ? { source: neatline.source, viewport: neatline.viewport, bounds: neatline.bounds } : null,
       bounds
     },
     statistics: stats,
@@ -586,7 +473,7 @@ async function testSVGConversion() {
   console.log();
   console.log('Summary:');
   console.log(`  ✓ Loaded PDF with ${pages.length} pages`);
-  console.log(`  ✓ Extracted ${allPaths.length} paths and ${allTextObjects.length} text objects from first page`);
+  console.log(`  ✓ Extracted ${extractedPaths.length} paths and ${extractedTextObjects.length} text objects from first page`);
   console.log(`  ✓ Converted ${svgPaths.length} paths to SVG format`);
   console.log(`  ✓ Generated complete SVG with ALL ${svgPaths.length} paths and ${allTextObjects.length} text objects`);
   console.log(`  ✓ Coordinate transformation working correctly`);
@@ -600,11 +487,23 @@ async function testSVGConversion() {
   console.log();
 }
 
+/**
+ * SVG bounds of the neatline (page-space ring through the converter)
+ */
+function neatlineSVGBounds(neatline, converter) {
+  const points = neatline.ring.map(point => converter.transformPoint(point, null));
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
 /**
  * Generate a complete SVG file with converted paths and text
  */
 function generateSampleSVG(svgPaths, textObjects, width, height, bounds, pdfHeight, options = {}) {
-  const { includeMarsh = false } = options;
+  const { includeMarsh = false, softMaskDefs = '', clipPathDefs = '', gradientDefs = '', patternDefs = '' } = options;
 
   const pathElements = svgPaths.map((svgPath, index) => {
     const converter = new SVGPathConverter();
@@ -619,7 +518,8 @@ function generateSampleSVG(svgPaths, textObjects, width, height, bounds, pdfHeig
   const poiMarkers = [];
   const regularTexts = [];
 
-  textObjects.forEach(textObj => {
+  // Type 3 and embedded font glyphs already reached the SVG as paths
+  textObjects.filter(textObj => !textObj.renderedAsPaths).forEach(textObj => {
     if (isMarshSymbol(textObj)) {
       marshTexts.push(textObj);
     } else if (isPOIMarker(textObj)) {
@@ -818,6 +718,13 @@ ${poiMarkerElements.map(el => '    ' + el).join('\n')}
     }
   </style>
 
+  <defs>
+${softMaskDefs.split('\n').filter(el => el).map(el => '    ' + el).join('\n')}
+${clipPathDefs.split('\n').filter(el => el).map(el => '    ' + el).join('\n')}
+${gradientDefs.split('\n').filter(el => el).map(el => '    ' + el).join('\n')}
+${patternDefs.split('\n').filter(el => el).map(el => '    ' + el).join('\n')}
+  </defs>
+
   <g id="map-paths">
 ${pathElements.map(el => '    ' + el).join('\n')}
   </g>
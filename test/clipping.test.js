@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PathClipper = require('../src/path-clipper');
+const SVGPathConverter = require('../src/svg-path-converter');
+const { createPage, reload, parsePage } = require('./helpers');
+
+function bounds(subpaths) {
+  const points = subpaths.flatMap(subpath => [subpath.startPoint, ...subpath.segments.map(segment => segment.point)]);
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+test('W n clips the following fill and Q restores the previous clip', async () => {
+  const { doc } = await createPage('q 10 10 40 40 re W n 0 0 100 100 re f Q 0 0 5 5 re f');
+  const { paths } = parsePage(await reload(doc));
+
+  assert.strictEqual(paths.length, 2);
+  assert.ok(paths[0].clip);
+  assert.strictEqual(paths[0].clip.fillRule, 'nonzero');
+  assert.strictEqual(paths[1].clip, null);
+
+  const clipped = new PathClipper().clipPath(paths[0]);
+  assert.deepStrictEqual(bounds(clipped.subpaths), [10, 10, 50, 50]);
+});
+
+test('clipped paths reference a <clipPath> definition in SVG output', async () => {
+  const { doc } = await createPage('10 10 40 40 re W* n 0 0 100 100 re f');
+  const { paths } = parsePage(await reload(doc));
+
+  const converter = new SVGPathConverter({ pdfWidth: 600, pdfHeight: 800, svgWidth: 600, svgHeight: 800 });
+  const element = converter.generatePathElement(converter.convertPath(paths[0]));
+
+  assert.ok(element.includes('clip-path="url(#clip-1)"'));
+  assert.strictEqual(
+    converter.generateClipPathDefs(),
+    '<clipPath id="clip-1" clipPathUnits="userSpaceOnUse">' +
+    '<path d="M 10.000 790.000 L 50.000 790.000 L 50.000 750.000 L 10.000 750.000 Z" clip-rule="evenodd"/></clipPath>'
+  );
+});
+
+test('clips from separately parsed streams get distinct clipPath ids', async () => {
+  const pdfDoc = await reload((await createPage('10 10 40 40 re W n 0 0 100 100 re f')).doc);
+  const converter = new SVGPathConverter();
+
+  const first = converter.convertPath(parsePage(pdfDoc).paths[0]);
+  const second = converter.convertPath(parsePage(pdfDoc).paths[0]);
+
+  assert.deepStrictEqual([first.clipPathId, second.clipPathId], ['clip-1', 'clip-2']);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PageContentExtractor = require('../src/page-content-extractor');
+const { createPage, reload } = require('./helpers');
+
+test('unreadable tint transforms are reported as diagnostics', async () => {
+  const { doc } = await createPage('/CS1 cs 0.5 scn 0 0 10 10 re f', context => ({
+    ColorSpace: context.obj({
+      CS1: context.obj(['Separation', 'Spot', 'DeviceCMYK', context.obj({ FunctionType: 7, Domain: [0, 1] })])
+    })
+  }));
+
+  const { paths, diagnostics } = new PageContentExtractor(await reload(doc)).extractPage(0);
+
+  assert.strictEqual(paths.length, 1);
+  const [diagnostic] = diagnostics;
+  assert.strictEqual(diagnostic.code, 'function-error');
+  assert.strictEqual(diagnostic.severity, 'warning');
+  assert.match(diagnostic.message, /Unsupported function type 7/);
+  assert.strictEqual(diagnostic.operator, 'cs');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PDFProcessor = require('../src/pdf-processor');
+const { createPage, reload, PDFName } = require('./helpers');
+
+/**
+ * Processor for a page with a square holding a hole, a line crossing the
+ * map's left edge and a line in the collar, under a map viewport at
+ * 50,50–550,750 spanning 80°W–79°W, 40°N–41°N
+ */
+async function mapProcessor() {
+  const { doc, page, context } = await createPage(
+    '100 100 200 200 re 150 150 50 50 re f 20 400 m 300 400 l S 5 5 m 20 20 l S'
+  );
+  const measure = context.obj({
+    Type: 'Measure',
+    Subtype: 'GEO',
+    GCS: context.obj({ Type: 'GEOGCS', EPSG: 4326 }),
+    GPTS: [40, -80, 41, -80, 41, -79, 40, -79],
+    LPTS: [0, 0, 0, 1, 1, 1, 1, 0]
+  });
+  page.node.set(PDFName.of('VP'), context.obj([
+    context.obj({ Type: 'Viewport', BBox: [50, 50, 550, 750], Measure: measure })
+  ]));
+
+  const processor = new PDFProcessor(null);
+  processor.pdfDoc = await reload(doc);
+  processor.readGeoreference();
+  return processor;
+}
+
+test('content paths keep page coordinates without a target CRS', async () => {
+  const processor = await mapProcessor();
+  const { features } = JSON.parse(processor.exportContentPaths(0));
+
+  assert.deepStrictEqual(features.map(feature => feature.geometry.type), ['Polygon', 'LineString', 'LineString']);
+  const [outer, hole] = features[0].geometry.coordinates;
+  assert.deepStrictEqual(outer, [[100, 100], [300, 100], [300, 300], [100, 300], [100, 100]]);
+  assert.deepStrictEqual(hole, [[150, 150], [200, 150], [200, 200], [150, 200], [150, 150]]);
+  assert.strictEqual(features[1].properties.operation, 'stroke');
+});
+
+test('content paths are reprojected through their viewport', async () => {
+  const processor = await mapProcessor();
+  const collection = JSON.parse(processor.exportContentPaths(0, { targetCrs: 'EPSG:4326' }));
+
+  assert.strictEqual(collection.crs.properties.name, 'urn:ogc:def:crs:EPSG::4326');
+  // Only the square lies wholly inside the viewport
+  assert.strictEqual(collection.features.length, 1);
+
+  const [lon, lat] = collection.features[0].geometry.coordinates[0][0];
+  assert.ok(Math.abs(lon + 79.9) < 1e-9 && Math.abs(lat - 40 - 50 / 700) < 1e-9);
+
+  // Cut at the neatline, the crossing line is kept
+  const clipped = JSON.parse(processor.exportContentPaths(0, { targetCrs: 'EPSG:4326', clip: true }));
+  assert.strictEqual(clipped.features.length, 2);
+  assert.ok(Math.abs(clipped.features[1].geometry.coordinates[0][0] + 80) < 1e-9);
+});
+
+test('content paths are streamed to a writer', async () => {
+  const processor = await mapProcessor();
+  const chunks = [];
+  const written = processor.exportContentPaths(0, { write: chunk => chunks.push(chunk) });
+
+  assert.strictEqual(written, 3);
+  assert.ok(chunks.length > 3);
+  const { features } = JSON.parse(chunks.join(''));
+  assert.deepStrictEqual(features[2].geometry.coordinates, [[5, 5], [20, 20]]);
+});
+
+test('clipped content paths are cut at the neatline and streamed', async () => {
+  const processor = await mapProcessor();
+  const chunks = [];
+  const written = processor.exportContentPaths(0, { clip: true, write: chunk => chunks.push(chunk) });
+
+  assert.strictEqual(written, 2);
+  const { features } = JSON.parse(chunks.join(''));
+  const xs = features[1].geometry.coordinates.map(([x]) => x);
+  assert.deepStrictEqual(xs, [50, 300]);
+});
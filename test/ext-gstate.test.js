@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SVGPathConverter = require('../src/svg-path-converter');
+const { createPage, reload, parsePage } = require('./helpers');
+
+test('gs applies opacity, line style and blend mode from /ExtGState', async () => {
+  const { doc } = await createPage('/GS1 gs 1 0 0 RG 0 0 10 10 re B', context => ({
+    ExtGState: context.obj({
+      GS1: context.obj({ Type: 'ExtGState', ca: 0.5, CA: 0.25, LW: 3, D: [[4, 2], 1], BM: 'Multiply' })
+    })
+  }));
+
+  const { paths } = parsePage(await reload(doc));
+  const { style } = paths[0];
+
+  assert.strictEqual(style.fillOpacity, 0.5);
+  assert.strictEqual(style.strokeOpacity, 0.25);
+  assert.strictEqual(style.strokeWidth, 3);
+  assert.strictEqual(style.strokeDasharray, '4 2');
+  assert.strictEqual(style.strokeDashoffset, 1);
+  assert.strictEqual(style.blendMode, 'multiply');
+});
+
+test('soft masks are painted at the gs-time CTM and emitted as SVG <mask>', async () => {
+  const { doc } = await createPage('q 1 0 0 1 100 0 cm /GS1 gs 0 0 50 50 re f Q 0 0 1 1 re f', context => {
+    const group = context.register(context.stream(Buffer.from('1 g 0 0 20 20 re f', 'latin1'), {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 50, 50],
+      Group: context.obj({ S: 'Transparency', CS: 'DeviceGray' })
+    }));
+    return {
+      ExtGState: context.obj({
+        GS1: context.obj({ Type: 'ExtGState', SMask: context.obj({ Type: 'Mask', S: 'Luminosity', G: group, BC: [0.5] }) })
+      })
+    };
+  });
+
+  const { paths } = parsePage(await reload(doc));
+  assert.strictEqual(paths[1].softMask, null);
+
+  const converter = new SVGPathConverter({ pdfWidth: 600, pdfHeight: 800, svgWidth: 600, svgHeight: 800 });
+  const element = converter.generatePathElement(converter.convertPath(paths[0]));
+  assert.ok(element.endsWith(' mask="url(#smask-1)"/>'));
+  assert.strictEqual(
+    converter.generateSoftMaskDefs(),
+    '<mask id="smask-1" mask-type="luminance" maskUnits="userSpaceOnUse" x="0" y="0" width="600" height="800">' +
+    '<rect x="0" y="0" width="600" height="800" fill="#808080"/>' +
+    '<path d="M 100.000 800.000 L 120.000 800.000 L 120.000 780.000 L 100.000 780.000 Z" fill="#ffffff" fill-rule="nonzero" clip-path="url(#clip-1)"/>' +
+    '</mask>'
+  );
+});
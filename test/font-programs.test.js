@@ -0,0 +1,252 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument } = require('pdf-lib');
+const PDFFont = require('../src/pdf-font');
+const TrueTypeFont = require('../src/truetype-font');
+const CFFFont = require('../src/cff-font');
+const { createPage, reload, parsePage } = require('./helpers');
+
+function uint16(...values) {
+  const buffer = Buffer.alloc(values.length * 2);
+  values.forEach((value, i) => buffer.writeUInt16BE(value & 0xffff, i * 2));
+  return buffer;
+}
+
+/**
+ * Assemble an sfnt file from its tables (no checksums)
+ */
+function sfnt(tables) {
+  const tags = Object.keys(tables).sort();
+  const directory = Buffer.alloc(12 + tags.length * 16);
+  directory.writeUInt32BE(0x00010000, 0);
+  directory.writeUInt16BE(tags.length, 4);
+
+  const bodies = [];
+  let offset = directory.length;
+  tags.forEach((tag, i) => {
+    const record = 12 + i * 16;
+    directory.write(tag.padEnd(4), record, 'latin1');
+    directory.writeUInt32BE(offset, record + 8);
+    directory.writeUInt32BE(tables[tag].length, record + 12);
+
+    const padded = Buffer.alloc(Math.ceil(tables[tag].length / 4) * 4);
+    tables[tag].copy(padded);
+    bodies.push(padded);
+    offset += padded.length;
+  });
+
+  return Buffer.concat([directory, ...bodies]);
+}
+
+/**
+ * TrueType font with 1000 units per em: glyph 1 is a 500×700 box, glyph 2 a
+ * composite of glyph 1 moved by (100, 50); the (3,1) cmap maps A and B to them
+ */
+function trueTypeProgram() {
+  const head = Buffer.alloc(54);
+  head.writeUInt16BE(1000, 18);
+  head.writeInt16BE(0, 50); // Short loca offsets
+
+  const maxp = uint16(0x0000, 0x5000, 3);
+
+  const box = Buffer.concat([
+    uint16(1, 0, 0, 500, 700), // One contour and its bounding box
+    uint16(3, 0), // Last point index, no instructions
+    Buffer.from([0x01, 0x01, 0x01, 0x01]), // Four on-curve points with word deltas
+    uint16(0, 500, 0, -500),
+    uint16(0, 0, 700, 0)
+  ]);
+  const composite = Buffer.concat([
+    uint16(-1, 100, 50, 600, 750),
+    uint16(0x0003, 1, 100, 50) // ARGS_ARE_WORDS | ARGS_ARE_XY_VALUES, glyph 1 at (100, 50)
+  ]);
+  const glyf = Buffer.concat([box, composite]);
+  const loca = uint16(0, 0, box.length / 2, glyf.length / 2);
+
+  const subtable = Buffer.concat([
+    uint16(4, 32, 0, 4, 4, 1, 0), // Format 4, two segments
+    uint16(0x42, 0xffff), // End codes
+    uint16(0),
+    uint16(0x41, 0xffff), // Start codes
+    uint16(-0x40, 1), // Deltas
+    uint16(0, 0) // Range offsets
+  ]);
+  const cmap = Buffer.concat([uint16(0, 1, 3, 1), Buffer.from([0, 0, 0, 12]), subtable]);
+
+  return sfnt({ head, maxp, loca, glyf, cmap });
+}
+
+/**
+ * CFF INDEX with one-byte offsets
+ */
+function cffIndex(items) {
+  if (items.length === 0) return uint16(0);
+  const offsets = [1];
+  items.forEach(item => offsets.push(offsets[offsets.length - 1] + item.length));
+  return Buffer.concat([uint16(items.length), Buffer.from([1, ...offsets]), ...items]);
+}
+
+function cffInt(value) {
+  const buffer = Buffer.alloc(5);
+  buffer[0] = 29;
+  buffer.writeInt32BE(value, 1);
+  return buffer;
+}
+
+/**
+ * Name-keyed CFF font whose glyph 1 moves to (100, 100) and draws a
+ * 500×700 box through local subroutine 0
+ */
+function cffProgram() {
+  const notdef = Buffer.from([14]); // endchar
+  const glyph = Buffer.from([
+    239, 239, 21, // 100 100 rmoveto
+    32, 10, // 0 callsubr (biased by -107)
+    14 // endchar
+  ]);
+  const subr = Buffer.from([
+    248, 136, 139, 5, // 500 0 rlineto
+    139, 249, 80, 5, // 0 700 rlineto
+    252, 136, 139, 5, // -500 0 rlineto
+    11 // return
+  ]);
+
+  const header = Buffer.from([1, 0, 4, 1]);
+  const names = cffIndex([Buffer.from('Test', 'latin1')]);
+  const topDictSize = 17; // Three five-byte integers and two operators
+  const charStringsOffset = header.length + names.length + (5 + topDictSize) + 2 + 2;
+  const charStrings = cffIndex([notdef, glyph]);
+  const privateOffset = charStringsOffset + charStrings.length;
+  const privateDict = Buffer.concat([cffInt(6), Buffer.from([19])]); // Subrs right after
+  const topDict = Buffer.concat([
+    cffInt(charStringsOffset), Buffer.from([17]),
+    cffInt(privateDict.length), cffInt(privateOffset), Buffer.from([18])
+  ]);
+
+  return Buffer.concat([
+    header,
+    names,
+    cffIndex([topDict]),
+    cffIndex([]), // Strings
+    cffIndex([]), // Global subroutines
+    charStrings,
+    privateDict,
+    cffIndex([subr])
+  ]);
+}
+
+const BOX = [
+  { type: 'M', x: 0, y: 0 },
+  { type: 'L', x: 500, y: 0 },
+  { type: 'L', x: 500, y: 700 },
+  { type: 'L', x: 0, y: 700 },
+  { type: 'L', x: 0, y: 0 },
+  { type: 'Z' }
+];
+
+function moveBox(dx, dy) {
+  return BOX.map(command => (command.type === 'Z' ? command : { ...command, x: command.x + dx, y: command.y + dy }));
+}
+
+test('TrueType simple and composite glyphs become outlines in font units', () => {
+  const font = new TrueTypeFont(trueTypeProgram());
+
+  assert.deepStrictEqual(font.fontMatrix, [0.001, 0, 0, 0.001, 0, 0]);
+  assert.deepStrictEqual(font.getGlyphOutline(1), BOX);
+  assert.deepStrictEqual(font.getGlyphOutline(2), moveBox(100, 50));
+  assert.deepStrictEqual(font.getGlyphOutline(0), []);
+});
+
+test('TrueType cmap subtables map codes to glyphs', () => {
+  const font = new TrueTypeFont(trueTypeProgram());
+
+  const windows = font.getCmap(3, 1);
+  assert.deepStrictEqual([...windows.entries()], [[0x41, 1], [0x42, 2]]);
+  assert.strictEqual(font.glyphIdForUnicode(0x42), 2);
+  assert.strictEqual(font.getCmap(1, 0), null);
+});
+
+test('Type 2 charstrings run local subroutines', () => {
+  const font = new CFFFont(cffProgram());
+
+  assert.strictEqual(font.numGlyphs, 2);
+  assert.deepStrictEqual(font.getGlyphOutline(1), [
+    { type: 'M', x: 100, y: 100 },
+    { type: 'L', x: 600, y: 100 },
+    { type: 'L', x: 600, y: 800 },
+    { type: 'L', x: 100, y: 800 },
+    { type: 'Z' }
+  ]);
+});
+
+test('composite fonts look glyphs up by the CID their CMap gives a code', async () => {
+  const cmap = `/CIDInit /ProcSet findresource begin
+12 dict begin
+begincmap
+1 begincodespacerange
+<00> <FF>
+endcodespacerange
+1 begincidchar
+<61> 2
+endcidchar
+endcmap
+end
+end`;
+  const doc = await PDFDocument.create();
+  const context = doc.context;
+  const cidFont = context.obj({
+    Type: 'Font',
+    Subtype: 'CIDFontType2',
+    BaseFont: 'Test',
+    CIDToGIDMap: 'Identity',
+    FontDescriptor: context.obj({
+      Type: 'FontDescriptor',
+      FontName: 'Test',
+      Flags: 4,
+      FontFile2: context.register(context.stream(trueTypeProgram()))
+    })
+  });
+  const font = new PDFFont(context.obj({
+    Type: 'Font',
+    Subtype: 'Type0',
+    BaseFont: 'Test',
+    Encoding: context.register(context.stream(cmap, { Type: 'CMap' })),
+    DescendantFonts: [cidFont]
+  }), {
+    context,
+    getStreamData: stream => Buffer.from(stream.getContents())
+  });
+
+  // Code 0x61 is CID 2, the composite glyph, not glyph 0x61
+  assert.strictEqual(font.getGlyphId(0x61), 2);
+  assert.deepStrictEqual(font.getGlyphOutline(0x61).commands, moveBox(100, 50));
+});
+
+test('text in an embedded TrueType font is painted as glyph outlines', async () => {
+  const { doc } = await createPage('BT /F1 10 Tf 100 200 Td (AB) Tj ET', context => {
+    const font = context.obj({
+      Type: 'Font',
+      Subtype: 'TrueType',
+      BaseFont: 'Test',
+      FirstChar: 65,
+      LastChar: 66,
+      Widths: [600, 600],
+      Encoding: 'WinAnsiEncoding',
+      FontDescriptor: context.obj({
+        Type: 'FontDescriptor',
+        FontName: 'Test',
+        Flags: 32,
+        FontFile2: context.register(context.stream(trueTypeProgram()))
+      })
+    });
+    return { Font: context.obj({ F1: font }) };
+  });
+
+  const { paths, textObjects } = parsePage(await reload(doc));
+
+  // 10 pt at 1000 units per em: B starts 6 pt along, its box 1 × 0.5 pt up and right
+  assert.strictEqual(paths.length, 2);
+  assert.deepStrictEqual(paths.map(path => path.subpaths[0].startPoint), [{ x: 100, y: 200 }, { x: 107, y: 200.5 }]);
+  assert.ok(paths.every(path => path.operation === 'fill'));
+  assert.strictEqual(textObjects[0].renderedAsPaths, true);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PageContentExtractor = require('../src/page-content-extractor');
+const { createPage, reload, parsePage } = require('./helpers');
+
+/**
+ * Page drawing /Fm1 at two offsets; the form's /Matrix moves it by 100,200
+ */
+async function formPage(formContent, content = 'q 1 0 0 1 10 0 cm /Fm1 Do Q q 1 0 0 1 0 50 cm /Fm1 Do Q') {
+  const { doc } = await createPage(content, context => {
+    const form = context.register(context.stream(Buffer.from(formContent, 'latin1'), {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 100, 100],
+      Matrix: [1, 0, 0, 1, 100, 200]
+    }));
+    return { XObject: context.obj({ Fm1: form, Unused: form }) };
+  });
+  return reload(doc);
+}
+
+test('forms are executed at each Do with their /Matrix and the call-site CTM', async () => {
+  const { paths } = parsePage(await formPage('0 0 m 10 0 l S'));
+
+  assert.strictEqual(paths.length, 2);
+  const offsets = paths.map(({ transform }) => [transform.e, transform.f]);
+  assert.deepStrictEqual(offsets, [[110, 200], [100, 250]]);
+  assert.deepStrictEqual(paths[0].subpaths[0].startPoint, { x: 0, y: 0 });
+});
+
+test('a form invoking itself is not executed again', async () => {
+  const { doc } = await createPage('/Fm1 Do', context => {
+    const ref = context.nextRef();
+    context.assign(ref, context.stream(Buffer.from('0 0 m 1 1 l S /Fm1 Do', 'latin1'), {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 10, 10],
+      Resources: context.obj({ XObject: context.obj({ Fm1: ref }) })
+    }));
+    return { XObject: context.obj({ Fm1: ref }) };
+  });
+
+  const { paths } = parsePage(await reload(doc));
+  assert.strictEqual(paths.length, 1);
+});
+
+test('recursive and too deeply nested forms are reported', async () => {
+  const { doc } = await createPage('/Fm1 Do /Fm2 Do', context => {
+    const form = (content, xObjects) => context.stream(Buffer.from(content, 'latin1'), {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 10, 10],
+      Resources: context.obj({ XObject: context.obj(xObjects) })
+    });
+
+    const self = context.nextRef();
+    context.assign(self, form('/Fm1 Do', { Fm1: self }));
+
+    // Fm2 → Fm3 → Fm4 nests deeper than the two levels allowed below
+    const fm4 = context.register(form('0 0 m 1 1 l S', {}));
+    const fm3 = context.register(form('/Fm4 Do', { Fm4: fm4 }));
+    const fm2 = context.register(form('/Fm3 Do', { Fm3: fm3 }));
+    return { XObject: context.obj({ Fm1: self, Fm2: fm2 }) };
+  });
+
+  const extractor = new PageContentExtractor(await reload(doc), { maxFormDepth: 2 });
+  const { paths, diagnostics } = extractor.extractPage(0);
+
+  assert.strictEqual(paths.length, 0);
+  assert.deepStrictEqual(diagnostics.map(({ severity, code, operator }) => [severity, code, operator]), [
+    ['warning', 'form-recursion', 'Do'],
+    ['warning', 'form-depth', 'Do']
+  ]);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFString } = require('pdf-lib');
+const proj4 = require('proj4');
+const GeoreferenceReader = require('../src/georeference-reader');
+const { createPage, reload, PDFName } = require('./helpers');
+
+const UTM_18N = 'PROJCS["WGS 84 / UTM zone 18N",GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],' +
+  'PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],' +
+  'PARAMETER["latitude_of_origin",0],PARAMETER["central_meridian",-75],PARAMETER["scale_factor",0.9996],' +
+  'PARAMETER["false_easting",500000],PARAMETER["false_northing",0],UNIT["metre",1]]';
+
+/**
+ * Page with a map viewport at 50,50–550,750 whose control points (/LPTS,
+ * corners of the viewport by default) are the given longitude/latitude
+ * pairs (GPTS are latitude, longitude)
+ */
+async function georeferencedPage(gcs, points, lpts = [0, 0, 0, 1, 1, 1, 1, 0], options = {}) {
+  const { doc, page, context } = await createPage('0 0 m 1 1 l S');
+  const measure = context.obj({
+    Type: 'Measure',
+    Subtype: 'GEO',
+    GCS: context.obj(gcs),
+    GPTS: points.flatMap(([lon, lat]) => [lat, lon]),
+    LPTS: lpts
+  });
+  page.node.set(PDFName.of('VP'), context.obj([
+    context.obj({ Type: 'Viewport', BBox: [50, 50, 550, 750], Name: PDFString.of('Map'), Measure: measure })
+  ]));
+  return new GeoreferenceReader(await reload(doc), options);
+}
+
+test('geographic viewport: pageToGeo and geoToPage are inverse', async () => {
+  const reader = await georeferencedPage({ Type: 'GEOGCS', EPSG: 4326 }, [[-80, 40], [-80, 41], [-79, 41], [-79, 40]]);
+
+  const corner = reader.pageToGeo(0, 50, 50);
+  assert.ok(Math.abs(corner.lon + 80) < 1e-9 && Math.abs(corner.lat - 40) < 1e-9);
+
+  const center = reader.pageToGeo(0, 300, 400);
+  assert.ok(Math.abs(center.lon + 79.5) < 1e-9 && Math.abs(center.lat - 40.5) < 1e-9);
+
+  const back = reader.geoToPage(0, center.lon, center.lat);
+  assert.ok(Math.abs(back.x - 300) < 1e-6 && Math.abs(back.y - 400) < 1e-6);
+  assert.strictEqual(back.viewport, 0);
+});
+
+test('projected viewport: the fit is planar in UTM and round-trips', async () => {
+  const utm = proj4('WGS84', UTM_18N);
+  const corners = [[640000, 4920000], [640000, 4934000], [650000, 4934000], [650000, 4920000]]
+    .map(point => utm.inverse(point));
+  const reader = await georeferencedPage({ Type: 'PROJCS', WKT: PDFString.of(UTM_18N) }, corners);
+
+  // The page center is the UTM center, not the mean of the corner longitudes/latitudes
+  const center = reader.pageToGeo(0, 300, 400);
+  const [easting, northing] = utm.forward([center.lon, center.lat]);
+  assert.ok(Math.abs(easting - 645000) < 0.01 && Math.abs(northing - 4927000) < 0.01);
+
+  const back = reader.geoToPage(0, center.lon, center.lat);
+  assert.ok(Math.abs(back.x - 300) < 1e-6 && Math.abs(back.y - 400) < 1e-6);
+});
+
+test('affine fits of more than three control points round-trip page → world → page', async () => {
+  // The fifth point is off the plane of the other four, so the fit has a residual
+  const reader = await georeferencedPage(
+    { Type: 'GEOGCS', EPSG: 4326 },
+    [[-80, 40], [-80, 41], [-79, 41], [-79, 40], [-79.48, 40.53]],
+    [0, 0, 0, 1, 1, 1, 1, 0, 0.5, 0.5]
+  );
+  assert.ok(reader.read().viewports[0].rmsError > 0);
+
+  for (const [x, y] of [[51, 52], [120, 610], [300, 400], [549, 75]]) {
+    const geo = reader.pageToGeo(0, x, y);
+    const back = reader.geoToPage(0, geo.lon, geo.lat);
+    assert.ok(Math.abs(back.x - x) < 1e-9 && Math.abs(back.y - y) < 1e-9, `${x},${y} came back as ${back.x},${back.y}`);
+  }
+});
+
+test('control points that do not determine a transform are reported', async () => {
+  const reported = [];
+  const reader = await georeferencedPage(
+    { Type: 'GEOGCS', EPSG: 4326 },
+    [[-80, 40], [-79.5, 40.5], [-79, 41]],
+    [0, 0, 0.5, 0.5, 1, 1],
+    { report: (severity, code, message) => reported.push({ severity, code, message }) }
+  );
+
+  assert.strictEqual(reader.read().georeferenced, false);
+  assert.deepStrictEqual(reported, [
+    { severity: 'warning', code: 'georeference', message: 'Control points do not determine a transform' }
+  ]);
+});
+
+test('points outside every viewport are not georeferenced', async () => {
+  const reader = await georeferencedPage({ Type: 'GEOGCS', EPSG: 4326 }, [[-80, 40], [-80, 41], [-79, 41], [-79, 40]]);
+
+  assert.strictEqual(reader.viewportAt(0, 10, 10), null);
+  assert.strictEqual(reader.pageToGeo(0, 10, 10), null);
+  assert.strictEqual(reader.geoToPage(0, 10, 10), null);
+});
+
+test('a viewport without a /GEO measure hides the map below it', async () => {
+  const { doc, page, context } = await createPage('0 0 m 1 1 l S');
+  const measure = context.obj({
+    Type: 'Measure',
+    Subtype: 'GEO',
+    GCS: context.obj({ Type: 'GEOGCS', EPSG: 4326 }),
+    GPTS: [40, -80, 41, -80, 41, -79, 40, -79],
+    LPTS: [0, 0, 0, 1, 1, 1, 1, 0]
+  });
+  page.node.set(PDFName.of('VP'), context.obj([
+    context.obj({ Type: 'Viewport', BBox: [50, 50, 550, 750], Name: PDFString.of('Map'), Measure: measure }),
+    context.obj({ Type: 'Viewport', BBox: [400, 600, 540, 740], Name: PDFString.of('Inset') })
+  ]));
+  const reader = new GeoreferenceReader(await reload(doc));
+
+  const { viewports, georeferenced } = reader.read();
+  assert.strictEqual(georeferenced, true);
+  assert.deepStrictEqual(viewports.map(({ name, georeferenced }) => [name, georeferenced]), [['Map', true], ['Inset', false]]);
+  assert.strictEqual(viewports[1].geoBounds, null);
+
+  assert.strictEqual(reader.viewportAt(0, 450, 650).name, 'Inset');
+  assert.strictEqual(reader.pageToGeo(0, 450, 650), null);
+  assert.strictEqual(reader.pageToGeo(0, 300, 400).viewport, 0);
+});
@@ -0,0 +1,59 @@
+/**
+ * Builders for small synthetic PDFs used by the checks in this directory
+ */
+
+const { PDFDocument, PDFName } = require('pdf-lib');
+const PageContentExtractor = require('../src/page-content-extractor');
+
+/**
+ * Create a document with one page
+ * @param {string} content - Page content stream
+ * @param {Object|Function} resources - Page /Resources as a plain object for
+ *   context.obj(), or a function of the context returning one
+ * @returns {Promise<Object>} { doc, page, context }
+ */
+async function createPage(content = '', resources = {}, size = [600, 800]) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage(size);
+  const context = doc.context;
+
+  page.node.set(PDFName.of('Resources'), context.obj(typeof resources === 'function' ? resources(context) : resources));
+  page.node.set(PDFName.of('Contents'), context.register(context.stream(Buffer.from(content, 'latin1'))));
+  return { doc, page, context };
+}
+
+/**
+ * Page /Resources with Helvetica as /F1, with the widths of A–E
+ */
+function helveticaResources(context) {
+  const font = context.obj({
+    Type: 'Font',
+    Subtype: 'Type1',
+    BaseFont: 'Helvetica',
+    FirstChar: 65,
+    LastChar: 69,
+    Widths: [667, 667, 722, 722, 667]
+  });
+  return { Font: context.obj({ F1: font }) };
+}
+
+/**
+ * Save and reload a document, as the app sees files from disk
+ * @param {PDFDocument} doc - Document to round-trip
+ * @returns {Promise<PDFDocument>} Loaded document
+ */
+async function reload(doc) {
+  return PDFDocument.load(await doc.save());
+}
+
+/**
+ * Parse a page's content streams with its (possibly inherited) resources
+ * @param {PDFDocument} pdfDoc - Loaded document
+ * @param {number} pageIndex - Zero-based page index
+ * @returns {Object} Result of PageContentExtractor.extractPage()
+ */
+function parsePage(pdfDoc, pageIndex = 0) {
+  return new PageContentExtractor(pdfDoc).extractPage(pageIndex);
+}
+
+module.exports = { createPage, helveticaResources, reload, parsePage, PDFName };
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, helveticaResources, reload, parsePage } = require('./helpers');
+
+test('fragments along a baseline merge into one label, split into words at wide gaps', async () => {
+  const { doc } = await createPage(
+    'BT /F1 10 Tf 100 700 Td (AB) Tj (C) Tj 30 0 Td (D) Tj ET ' +
+    'BT /F1 10 Tf 100 500 Td (BAD) Tj ET',
+    helveticaResources
+  );
+
+  const { labels } = parsePage(await reload(doc));
+  const [label, other] = labels;
+
+  assert.deepStrictEqual(labels.map(entry => entry.text), ['ABC D', 'BAD']);
+  assert.deepStrictEqual(label.words.map(word => word.text), ['ABC', 'D']);
+  assert.strictEqual(label.angle, 0);
+  assert.strictEqual(label.fontSize, 10);
+  assert.deepStrictEqual([label.bbox.x, label.bbox.y, label.bbox.height], [100, 698, 10]);
+  assert.strictEqual(Math.round(label.bbox.width * 100) / 100, 37.22);
+  assert.deepStrictEqual([label.readingOrder, other.readingOrder], [0, 1]);
+});
+
+test('rotated fragments form a label with the baseline angle', async () => {
+  const { doc } = await createPage('BT /F1 10 Tf 0 1 -1 0 300 100 Tm (E) Tj (A) Tj ET', helveticaResources);
+
+  const [label] = parsePage(await reload(doc)).labels;
+  assert.strictEqual(label.text, 'EA');
+  assert.strictEqual(label.angle, 90);
+});
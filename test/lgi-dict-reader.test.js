@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFString } = require('pdf-lib');
+const proj4 = require('proj4');
+const LGIDictReader = require('../src/lgi-dict-reader');
+const GeoreferenceReader = require('../src/georeference-reader');
+const { createPage, reload, PDFName } = require('./helpers');
+
+// LGIDict numbers are usually written as strings
+const strings = values => values.map(value => PDFString.of(String(value)));
+
+/**
+ * Page with one /LGIDict whose /Projection holds the given entries
+ */
+async function lgiPage(projection, entries = {}) {
+  const { doc, page, context } = await createPage('0 0 m 1 1 l S');
+  const values = Object.fromEntries(Object.entries(projection).map(([key, value]) => [key, PDFString.of(String(value))]));
+  page.node.set(PDFName.of('LGIDict'), context.obj({
+    Type: 'LGIDict',
+    Version: PDFString.of('2.1'),
+    CTM: strings([20, 0, 0, 20, 640000, 4920000]),
+    Projection: context.obj({ Type: 'Projection', ...values }),
+    ...entries
+  }));
+  return reload(doc);
+}
+
+test('/Projection parameters and datum become a proj4 definition', async () => {
+  const pdfDoc = await lgiPage({
+    ProjectionType: 'LE',
+    Datum: 'NAR-C',
+    StandardParallelOne: 43,
+    StandardParallelTwo: 45.5,
+    OriginLatitude: 42.5,
+    CentralMeridian: -72.5,
+    FalseEasting: 500000,
+    FalseNorthing: 0
+  });
+  const [entry] = new LGIDictReader(pdfDoc).read(pdfDoc.getPage(0));
+
+  assert.deepStrictEqual(entry.ctm, [20, 0, 0, 20, 640000, 4920000]);
+  assert.strictEqual(entry.crs.name, 'Lambert Conformal Conic (NAD83)');
+  assert.strictEqual(entry.crs.proj4,
+    '+proj=lcc +lat_1=43 +lat_2=45.5 +lat_0=42.5 +lon_0=-72.5 +x_0=500000 +y_0=0 ' +
+    '+a=6378137 +rf=298.257222101 +towgs84=0,0,0 +units=m +no_defs');
+  assert.strictEqual(entry.crs.geographic, '+proj=longlat +a=6378137 +rf=298.257222101 +towgs84=0,0,0 +no_defs');
+});
+
+test('a UTM LGIDict georeferences the page through its /CTM', async () => {
+  const pdfDoc = await lgiPage(
+    { ProjectionType: 'UT', Zone: 18, Hemisphere: 'N', Datum: 'WGE' },
+    { Neatline: strings([50, 50, 50, 750, 550, 750, 550, 50]) }
+  );
+  const reader = new GeoreferenceReader(pdfDoc);
+
+  const [viewport] = reader.read().viewports;
+  assert.strictEqual(viewport.encoding, 'LGIDict');
+  assert.strictEqual(viewport.crs.name, 'UTM zone 18N (WGS 84)');
+  assert.deepStrictEqual(viewport.bbox, [50, 50, 550, 750]);
+
+  // The CTM puts page 300,400 at 646000 E, 4928000 N
+  const geo = reader.pageToGeo(0, 300, 400);
+  const [lon, lat] = proj4('+proj=utm +zone=18 +datum=WGS84 +units=m +no_defs').inverse([646000, 4928000]);
+  assert.ok(Math.abs(geo.lon - lon) < 1e-9 && Math.abs(geo.lat - lat) < 1e-9);
+  assert.strictEqual(reader.pageToGeo(0, 20, 20), null);
+});
+
+test('unsupported LGIDict projections and datums are reported', async () => {
+  const pdfDoc = await lgiPage({ ProjectionType: 'XX', Datum: 'ZZZ' });
+
+  const reported = [];
+  const reader = new GeoreferenceReader(pdfDoc, {
+    report: (severity, code, message) => reported.push({ severity, code, message })
+  });
+  reader.read();
+
+  assert.deepStrictEqual(reported.map(({ severity, code }) => [severity, code]), [
+    ['warning', 'unknown-datum'],
+    ['warning', 'unsupported-projection']
+  ]);
+  assert.match(reported[1].message, /XX/);
+});
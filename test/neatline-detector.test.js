@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const NeatlineDetector = require('../src/neatline-detector');
+const { createPage, reload, parsePage, helveticaResources, PDFName } = require('./helpers');
+
+// A square inside the map, a line crossing its left edge, a line and a title in the collar
+const CONTENT = '100 100 200 200 re f 20 400 m 300 400 l S 5 5 m 20 20 l S BT /F1 10 Tf 10 780 Td (ABC) Tj ET';
+
+test('content is classified inside, crossing or in the collar of the viewport neatline', async () => {
+  const { doc, page, context } = await createPage(CONTENT, helveticaResources);
+  const measure = context.obj({
+    Type: 'Measure',
+    Subtype: 'GEO',
+    GCS: context.obj({ Type: 'GEOGCS', EPSG: 4326 }),
+    GPTS: [40, -80, 41, -80, 41, -79, 40, -79],
+    LPTS: [0, 0, 0, 1, 1, 1, 1, 0]
+  });
+  page.node.set(PDFName.of('VP'), context.obj([
+    context.obj({ Type: 'Viewport', BBox: [50, 50, 550, 750], Measure: measure })
+  ]));
+  const pdfDoc = await reload(doc);
+  const { paths, textObjects } = parsePage(pdfDoc);
+
+  const detector = new NeatlineDetector(pdfDoc);
+  const neatline = detector.detect(0, paths);
+  assert.strictEqual(neatline.source, 'viewport');
+  assert.deepStrictEqual(neatline.bounds, { x: 50, y: 50, width: 500, height: 700 });
+
+  assert.deepStrictEqual(detector.classifyAll(paths, neatline), { inside: 1, crossing: 1, collar: 1 });
+  assert.deepStrictEqual(paths.map(path => path.neatline), ['inside', 'crossing', 'collar']);
+  assert.deepStrictEqual(detector.classifyAll(textObjects, neatline), { inside: 0, crossing: 0, collar: 1 });
+
+  // Whole crossing paths without clipping; cut at x = 50 with it
+  const content = { paths, textObjects, labels: [] };
+  assert.strictEqual(detector.mapBody(content, neatline).paths.length, 2);
+  const clipped = detector.mapBody(content, neatline, { clip: true });
+  assert.strictEqual(clipped.textObjects.length, 0);
+  assert.deepStrictEqual(clipped.paths[1].subpaths[0].startPoint, { x: 50, y: 400 });
+});
+
+test('without a georeferenced viewport the outer frame is the neatline', async () => {
+  const { doc } = await createPage(`40 40 520 720 re S ${CONTENT}`, helveticaResources);
+  const pdfDoc = await reload(doc);
+  const { paths } = parsePage(pdfDoc);
+
+  const detector = new NeatlineDetector(pdfDoc);
+  const neatline = detector.detect(0, paths);
+  assert.strictEqual(neatline.source, 'frame');
+  assert.deepStrictEqual(neatline.bounds, { x: 40, y: 40, width: 520, height: 720 });
+
+  // The frame's own stroke lies on the neatline and belongs to the map body
+  detector.classifyAll(paths, neatline);
+  assert.deepStrictEqual(paths.map(path => path.neatline), ['inside', 'inside', 'crossing', 'collar']);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFString } = require('pdf-lib');
+const OptionalContentReader = require('../src/optional-content-reader');
+const { createPage, reload, parsePage, PDFName } = require('./helpers');
+
+test('paths are tagged with the Optional Content Group they are drawn in', async () => {
+  const { doc } = await createPage(
+    '/OC /MC0 BDC 0 0 m 1 1 l S EMC 0 0 m 2 2 l S /Fm1 Do',
+    context => {
+      const roads = context.register(context.obj({ Type: 'OCG', Name: PDFString.of('Roads') }));
+      const water = context.register(context.obj({ Type: 'OCG', Name: PDFString.of('Water') }));
+      const form = context.register(context.stream(Buffer.from('0 0 m 3 3 l S', 'latin1'), {
+        Type: 'XObject',
+        Subtype: 'Form',
+        BBox: [0, 0, 10, 10],
+        OC: water
+      }));
+      return {
+        Properties: context.obj({ MC0: roads }),
+        XObject: context.obj({ Fm1: form })
+      };
+    }
+  );
+
+  const { paths } = parsePage(await reload(doc));
+  assert.deepStrictEqual(paths.map(path => path.layer), ['Roads', null, 'Water']);
+});
+
+test('/OCProperties is read into a layer tree with default visibility', async () => {
+  const { doc, context } = await createPage();
+  const roads = context.register(context.obj({ Type: 'OCG', Name: PDFString.of('Roads') }));
+  const water = context.register(context.obj({ Type: 'OCG', Name: PDFString.of('Water') }));
+  const rivers = context.register(context.obj({ Type: 'OCG', Name: PDFString.of('Rivers') }));
+  doc.catalog.set(PDFName.of('OCProperties'), context.obj({
+    OCGs: [roads, water, rivers],
+    D: context.obj({
+      Order: [roads, water, [rivers], [PDFString.of('Labels')]],
+      OFF: [rivers]
+    })
+  }));
+
+  const layers = new OptionalContentReader(await reload(doc)).read();
+  assert.deepStrictEqual(layers.groups.map(group => [group.name, group.visible]),
+    [['Roads', true], ['Water', true], ['Rivers', false]]);
+  assert.deepStrictEqual(layers.tree.map(node => node.name), ['Roads', 'Water', 'Labels']);
+  assert.deepStrictEqual(layers.tree[1].children.map(node => [node.name, node.visible]), [['Rivers', false]]);
+  assert.strictEqual(layers.tree[2].isLabel, true);
+});
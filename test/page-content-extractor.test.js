@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PageContentExtractor = require('../src/page-content-extractor');
+const { createPage, reload, PDFName } = require('./helpers');
+
+test('pages use /Resources inherited from the page tree', async () => {
+  const { doc, page, context } = await createPage('/Fm1 Do');
+  const form = context.register(context.stream(Buffer.from('0 0 m 3 3 l S', 'latin1'), {
+    Type: 'XObject',
+    Subtype: 'Form',
+    BBox: [0, 0, 10, 10]
+  }));
+  page.node.delete(PDFName.of('Resources'));
+  doc.catalog.Pages().set(PDFName.of('Resources'), context.obj({ XObject: context.obj({ Fm1: form }) }));
+
+  const { paths } = new PageContentExtractor(await reload(doc)).extractPage(0);
+  assert.strictEqual(paths.length, 1);
+});
+
+test('content split over several streams is parsed as one, streamed or not', async () => {
+  const { doc, page, context } = await createPage();
+  page.node.set(PDFName.of('Contents'), context.obj(['0 0 m 5 5', 'l S', '0 0 2 2 re f'].map(content =>
+    context.register(context.stream(Buffer.from(content, 'latin1')))
+  )));
+
+  const extractor = new PageContentExtractor(await reload(doc));
+  const streamed = [...extractor.iteratePage(0)].map(item => item.path.operation);
+
+  assert.deepStrictEqual(extractor.extractPage(0).paths.map(path => path.operation), ['stroke', 'fill']);
+  assert.deepStrictEqual(streamed, ['stroke', 'fill']);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PDFProcessor = require('../src/pdf-processor');
+const { createPage, reload } = require('./helpers');
+
+test('diagnostics beyond the collector limit are counted in the summary', async () => {
+  // 510 distinct unknown operators; the collector keeps 500
+  const operators = Array.from({ length: 510 }, (_, i) => `xop${i}`).join(' ');
+  const { doc } = await createPage(operators);
+
+  const processor = new PDFProcessor(null);
+  processor.pdfDoc = await reload(doc);
+  const { diagnostics, diagnosticSummary } = await processor.extractContentPaths();
+
+  assert.strictEqual(diagnostics.length, 500);
+  assert.strictEqual(diagnosticSummary.dropped, 10);
+  assert.strictEqual(diagnosticSummary.clean, false);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument } = require('pdf-lib');
+const PDFFont = require('../src/pdf-font');
+
+const CMAP = `/CIDInit /ProcSet findresource begin
+12 dict begin
+begincmap
+/CMapName /Test-H def
+2 begincodespacerange
+<00> <80>
+<8140> <9FFC>
+endcodespacerange
+1 begincidrange
+<20> <7E> 1
+endcidrange
+1 begincidchar
+<8140> 633
+endcidchar
+endcmap
+CMapName currentdict /CMap defineresource pop
+end
+end`;
+
+async function type0Font(encoding) {
+  const doc = await PDFDocument.create();
+  const context = doc.context;
+  const cidFont = context.obj({
+    Type: 'Font',
+    Subtype: 'CIDFontType0',
+    BaseFont: 'Test',
+    DW: 1000,
+    W: [34, [600], 633, [900]]
+  });
+  const dict = context.obj({
+    Type: 'Font',
+    Subtype: 'Type0',
+    BaseFont: 'Test',
+    Encoding: typeof encoding === 'string' ? encoding : encoding(context),
+    DescendantFonts: [cidFont]
+  });
+
+  const reported = [];
+  const font = new PDFFont(dict, {
+    context,
+    getStreamData: stream => Buffer.from(stream.getContents()),
+    report: (severity, code, message) => reported.push({ severity, code, message })
+  });
+  return { font, reported };
+}
+
+test('embedded CMaps split codes by codespace and map them to CIDs', async () => {
+  const { font, reported } = await type0Font(context => context.register(context.stream(CMAP, { Type: 'CMap' })));
+
+  const codes = font.readCodes('A\x81\x40B');
+  assert.deepStrictEqual(codes, [0x41, 0x8140, 0x42]);
+  assert.deepStrictEqual(codes.map(code => font.codeToCID(code)), [34, 633, 35]);
+  assert.deepStrictEqual(codes.map(code => font.getWidth(code)), [0.6, 0.9, 1]);
+  assert.deepStrictEqual(reported, []);
+});
+
+test('embedded CMaps inherit an Identity parent named by usecmap', async () => {
+  const cmap = CMAP.replace('begincmap', '/Identity-H usecmap\nbegincmap');
+  const { font } = await type0Font(context => context.register(context.stream(cmap, { Type: 'CMap' })));
+
+  // 0x81 0x40 matches this CMap's codespace; 0x9F 0xFD only Identity's
+  assert.deepStrictEqual(font.readCodes('\x81\x40\x9f\xfd').map(code => font.codeToCID(code)), [633, 0x9ffd]);
+});
+
+test('Identity-H reads two-byte codes as CIDs without a diagnostic', async () => {
+  const { font, reported } = await type0Font('Identity-H');
+
+  assert.deepStrictEqual(font.readCodes('\x00\x22\x02\x79'), [34, 633]);
+  assert.deepStrictEqual(reported, []);
+});
+
+test('predefined CMaps other than Identity are reported', async () => {
+  const { font, reported } = await type0Font('UniJIS-UCS2-H');
+
+  assert.deepStrictEqual(font.readCodes('\x00\x22'), [34]);
+  assert.strictEqual(reported.length, 1);
+  assert.strictEqual(reported[0].code, 'unsupported-cmap');
+  assert.match(reported[0].message, /UniJIS-UCS2-H/);
+});
+
+test('.notdef decodes to no character', async () => {
+  const doc = await PDFDocument.create();
+  const context = doc.context;
+  const font = new PDFFont(context.obj({
+    Type: 'Font',
+    Subtype: 'Type1',
+    BaseFont: 'Helvetica',
+    Encoding: context.obj({ Type: 'Encoding', Differences: [66, '.notdef'] })
+  }), { context });
+
+  assert.strictEqual(font.decode('ABC'), 'AC');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument } = require('pdf-lib');
+const PDFFunction = require('../src/pdf-function');
+const { createPage, reload, parsePage } = require('./helpers');
+
+test('type 2 functions interpolate exponentially between C0 and C1', async () => {
+  const { context } = await PDFDocument.create();
+  const fn = new PDFFunction(context.obj({ FunctionType: 2, Domain: [0, 1], C0: [0, 0, 0], C1: [1, 0.5, 0], N: 1 }), { context });
+  const squared = new PDFFunction(context.obj({ FunctionType: 2, Domain: [0, 1], C0: [0], C1: [1], N: 2 }), { context });
+
+  assert.deepStrictEqual(fn.evaluate([0.5]), [0.5, 0.25, 0]);
+  assert.deepStrictEqual(squared.evaluate([0.5]), [0.25]);
+});
+
+test('type 3 functions pick a subfunction by /Bounds and remap its input by /Encode', async () => {
+  const { context } = await PDFDocument.create();
+  const fn = new PDFFunction(context.obj({
+    FunctionType: 3,
+    Domain: [0, 1],
+    Bounds: [0.5],
+    Encode: [0, 1, 0, 1],
+    Functions: [
+      context.obj({ FunctionType: 2, Domain: [0, 1], C0: [0], C1: [1], N: 1 }),
+      context.obj({ FunctionType: 2, Domain: [0, 1], C0: [1], C1: [0], N: 2 })
+    ]
+  }), { context });
+
+  assert.deepStrictEqual(fn.evaluate([0.25]), [0.5]);
+  assert.deepStrictEqual(fn.evaluate([0.5]), [1]);
+  assert.deepStrictEqual(fn.evaluate([0.75]), [0.75]);
+});
+
+test('Separation colors are converted through their tint transform', async () => {
+  const { doc } = await createPage('/CS1 cs 0.5 scn 0 0 10 10 re f', context => ({
+    ColorSpace: context.obj({
+      CS1: context.obj(['Separation', 'Spot', 'DeviceRGB',
+        context.obj({ FunctionType: 2, Domain: [0, 1], C0: [1, 1, 1], C1: [1, 0, 0], N: 1 })])
+    })
+  }));
+
+  const { paths } = parsePage(await reload(doc));
+  assert.strictEqual(paths[0].style.fill, '#ff8080');
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PDFLexer = require('../src/pdf-lexer');
+
+const lex = source => new PDFLexer(source).tokenize().map(({ type, value }) => ({ type, value }));
+
+test('literal strings keep balanced parentheses and decode escapes', () => {
+  assert.deepStrictEqual(lex('(a(b)c) (x\\)y\\n\\101\\\r\nz)'), [
+    { type: 'string', value: 'a(b)c' },
+    { type: 'string', value: 'x)y\nAz' }
+  ]);
+});
+
+test('hex strings ignore whitespace and pad an odd final digit', () => {
+  assert.deepStrictEqual(lex('<48 65 6C6C 6F> <414>'), [
+    { type: 'hexstring', value: 'Hello' },
+    { type: 'hexstring', value: 'A@' }
+  ]);
+});
+
+test('names decode #xx escapes and end at delimiters', () => {
+  const tokens = new PDFLexer('/Name#20With#23Hash/Next[/A]').tokenize();
+  assert.deepStrictEqual(tokens.map(token => token.type), ['name', 'name', 'array']);
+  assert.deepStrictEqual(tokens.slice(0, 2).map(token => token.value), ['Name With#Hash', 'Next']);
+  assert.deepStrictEqual(tokens[2].value.map(({ type, value }) => ({ type, value })), [{ type: 'name', value: 'A' }]);
+});
+
+test('numbers, operators, arrays and dictionaries', () => {
+  const tokens = new PDFLexer('-.5 +3 12. <</K [1 (x)]>> re').tokenize();
+  assert.deepStrictEqual(tokens.map(token => token.type), ['number', 'number', 'number', 'dict', 'operator']);
+  assert.deepStrictEqual(tokens.slice(0, 3).map(token => token.value), [-0.5, 3, 12]);
+  assert.deepStrictEqual(tokens[3].value.K.value.map(item => item.value), [1, 'x']);
+  assert.strictEqual(tokens[4].value, 're');
+});
+
+test('comments are skipped', () => {
+  assert.deepStrictEqual(lex('1 % comment (not a string)\n2 m'), [
+    { type: 'number', value: 1 },
+    { type: 'number', value: 2 },
+    { type: 'operator', value: 'm' }
+  ]);
+});
+
+test('inline image data is read as binary, even when it contains EI', () => {
+  // 3 x 1 gray image whose bytes spell "EI "
+  const tokens = new PDFLexer(Buffer.from('BI /W 3 /H 1 /CS /G /BPC 8 ID EI  EI Q', 'latin1')).tokenize();
+  assert.deepStrictEqual(tokens.map(token => token.type === 'operator' ? token.value : token.type), [
+    'BI', 'name', 'number', 'name', 'number', 'name', 'name', 'name', 'number', 'ID', 'inlineImageData', 'EI', 'Q'
+  ]);
+  assert.deepStrictEqual([...tokens[10].value], [0x45, 0x49, 0x20]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PageContentExtractor = require('../src/page-content-extractor');
+const RasterExtractor = require('../src/raster-extractor');
+const { createPage, reload } = require('./helpers');
+
+function grayImage(context, value) {
+  return context.register(context.stream(Buffer.from([value]), {
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: 1,
+    Height: 1,
+    ColorSpace: 'DeviceGray',
+    BitsPerComponent: 8
+  }));
+}
+
+test('image placements are matched by object reference, not resource name', async () => {
+  // The form names another image /Im1 and is painted before the page's /Im1
+  const { doc } = await createPage('/Fm1 Do q 200 0 0 100 50 60 cm /Im1 Do Q', context => {
+    const form = context.register(context.stream(Buffer.from('q 10 0 0 10 0 0 cm /Im1 Do Q', 'latin1'), {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, 600, 800],
+      Resources: context.obj({ XObject: context.obj({ Im1: grayImage(context, 0) }) })
+    }));
+    return { XObject: context.obj({ Im1: grayImage(context, 255), Fm1: form }) };
+  });
+  const pdfDoc = await reload(doc);
+
+  const { imagePlacements } = new PageContentExtractor(pdfDoc).extractPage(0);
+  assert.strictEqual(imagePlacements.length, 2);
+  assert.notStrictEqual(imagePlacements[0].ref, imagePlacements[1].ref);
+
+  const [image] = await new RasterExtractor(pdfDoc).extract({}, { 0: imagePlacements });
+  assert.strictEqual(image.name, 'Im1');
+  assert.strictEqual(image.ref, imagePlacements[1].ref);
+  assert.deepStrictEqual(
+    [image.ctm.a, image.ctm.b, image.ctm.c, image.ctm.d, image.ctm.e, image.ctm.f],
+    [200, 0, 0, 100, 50, 60]
+  );
+});
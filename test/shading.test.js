@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SVGPathConverter = require('../src/svg-path-converter');
+const { createPage, reload, parsePage } = require('./helpers');
+
+/**
+ * Page with an axial shading /Sh0 from red to blue along x = 0..100
+ */
+async function shadingPage(content, extend = [true, true]) {
+  const { doc } = await createPage(content, context => {
+    const shading = context.obj({
+      ShadingType: 2,
+      ColorSpace: 'DeviceRGB',
+      Coords: [0, 0, 100, 0],
+      Function: context.obj({ FunctionType: 2, Domain: [0, 1], C0: [1, 0, 0], C1: [0, 0, 1], N: 1 }),
+      Extend: extend
+    });
+    return { Shading: context.obj({ Sh0: shading }) };
+  });
+  return reload(doc);
+}
+
+test('sh fills the clip with the shading\'s sampled color stops', async () => {
+  const { paths } = parsePage(await shadingPage('q 0 0 100 50 re W n /Sh0 sh Q'));
+
+  assert.strictEqual(paths.length, 1);
+  const { fill, fillShading } = paths[0].style;
+  assert.strictEqual(fillShading.shadingType, 2);
+  assert.deepStrictEqual(fillShading.coords, [0, 0, 100, 0]);
+  assert.strictEqual(fillShading.stops.length, 17);
+  assert.deepStrictEqual(fillShading.stops[0], { offset: 0, color: '#ff0000' });
+  assert.deepStrictEqual(fillShading.stops[16], { offset: 1, color: '#0000ff' });
+  assert.deepStrictEqual(fillShading.stops[8], { offset: 0.5, color: '#800080' });
+  assert.strictEqual(fill, fillShading.averageColor);
+  assert.deepStrictEqual(paths[0].subpaths[0].startPoint, { x: 0, y: 0 });
+});
+
+test('shadings become linear gradients in page space', async () => {
+  const { paths } = parsePage(await shadingPage('/Sh0 sh', [false, true]));
+  const converter = new SVGPathConverter({ pdfWidth: 600, pdfHeight: 800, svgWidth: 600, svgHeight: 800 });
+  const element = converter.generatePathElement(converter.convertPath(paths[0]));
+
+  assert.ok(element.includes('fill="url(#gradient-1)"'));
+  const defs = converter.generateGradientDefs();
+  assert.ok(defs.startsWith(
+    '<linearGradient id="gradient-1" gradientUnits="userSpaceOnUse" x1="0.000" y1="0.000" x2="100.000" y2="0.000" ' +
+    'gradientTransform="matrix(1 0 0 -1 0 800)">' +
+    '<stop offset="0.000" stop-color="#ff0000" stop-opacity="0"/>' +
+    '<stop offset="0.000" stop-color="#ff0000"/>'
+  ));
+  assert.ok(defs.endsWith('<stop offset="1.000" stop-color="#0000ff"/></linearGradient>'));
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { PDFDocument } = require('pdf-lib');
+const StreamDecoder = require('../src/stream-decoder');
+
+const decoder = new StreamDecoder(null);
+const decode = (data, filters, parms) => decoder.decodeData(Buffer.from(data), filters, parms).data;
+
+/**
+ * LZW encoder (ISO 32000 §7.4.4) with EarlyChange 1, to produce data whose
+ * codes cross the 9 → 10 → 11 bit boundaries
+ */
+function encodeLZW(input) {
+  const codes = [256];
+  const table = new Map();
+  for (let i = 0; i < 256; i++) table.set(String.fromCharCode(i), i);
+  let next = 258;
+  let word = '';
+
+  for (const byte of input) {
+    const extended = word + String.fromCharCode(byte);
+    if (table.has(extended)) {
+      word = extended;
+      continue;
+    }
+    codes.push(table.get(word));
+    if (next < 4096) table.set(extended, next++);
+    word = String.fromCharCode(byte);
+  }
+  if (word) codes.push(table.get(word));
+  codes.push(257);
+
+  // The decoder grows its code length one code early, as the encoder does
+  let bits = '';
+  let size = 258;
+  codes.forEach((code, i) => {
+    const width = size + 1 >= 2048 ? 12 : size + 1 >= 1024 ? 11 : size + 1 >= 512 ? 10 : 9;
+    bits += code.toString(2).padStart(width, '0');
+    if (i > 1 && code !== 257) size++;
+  });
+  bits = bits.padEnd(Math.ceil(bits.length / 8) * 8, '0');
+  return Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+}
+
+test('LZWDecode: the example of ISO 32000 §7.4.4.2', () => {
+  const encoded = [0x80, 0x0b, 0x60, 0x50, 0x22, 0x0c, 0x0c, 0x85, 0x01];
+  assert.strictEqual(decode(encoded, ['LZWDecode']).toString('latin1'), '-----A---B');
+});
+
+test('LZWDecode: codes wider than 9 bits', () => {
+  const input = Buffer.from(Array.from({ length: 4000 }, (_, i) => (i * 7 + (i >> 5)) & 0xff));
+  assert.deepStrictEqual(decode(encodeLZW(input), ['LZW']), input);
+});
+
+test('ASCII85Decode: full groups, z, partial final group and ~>', () => {
+  assert.strictEqual(decode('9jqo^BlbD-BleB1DJ+*+F(f,q', ['ASCII85Decode']).toString('latin1'), 'Man is distinguished');
+  assert.deepStrictEqual([...decode('z~>', ['A85'])], [0, 0, 0, 0]);
+  assert.strictEqual(decode('9jqo^F*2M7~>ignored', ['A85']).toString('latin1'), 'Man sure');
+  assert.strictEqual(decode('9jqo^\n Bl~>', ['A85']).toString('latin1'), 'Man i');
+});
+
+test('ASCIIHexDecode and RunLengthDecode', () => {
+  assert.strictEqual(decode('48 65 6c 6C 6f 2>', ['AHx']).toString('latin1'), 'Hello ');
+  // Copy 3 literal bytes, then repeat 'z' four times, then end of data
+  assert.strictEqual(decode([2, 0x61, 0x62, 0x63, 253, 0x7a, 128, 0x61], ['RL']).toString('latin1'), 'abczzzz');
+});
+
+test('PNG predictors: None, Sub, Up, Average and Paeth rows', () => {
+  // Two RGB pixels per row
+  const rows = [
+    [0, 10, 20, 30, 40, 50, 60],
+    [1, 10, 20, 30, 5, 5, 5],
+    [2, 1, 1, 1, 1, 1, 1],
+    [3, 2, 2, 2, 2, 2, 2],
+    [4, 0, 0, 0, 0, 0, 0]
+  ];
+  const predicted = zlib.deflateSync(Buffer.from(rows.flat()));
+  const output = decode(predicted, ['FlateDecode'], [{ Predictor: 12, Colors: 3, Columns: 2 }]);
+
+  assert.deepStrictEqual([...output], [
+    10, 20, 30, 40, 50, 60,
+    10, 20, 30, 15, 25, 35,
+    11, 21, 31, 16, 26, 36,
+    7, 12, 17, 13, 21, 28,
+    7, 12, 17, 13, 21, 28
+  ]);
+});
+
+test('TIFF predictor 2 on 8-bit and 4-bit components', () => {
+  assert.deepStrictEqual([...decoder.applyPredictor(Buffer.from([10, 1, 2, 20, 3, 4]), { Predictor: 2, Columns: 3 })],
+    [10, 11, 13, 20, 23, 27]);
+  // 4 gray samples of 4 bits: 1, +2, +3, +15 (wraps) → 1, 3, 6, 5
+  assert.deepStrictEqual([...decoder.applyPredictor(Buffer.from([0x12, 0x3f]), { Predictor: 2, BitsPerComponent: 4, Columns: 4 })],
+    [0x13, 0x65]);
+});
+
+test('filter chains are applied in order, from the stream dictionary', async () => {
+  const doc = await PDFDocument.create();
+  const content = 'BT /F1 12 Tf (chained) Tj ET';
+  const hex = zlib.deflateSync(Buffer.from(content)).toString('hex') + '>';
+  const stream = doc.context.stream(Buffer.from(hex), { Filter: ['ASCIIHexDecode', 'FlateDecode'] });
+
+  assert.strictEqual(new StreamDecoder(doc.context).decode(stream).toString('latin1'), content);
+});
+
+test('image codecs are left encoded and reported', () => {
+  const result = decoder.decodeData(Buffer.from('48>'), ['AHx', 'DCT'], [null, { ColorTransform: 0 }]);
+  assert.deepStrictEqual(result, { data: Buffer.from('H'), imageFilter: 'DCTDecode', decodeParms: { ColorTransform: 0 } });
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PDFContentParser = require('../src/pdf-content-parser');
+
+test('iterateContentStream yields each path as it is painted without retaining it', () => {
+  const parser = new PDFContentParser();
+  const stream = Buffer.from('0 0 m 1 1 l S 1 0 0 rg 0 0 5 5 re f', 'latin1');
+  const seen = [];
+
+  for (const item of parser.iterateContentStream(stream)) {
+    seen.push([item.type, item.path.operation, parser.paths.length]);
+  }
+
+  assert.deepStrictEqual(seen, [['path', 'stroke', 0], ['path', 'fill', 0]]);
+  assert.deepStrictEqual(new PDFContentParser().parseContentStream(stream).paths.map(path => path.operation), ['stroke', 'fill']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const StructureTreeReader = require('../src/structure-tree-reader');
+const { createPage, reload, parsePage, PDFName } = require('./helpers');
+
+test('marked content MCIDs resolve to /StructTreeRoot elements and their attributes', async () => {
+  const { doc, page, context } = await createPage(
+    '/Feature <</MCID 0>> BDC 0 0 m 10 10 l S EMC 0 0 m 5 5 l S'
+  );
+  const road = context.obj({
+    Type: 'StructElem',
+    S: 'Road',
+    T: context.obj('Main St'),
+    Pg: page.ref,
+    K: 0,
+    A: context.obj({
+      O: 'UserProperties',
+      P: [context.obj({ N: context.obj('LANES'), V: 2 })]
+    })
+  });
+  const root = context.obj({
+    Type: 'StructTreeRoot',
+    K: [context.obj({ Type: 'StructElem', S: 'Roads', K: [road] })],
+    RoleMap: context.obj({ Road: 'Figure' })
+  });
+  doc.catalog.set(PDFName.of('StructTreeRoot'), context.register(root));
+
+  const pdfDoc = await reload(doc);
+  const { paths } = parsePage(pdfDoc);
+  assert.deepStrictEqual(paths.map(path => path.mcid), [0, null]);
+  assert.strictEqual(paths[0].mcidStream, null);
+  assert.deepStrictEqual(paths[0].markedContent, [{ tag: 'Feature', properties: { MCID: 0 } }]);
+
+  const reader = new StructureTreeReader(pdfDoc);
+  assert.deepStrictEqual(reader.read(), { elementCount: 2, contentCount: 1, types: { Roads: 1, Road: 1 } });
+
+  const element = reader.elementFor(0, paths[0].mcid, paths[0].mcidStream);
+  assert.strictEqual(element.type, 'Road');
+  assert.strictEqual(element.role, 'Figure');
+  assert.strictEqual(element.title, 'Main St');
+  assert.deepStrictEqual(element.attributes, { LANES: 2 });
+  assert.deepStrictEqual(element.parents, [{ type: 'Roads', title: null }]);
+  assert.strictEqual(reader.elementFor(0, 1), null);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PageContentExtractor = require('../src/page-content-extractor');
+const { createPage, helveticaResources, reload } = require('./helpers');
+
+/**
+ * Text objects of a one-page document, as [text, x, y] rounded to 1/1000
+ */
+async function positions(content) {
+  const { doc } = await createPage(content, helveticaResources);
+  const { textObjects } = new PageContentExtractor(await reload(doc)).extractPage(0);
+  const round = value => Math.round(value * 1000) / 1000;
+  return textObjects.map(textObject => [textObject.text, round(textObject.x), round(textObject.y)]);
+}
+
+test('Tj and TJ advance by glyph widths and kerning', async () => {
+  // A, B 667 and C 722 units at 10 pt; TJ -500 moves 5 pt right
+  assert.deepStrictEqual(await positions('BT /F1 10 Tf 100 700 Td (AB) Tj (C) Tj [(A) -500 (B)] TJ ET'), [
+    ['AB', 100, 700],
+    ['C', 113.34, 700],
+    ['A', 120.56, 700],
+    ['B', 132.23, 700]
+  ]);
+});
+
+test('Td moves from the start of the line, not from the end of the text', async () => {
+  assert.deepStrictEqual(await positions('BT /F1 10 Tf 100 700 Td (AB) Tj 20 -15 Td (C) Tj ET'), [
+    ['AB', 100, 700],
+    ['C', 120, 685]
+  ]);
+});
+
+test('TD sets the leading used by T* and \'', async () => {
+  assert.deepStrictEqual(await positions('BT /F1 10 Tf 100 700 Td (A) Tj 0 -14 TD (B) Tj T* (C) Tj (D) \' ET'), [
+    ['A', 100, 700],
+    ['B', 100, 686],
+    ['C', 100, 672],
+    ['D', 100, 658]
+  ]);
+});
+
+test('line offsets are scaled by the text matrix', async () => {
+  // Leading is in unscaled text space units: 1.1 × 12 = 13.2 pt
+  assert.deepStrictEqual(await positions('BT /F1 1 Tf 12 0 0 12 100 700 Tm 1.1 TL (A) Tj T* (B) Tj 2 0 Td (C) Tj ET'), [
+    ['A', 100, 700],
+    ['B', 100, 686.8],
+    ['C', 124, 686.8]
+  ]);
+});
+
+test('line offsets and advances follow a rotated text matrix', async () => {
+  // Baseline along page +y; the next line (-y in text space) is toward page +x
+  assert.deepStrictEqual(await positions('BT /F1 10 Tf 0 1 -1 0 300 400 Tm (A) Tj (B) Tj 10 0 Td (C) Tj 0 -12 TD (D) Tj T* (E) Tj ET'), [
+    ['A', 300, 400],
+    ['B', 300, 406.67],
+    ['C', 300, 410],
+    ['D', 312, 410],
+    ['E', 324, 410]
+  ]);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SVGPathConverter = require('../src/svg-path-converter');
+const { createPage, reload, parsePage } = require('./helpers');
+
+/**
+ * Page with a 10 × 10 tiling pattern /P0 whose cell fills a 5 × 5 square
+ */
+async function patternPage(content, paintType = 1) {
+  const { doc } = await createPage(content, context => {
+    const pattern = context.register(context.stream(Buffer.from('1 0 0 rg 0 0 5 5 re f', 'latin1'), {
+      Type: 'Pattern',
+      PatternType: 1,
+      PaintType: paintType,
+      TilingType: 1,
+      BBox: [0, 0, 10, 10],
+      XStep: 10,
+      YStep: 10,
+      Resources: context.obj({})
+    }));
+    return {
+      Pattern: context.obj({ P0: pattern }),
+      ColorSpace: context.obj({ CS0: ['Pattern', 'DeviceRGB'] })
+    };
+  });
+  return reload(doc);
+}
+
+test('scn /P0 fills with a tiling pattern emitted as an SVG <pattern>', async () => {
+  const { paths } = parsePage(await patternPage('/Pattern cs /P0 scn 0 0 100 100 re f'));
+
+  assert.strictEqual(paths.length, 1);
+  const { fill, fillPattern, fillTiling } = paths[0].style;
+  assert.strictEqual(fillPattern, 'P0');
+  assert.strictEqual(fill, '#ff0000'); // The cell's dominant color
+  assert.strictEqual(fillTiling.paths.length, 1);
+
+  const converter = new SVGPathConverter({ pdfWidth: 600, pdfHeight: 800, svgWidth: 600, svgHeight: 800 });
+  const element = converter.generatePathElement(converter.convertPath(paths[0]));
+  assert.ok(element.includes('fill="url(#pattern-1)"'));
+  assert.strictEqual(
+    converter.generatePatternDefs(),
+    '<pattern id="pattern-1" patternUnits="userSpaceOnUse" x="0.000" y="0.000" width="10.000" height="10.000" ' +
+    'patternTransform="matrix(1 0 0 -1 0 800)">' +
+    '<path d="M 0.000 0.000 L 5.000 0.000 L 5.000 5.000 L 0.000 5.000 Z" fill="#ff0000" fill-rule="nonzero"/>' +
+    '</pattern>'
+  );
+});
+
+test('uncolored tiling patterns paint in the color given with scn', async () => {
+  const { paths } = parsePage(await patternPage('/CS0 cs 0 0 1 /P0 scn 0 0 100 100 re f', 2));
+
+  assert.strictEqual(paths[0].style.fill, '#0000ff');
+  const converter = new SVGPathConverter({ pdfWidth: 600, pdfHeight: 800, svgWidth: 600, svgHeight: 800 });
+  converter.convertPath(paths[0]);
+  assert.ok(converter.generatePatternDefs().includes('fill="#0000ff"'));
+});
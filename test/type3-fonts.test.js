@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, reload, parsePage } = require('./helpers');
+
+/**
+ * Page with a Type 3 font /T3 whose glyph "square" (code 97, "a") fills a
+ * 500×700 rectangle and advances by 1000 glyph units
+ */
+async function type3Page(content) {
+  const { doc } = await createPage(content, context => {
+    const square = context.register(context.stream(Buffer.from('1000 0 d0 0 0 500 700 re f', 'latin1')));
+    const font = context.obj({
+      Type: 'Font',
+      Subtype: 'Type3',
+      FontBBox: [0, 0, 1000, 1000],
+      FontMatrix: [0.001, 0, 0, 0.001, 0, 0],
+      CharProcs: context.obj({ square }),
+      Encoding: context.obj({ Type: 'Encoding', Differences: [97, 'square'] }),
+      FirstChar: 97,
+      LastChar: 97,
+      Widths: [1000]
+    });
+    return { Font: context.obj({ T3: font }) };
+  });
+  return reload(doc);
+}
+
+test('Type 3 glyphs are painted through the font matrix and text matrix', async () => {
+  const { paths, textObjects } = parsePage(await type3Page('BT /T3 10 Tf 100 200 Td (aa) Tj ET'));
+
+  // 10 pt × 0.001 scales glyph space; the second glyph sits one 10 pt advance along
+  assert.strictEqual(paths.length, 2);
+  assert.deepStrictEqual(paths.map(({ transform }) => [transform.a, transform.d, transform.e, transform.f]), [
+    [0.01, 0.01, 100, 200],
+    [0.01, 0.01, 110, 200]
+  ]);
+  assert.strictEqual(paths[0].operation, 'fill');
+  assert.strictEqual(textObjects[0].renderedAsPaths, true);
+  assert.strictEqual(textObjects[0].width, 20);
+});
+
+test('invisible Type 3 text is not painted', async () => {
+  const { paths, textObjects } = parsePage(await type3Page('BT /T3 10 Tf 3 Tr 100 200 Td (a) Tj ET'));
+
+  assert.strictEqual(paths.length, 0);
+  assert.strictEqual(textObjects[0].renderedAsPaths, false);
+});